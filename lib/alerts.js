@@ -0,0 +1,37 @@
+// Weather alerts shared by the API, the web UI and the display renderer.
+//
+// Providers return alerts as { title, severity, effectiveAt, expiresAt, source } with
+// severity one of ALERT_SEVERITIES and the times as ISO strings (null when unknown).
+// Scraped alerts stay in the cache until the next refresh, so expiry is checked
+// whenever they are served rather than when they are stored.
+
+// Most to least severe
+const ALERT_SEVERITIES = ['extreme', 'severe', 'moderate', 'minor', 'unknown'];
+
+// Whether an alert is in effect at now (a missing start or end is open-ended)
+function isAlertActive(alert, now = new Date()) {
+  const effectiveAt = alert.effectiveAt ? new Date(alert.effectiveAt) : null;
+  const expiresAt = alert.expiresAt ? new Date(alert.expiresAt) : null;
+  if (effectiveAt && effectiveAt > now) return false;
+  if (expiresAt && expiresAt <= now) return false;
+  return true;
+}
+
+// The alerts in effect at now, most severe first, then the ones ending soonest
+function getActiveAlerts(alerts, now = new Date()) {
+  const rank = alert => {
+    const index = ALERT_SEVERITIES.indexOf(alert.severity);
+    return index === -1 ? ALERT_SEVERITIES.length : index;
+  };
+  const end = alert => (alert.expiresAt ? new Date(alert.expiresAt).getTime() : Infinity);
+
+  return alerts
+    .filter(alert => isAlertActive(alert, now))
+    .sort((a, b) => rank(a) - rank(b) || end(a) - end(b));
+}
+
+module.exports = {
+  ALERT_SEVERITIES,
+  isAlertActive,
+  getActiveAlerts
+};
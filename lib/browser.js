@@ -0,0 +1,93 @@
+const puppeteer = require('puppeteer');
+const fs = require('fs');
+const DEBUG = require('./debug');
+
+// Shared browser instance (reused for better performance)
+let browser = null;
+let browserLaunch = null;
+
+// Launch Puppeteer, falling back to a system Chrome/Chromium install
+async function launchBrowser() {
+  const launchOptions = {
+    headless: true,
+    args: [
+      '--no-sandbox',
+      '--disable-setuid-sandbox',
+      '--disable-blink-features=AutomationControlled',
+      '--disable-dev-shm-usage',
+      '--disable-gpu',
+      '--disable-software-rasterizer',
+      '--disable-extensions',
+      '--single-process',
+      '--no-zygote'
+    ]
+  };
+
+  DEBUG.log('BROWSER', 'Initializing Puppeteer browser...');
+
+  try {
+    const instance = await puppeteer.launch(launchOptions);
+    DEBUG.log('BROWSER', 'Browser launched successfully (bundled Chrome)');
+    return instance;
+  } catch (error) {
+    DEBUG.error('BROWSER', 'Failed to launch bundled Chrome:', error.message);
+    DEBUG.log('BROWSER', 'Attempting fallback to system Chrome/Chromium...');
+
+    const systemChromePaths = [
+      '/usr/bin/google-chrome',
+      '/usr/local/bin/google-chrome',
+      '/usr/bin/google-chrome-stable',
+      '/usr/bin/chromium-browser',
+      '/usr/bin/chromium'
+    ];
+
+    let executablePath = null;
+    for (const chromePath of systemChromePaths) {
+      if (fs.existsSync(chromePath)) {
+        executablePath = chromePath;
+        break;
+      }
+    }
+
+    if (executablePath) {
+      DEBUG.log('BROWSER', `Using system Chrome at: ${executablePath}`);
+      const instance = await puppeteer.launch({
+        ...launchOptions,
+        executablePath
+      });
+      DEBUG.log('BROWSER', 'Browser launched successfully (system Chrome)');
+      return instance;
+    } else {
+      DEBUG.error('BROWSER', 'No Chrome/Chromium executable found in:', systemChromePaths.join(', '));
+      throw new Error('Failed to launch browser: No Chrome/Chromium executable found. Error code 2 typically indicates missing browser binary or dependencies.');
+    }
+  }
+}
+
+// Return the shared browser, launching it on first use
+async function initBrowser() {
+  if (!browser) {
+    // Share one launch between concurrent callers (e.g. several locations refreshing at startup)
+    if (!browserLaunch) {
+      browserLaunch = launchBrowser().finally(() => {
+        browserLaunch = null;
+      });
+    }
+    browser = await browserLaunch;
+  }
+  return browser;
+}
+
+// Close the shared browser, if one was launched
+async function closeBrowser() {
+  if (browser) {
+    const instance = browser;
+    browser = null;
+    await instance.close();
+  }
+}
+
+module.exports = {
+  initBrowser,
+  closeBrowser
+};
@@ -0,0 +1,20 @@
+// Debug logging helper - outputs timestamped, categorized messages to terminal
+const DEBUG = {
+  log: (category, ...args) => {
+    const ts = new Date().toISOString();
+    const prefix = `[${ts}] [${category}]`;
+    console.log(prefix, ...args);
+  },
+  warn: (category, ...args) => {
+    const ts = new Date().toISOString();
+    const prefix = `[${ts}] [${category}] WARN:`;
+    console.warn(prefix, ...args);
+  },
+  error: (category, ...args) => {
+    const ts = new Date().toISOString();
+    const prefix = `[${ts}] [${category}] ERROR:`;
+    console.error(prefix, ...args);
+  }
+};
+
+module.exports = DEBUG;
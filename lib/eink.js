@@ -0,0 +1,442 @@
+const sharp = require('sharp');
+const bmp = require('bmp-js');
+
+// Output palettes for e-paper panels. "rgb" keeps the full-color 24-bit BMP;
+// the others are quantized to what the panel can show and written as indexed BMPs.
+//   bits      - bits per pixel in the BMP and in a packed framebuffer
+//   grayscale - quantize on luminance instead of RGB distance
+//   spread    - strength of the ordered (Bayer) dither offset, about one palette step
+//   planes    - optional, the colors written as separate 1-bit planes in a split framebuffer
+const PALETTES = {
+  rgb: {
+    bits: 24,
+    colors: null
+  },
+  mono: {
+    bits: 1,
+    grayscale: true,
+    spread: 255,
+    colors: [[0, 0, 0], [255, 255, 255]]
+  },
+  gray4: {
+    bits: 2,
+    grayscale: true,
+    spread: 85,
+    colors: [[0, 0, 0], [85, 85, 85], [170, 170, 170], [255, 255, 255]]
+  },
+  gray16: {
+    bits: 4,
+    grayscale: true,
+    spread: 17,
+    colors: Array.from({ length: 16 }, (_, i) => [i * 17, i * 17, i * 17])
+  },
+  // Black/white/red panels (e.g. Waveshare 7.5" B), whose drivers take a black and a red plane
+  bwr: {
+    bits: 2,
+    grayscale: false,
+    spread: 128,
+    colors: [[0, 0, 0], [255, 255, 255], [255, 0, 0]],
+    planes: [
+      { name: 'black', index: 0 },
+      { name: 'red', index: 2 }
+    ]
+  },
+  // 7-color ACeP panels (e.g. Waveshare 5.65"/7.3" F), in the driver's index order
+  acep7: {
+    bits: 4,
+    grayscale: false,
+    spread: 128,
+    colors: [
+      [0, 0, 0],       // black
+      [255, 255, 255], // white
+      [0, 255, 0],     // green
+      [0, 0, 255],     // blue
+      [255, 0, 0],     // red
+      [255, 255, 0],   // yellow
+      [255, 128, 0]    // orange
+    ]
+  }
+};
+
+const DITHERS = ['none', 'floyd-steinberg', 'bayer'];
+
+// Raw framebuffer options: rows padded to a multiple of rowAlign bytes, and pixels either
+// packed at the palette's bits per pixel or split into one 1-bit plane per palette plane
+const FRAMEBUFFER_ROW_ALIGNS = [1, 2, 4];
+const FRAMEBUFFER_PLANES = ['packed', 'split'];
+
+// 8x8 Bayer threshold matrix for ordered dithering
+const BAYER_8X8 = [
+  [0, 32, 8, 40, 2, 34, 10, 42],
+  [48, 16, 56, 24, 50, 18, 58, 26],
+  [12, 44, 4, 36, 14, 46, 6, 38],
+  [60, 28, 52, 20, 62, 30, 54, 22],
+  [3, 35, 11, 43, 1, 33, 9, 41],
+  [51, 19, 59, 27, 49, 17, 57, 25],
+  [15, 47, 7, 39, 13, 45, 5, 37],
+  [63, 31, 55, 23, 61, 29, 53, 21]
+];
+
+// Look up a palette by name
+function getPalette(name) {
+  const palette = PALETTES[name];
+  if (!palette) {
+    throw new Error(`Unknown palette "${name}" (available: ${Object.keys(PALETTES).join(', ')})`);
+  }
+  return palette;
+}
+
+// Validate a dither name
+function getDither(name) {
+  if (!DITHERS.includes(name)) {
+    throw new Error(`Unknown dither "${name}" (available: ${DITHERS.join(', ')})`);
+  }
+  return name;
+}
+
+// Index of the palette color closest to (r, g, b)
+function nearestColor(colors, r, g, b) {
+  let best = 0;
+  let bestDistance = Infinity;
+  for (let i = 0; i < colors.length; i++) {
+    const [pr, pg, pb] = colors[i];
+    const distance = (r - pr) * (r - pr) + (g - pg) * (g - pg) + (b - pb) * (b - pb);
+    if (distance < bestDistance) {
+      bestDistance = distance;
+      best = i;
+    }
+  }
+  return best;
+}
+
+// Map raw RGB pixels (3 bytes per pixel) to palette indices, one byte per pixel
+function quantize(rgb, width, height, paletteName, dither) {
+  const palette = getPalette(paletteName);
+  const { colors } = palette;
+  const pixelCount = width * height;
+
+  // Working copy in floats so diffused error can go out of the 0-255 range
+  const work = new Float32Array(pixelCount * 3);
+  for (let i = 0; i < pixelCount; i++) {
+    const r = rgb[i * 3];
+    const g = rgb[i * 3 + 1];
+    const b = rgb[i * 3 + 2];
+    if (palette.grayscale) {
+      const lum = 0.299 * r + 0.587 * g + 0.114 * b;
+      work[i * 3] = lum;
+      work[i * 3 + 1] = lum;
+      work[i * 3 + 2] = lum;
+    } else {
+      work[i * 3] = r;
+      work[i * 3 + 1] = g;
+      work[i * 3 + 2] = b;
+    }
+  }
+
+  const indices = new Uint8Array(pixelCount);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      let r = work[i * 3];
+      let g = work[i * 3 + 1];
+      let b = work[i * 3 + 2];
+
+      if (dither === 'bayer') {
+        const offset = ((BAYER_8X8[y % 8][x % 8] + 0.5) / 64 - 0.5) * palette.spread;
+        r += offset;
+        g += offset;
+        b += offset;
+      }
+
+      const index = nearestColor(colors, r, g, b);
+      indices[i] = index;
+
+      if (dither === 'floyd-steinberg') {
+        const [pr, pg, pb] = colors[index];
+        const er = r - pr;
+        const eg = g - pg;
+        const eb = b - pb;
+        // Distribute the error to the right and to the row below (7/16, 3/16, 5/16, 1/16)
+        const spread = (dx, dy, weight) => {
+          const nx = x + dx;
+          const ny = y + dy;
+          if (nx < 0 || nx >= width || ny >= height) return;
+          const j = (ny * width + nx) * 3;
+          work[j] += er * weight;
+          work[j + 1] += eg * weight;
+          work[j + 2] += eb * weight;
+        };
+        spread(1, 0, 7 / 16);
+        spread(-1, 1, 3 / 16);
+        spread(0, 1, 5 / 16);
+        spread(1, 1, 1 / 16);
+      }
+    }
+  }
+
+  return indices;
+}
+
+// Encode palette indices as an indexed BMP (1, 2, 4 or 8 bits per pixel).
+// Rows are stored bottom-up, packed MSB-first and padded to 4 bytes, which is what
+// e-paper driver BMP loaders expect. 2-bit BMPs are non-standard but are read by
+// 4-gray panel drivers.
+function encodeIndexedBmp(indices, width, height, colors, bits) {
+  const rowBytes = Math.ceil(width * bits / 32) * 4;
+  const paletteSize = (1 << bits) * 4;
+  const offset = 14 + 40 + paletteSize;
+  const imageSize = rowBytes * height;
+  const buffer = Buffer.alloc(offset + imageSize);
+
+  // BITMAPFILEHEADER
+  buffer.write('BM', 0, 2, 'ascii');
+  buffer.writeUInt32LE(offset + imageSize, 2);
+  buffer.writeUInt32LE(0, 6);
+  buffer.writeUInt32LE(offset, 10);
+
+  // BITMAPINFOHEADER
+  buffer.writeUInt32LE(40, 14);
+  buffer.writeInt32LE(width, 18);
+  buffer.writeInt32LE(height, 22); // positive height = bottom-up rows
+  buffer.writeUInt16LE(1, 26);
+  buffer.writeUInt16LE(bits, 28);
+  buffer.writeUInt32LE(0, 30); // BI_RGB, no compression
+  buffer.writeUInt32LE(imageSize, 34);
+  buffer.writeInt32LE(2835, 38); // 72 DPI
+  buffer.writeInt32LE(2835, 42);
+  buffer.writeUInt32LE(1 << bits, 46); // full color table, see paletteSize
+  buffer.writeUInt32LE(colors.length, 50);
+
+  // Color table (BGRA); unused entries stay black
+  colors.forEach(([r, g, b], i) => {
+    const p = 54 + i * 4;
+    buffer[p] = b;
+    buffer[p + 1] = g;
+    buffer[p + 2] = r;
+  });
+
+  const pixelsPerByte = 8 / bits;
+  for (let y = 0; y < height; y++) {
+    const rowStart = offset + (height - 1 - y) * rowBytes;
+    for (let x = 0; x < width; x++) {
+      const index = indices[y * width + x];
+      const byte = rowStart + Math.floor(x / pixelsPerByte);
+      const shift = 8 - bits * (x % pixelsPerByte + 1);
+      buffer[byte] |= index << shift;
+    }
+  }
+
+  return buffer;
+}
+
+// Pack one value per pixel into rows of rowBytes bytes, MSB-first: the leftmost pixel
+// is in the highest bits of the first byte. Padding at the end of each row stays 0.
+function packPixels(width, height, bits, rowBytes, valueAt) {
+  const buffer = Buffer.alloc(rowBytes * height);
+  const pixelsPerByte = 8 / bits;
+  for (let y = 0; y < height; y++) {
+    const rowStart = y * rowBytes;
+    for (let x = 0; x < width; x++) {
+      const byte = rowStart + Math.floor(x / pixelsPerByte);
+      const shift = 8 - bits * (x % pixelsPerByte + 1);
+      buffer[byte] |= valueAt(y * width + x) << shift;
+    }
+  }
+  return buffer;
+}
+
+// Encode palette indices as a raw framebuffer a panel driver can take as-is: rows
+// top-down, MSB-first, padded to rowAlign bytes, no header.
+//   packed - palette indices at the palette's bits per pixel
+//   split  - one 1-bit plane per palette plane, one after the other; a bit is 0 where
+//            the pixel has that plane's color and 1 elsewhere, the way Waveshare-style
+//            tri-color drivers expect it
+// Returns { data, layout } with layout describing the buffer for the sidecar file.
+function encodeFramebuffer(indices, width, height, paletteName, options) {
+  const palette = getPalette(paletteName);
+  const rowAlign = options.rowAlign || 1;
+  const split = options.planes === 'split';
+  if (!palette.colors) {
+    throw new Error('A raw framebuffer needs an indexed palette, not "rgb"');
+  }
+  if (split && !palette.planes) {
+    throw new Error(`Palette "${paletteName}" has no color planes to split`);
+  }
+
+  const bits = split ? 1 : palette.bits;
+  const rowBytes = Math.ceil(Math.ceil(width * bits / 8) / rowAlign) * rowAlign;
+  const planes = split
+    ? palette.planes.map(plane => ({
+      name: plane.name,
+      data: packPixels(width, height, 1, rowBytes, i => (indices[i] === plane.index ? 0 : 1))
+    }))
+    : [{ name: 'pixels', data: packPixels(width, height, bits, rowBytes, i => indices[i]) }];
+
+  let offset = 0;
+  const layout = {
+    bitsPerPixel: bits,
+    bitOrder: 'msb-first',
+    rowBytes,
+    rowAlign,
+    planes: planes.map(plane => {
+      const entry = { name: plane.name, offset, length: plane.data.length };
+      offset += plane.data.length;
+      return entry;
+    }),
+    colors: palette.colors
+  };
+  return { data: Buffer.concat(planes.map(plane => plane.data)), layout };
+}
+
+// Rotate and resize a PNG screenshot to the panel and reduce it to the panel's palette,
+// ready to be encoded in any of the output formats.
+// options: { width, height, palette, dither, rotate }
+// rotate (0, 90, 180, 270 degrees clockwise) is applied before resizing to width x height.
+// Returns { width, height, palette, rgba } for "rgb" and { width, height, palette, indices }
+// for the indexed palettes.
+async function prepareFrame(pngBuffer, options) {
+  const palette = getPalette(options.palette);
+  const dither = getDither(options.dither);
+
+  if (!palette.colors) {
+    // Use ensureAlpha() to guarantee 4 channels (RGBA) regardless of input format
+    const { data, info } = await sharp(pngBuffer)
+      .rotate(options.rotate || 0)
+      .resize(options.width, options.height)
+      .ensureAlpha()
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+    return { width: info.width, height: info.height, palette: options.palette, rgba: data };
+  }
+
+  // Indexed: flatten any transparency onto white and quantize the RGB pixels
+  const { data, info } = await sharp(pngBuffer)
+    .rotate(options.rotate || 0)
+    .resize(options.width, options.height)
+    .flatten({ background: '#ffffff' })
+    .removeAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  return {
+    width: info.width,
+    height: info.height,
+    palette: options.palette,
+    indices: quantize(data, info.width, info.height, options.palette, dither)
+  };
+}
+
+// Encode a prepared frame as a BMP
+function encodeFrameBmp(frame) {
+  if (frame.rgba) {
+    // Full color: bmp-js expects ABGR pixel data, but sharp outputs RGBA
+    // RGBA: [R, G, B, A] -> ABGR: [A, B, G, R]
+    const abgrData = Buffer.alloc(frame.rgba.length);
+    for (let i = 0; i < frame.rgba.length; i += 4) {
+      abgrData[i] = frame.rgba[i + 3];     // A (from position 3)
+      abgrData[i + 1] = frame.rgba[i + 2]; // B (from position 2)
+      abgrData[i + 2] = frame.rgba[i + 1]; // G (from position 1)
+      abgrData[i + 3] = frame.rgba[i];     // R (from position 0)
+    }
+    return bmp.encode({ data: abgrData, width: frame.width, height: frame.height }).data;
+  }
+
+  const palette = getPalette(frame.palette);
+  return encodeIndexedBmp(frame.indices, frame.width, frame.height, palette.colors, palette.bits);
+}
+
+// Encode a prepared frame as a PNG showing exactly the colors the panel gets
+// (single-channel for the grayscale palettes)
+function encodeFramePng(frame) {
+  if (frame.rgba) {
+    return sharp(frame.rgba, { raw: { width: frame.width, height: frame.height, channels: 4 } })
+      .png()
+      .toBuffer();
+  }
+
+  const palette = getPalette(frame.palette);
+  const rgb = Buffer.alloc(frame.indices.length * 3);
+  frame.indices.forEach((index, i) => {
+    const [r, g, b] = palette.colors[index];
+    rgb[i * 3] = r;
+    rgb[i * 3 + 1] = g;
+    rgb[i * 3 + 2] = b;
+  });
+  const image = sharp(rgb, { raw: { width: frame.width, height: frame.height, channels: 3 } });
+  return (palette.grayscale ? image.toColourspace('b-w') : image).png({ compressionLevel: 9 }).toBuffer();
+}
+
+// Encode a prepared frame in one output format: 'bmp', 'bin' (raw framebuffer) or 'png'.
+// options: { rowAlign, planes } for the framebuffer (see encodeFramebuffer).
+// Returns { data, framebuffer } where framebuffer is the raw buffer's layout, or null.
+async function encodeFrame(frame, format, options) {
+  if (format === 'bmp') {
+    return { data: encodeFrameBmp(frame), framebuffer: null };
+  }
+  if (format === 'png') {
+    return { data: await encodeFramePng(frame), framebuffer: null };
+  }
+  if (format === 'bin') {
+    const encoded = encodeFramebuffer(frame.indices, frame.width, frame.height, frame.palette, options);
+    return { data: encoded.data, framebuffer: encoded.layout };
+  }
+  throw new Error(`Unknown output format "${format}"`);
+}
+
+// Cut a rectangle ({ x, y, width, height }) out of a prepared frame, as a frame of its own
+function cropFrame(frame, region) {
+  const source = frame.indices || frame.rgba;
+  const bytesPerPixel = frame.indices ? 1 : 4;
+  const pixels = Buffer.alloc(region.width * region.height * bytesPerPixel);
+  for (let y = 0; y < region.height; y++) {
+    const start = ((region.y + y) * frame.width + region.x) * bytesPerPixel;
+    pixels.set(source.subarray(start, start + region.width * bytesPerPixel), y * region.width * bytesPerPixel);
+  }
+  return {
+    width: region.width,
+    height: region.height,
+    palette: frame.palette,
+    [frame.indices ? 'indices' : 'rgba']: pixels
+  };
+}
+
+// Convert one PNG screenshot into several output formats for the same panel, so they all
+// show the same pixels. formats: any of 'bmp', 'bin' (raw framebuffer) and 'png'.
+// options: renderBmp()'s plus { rowAlign, planes } for the framebuffer (see encodeFramebuffer).
+// Returns { width, height, frame, files: { <format>: Buffer }, framebuffer } where frame is
+// the prepared frame and framebuffer the raw buffer's layout, or null without 'bin'.
+async function renderFormats(pngBuffer, options, formats) {
+  const frame = await prepareFrame(pngBuffer, options);
+  const files = {};
+  let framebuffer = null;
+  for (const format of formats) {
+    const encoded = await encodeFrame(frame, format, options);
+    files[format] = encoded.data;
+    framebuffer = framebuffer || encoded.framebuffer;
+  }
+  return { width: frame.width, height: frame.height, frame, files, framebuffer };
+}
+
+// Convert a PNG screenshot into a BMP for the given palette and dither.
+// options: { width, height, palette, dither, rotate }
+async function renderBmp(pngBuffer, options) {
+  const frame = await prepareFrame(pngBuffer, options);
+  return { data: encodeFrameBmp(frame), width: frame.width, height: frame.height };
+}
+
+module.exports = {
+  PALETTES,
+  DITHERS,
+  FRAMEBUFFER_ROW_ALIGNS,
+  FRAMEBUFFER_PLANES,
+  getPalette,
+  getDither,
+  quantize,
+  encodeIndexedBmp,
+  encodeFramebuffer,
+  encodeFrame,
+  cropFrame,
+  renderFormats,
+  renderBmp
+};
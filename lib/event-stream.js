@@ -0,0 +1,75 @@
+const DEBUG = require('./debug');
+
+// Server-Sent Events broadcaster. handle() is an Express handler that keeps the
+// response open as an event stream; publish() sends an event to every open stream.
+//
+// options:
+//   maxClients        - streams accepted at once; further requests get 503
+//   heartbeatInterval - ms between keep-alive comments, so proxies don't drop idle streams
+//   retryDelay        - reconnect delay (ms) suggested to browsers when a stream drops
+function createEventStream(options) {
+  const clients = new Set();
+  let heartbeatTimer = null;
+
+  function startHeartbeat() {
+    if (heartbeatTimer) return;
+    heartbeatTimer = setInterval(() => {
+      for (const res of clients) {
+        res.write(': heartbeat\n\n');
+      }
+    }, options.heartbeatInterval);
+    // Don't keep the process alive just for heartbeats
+    heartbeatTimer.unref();
+  }
+
+  function stopHeartbeatIfIdle() {
+    if (clients.size === 0 && heartbeatTimer) {
+      clearInterval(heartbeatTimer);
+      heartbeatTimer = null;
+    }
+  }
+
+  function handle(req, res) {
+    if (clients.size >= options.maxClients) {
+      return res.status(503).json({ error: 'Too many live update connections.' });
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream; charset=UTF-8',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      // Stop nginx-style proxies from buffering the stream
+      'X-Accel-Buffering': 'no'
+    });
+    res.write(`retry: ${options.retryDelay}\n\n`);
+
+    clients.add(res);
+    startHeartbeat();
+    DEBUG.log('EVENTS', `Client connected | ${clients.size} open`);
+
+    req.on('close', () => {
+      clients.delete(res);
+      stopHeartbeatIfIdle();
+      DEBUG.log('EVENTS', `Client disconnected | ${clients.size} open`);
+    });
+  }
+
+  // Send a named event with a JSON payload to every open stream
+  function publish(event, data) {
+    if (clients.size === 0) return;
+    const message = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+    for (const res of clients) {
+      res.write(message);
+    }
+  }
+
+  return {
+    handle,
+    publish,
+    clientCount: () => clients.size
+  };
+}
+
+module.exports = {
+  createEventStream
+};
@@ -0,0 +1,121 @@
+// Forecast drift: how the prediction for one target hour changes from scrape to scrape.
+//
+// compareForecasts() diffs two consecutive scrapes for the "changed since the last
+// refresh" marks in the UI. buildRevisionSeries() and summarizeDrift() work on history
+// records (lib/history-store.js) for /api/forecast-drift.
+
+// Changes at or above these count as significant (°F and percentage points)
+const SIGNIFICANT_TEMPERATURE_CHANGE = 3;
+const SIGNIFICANT_PRECIPITATION_CHANGE = 20;
+
+const HOUR = 60 * 60 * 1000;
+
+function isSignificant(temperatureChange, precipitationChange) {
+  return Math.abs(temperatureChange) >= SIGNIFICANT_TEMPERATURE_CHANGE ||
+    Math.abs(precipitationChange) >= SIGNIFICANT_PRECIPITATION_CHANGE;
+}
+
+// Diff the current forecast against the previous scrape's.
+// Returns a Map of datetime -> { temperature, precipitation, since, significant } for
+// hours present in both, where temperature/precipitation are the signed changes.
+function compareForecasts(previousForecast, currentForecast, previousScrapedAt) {
+  const previousByHour = new Map(previousForecast.map(hour => [hour.datetime, hour]));
+  const changes = new Map();
+
+  for (const hour of currentForecast) {
+    const previous = previousByHour.get(hour.datetime);
+    if (!previous) continue;
+
+    const temperature = hour.temperature - previous.temperature;
+    const precipitation = hour.precipitation - previous.precipitation;
+    changes.set(hour.datetime, {
+      temperature,
+      precipitation,
+      since: previousScrapedAt.toISOString(),
+      significant: isSignificant(temperature, precipitation)
+    });
+  }
+  return changes;
+}
+
+// Group history records by target hour into revision series, oldest scrape first:
+// [{ datetime, revisions: [{ scrapedAt, leadHours, temperature, precipitation }] }]
+function buildRevisionSeries(records) {
+  const byHour = new Map();
+  for (const record of records) {
+    if (!byHour.has(record.datetime)) {
+      byHour.set(record.datetime, []);
+    }
+    byHour.get(record.datetime).push({
+      scrapedAt: record.scrapedAt,
+      leadHours: Math.round((new Date(record.datetime) - new Date(record.scrapedAt)) / HOUR),
+      temperature: record.temperature,
+      precipitation: record.precipitation
+    });
+  }
+
+  return Array.from(byHour, ([datetime, revisions]) => ({
+    datetime,
+    revisions: revisions.sort((a, b) => a.scrapedAt.localeCompare(b.scrapedAt))
+  })).sort((a, b) => a.datetime.localeCompare(b.datetime));
+}
+
+function roundTo(value, decimals) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+// Mean absolute change between consecutive revisions, bucketed by the lead time
+// (hours before the target hour) of the newer revision, plus totals over all buckets
+// and the number of target hours whose forecast ever changed significantly
+function summarizeDrift(series) {
+  const buckets = new Map();
+  const overall = { samples: 0, temperature: 0, precipitation: 0 };
+  let significantHours = 0;
+
+  for (const { revisions } of series) {
+    let changedSignificantly = false;
+    for (let i = 1; i < revisions.length; i++) {
+      const temperatureChange = revisions[i].temperature - revisions[i - 1].temperature;
+      const precipitationChange = revisions[i].precipitation - revisions[i - 1].precipitation;
+      const leadHours = revisions[i].leadHours;
+
+      if (!buckets.has(leadHours)) {
+        buckets.set(leadHours, { samples: 0, temperature: 0, precipitation: 0 });
+      }
+      for (const totals of [buckets.get(leadHours), overall]) {
+        totals.samples += 1;
+        totals.temperature += Math.abs(temperatureChange);
+        totals.precipitation += Math.abs(precipitationChange);
+      }
+      if (isSignificant(temperatureChange, precipitationChange)) {
+        changedSignificantly = true;
+      }
+    }
+    if (changedSignificantly) {
+      significantHours += 1;
+    }
+  }
+
+  const summarize = totals => ({
+    samples: totals.samples,
+    meanAbsTemperatureChange: totals.samples ? roundTo(totals.temperature / totals.samples, 2) : null,
+    meanAbsPrecipitationChange: totals.samples ? roundTo(totals.precipitation / totals.samples, 2) : null
+  });
+
+  return {
+    targetHours: series.length,
+    significantHours,
+    overall: summarize(overall),
+    byLeadTime: Array.from(buckets, ([leadHours, totals]) => ({ leadHours, ...summarize(totals) }))
+      .sort((a, b) => a.leadHours - b.leadHours)
+  };
+}
+
+module.exports = {
+  SIGNIFICANT_TEMPERATURE_CHANGE,
+  SIGNIFICANT_PRECIPITATION_CHANGE,
+  compareForecasts,
+  buildRevisionSeries,
+  summarizeDrift
+};
@@ -0,0 +1,172 @@
+const crypto = require('crypto');
+
+// Change detection between two renders of the same panel (frames from lib/eink.js), so
+// unchanged images aren't rewritten and partial-refresh panels can redraw only what moved.
+//
+// Frames are compared in tiles of TILE_SIZE pixels; a tile with any differing pixel is
+// changed. Changed tiles that touch are grouped, and each group's bounding box becomes a
+// region. Tiles are 8 pixels wide so region edges fall on byte boundaries in 1, 2 and 4
+// bit framebuffers, which is what panel controllers' partial windows need.
+const TILE_SIZE = 8;
+
+// More regions than this are merged into one box; few panels handle many small windows
+const MAX_REGIONS = 8;
+
+// When the regions cover more than this share of the panel a full refresh is suggested
+// instead, since it costs about the same and clears e-ink ghosting
+const MAX_PARTIAL_AREA = 0.5;
+
+// Pixel data of a frame and its bytes per pixel
+function getPixels(frame) {
+  return frame.indices ? { pixels: frame.indices, bytesPerPixel: 1 } : { pixels: frame.rgba, bytesPerPixel: 4 };
+}
+
+// SHA-256 of a frame's geometry, palette and pixels: equal hashes mean identical images
+function hashFrame(frame) {
+  const { pixels } = getPixels(frame);
+  return crypto.createHash('sha256')
+    .update(`${frame.width}x${frame.height}:${frame.palette}:`)
+    .update(pixels)
+    .digest('hex');
+}
+
+// Mark the tiles in which the two frames' pixels differ
+function findChangedTiles(previous, next, tilesX, tilesY) {
+  const { pixels: before, bytesPerPixel } = getPixels(previous);
+  const { pixels: after } = getPixels(next);
+  const rowLength = next.width * bytesPerPixel;
+  const changed = new Uint8Array(tilesX * tilesY);
+
+  for (let y = 0; y < next.height; y++) {
+    const tileRow = Math.floor(y / TILE_SIZE) * tilesX;
+    const rowStart = y * rowLength;
+    for (let i = 0; i < rowLength; i++) {
+      if (before[rowStart + i] !== after[rowStart + i]) {
+        const tile = tileRow + Math.floor(i / bytesPerPixel / TILE_SIZE);
+        changed[tile] = 1;
+        // Skip the rest of this tile on this row
+        i = (Math.floor(i / bytesPerPixel / TILE_SIZE) + 1) * TILE_SIZE * bytesPerPixel - 1;
+      }
+    }
+  }
+  return changed;
+}
+
+// Bounding boxes (in tiles) of groups of changed tiles touching each other, diagonals included
+function groupTiles(changed, tilesX, tilesY) {
+  const seen = new Uint8Array(changed.length);
+  const boxes = [];
+  for (let start = 0; start < changed.length; start++) {
+    if (!changed[start] || seen[start]) continue;
+    const box = { left: Infinity, top: Infinity, right: -Infinity, bottom: -Infinity };
+    const stack = [start];
+    seen[start] = 1;
+    while (stack.length > 0) {
+      const tile = stack.pop();
+      const tx = tile % tilesX;
+      const ty = Math.floor(tile / tilesX);
+      box.left = Math.min(box.left, tx);
+      box.top = Math.min(box.top, ty);
+      box.right = Math.max(box.right, tx);
+      box.bottom = Math.max(box.bottom, ty);
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          const nx = tx + dx;
+          const ny = ty + dy;
+          if (nx < 0 || ny < 0 || nx >= tilesX || ny >= tilesY) continue;
+          const neighbor = ny * tilesX + nx;
+          if (changed[neighbor] && !seen[neighbor]) {
+            seen[neighbor] = 1;
+            stack.push(neighbor);
+          }
+        }
+      }
+    }
+    boxes.push(box);
+  }
+  return boxes;
+}
+
+function boxesOverlap(a, b) {
+  return a.left <= b.right && b.left <= a.right && a.top <= b.bottom && b.top <= a.bottom;
+}
+
+function unionBox(a, b) {
+  return {
+    left: Math.min(a.left, b.left),
+    top: Math.min(a.top, b.top),
+    right: Math.max(a.right, b.right),
+    bottom: Math.max(a.bottom, b.bottom)
+  };
+}
+
+// Merge boxes until none overlap (a group's box can cover part of another group)
+function mergeOverlapping(boxes) {
+  const merged = [...boxes];
+  let found = true;
+  while (found) {
+    found = false;
+    for (let i = 0; i < merged.length && !found; i++) {
+      for (let j = i + 1; j < merged.length && !found; j++) {
+        if (boxesOverlap(merged[i], merged[j])) {
+          merged[i] = unionBox(merged[i], merged[j]);
+          merged.splice(j, 1);
+          found = true;
+        }
+      }
+    }
+  }
+  return merged;
+}
+
+// Compare a new frame with the previous render of the same panel.
+// Returns { changed, fullRefresh, reason, regions } where regions are pixel rectangles
+// ({ x, y, width, height }) in the frame's own (rotated, framebuffer) coordinates, top to
+// bottom. fullRefresh is true when the whole panel should be redrawn instead, with reason
+// saying why; regions is then empty.
+function diffFrames(previous, next) {
+  if (!previous) {
+    return { changed: true, fullRefresh: true, reason: 'no-previous-frame', regions: [] };
+  }
+  if (previous.width !== next.width || previous.height !== next.height || previous.palette !== next.palette) {
+    return { changed: true, fullRefresh: true, reason: 'geometry-changed', regions: [] };
+  }
+
+  const tilesX = Math.ceil(next.width / TILE_SIZE);
+  const tilesY = Math.ceil(next.height / TILE_SIZE);
+  const changed = findChangedTiles(previous, next, tilesX, tilesY);
+  let boxes = groupTiles(changed, tilesX, tilesY);
+  if (boxes.length === 0) {
+    return { changed: false, fullRefresh: false, reason: null, regions: [] };
+  }
+  // Scattered changes (e.g. a shifted dither pattern) aren't worth merging one by one
+  boxes = boxes.length > MAX_REGIONS * 4 ? [boxes.reduce(unionBox)] : mergeOverlapping(boxes);
+  if (boxes.length > MAX_REGIONS) {
+    boxes = [boxes.reduce(unionBox)];
+  }
+
+  const regions = boxes
+    .map(box => {
+      const x = box.left * TILE_SIZE;
+      const y = box.top * TILE_SIZE;
+      return {
+        x,
+        y,
+        width: Math.min((box.right + 1) * TILE_SIZE, next.width) - x,
+        height: Math.min((box.bottom + 1) * TILE_SIZE, next.height) - y
+      };
+    })
+    .sort((a, b) => a.y - b.y || a.x - b.x);
+
+  const area = regions.reduce((sum, region) => sum + region.width * region.height, 0);
+  if (area > next.width * next.height * MAX_PARTIAL_AREA) {
+    return { changed: true, fullRefresh: true, reason: 'large-change', regions: [] };
+  }
+  return { changed: true, fullRefresh: false, reason: null, regions };
+}
+
+module.exports = {
+  TILE_SIZE,
+  hashFrame,
+  diffFrames
+};
@@ -0,0 +1,115 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+
+// Append-only forecast history. Every refresh appends one JSON line per forecast hour:
+//   { locationId, scrapedAt, datetime, temperature, ... }
+// to <dir>/<locationId>/<YYYY-MM>.jsonl, partitioned by the UTC month of the scrape so
+// a query only reads the months that can contain matching records.
+
+// Forecasts never reach further ahead than this, which bounds the months a query by
+// forecast time has to scan
+const MAX_LEAD_TIME = 7 * 24 * 60 * 60 * 1000;
+
+// A scrape can still include the hour that started before it ran
+const MAX_LAG_TIME = 60 * 60 * 1000;
+
+// "YYYY-MM" of a date in UTC
+function monthKey(date) {
+  return date.toISOString().slice(0, 7);
+}
+
+// Months from start to end (inclusive) as "YYYY-MM" keys
+function monthsBetween(start, end) {
+  const months = [];
+  const cursor = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth(), 1));
+  while (cursor <= end) {
+    months.push(monthKey(cursor));
+    cursor.setUTCMonth(cursor.getUTCMonth() + 1);
+  }
+  return months;
+}
+
+// Append one scrape's forecast hours for a location
+function appendHistory(dir, locationId, scrapedAt, forecast) {
+  if (forecast.length === 0) return;
+
+  const locationDir = path.join(dir, locationId);
+  fs.mkdirSync(locationDir, { recursive: true });
+
+  const scrapedAtIso = scrapedAt.toISOString();
+  const lines = forecast
+    .map(hour => JSON.stringify({ locationId, scrapedAt: scrapedAtIso, ...hour }))
+    .join('\n');
+  // One write per scrape keeps a scrape's lines together
+  fs.appendFileSync(path.join(locationDir, `${monthKey(scrapedAt)}.jsonl`), `${lines}\n`);
+}
+
+// Read a location's history records whose forecast hour is in [from, to] and, when
+// given, whose scrape time is in [scrapedFrom, scrapedTo]. Results are sorted by
+// forecast hour, then scrape time, and capped at limit.
+// Returns { records, truncated }.
+async function queryHistory(dir, query) {
+  const { locationId, from, to, limit } = query;
+  const earliestScrape = new Date(from.getTime() - MAX_LEAD_TIME);
+  const latestScrape = new Date(to.getTime() + MAX_LAG_TIME);
+  const scrapedFrom = query.scrapedFrom && query.scrapedFrom > earliestScrape ? query.scrapedFrom : earliestScrape;
+  const scrapedTo = query.scrapedTo && query.scrapedTo < latestScrape ? query.scrapedTo : latestScrape;
+
+  const records = [];
+  for (const month of monthsBetween(scrapedFrom, scrapedTo)) {
+    const filePath = path.join(dir, locationId, `${month}.jsonl`);
+    if (!fs.existsSync(filePath)) continue;
+
+    const lines = readline.createInterface({
+      input: fs.createReadStream(filePath, { encoding: 'utf8' }),
+      crlfDelay: Infinity
+    });
+    for await (const line of lines) {
+      if (!line) continue;
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch {
+        // A line cut short by a crash mid-append; skip it
+        continue;
+      }
+
+      const forecastTime = new Date(record.datetime);
+      const scrapeTime = new Date(record.scrapedAt);
+      if (forecastTime < from || forecastTime > to) continue;
+      if (scrapeTime < scrapedFrom || scrapeTime > scrapedTo) continue;
+      records.push(record);
+    }
+  }
+
+  records.sort((a, b) => a.datetime.localeCompare(b.datetime) || a.scrapedAt.localeCompare(b.scrapedAt));
+  return {
+    records: records.slice(0, limit),
+    truncated: records.length > limit
+  };
+}
+
+// Delete a location's month files that only hold scrapes from before `before`, i.e. the
+// months that ended by the start of before's month. Returns the deleted "YYYY-MM" keys.
+function pruneHistory(dir, locationId, before) {
+  const locationDir = path.join(dir, locationId);
+  if (!fs.existsSync(locationDir)) return [];
+
+  const keepFrom = monthKey(before);
+  const pruned = [];
+  for (const file of fs.readdirSync(locationDir)) {
+    const match = file.match(/^(\d{4}-\d{2})\.jsonl$/);
+    if (match && match[1] < keepFrom) {
+      fs.unlinkSync(path.join(locationDir, file));
+      pruned.push(match[1]);
+    }
+  }
+  return pruned.sort();
+}
+
+module.exports = {
+  appendHistory,
+  queryHistory,
+  pruneHistory
+};
@@ -0,0 +1,817 @@
+// DOM extraction for AccuWeather hourly, daily, current-weather and weather-warnings pages.
+//
+// extractLocationName(), extractHourlyCards(), extractDailyCards(),
+// extractCurrentConditions() and extractAlerts() are passed to page.evaluate(), so they
+// run inside the browser and must stay self-contained (no references to module scope or
+// Node APIs). They only read the DOM and return plain data; turning card times into
+// datetimes happens in Node via buildForecastRecords(), buildDailyRecords(),
+// buildCurrentConditions() and buildAlertRecords().
+//
+// scripts/check-accuweather-fixtures.js runs them against the saved pages in
+// fixtures/accuweather/ so markup changes show up without hitting the live site.
+
+const { dateKey, addDays, getZonedParts, zonedTimeToUtc } = require('../timezone');
+
+// Hourly card selectors in priority order; the first one matching any element wins
+const HOURLY_CARD_SELECTORS = [
+  '.accordion-item.hour',
+  '[data-qa].hour',
+  '.hourly-card',
+  '[data-qa="hourlyCard"]',
+  '.hourly-list-item'
+];
+
+// Maximum number of hourly cards taken from one page
+const MAX_CARDS_PER_PAGE = 16;
+
+// Daily card selectors on the daily forecast page, in priority order
+const DAILY_CARD_SELECTORS = [
+  '.daily-wrapper',
+  '[data-qa="dailyCard"]'
+];
+
+// Maximum number of days taken from the daily forecast page
+const MAX_DAYS = 10;
+
+// Current conditions card selectors on the current-weather page, in priority order
+const CURRENT_CARD_SELECTORS = [
+  '.current-weather-card',
+  '[data-qa="currentWeather"]'
+];
+
+// Alert card selectors on the weather-warnings page, in priority order. A page without
+// active alerts has none of them, which is not an error.
+const ALERT_CARD_SELECTORS = [
+  '.alert-item',
+  '[data-qa="alert"]'
+];
+
+// Extract the city/location name from the page
+function extractLocationName() {
+  // Try multiple selectors to find the location name
+  const locationSelectors = [
+    '.subnav-title',
+    '.header-city-link',
+    '.current-city',
+    '[data-qa="headerLocation"]',
+    '.location-name',
+    '.header-loc',
+    'h1.location',
+    '.subnav .title',
+    '.header .location'
+  ];
+
+  let rawLocation = null;
+
+  for (const selector of locationSelectors) {
+    const elem = document.querySelector(selector);
+    if (elem && elem.textContent.trim()) {
+      rawLocation = elem.textContent.trim();
+      break;
+    }
+  }
+
+  // Try to find location in the page title or meta tags
+  if (!rawLocation) {
+    const pageTitle = document.title;
+    if (pageTitle) {
+      // AccuWeather titles are typically like "City Name Weather - AccuWeather"
+      const titleMatch = pageTitle.match(/^(.+?)\s*(?:Weather|Hourly|Daily|Forecast)/i);
+      if (titleMatch) {
+        rawLocation = titleMatch[1].trim();
+      }
+    }
+  }
+
+  // Fallback: look for any header element with location-like content
+  if (!rawLocation) {
+    const headers = document.querySelectorAll('h1, h2, .header-title');
+    for (const header of headers) {
+      const text = header.textContent.trim();
+      // Check if it looks like a location (contains city-like patterns)
+      if (text && text.length < 100 && !text.toLowerCase().includes('hourly') && !text.toLowerCase().includes('forecast')) {
+        rawLocation = text;
+        break;
+      }
+    }
+  }
+
+  // Remove temperature from the location name (e.g., "Culver City 72°" -> "Culver City")
+  if (rawLocation) {
+    // Remove temperature patterns like "72°", "72°F", "72 °F", "-5°C", etc.
+    rawLocation = rawLocation.replace(/\s*-?\d+\s*°[FCfc]?\s*$/g, '').trim();
+  }
+
+  return rawLocation;
+}
+
+// Extract the raw hourly card values from the page.
+// options: { cardSelectors, maxCards } (see HOURLY_CARD_SELECTORS / MAX_CARDS_PER_PAGE)
+// Returns { matchedSelector, cards } where each card is
+// { timeText, hour24, temperature, realFeel, precipitation, precipitationAmount,
+//   precipitationUnit, iconPhrase, details }
+// hour24 and realFeel are null when missing, and details maps each label of the expanded
+// accordion panel ("Wind", "Humidity", ...) to its raw value text (see parseCardDetails).
+function extractHourlyCards(options) {
+  let cards = [];
+  let matchedSelector = null;
+
+  for (const selector of options.cardSelectors) {
+    cards = Array.from(document.querySelectorAll(selector));
+    if (cards.length > 0) {
+      matchedSelector = selector;
+      break;
+    }
+  }
+
+  // Limit to the configured number of hours
+  cards = cards.slice(0, options.maxCards);
+
+  const extracted = cards.map(card => {
+    // Extract time from h2.date or other time elements
+    let timeText = '';
+    const timeSelectors = [
+      'h2.date',
+      'h2.date > div',
+      '.date',
+      '.hourly-card-header .time',
+      '.time',
+      '[data-qa="time"]',
+      '.hourly-time',
+      'h3'
+    ];
+    for (const selector of timeSelectors) {
+      const elem = card.querySelector(selector);
+      if (elem) {
+        timeText = elem.textContent.trim();
+        break;
+      }
+    }
+
+    // Extract actual temperature - specifically from .temp element that's NOT inside .real-feel
+    let temperature = null;
+
+    // First, try to get the direct .temp element that's not inside .real-feel
+    const tempElem = card.querySelector('.hourly-card-subcontaint > .temp, .hourly-card-top .temp:not(.real-feel .temp)');
+    if (tempElem) {
+      const tempText = tempElem.textContent.trim();
+      const tempMatch = tempText.match(/(\d+)\s*°/);
+      if (tempMatch) {
+        temperature = parseInt(tempMatch[1]);
+      }
+    }
+
+    // If not found, try other selectors but exclude .real-feel elements
+    if (temperature === null) {
+      const tempSelectors = [
+        '.temp',
+        '.temperature',
+        '[data-qa="temperature"]',
+        '.hourly-temp',
+        '.temp-value'
+      ];
+      for (const selector of tempSelectors) {
+        // Check every match: RealFeel often comes before the actual temperature
+        for (const elem of card.querySelectorAll(selector)) {
+          // Make sure this element is not inside a .real-feel container
+          const isInsideRealFeel = elem.closest('.real-feel') !== null;
+          if (isInsideRealFeel) continue;
+
+          const tempText = elem.textContent.trim();
+          const tempMatch = tempText.match(/(\d+)\s*°/);
+          if (tempMatch) {
+            const temp = parseInt(tempMatch[1]);
+            if (temp >= 0 && temp <= 150) {
+              temperature = temp;
+              break;
+            }
+          }
+        }
+        if (temperature !== null) break;
+      }
+    }
+
+    // Extract RealFeel, which AccuWeather shows next to the actual temperature
+    let realFeel = null;
+    const realFeelElem = card.querySelector('.real-feel .temp, .real-feel');
+    if (realFeelElem) {
+      const realFeelMatch = realFeelElem.textContent.trim().match(/(-?\d+)\s*°/);
+      if (realFeelMatch) {
+        realFeel = parseInt(realFeelMatch[1]);
+      }
+    }
+
+    // Extract precipitation probability
+    let precipitation = 0;
+    const precipSelectors = [
+      '.precip',
+      '.precipitation',
+      '[data-qa="precipitation"]',
+      '.precip-prob',
+      '.precipitation-probability'
+    ];
+    for (const selector of precipSelectors) {
+      const elem = card.querySelector(selector);
+      if (elem) {
+        const precipText = elem.textContent.trim();
+        const precipMatch = precipText.match(/(\d+)%/);
+        if (precipMatch) {
+          precipitation = parseInt(precipMatch[1]);
+          break;
+        }
+      }
+    }
+
+    // Extract precipitation amount
+    let precipitationAmount = 0;
+    let precipitationUnit = 'mm';
+    const precipAmountSelectors = [
+      '.precip-amount',
+      '.precipitation-amount',
+      '[data-qa="precipitationAmount"]'
+    ];
+    for (const selector of precipAmountSelectors) {
+      const elem = card.querySelector(selector);
+      if (elem) {
+        const precipAmountText = elem.textContent.trim();
+        const precipAmountMatch = precipAmountText.match(/([\d.]+)\s*(in|mm|inch|inches)/i);
+        if (precipAmountMatch) {
+          precipitationAmount = parseFloat(precipAmountMatch[1]);
+          const unit = precipAmountMatch[2].toLowerCase();
+          // Convert inches to mm (1 inch = 25.4 mm)
+          if (unit !== 'mm') {
+            precipitationAmount = precipitationAmount * 25.4;
+          }
+          precipitationUnit = 'mm';
+          break;
+        }
+      }
+    }
+
+    // Extract icon phrase
+    let iconPhrase = '';
+    const phraseSelectors = [
+      '.phrase',
+      '.icon-phrase',
+      '[data-qa="phrase"]',
+      '.condition',
+      '.weather-phrase'
+    ];
+    for (const selector of phraseSelectors) {
+      const elem = card.querySelector(selector);
+      if (elem) {
+        iconPhrase = elem.textContent.trim();
+        break;
+      }
+    }
+
+    // Collect the expanded panel rows, e.g. <p>Wind<span class="value">SSW 7 mi/h</span></p>
+    const details = {};
+    const detailRows = card.querySelectorAll('.accordion-item-content p, .hourly-content-container p, .panel p');
+    for (const row of detailRows) {
+      const valueElem = row.querySelector('.value, span');
+      if (!valueElem) continue;
+      const value = valueElem.textContent.trim();
+      const label = row.textContent.replace(valueElem.textContent, '').trim();
+      if (label && value && !(label in details)) {
+        details[label] = value;
+      }
+    }
+
+    // Parse time to determine hour (AccuWeather uses format like "3 PM" or "3:00 PM")
+    let hour24 = null;
+    if (timeText) {
+      const hourMatch = timeText.match(/(\d+)(?::\d+)?\s*(AM|PM)?/i);
+      if (hourMatch) {
+        const hour = parseInt(hourMatch[1]);
+        const period = hourMatch[2] ? hourMatch[2].toUpperCase() : null;
+        if (period === 'PM' && hour !== 12) {
+          hour24 = hour + 12;
+        } else if (period === 'AM' && hour === 12) {
+          hour24 = 0;
+        } else if (period) {
+          hour24 = hour;
+        }
+      }
+    }
+
+    return {
+      timeText,
+      hour24,
+      temperature,
+      realFeel,
+      precipitation,
+      precipitationAmount,
+      precipitationUnit,
+      iconPhrase,
+      details
+    };
+  });
+
+  return {
+    matchedSelector,
+    cards: extracted
+  };
+}
+
+// Extract the raw daily card values from the daily forecast page.
+// options: { cardSelectors, maxDays } (see DAILY_CARD_SELECTORS / MAX_DAYS)
+// Returns { matchedSelector, cards } where each card is
+// { dayText, dateText, high, low, dayPhrase, nightPhrase, precipitation, sunriseText, sunsetText }
+// with null for anything the card doesn't show.
+function extractDailyCards(options) {
+  let cards = [];
+  let matchedSelector = null;
+
+  for (const selector of options.cardSelectors) {
+    cards = Array.from(document.querySelectorAll(selector));
+    if (cards.length > 0) {
+      matchedSelector = selector;
+      break;
+    }
+  }
+
+  cards = cards.slice(0, options.maxDays);
+
+  const textOf = (card, selectors) => {
+    for (const selector of selectors) {
+      const elem = card.querySelector(selector);
+      if (elem && elem.textContent.trim()) {
+        return elem.textContent.trim();
+      }
+    }
+    return null;
+  };
+
+  const temperatureOf = (text) => {
+    const match = text && text.match(/(-?\d+)\s*°/);
+    return match ? parseInt(match[1]) : null;
+  };
+
+  const extracted = cards.map(card => {
+    // Night phrase, e.g. <span class="night"><span class="label">Night:</span> Clear</span>
+    const nightText = textOf(card, ['.night .phrase', '.night', '[data-qa="nightPhrase"]']);
+    const nightPhrase = nightText ? nightText.replace(/^Night:?\s*/i, '').trim() || null : null;
+
+    // The day phrase element can wrap the night phrase; keep only its own text
+    let dayPhrase = textOf(card, ['.phrase p', '.phrase', '[data-qa="phrase"]']);
+    if (dayPhrase && nightText && dayPhrase.includes(nightText)) {
+      dayPhrase = dayPhrase.replace(nightText, '').trim() || null;
+    }
+
+    const precipText = textOf(card, ['.precip', '[data-qa="precipitation"]']);
+    const precipMatch = precipText && precipText.match(/(\d+)%/);
+
+    // Sunrise/sunset only appear on some layouts ("Sunrise 7:03 AM" / "Rise 7:03 AM")
+    const cardText = card.textContent.replace(/\s+/g, ' ');
+    const sunriseMatch = cardText.match(/\b(?:Sunrise|Rise)\s*(\d{1,2}:\d{2}\s*[AP]M)/i);
+    const sunsetMatch = cardText.match(/\b(?:Sunset|Set)\s*(\d{1,2}:\d{2}\s*[AP]M)/i);
+
+    return {
+      dayText: textOf(card, ['.dow', '[data-qa="dayOfWeek"]']),
+      dateText: textOf(card, ['.sub', '[data-qa="date"]']),
+      high: temperatureOf(textOf(card, ['.temp .high', '.high', '[data-qa="high"]'])),
+      low: temperatureOf(textOf(card, ['.temp .low', '.low', '[data-qa="low"]'])),
+      dayPhrase,
+      nightPhrase,
+      precipitation: precipMatch ? parseInt(precipMatch[1]) : null,
+      sunriseText: sunriseMatch ? sunriseMatch[1] : null,
+      sunsetText: sunsetMatch ? sunsetMatch[1] : null
+    };
+  });
+
+  return {
+    matchedSelector,
+    cards: extracted
+  };
+}
+
+// Extract the raw current conditions from the current-weather page.
+// options: { cardSelectors } (see CURRENT_CARD_SELECTORS)
+// Returns { matchedSelector, card } where card is null when no selector matched, or
+// { timeText, temperature, realFeel, phrase, details } with details mapping each row
+// label of the details list ("Wind", "Humidity", ...) to its raw value text.
+function extractCurrentConditions(options) {
+  let card = null;
+  let matchedSelector = null;
+
+  for (const selector of options.cardSelectors) {
+    card = document.querySelector(selector);
+    if (card) {
+      matchedSelector = selector;
+      break;
+    }
+  }
+  if (!card) {
+    return { matchedSelector: null, card: null };
+  }
+
+  const textOf = (selectors) => {
+    for (const selector of selectors) {
+      const elem = card.querySelector(selector);
+      if (elem && elem.textContent.trim()) {
+        return elem.textContent.trim();
+      }
+    }
+    return null;
+  };
+
+  const temperatureOf = (text) => {
+    const match = text && text.match(/(-?\d+)\s*°/);
+    return match ? parseInt(match[1]) : null;
+  };
+
+  // Detail rows are label/value pairs: <div class="detail-item"><div>Wind</div><div>SSW 7 mi/h</div></div>
+  const details = {};
+  for (const row of card.querySelectorAll('.detail-item, [data-qa="detail"]')) {
+    const cells = Array.from(row.children).map(cell => cell.textContent.trim());
+    if (cells.length >= 2 && cells[0] && cells[1] && !(cells[0] in details)) {
+      details[cells[0]] = cells[1];
+    }
+  }
+
+  return {
+    matchedSelector,
+    card: {
+      timeText: textOf(['.card-header .sub', '.sub-header', '[data-qa="observationTime"]']),
+      temperature: temperatureOf(textOf(['.display-temp', '.temp', '[data-qa="temperature"]'])),
+      realFeel: temperatureOf(textOf(['.current-weather-extra', '.real-feel', '[data-qa="realFeel"]'])),
+      phrase: textOf(['.phrase', '[data-qa="phrase"]']),
+      details
+    }
+  };
+}
+
+// Extract the raw alerts from the weather-warnings page.
+// options: { cardSelectors } (see ALERT_CARD_SELECTORS)
+// Returns { matchedSelector, cards } with one { title, severityText, effectiveText,
+// expiresText, source } per alert; times are the <time datetime> value when the page
+// has one, otherwise the visible text.
+function extractAlerts(options) {
+  let cards = [];
+  let matchedSelector = null;
+
+  for (const selector of options.cardSelectors) {
+    cards = Array.from(document.querySelectorAll(selector));
+    if (cards.length > 0) {
+      matchedSelector = selector;
+      break;
+    }
+  }
+
+  const elementOf = (card, selectors) => {
+    for (const selector of selectors) {
+      const elem = card.querySelector(selector);
+      if (elem && (elem.textContent.trim() || elem.getAttribute('datetime'))) {
+        return elem;
+      }
+    }
+    return null;
+  };
+
+  const textOf = (card, selectors) => {
+    const elem = elementOf(card, selectors);
+    return elem ? elem.textContent.trim().replace(/\s+/g, ' ') : null;
+  };
+
+  // "Effective: Jan 14, 10:00 AM" -> "Jan 14, 10:00 AM"
+  const timeOf = (card, selectors) => {
+    const elem = elementOf(card, selectors);
+    if (!elem) return null;
+    const datetime = elem.querySelector('time[datetime]') || (elem.matches('time[datetime]') ? elem : null);
+    if (datetime) return datetime.getAttribute('datetime');
+    return elem.textContent.trim().replace(/\s+/g, ' ').replace(/^(?:Effective|From|Starts?|Expires?|Until|Ends?):?\s*/i, '') || null;
+  };
+
+  const extracted = cards.map(card => {
+    // The severity is a class or data attribute on some layouts ("alert-item severe")
+    const severityElem = card.matches('[data-severity]') ? card : card.querySelector('[data-severity]');
+    return {
+      title: textOf(card, ['.alert-title', '.alert-name', '[data-qa="alertTitle"]']),
+      severityText: severityElem
+        ? severityElem.getAttribute('data-severity')
+        : textOf(card, ['.alert-severity', '[data-qa="alertSeverity"]']),
+      effectiveText: timeOf(card, ['.alert-effective', '.effective', '[data-qa="alertEffective"]']),
+      expiresText: timeOf(card, ['.alert-expires', '.expires', '[data-qa="alertExpires"]']),
+      source: textOf(card, ['.alert-source', '.source', '[data-qa="alertSource"]'])
+    };
+  });
+
+  return {
+    matchedSelector,
+    cards: extracted
+  };
+}
+
+// Resolves once the page shows any sign of daily forecast content
+function hasDailyContent() {
+  return document.querySelector('.daily-wrapper') ||
+         document.querySelector('[data-qa="dailyCard"]') ||
+         document.querySelector('[class*="daily"]');
+}
+
+// Resolves once the weather-warnings page has rendered its alert list (or its empty state)
+function hasAlertsContent() {
+  return document.querySelector('.alert-item') ||
+         document.querySelector('[data-qa="alert"]') ||
+         document.querySelector('[class*="alerts"]');
+}
+
+// Resolves once the page shows the current conditions card
+function hasCurrentContent() {
+  return document.querySelector('.current-weather-card') ||
+         document.querySelector('[data-qa="currentWeather"]') ||
+         document.querySelector('[class*="current-weather"]');
+}
+
+// Resolves once the page shows any sign of hourly forecast content
+function hasHourlyContent() {
+  return document.querySelector('.hourly-card') ||
+         document.querySelector('[data-qa="hourlyCard"]') ||
+         document.querySelector('.hourly-list-item') ||
+         document.querySelector('.hourly-wrapper .card') ||
+         document.querySelector('.hourly-forecast') ||
+         document.querySelector('[class*="hourly"]') ||
+         document.querySelector('[class*="Hourly"]');
+}
+
+// Detail panel labels, normalized by lowercasing and dropping everything but letters
+const DETAIL_LABELS = {
+  wind: 'wind',
+  windgusts: 'windGust',
+  humidity: 'humidity',
+  dewpoint: 'dewPoint',
+  uvindex: 'uvIndex',
+  maxuvindex: 'uvIndex',
+  cloudcover: 'cloudCover',
+  visibility: 'visibility'
+};
+
+// Speed units seen in the panel, as km/h per unit
+const SPEED_UNITS = {
+  'mi/h': 1.609344,
+  mph: 1.609344,
+  'km/h': 1,
+  kmh: 1,
+  'm/s': 3.6,
+  kt: 1.852,
+  knots: 1.852
+};
+
+// Distance units seen in the panel, as km per unit
+const DISTANCE_UNITS = {
+  mi: 1.609344,
+  km: 1,
+  m: 0.001
+};
+
+function roundTo(value, decimals) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+function parsePercent(text) {
+  const match = text && text.match(/(\d+)\s*%/);
+  return match ? parseInt(match[1], 10) : null;
+}
+
+// "9 mi/h" -> km/h (missing unit assumed mi/h, like the page's °F temperatures)
+function parseSpeed(text) {
+  const match = text && text.match(/(\d+(?:\.\d+)?)\s*(mi\/h|mph|km\/h|kmh|m\/s|kt|knots)?/i);
+  if (!match) return null;
+  const factor = SPEED_UNITS[(match[2] || 'mi/h').toLowerCase()];
+  return Math.round(parseFloat(match[1]) * factor);
+}
+
+// "10 mi" -> km
+function parseDistance(text) {
+  const match = text && text.match(/(\d+(?:\.\d+)?)\s*(mi|km|m)\b/i);
+  if (!match) return null;
+  return roundTo(parseFloat(match[1]) * DISTANCE_UNITS[match[2].toLowerCase()], 1);
+}
+
+// "55° F" -> °F
+function parseTemperature(text) {
+  const match = text && text.match(/(-?\d+)\s*°\s*([FC])?/i);
+  if (!match) return null;
+  const value = parseInt(match[1], 10);
+  return match[2] && match[2].toUpperCase() === 'C' ? Math.round(value * 9 / 5 + 32) : value;
+}
+
+// Turn the raw detail panel rows of a card into normalized fields (runs in Node).
+// Wind is "SSW 7 mi/h": compass direction, then speed.
+function parseCardDetails(details) {
+  const values = {};
+  for (const [label, value] of Object.entries(details || {})) {
+    const key = DETAIL_LABELS[label.toLowerCase().replace(/[^a-z]/g, '')];
+    if (key && !(key in values)) {
+      values[key] = value;
+    }
+  }
+
+  const windDirectionMatch = values.wind && values.wind.match(/^([NESW]{1,3})\b/i);
+  const uvMatch = values.uvIndex && values.uvIndex.match(/\d+/);
+  return {
+    windSpeed: parseSpeed(values.wind),
+    windDirection: windDirectionMatch ? windDirectionMatch[1].toUpperCase() : null,
+    windGust: parseSpeed(values.windGust),
+    windSpeedUnit: 'km/h',
+    humidity: parsePercent(values.humidity),
+    dewPoint: parseTemperature(values.dewPoint),
+    uvIndex: uvMatch ? parseInt(uvMatch[0], 10) : null,
+    cloudCover: parsePercent(values.cloudCover),
+    visibility: parseDistance(values.visibility),
+    visibilityUnit: 'km'
+  };
+}
+
+// Turn raw cards into normalized forecast records (runs in Node). Times on the page are
+// wall-clock hours in the location's timezone; the cards list consecutive hours, so the
+// date moves on whenever the hour wraps past midnight. Cards without a parsed time are
+// assumed to follow on from the current hour.
+function buildForecastRecords(cards, isTomorrow, timeZone, now = new Date()) {
+  const today = dateKey(now, timeZone);
+  const currentHour = getZonedParts(now, timeZone).hour;
+  let day = isTomorrow ? addDays(today, 1) : today;
+  let previous = null;
+
+  return cards.map((card, index) => {
+    const hour24 = card.hour24 !== null ? card.hour24 : (currentHour + index) % 24;
+    // Rough guess for locations without coordinates; otherwise the server replaces it
+    // with the sun's actual position (lib/sun.js)
+    const isDaylight = hour24 >= 6 && hour24 < 20;
+
+    if (previous === null) {
+      // Today's page starts at the current hour; an earlier hour is after midnight
+      if (!isTomorrow && hour24 < currentHour) {
+        day = addDays(day, 1);
+      }
+    } else if (hour24 < previous.hour24) {
+      day = addDays(day, 1);
+    }
+
+    let forecastDate = zonedTimeToUtc(day, hour24, 0, timeZone);
+    // The hour repeated by a DST fall-back shows up twice; the second card is an hour later
+    if (previous !== null && forecastDate <= previous.date) {
+      forecastDate = new Date(previous.date.getTime() + 60 * 60 * 1000);
+    }
+    previous = { hour24, date: forecastDate };
+
+    return {
+      datetime: forecastDate.toISOString(),
+      temperature: card.temperature,
+      temperatureUnit: 'F',
+      realFeel: card.realFeel,
+      precipitation: card.precipitation,
+      precipitationAmount: card.precipitationAmount,
+      precipitationUnit: card.precipitationUnit,
+      icon: null,
+      iconPhrase: card.iconPhrase || 'Clear',
+      isDaylight: isDaylight,
+      ...parseCardDetails(card.details)
+    };
+  }).filter(hour => hour.temperature !== null);
+}
+
+// "7:03 PM" on a "YYYY-MM-DD" day in the location's timezone -> Date
+function parseClockTime(text, day, timeZone) {
+  const match = text && text.match(/(\d{1,2}):(\d{2})\s*([AP]M)/i);
+  if (!match) return null;
+  let hours = parseInt(match[1], 10) % 12;
+  if (match[3].toUpperCase() === 'PM') {
+    hours += 12;
+  }
+  return zonedTimeToUtc(day, hours, parseInt(match[2], 10), timeZone);
+}
+
+// "YYYY-MM-DD" for a month and day shown without a year: the year that puts the date
+// nearest to today (pages span new year in both directions)
+function nearestDateKey(month, dayOfMonth, today) {
+  const todayTime = Date.parse(`${today}T00:00:00Z`);
+  const year = Number(today.slice(0, 4));
+  const candidates = [year - 1, year, year + 1].map(candidate => Date.UTC(candidate, month - 1, dayOfMonth));
+  const nearest = candidates.reduce((best, candidate) =>
+    Math.abs(candidate - todayTime) < Math.abs(best - todayTime) ? candidate : best);
+  return new Date(nearest).toISOString().slice(0, 10);
+}
+
+// Turn raw daily cards into normalized daily records (runs in Node).
+// Cards show "M/D" without a year. Cards without a date follow on from today in the
+// location's timezone.
+function buildDailyRecords(cards, timeZone, now = new Date()) {
+  const today = dateKey(now, timeZone);
+  return cards.map((card, index) => {
+    const dateMatch = card.dateText && card.dateText.match(/(\d{1,2})\/(\d{1,2})/);
+    const day = dateMatch
+      ? nearestDateKey(parseInt(dateMatch[1], 10), parseInt(dateMatch[2], 10), today)
+      : addDays(today, index);
+
+    const sunrise = parseClockTime(card.sunriseText, day, timeZone);
+    const sunset = parseClockTime(card.sunsetText, day, timeZone);
+    return {
+      date: day,
+      high: card.high,
+      low: card.low,
+      temperatureUnit: 'F',
+      dayPhrase: card.dayPhrase,
+      nightPhrase: card.nightPhrase,
+      precipitation: card.precipitation,
+      sunrise: sunrise ? sunrise.toISOString() : null,
+      sunset: sunset ? sunset.toISOString() : null
+    };
+  }).filter(day => day.high !== null || day.low !== null);
+}
+
+// Turn a raw current conditions card into a normalized record (runs in Node).
+// The card shows the observation time without a date; a time well after now is from
+// yesterday evening.
+function buildCurrentConditions(card, timeZone, now = new Date()) {
+  const today = dateKey(now, timeZone);
+  let observedAt = parseClockTime(card.timeText, today, timeZone);
+  if (observedAt && observedAt - now > 60 * 60 * 1000) {
+    observedAt = parseClockTime(card.timeText, addDays(today, -1), timeZone);
+  }
+  const details = parseCardDetails(card.details);
+
+  return {
+    observedAt: (observedAt || now).toISOString(),
+    temperature: card.temperature,
+    temperatureUnit: 'F',
+    realFeel: card.realFeel,
+    phrase: card.phrase || null,
+    windSpeed: details.windSpeed,
+    windDirection: details.windDirection,
+    windGust: details.windGust,
+    windSpeedUnit: details.windSpeedUnit,
+    humidity: details.humidity
+  };
+}
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// Alert start/end from the page: an ISO datetime, "Jan 14, 10:00 AM" (the year is the
+// one that puts the date nearest to now) or a bare "10:00 AM" on today's date, in the
+// location's timezone
+function parseAlertTime(text, timeZone, now) {
+  if (!text) return null;
+  if (/^\d{4}-\d{2}-\d{2}T/.test(text)) {
+    const date = new Date(text);
+    return Number.isNaN(date.getTime()) ? null : date;
+  }
+
+  const today = dateKey(now, timeZone);
+  const dateMatch = text.match(/\b([A-Za-z]{3})[a-z]*\.?\s+(\d{1,2})\b/);
+  const month = dateMatch ? MONTH_NAMES.indexOf(dateMatch[1].toLowerCase()) : -1;
+  const day = month !== -1 ? nearestDateKey(month + 1, parseInt(dateMatch[2], 10), today) : today;
+  return parseClockTime(text, day, timeZone);
+}
+
+// Normalized severity (see lib/alerts.js): the page's own level when it shows one,
+// otherwise inferred from the NWS naming convention of the title
+function parseAlertSeverity(severityText, title) {
+  const text = `${severityText || ''} ${title || ''}`.toLowerCase();
+  if (/\b(?:extreme|emergency)\b/.test(text)) return 'extreme';
+  if (/\b(?:severe|warning)\b/.test(text)) return 'severe';
+  if (/\b(?:moderate|watch)\b/.test(text)) return 'moderate';
+  if (/\b(?:minor|advisory|statement)\b/.test(text)) return 'minor';
+  return 'unknown';
+}
+
+// Turn raw alert cards into normalized alert records (runs in Node). Cards without a
+// title are dropped.
+function buildAlertRecords(cards, timeZone, now = new Date()) {
+  return cards.filter(card => card.title).map(card => {
+    const effectiveAt = parseAlertTime(card.effectiveText, timeZone, now);
+    const expiresAt = parseAlertTime(card.expiresText, timeZone, now);
+    return {
+      title: card.title,
+      severity: parseAlertSeverity(card.severityText, card.title),
+      effectiveAt: effectiveAt ? effectiveAt.toISOString() : null,
+      expiresAt: expiresAt ? expiresAt.toISOString() : null,
+      source: card.source ? card.source.replace(/^Source:?\s*/i, '') || null : null
+    };
+  });
+}
+
+module.exports = {
+  HOURLY_CARD_SELECTORS,
+  MAX_CARDS_PER_PAGE,
+  DAILY_CARD_SELECTORS,
+  MAX_DAYS,
+  CURRENT_CARD_SELECTORS,
+  ALERT_CARD_SELECTORS,
+  extractLocationName,
+  extractHourlyCards,
+  extractDailyCards,
+  extractCurrentConditions,
+  extractAlerts,
+  hasHourlyContent,
+  hasDailyContent,
+  hasCurrentContent,
+  hasAlertsContent,
+  parseCardDetails,
+  buildForecastRecords,
+  buildDailyRecords,
+  buildCurrentConditions,
+  buildAlertRecords
+};
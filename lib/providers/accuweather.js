@@ -0,0 +1,349 @@
+const { initBrowser } = require('../browser');
+const DEBUG = require('../debug');
+const { sanitizeErrorMessage } = require('../run-status');
+const { dateKey, addDays, zonedTimeToUtc } = require('../timezone');
+const {
+  HOURLY_CARD_SELECTORS,
+  MAX_CARDS_PER_PAGE,
+  DAILY_CARD_SELECTORS,
+  MAX_DAYS,
+  CURRENT_CARD_SELECTORS,
+  ALERT_CARD_SELECTORS,
+  extractLocationName,
+  extractHourlyCards,
+  extractDailyCards,
+  extractCurrentConditions,
+  extractAlerts,
+  hasHourlyContent,
+  hasDailyContent,
+  hasCurrentContent,
+  hasAlertsContent,
+  buildForecastRecords,
+  buildDailyRecords,
+  buildCurrentConditions,
+  buildAlertRecords
+} = require('./accuweather-extract');
+
+// Default threshold for fetching tomorrow's data (hours remaining in day); the server
+// passes the tomorrowFetchThresholdHours setting
+const TOMORROW_FETCH_THRESHOLD_HOURS = 12;
+
+// Resolve another page of the same AccuWeather location: entry[field] when configured,
+// otherwise the hourly url with its page segment swapped, e.g.
+// .../hourly-weather-forecast/<key> -> .../daily-weather-forecast/<key>.
+// Returns null when neither applies.
+function resolveSiblingPage(entry, hourlyUrl, field, pageSegment) {
+  if (entry[field]) {
+    let url;
+    try {
+      url = new URL(entry[field]);
+    } catch {
+      throw new Error(`Location "${entry.id}" has an invalid ${field}`);
+    }
+    if (url.protocol !== 'https:') {
+      throw new Error(`Location "${entry.id}" ${field} must use https`);
+    }
+    return url.toString();
+  }
+
+  if (!hourlyUrl.pathname.includes('/hourly-weather-forecast/')) return null;
+  const url = new URL(hourlyUrl.toString());
+  url.pathname = hourlyUrl.pathname.replace('/hourly-weather-forecast/', `/${pageSegment}/`);
+  url.search = '';
+  return url.toString();
+}
+
+// Validate the AccuWeather part of a location entry (the hourly forecast page url, and
+// optionally the daily, current-weather and weather-warnings pages as "dailyUrl",
+// "currentUrl" and "alertsUrl")
+function normalizeConfig(entry) {
+  let url;
+  try {
+    url = new URL(entry.url);
+  } catch {
+    throw new Error(`Location "${entry.id}" has an invalid url`);
+  }
+  if (url.protocol !== 'https:') {
+    throw new Error(`Location "${entry.id}" url must use https`);
+  }
+
+  // AccuWeather serves tomorrow's hourly forecast from the same page with ?day=2
+  const tomorrowUrl = new URL(url.toString());
+  tomorrowUrl.searchParams.set('day', '2');
+
+  return {
+    url: url.toString(),
+    tomorrowUrl: tomorrowUrl.toString(),
+    dailyUrl: resolveSiblingPage(entry, url, 'dailyUrl', 'daily-weather-forecast'),
+    currentUrl: resolveSiblingPage(entry, url, 'currentUrl', 'current-weather'),
+    alertsUrl: resolveSiblingPage(entry, url, 'alertsUrl', 'weather-warnings')
+  };
+}
+
+// Calculate hours remaining until midnight in the location's timezone
+function getHoursRemainingInDay(timeZone) {
+  const now = new Date();
+  const midnight = zonedTimeToUtc(addDays(dateKey(now, timeZone), 1), 0, 0, timeZone);
+  const msRemaining = midnight.getTime() - now.getTime();
+  return msRemaining / (1000 * 60 * 60);
+}
+
+// Load an AccuWeather page with browser-like headers and give its scripts time to run
+async function openForecastPage(page, url, pageLabel) {
+  await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
+  await page.setViewport({ width: 1920, height: 1080 });
+
+  await page.setExtraHTTPHeaders({
+    'Accept-Language': 'en-US,en;q=0.9',
+    'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
+    'Accept-Encoding': 'gzip, deflate, br',
+    'Connection': 'keep-alive',
+    'Upgrade-Insecure-Requests': '1'
+  });
+
+  DEBUG.log('SCRAPE', `[${pageLabel}] Navigating to ${url}...`);
+  await page.goto(url, {
+    waitUntil: 'networkidle2',
+    timeout: 60000
+  });
+
+  DEBUG.log('SCRAPE', `[${pageLabel}] Page loaded, waiting 3s for dynamic content...`);
+  await new Promise(resolve => setTimeout(resolve, 3000));
+}
+
+// Scrape hourly forecast data from a specific AccuWeather URL
+async function scrapeHourlyFromUrl(browserInstance, url, timeZone, isTomorrow = false) {
+  let page = null;
+  const pageLabel = isTomorrow ? 'tomorrow' : 'today';
+  const startTime = Date.now();
+  try {
+    DEBUG.log('SCRAPE', `[${pageLabel}] Opening new page...`);
+    page = await browserInstance.newPage();
+    await openForecastPage(page, url, pageLabel);
+
+    DEBUG.log('SCRAPE', `[${pageLabel}] Waiting for hourly forecast selectors (timeout 30s)...`);
+    try {
+      await page.waitForFunction(hasHourlyContent, { timeout: 30000 });
+    } catch (waitError) {
+      DEBUG.warn('SCRAPE', `[${pageLabel}] Selector wait timed out: ${waitError.message}. Attempting extraction anyway...`);
+    }
+
+    DEBUG.log('SCRAPE', `[${pageLabel}] Extracting location name and forecast data...`);
+    // Extract the city/location name from the page (only for first page)
+    let locationName = null;
+    if (!isTomorrow) {
+      locationName = await page.evaluate(extractLocationName);
+    }
+
+    // Extract hourly forecast data
+    const { matchedSelector, cards } = await page.evaluate(extractHourlyCards, {
+      cardSelectors: HOURLY_CARD_SELECTORS,
+      maxCards: MAX_CARDS_PER_PAGE
+    });
+    const forecastData = buildForecastRecords(cards, isTomorrow, timeZone);
+
+    const duration = Date.now() - startTime;
+    DEBUG.log('SCRAPE', `[${pageLabel}] Extracted ${forecastData.length} hours | Cards: ${matchedSelector || 'none'} | Location: ${locationName || 'N/A'} | ${duration}ms`);
+
+    await page.close();
+
+    return {
+      locationName,
+      matchedSelector,
+      forecastData
+    };
+  } catch (error) {
+    if (page) {
+      await page.close().catch(() => {});
+    }
+    DEBUG.error('SCRAPE', `[${pageLabel}] ${error.message}`);
+    DEBUG.error('SCRAPE', 'Stack:', error.stack);
+    throw error;
+  }
+}
+
+// Scrape today's (and, late in the day, tomorrow's) hourly forecast for a location.
+// Phases are timed on run (see lib/run-status.js): browserLaunch, today, tomorrow.
+// options: { tomorrowFetchThresholdHours }
+async function fetchForecast(location, run, options = {}) {
+  const browserInstance = await run.time('browserLaunch', () => initBrowser());
+
+  const threshold = options.tomorrowFetchThresholdHours ?? TOMORROW_FETCH_THRESHOLD_HOURS;
+  const hoursRemaining = getHoursRemainingInDay(location.timezone);
+  const shouldFetchTomorrow = hoursRemaining < threshold;
+
+  DEBUG.log('WEATHER', `Hours remaining today: ${hoursRemaining.toFixed(1)} | Fetch tomorrow: ${shouldFetchTomorrow}`);
+
+  DEBUG.log('WEATHER', 'Scraping today\'s hourly forecast...');
+  const todayResult = await run.time('today', () => scrapeHourlyFromUrl(browserInstance, location.url, location.timezone, false));
+  run.matchedSelectors.today = todayResult.matchedSelector;
+
+  let allForecastData = todayResult.forecastData;
+  const locationName = todayResult.locationName;
+  
+  if (shouldFetchTomorrow) {
+    DEBUG.log('WEATHER', 'Fetching tomorrow\'s hourly forecast...');
+    try {
+      const tomorrowResult = await run.time('tomorrow', () => scrapeHourlyFromUrl(browserInstance, location.tomorrowUrl, location.timezone, true));
+      run.matchedSelectors.tomorrow = tomorrowResult.matchedSelector;
+
+      if (tomorrowResult.forecastData.length > 0) {
+        const existingDatetimes = new Set(allForecastData.map(h => h.datetime));
+        const newTomorrowData = tomorrowResult.forecastData.filter(h => !existingDatetimes.has(h.datetime));
+        allForecastData = [...allForecastData, ...newTomorrowData];
+
+        DEBUG.log('WEATHER', `Merged ${newTomorrowData.length} hours from tomorrow's forecast`);
+      } else {
+        DEBUG.warn('WEATHER', 'Tomorrow\'s forecast returned 0 hours');
+        run.warnings.push('Tomorrow\'s forecast returned 0 hours');
+      }
+    } catch (tomorrowError) {
+      DEBUG.error('WEATHER', 'Tomorrow fetch failed:', tomorrowError.message);
+      run.warnings.push(`Tomorrow fetch failed: ${sanitizeErrorMessage(tomorrowError)}`);
+    }
+  }
+  
+  // Validate that data was successfully scraped
+  if (allForecastData.length === 0) {
+    throw new Error('No forecast data found on page. The page structure may have changed.');
+  }
+
+  return {
+    locationName,
+    forecast: allForecastData
+  };
+}
+
+// Scrape the daily outlook from the daily forecast page
+async function scrapeDailyFromUrl(browserInstance, url, timeZone) {
+  let page = null;
+  const pageLabel = 'daily';
+  const startTime = Date.now();
+  try {
+    DEBUG.log('SCRAPE', `[${pageLabel}] Opening new page...`);
+    page = await browserInstance.newPage();
+    await openForecastPage(page, url, pageLabel);
+
+    DEBUG.log('SCRAPE', `[${pageLabel}] Waiting for daily forecast selectors (timeout 30s)...`);
+    try {
+      await page.waitForFunction(hasDailyContent, { timeout: 30000 });
+    } catch (waitError) {
+      DEBUG.warn('SCRAPE', `[${pageLabel}] Selector wait timed out: ${waitError.message}. Attempting extraction anyway...`);
+    }
+
+    const { matchedSelector, cards } = await page.evaluate(extractDailyCards, {
+      cardSelectors: DAILY_CARD_SELECTORS,
+      maxDays: MAX_DAYS
+    });
+    const days = buildDailyRecords(cards, timeZone);
+
+    DEBUG.log('SCRAPE', `[${pageLabel}] Extracted ${days.length} days | Cards: ${matchedSelector || 'none'} | ${Date.now() - startTime}ms`);
+
+    await page.close();
+
+    return {
+      matchedSelector,
+      days
+    };
+  } catch (error) {
+    if (page) {
+      await page.close().catch(() => {});
+    }
+    DEBUG.error('SCRAPE', `[${pageLabel}] ${error.message}`);
+    throw error;
+  }
+}
+
+// Scrape the daily forecast for a location. Timed on run as the "daily" phase.
+async function fetchDailyForecast(location, run) {
+  if (!location.dailyUrl) {
+    throw new Error('No daily forecast page known for this location (set "dailyUrl")');
+  }
+
+  const browserInstance = await initBrowser();
+  const result = await run.time('daily', () => scrapeDailyFromUrl(browserInstance, location.dailyUrl, location.timezone));
+  run.matchedSelectors.daily = result.matchedSelector;
+
+  if (result.days.length === 0) {
+    throw new Error('No daily forecast found on page. The page structure may have changed.');
+  }
+  return { days: result.days };
+}
+
+// Scrape the current conditions for a location from its current-weather page.
+// Timed on run as the "current" phase.
+async function fetchCurrentConditions(location, run) {
+  if (!location.currentUrl) {
+    throw new Error('No current-weather page known for this location (set "currentUrl")');
+  }
+
+  const browserInstance = await initBrowser();
+  return run.time('current', async () => {
+    const pageLabel = 'current';
+    const page = await browserInstance.newPage();
+    try {
+      await openForecastPage(page, location.currentUrl, pageLabel);
+      try {
+        await page.waitForFunction(hasCurrentContent, { timeout: 30000 });
+      } catch (waitError) {
+        DEBUG.warn('SCRAPE', `[${pageLabel}] Selector wait timed out: ${waitError.message}. Attempting extraction anyway...`);
+      }
+
+      const { matchedSelector, card } = await page.evaluate(extractCurrentConditions, {
+        cardSelectors: CURRENT_CARD_SELECTORS
+      });
+      run.matchedSelectors.current = matchedSelector;
+      if (!card || card.temperature === null) {
+        throw new Error('No current conditions found on page. The page structure may have changed.');
+      }
+
+      const conditions = buildCurrentConditions(card, location.timezone);
+      DEBUG.log('SCRAPE', `[${pageLabel}] ${conditions.temperature}°F ${conditions.phrase || ''} | Card: ${matchedSelector}`);
+      return conditions;
+    } finally {
+      await page.close().catch(() => {});
+    }
+  });
+}
+
+// Scrape the active alerts for a location from its weather-warnings page. No alert
+// cards is the normal case and yields an empty list. Timed on run as the "alerts" phase.
+async function fetchAlerts(location, run) {
+  if (!location.alertsUrl) {
+    throw new Error('No weather-warnings page known for this location (set "alertsUrl")');
+  }
+
+  const browserInstance = await initBrowser();
+  return run.time('alerts', async () => {
+    const pageLabel = 'alerts';
+    const page = await browserInstance.newPage();
+    try {
+      await openForecastPage(page, location.alertsUrl, pageLabel);
+      try {
+        await page.waitForFunction(hasAlertsContent, { timeout: 30000 });
+      } catch (waitError) {
+        DEBUG.warn('SCRAPE', `[${pageLabel}] Selector wait timed out: ${waitError.message}. Attempting extraction anyway...`);
+      }
+
+      const { matchedSelector, cards } = await page.evaluate(extractAlerts, {
+        cardSelectors: ALERT_CARD_SELECTORS
+      });
+      run.matchedSelectors.alerts = matchedSelector;
+
+      const alerts = buildAlertRecords(cards, location.timezone);
+      DEBUG.log('SCRAPE', `[${pageLabel}] ${alerts.length} alert(s) | Card: ${matchedSelector || 'none'}`);
+      return { alerts };
+    } finally {
+      await page.close().catch(() => {});
+    }
+  });
+}
+
+module.exports = {
+  name: 'accuweather',
+  normalizeConfig,
+  fetchForecast,
+  fetchDailyForecast,
+  fetchCurrentConditions,
+  fetchAlerts
+};
@@ -0,0 +1,48 @@
+const accuweather = require('./accuweather');
+const openMeteo = require('./open-meteo');
+
+// Forecast providers, keyed by the "provider" value used in config/locations.json.
+// Each provider exposes:
+//   normalizeConfig(entry)    -> provider-specific location fields (throws on invalid config)
+//   fetchForecast(location, run, options) -> { locationName, forecast } where forecast is a list of
+//                                { datetime, temperature, temperatureUnit, realFeel, precipitation,
+//                                  precipitationAmount, precipitationUnit, icon, iconPhrase, isDaylight,
+//                                  windSpeed, windDirection, windGust, windSpeedUnit, humidity,
+//                                  dewPoint, uvIndex, cloudCover, visibility, visibilityUnit }
+//                                (temperatures in °F, wind in km/h, visibility in km; the
+//                                extra fields are null when the source doesn't provide them;
+//                                isDaylight is recomputed from the sun when the location has
+//                                coordinates)
+//                                and run (lib/run-status.js) collects phase timings and
+//                                diagnostics for /api/status; options carries the server
+//                                settings providers may use ({ tomorrowFetchThresholdHours })
+//   fetchDailyForecast(location, run) -> { days } where days is a list of
+//                                { date (YYYY-MM-DD), high, low, temperatureUnit, dayPhrase,
+//                                  nightPhrase, precipitation, sunrise, sunset }
+//   fetchCurrentConditions(location, run) -> { observedAt, temperature, temperatureUnit,
+//                                realFeel, phrase, windSpeed, windDirection, windGust,
+//                                windSpeedUnit, humidity }
+//   fetchAlerts(location, run)  -> { alerts } where alerts is a list of { title, severity,
+//                                effectiveAt, expiresAt, source } (see lib/alerts.js); optional,
+//                                providers whose source has no alerts leave it out
+const PROVIDERS = {
+  [accuweather.name]: accuweather,
+  [openMeteo.name]: openMeteo
+};
+
+// Provider used when a location does not name one
+const DEFAULT_PROVIDER = accuweather.name;
+
+// Look up a provider by name
+function getProvider(name) {
+  const provider = PROVIDERS[name || DEFAULT_PROVIDER];
+  if (!provider) {
+    throw new Error(`Unknown forecast provider "${name}" (available: ${Object.keys(PROVIDERS).join(', ')})`);
+  }
+  return provider;
+}
+
+module.exports = {
+  DEFAULT_PROVIDER,
+  getProvider
+};
@@ -0,0 +1,359 @@
+const DEBUG = require('../debug');
+const { zonedTimeToUtc } = require('../timezone');
+
+// Open-Meteo forecast endpoint. Can be overridden per location with "apiUrl"
+// (or globally with OPEN_METEO_URL), e.g. to point at a local stub server.
+const OPEN_METEO_URL = process.env.OPEN_METEO_URL || 'https://api.open-meteo.com/v1/forecast';
+
+// Request timeout for the forecast API (15 seconds in milliseconds)
+const REQUEST_TIMEOUT = 15000;
+
+// Hourly variables requested from Open-Meteo
+const HOURLY_FIELDS = [
+  'temperature_2m',
+  'apparent_temperature',
+  'precipitation_probability',
+  'precipitation',
+  'weather_code',
+  'is_day',
+  'wind_speed_10m',
+  'wind_direction_10m',
+  'wind_gusts_10m',
+  'relative_humidity_2m',
+  'dew_point_2m',
+  'uv_index',
+  'cloud_cover',
+  'visibility'
+];
+
+// Daily variables requested from Open-Meteo
+const DAILY_FIELDS = [
+  'temperature_2m_max',
+  'temperature_2m_min',
+  'precipitation_probability_max',
+  'weather_code',
+  'sunrise',
+  'sunset'
+];
+
+// Current-conditions variables requested from Open-Meteo
+const CURRENT_FIELDS = [
+  'temperature_2m',
+  'apparent_temperature',
+  'weather_code',
+  'wind_speed_10m',
+  'wind_direction_10m',
+  'wind_gusts_10m',
+  'relative_humidity_2m'
+];
+
+// Days of daily outlook requested
+const DAILY_FORECAST_DAYS = 10;
+
+// 16-point compass, matching the wind directions AccuWeather shows
+const COMPASS_POINTS = [
+  'N', 'NNE', 'NE', 'ENE', 'E', 'ESE', 'SE', 'SSE',
+  'S', 'SSW', 'SW', 'WSW', 'W', 'WNW', 'NW', 'NNW'
+];
+
+// WMO weather interpretation codes used by Open-Meteo
+const WEATHER_CODE_PHRASES = {
+  0: 'Clear',
+  1: 'Mostly clear',
+  2: 'Partly cloudy',
+  3: 'Cloudy',
+  45: 'Fog',
+  48: 'Freezing fog',
+  51: 'Light drizzle',
+  53: 'Drizzle',
+  55: 'Heavy drizzle',
+  56: 'Freezing drizzle',
+  57: 'Freezing drizzle',
+  61: 'Light rain',
+  63: 'Rain',
+  65: 'Heavy rain',
+  66: 'Freezing rain',
+  67: 'Freezing rain',
+  71: 'Light snow',
+  73: 'Snow',
+  75: 'Heavy snow',
+  77: 'Snow grains',
+  80: 'Light showers',
+  81: 'Showers',
+  82: 'Heavy showers',
+  85: 'Snow showers',
+  86: 'Heavy snow showers',
+  95: 'Thunderstorms',
+  96: 'Thunderstorms with hail',
+  99: 'Thunderstorms with hail'
+};
+
+// Plain http is only accepted for local stub servers
+function isLocalHost(hostname) {
+  return hostname === 'localhost' || hostname === '127.0.0.1' || hostname === '[::1]';
+}
+
+// Wind direction in degrees -> compass point ("SSW")
+function toCompassPoint(degrees) {
+  if (typeof degrees !== 'number') return null;
+  return COMPASS_POINTS[Math.round((((degrees % 360) + 360) % 360) / 22.5) % 16];
+}
+
+// Round a value that may be missing, keeping null for missing
+function roundOrNull(value, decimals = 0) {
+  if (typeof value !== 'number') return null;
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+// Validate the Open-Meteo part of a location entry (coordinates and optional apiUrl)
+function normalizeConfig(entry) {
+  const latitude = Number(entry.latitude);
+  const longitude = Number(entry.longitude);
+  if (!Number.isFinite(latitude) || latitude < -90 || latitude > 90) {
+    throw new Error(`Location "${entry.id}" needs a latitude between -90 and 90`);
+  }
+  if (!Number.isFinite(longitude) || longitude < -180 || longitude > 180) {
+    throw new Error(`Location "${entry.id}" needs a longitude between -180 and 180`);
+  }
+
+  let apiUrl;
+  try {
+    apiUrl = new URL(entry.apiUrl || OPEN_METEO_URL);
+  } catch {
+    throw new Error(`Location "${entry.id}" has an invalid apiUrl`);
+  }
+  if (apiUrl.protocol !== 'https:' && !(apiUrl.protocol === 'http:' && isLocalHost(apiUrl.hostname))) {
+    throw new Error(`Location "${entry.id}" apiUrl must use https (http is only allowed for localhost)`);
+  }
+
+  return {
+    latitude,
+    longitude,
+    apiUrl: apiUrl.toString()
+  };
+}
+
+// Build the forecast request URL for a location
+function buildRequestUrl(location) {
+  const url = new URL(location.apiUrl);
+  url.searchParams.set('latitude', String(location.latitude));
+  url.searchParams.set('longitude', String(location.longitude));
+  url.searchParams.set('hourly', HOURLY_FIELDS.join(','));
+  url.searchParams.set('temperature_unit', 'fahrenheit');
+  url.searchParams.set('precipitation_unit', 'mm');
+  url.searchParams.set('wind_speed_unit', 'kmh');
+  // GMT keeps the returned timestamps in UTC so they convert to ISO strings directly
+  url.searchParams.set('timezone', 'GMT');
+  url.searchParams.set('forecast_days', '2');
+  return url;
+}
+
+// Build the daily forecast request URL for a location. Daily values are aggregated
+// over the location's own calendar days, so this asks for its configured timezone.
+function buildDailyRequestUrl(location) {
+  const url = new URL(location.apiUrl);
+  url.searchParams.set('latitude', String(location.latitude));
+  url.searchParams.set('longitude', String(location.longitude));
+  url.searchParams.set('daily', DAILY_FIELDS.join(','));
+  url.searchParams.set('temperature_unit', 'fahrenheit');
+  url.searchParams.set('timezone', location.timezone);
+  url.searchParams.set('forecast_days', String(DAILY_FORECAST_DAYS));
+  return url;
+}
+
+// Local "YYYY-MM-DDTHH:MM" in a timezone -> ISO string. Converting each time in the zone
+// (rather than with the response's single utc_offset_seconds) keeps days on the other
+// side of a DST change right.
+function localTimeToIso(time, timeZone) {
+  const match = typeof time === 'string' && time.match(/^(\d{4}-\d{2}-\d{2})T(\d{2}):(\d{2})/);
+  if (!match) return null;
+  return zonedTimeToUtc(match[1], Number(match[2]), Number(match[3]), timeZone).toISOString();
+}
+
+// Convert an Open-Meteo daily response (requested in timeZone) into normalized daily records
+function parseDailyResponse(body, timeZone) {
+  const daily = body && body.daily;
+  if (!daily || !Array.isArray(daily.time)) {
+    throw new Error('Open-Meteo response is missing daily data');
+  }
+
+  return daily.time.map((date, index) => {
+    const phrase = WEATHER_CODE_PHRASES[daily.weather_code?.[index]] || null;
+    return {
+      date,
+      high: roundOrNull(daily.temperature_2m_max?.[index]),
+      low: roundOrNull(daily.temperature_2m_min?.[index]),
+      temperatureUnit: 'F',
+      // Open-Meteo has one weather code per day, not separate day and night phrases
+      dayPhrase: phrase,
+      nightPhrase: null,
+      precipitation: roundOrNull(daily.precipitation_probability_max?.[index]),
+      sunrise: localTimeToIso(daily.sunrise?.[index], timeZone),
+      sunset: localTimeToIso(daily.sunset?.[index], timeZone)
+    };
+  }).filter(day => day.high !== null || day.low !== null);
+}
+
+// Build the current conditions request URL for a location
+function buildCurrentRequestUrl(location) {
+  const url = new URL(location.apiUrl);
+  url.searchParams.set('latitude', String(location.latitude));
+  url.searchParams.set('longitude', String(location.longitude));
+  url.searchParams.set('current', CURRENT_FIELDS.join(','));
+  url.searchParams.set('temperature_unit', 'fahrenheit');
+  url.searchParams.set('wind_speed_unit', 'kmh');
+  url.searchParams.set('timezone', 'GMT');
+  return url;
+}
+
+// Convert an Open-Meteo current conditions response into a normalized record
+function parseCurrentResponse(body) {
+  const current = body && body.current;
+  if (!current || typeof current.temperature_2m !== 'number') {
+    throw new Error('Open-Meteo response is missing current conditions');
+  }
+
+  // The time is "YYYY-MM-DDTHH:MM" in GMT (see buildCurrentRequestUrl)
+  const observedAt = new Date(`${current.time}Z`);
+  return {
+    observedAt: Number.isNaN(observedAt.getTime()) ? new Date().toISOString() : observedAt.toISOString(),
+    temperature: Math.round(current.temperature_2m),
+    temperatureUnit: 'F',
+    realFeel: roundOrNull(current.apparent_temperature),
+    phrase: WEATHER_CODE_PHRASES[current.weather_code] || null,
+    windSpeed: roundOrNull(current.wind_speed_10m),
+    windDirection: toCompassPoint(current.wind_direction_10m),
+    windGust: roundOrNull(current.wind_gusts_10m),
+    windSpeedUnit: 'km/h',
+    humidity: roundOrNull(current.relative_humidity_2m)
+  };
+}
+
+// Convert an Open-Meteo hourly response into normalized forecast records,
+// dropping hours that have already ended
+function parseHourlyResponse(body, now = new Date()) {
+  const hourly = body && body.hourly;
+  if (!hourly || !Array.isArray(hourly.time)) {
+    throw new Error('Open-Meteo response is missing hourly data');
+  }
+
+  const currentHourStart = new Date(now);
+  currentHourStart.setUTCMinutes(0, 0, 0);
+
+  const forecast = [];
+  hourly.time.forEach((time, index) => {
+    // Times are "YYYY-MM-DDTHH:MM" in GMT (see buildRequestUrl)
+    const date = new Date(`${time}Z`);
+    if (Number.isNaN(date.getTime()) || date < currentHourStart) return;
+
+    const temperature = hourly.temperature_2m?.[index];
+    if (typeof temperature !== 'number') return;
+
+    const weatherCode = hourly.weather_code?.[index];
+    const visibility = hourly.visibility?.[index];
+    forecast.push({
+      datetime: date.toISOString(),
+      temperature: Math.round(temperature),
+      temperatureUnit: 'F',
+      realFeel: roundOrNull(hourly.apparent_temperature?.[index]),
+      precipitation: Math.round(hourly.precipitation_probability?.[index] ?? 0),
+      precipitationAmount: hourly.precipitation?.[index] ?? 0,
+      precipitationUnit: 'mm',
+      icon: null,
+      iconPhrase: WEATHER_CODE_PHRASES[weatherCode] || 'Clear',
+      isDaylight: hourly.is_day?.[index] === 1,
+      windSpeed: roundOrNull(hourly.wind_speed_10m?.[index]),
+      windDirection: toCompassPoint(hourly.wind_direction_10m?.[index]),
+      windGust: roundOrNull(hourly.wind_gusts_10m?.[index]),
+      windSpeedUnit: 'km/h',
+      humidity: roundOrNull(hourly.relative_humidity_2m?.[index]),
+      dewPoint: roundOrNull(hourly.dew_point_2m?.[index]),
+      uvIndex: roundOrNull(hourly.uv_index?.[index]),
+      cloudCover: roundOrNull(hourly.cloud_cover?.[index]),
+      // Open-Meteo reports visibility in meters
+      visibility: typeof visibility === 'number' ? roundOrNull(visibility / 1000, 1) : null,
+      visibilityUnit: 'km'
+    });
+  });
+
+  return forecast;
+}
+
+// Fetch the hourly forecast for a location from the Open-Meteo JSON API.
+// The HTTP round trip is timed on run as the "request" phase.
+async function fetchForecast(location, run) {
+  const url = buildRequestUrl(location);
+  const startTime = Date.now();
+  DEBUG.log('WEATHER', `[${location.id}] Requesting ${url.origin}${url.pathname}...`);
+
+  const body = await run.time('request', async () => {
+    const response = await fetch(url, {
+      headers: { Accept: 'application/json' },
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT)
+    });
+    if (!response.ok) {
+      throw new Error(`Open-Meteo request failed with HTTP ${response.status}`);
+    }
+    return response.json();
+  });
+
+  const forecast = parseHourlyResponse(body);
+  DEBUG.log('WEATHER', `[${location.id}] Open-Meteo returned ${forecast.length} hours | ${Date.now() - startTime}ms`);
+
+  return {
+    locationName: null,
+    forecast
+  };
+}
+
+// Fetch the daily forecast for a location. Timed on run as the "daily" phase.
+async function fetchDailyForecast(location, run) {
+  const url = buildDailyRequestUrl(location);
+  DEBUG.log('WEATHER', `[${location.id}] Requesting daily forecast from ${url.origin}${url.pathname}...`);
+
+  const body = await run.time('daily', async () => {
+    const response = await fetch(url, {
+      headers: { Accept: 'application/json' },
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT)
+    });
+    if (!response.ok) {
+      throw new Error(`Open-Meteo daily request failed with HTTP ${response.status}`);
+    }
+    return response.json();
+  });
+
+  const days = parseDailyResponse(body, location.timezone);
+  DEBUG.log('WEATHER', `[${location.id}] Open-Meteo returned ${days.length} days`);
+  return { days };
+}
+
+// Fetch the current conditions for a location. Timed on run as the "current" phase.
+async function fetchCurrentConditions(location, run) {
+  const url = buildCurrentRequestUrl(location);
+  DEBUG.log('WEATHER', `[${location.id}] Requesting current conditions from ${url.origin}${url.pathname}...`);
+
+  const body = await run.time('current', async () => {
+    const response = await fetch(url, {
+      headers: { Accept: 'application/json' },
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT)
+    });
+    if (!response.ok) {
+      throw new Error(`Open-Meteo current request failed with HTTP ${response.status}`);
+    }
+    return response.json();
+  });
+
+  return parseCurrentResponse(body);
+}
+
+module.exports = {
+  name: 'open-meteo',
+  normalizeConfig,
+  fetchForecast,
+  fetchDailyForecast,
+  fetchCurrentConditions,
+  parseHourlyResponse,
+  parseDailyResponse,
+  parseCurrentResponse
+};
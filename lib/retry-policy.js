@@ -0,0 +1,60 @@
+// Retry and circuit breaker policy for failed forecast refreshes.
+//
+// After a failed refresh the server retries with exponential backoff (plus jitter so
+// several locations, or several servers, don't retry in lockstep). Once a location has
+// failed CIRCUIT_BREAKER_THRESHOLD times in a row the circuit opens: scheduled refreshes
+// are skipped until the cooldown ends, then a single probe refresh decides whether it
+// closes again (success) or stays open for another cooldown (failure).
+
+// Retries after the first failure of a streak, before waiting for the regular schedule
+const MAX_RETRIES = 3;
+
+// Backoff for the first retry, doubled for each further retry and capped
+const RETRY_BASE_DELAY = 60 * 1000;
+const RETRY_MAX_DELAY = 15 * 60 * 1000;
+
+// Consecutive failures that open the circuit
+const CIRCUIT_BREAKER_THRESHOLD = 5;
+
+// Shortest time the circuit stays open; longer for slowly refreshing locations
+const MIN_CIRCUIT_COOLDOWN = 30 * 60 * 1000;
+
+// Delay before retry number `attempt` (1-based): half of the exponential delay is
+// fixed and the other half random ("equal jitter")
+function getRetryDelay(attempt, random = Math.random) {
+  const exponential = Math.min(RETRY_BASE_DELAY * 2 ** (attempt - 1), RETRY_MAX_DELAY);
+  return Math.round(exponential / 2 + random() * exponential / 2);
+}
+
+// How long the circuit stays open for a location refreshing every refreshInterval ms
+function getCircuitCooldown(refreshInterval) {
+  return Math.max(MIN_CIRCUIT_COOLDOWN, 2 * refreshInterval);
+}
+
+// What to do after the failures-th failed refresh in a row of a location refreshing every
+// refreshInterval ms: { circuitOpen: true, delay } opens the circuit and probes after delay
+// ms, { circuitOpen: false, delay } retries after delay ms, and null (retries used up)
+// waits for the regular schedule
+function getRecovery(failures, refreshInterval, random = Math.random) {
+  if (failures >= CIRCUIT_BREAKER_THRESHOLD) {
+    return { circuitOpen: true, delay: getCircuitCooldown(refreshInterval) };
+  }
+  if (failures <= MAX_RETRIES) {
+    return { circuitOpen: false, delay: getRetryDelay(failures, random) };
+  }
+  return null;
+}
+
+// Whether a circuit opened until openUntil (a Date, or null once closed) is open at now
+function isCircuitOpenAt(openUntil, now = Date.now()) {
+  return openUntil !== null && now < openUntil.getTime();
+}
+
+module.exports = {
+  MAX_RETRIES,
+  CIRCUIT_BREAKER_THRESHOLD,
+  getRetryDelay,
+  getCircuitCooldown,
+  getRecovery,
+  isCircuitOpenAt
+};
@@ -0,0 +1,96 @@
+// Bookkeeping for refresh runs, reported by /api/status.
+//
+// A run is created per refresh and handed to the provider's fetchForecast(), which
+// times its phases with run.time() and records what it found (hours, matched selectors,
+// non-fatal warnings). The server adds the screenshot phase and folds the finished run
+// into the location's status with recordRun().
+
+// Longest error message kept in the status
+const MAX_ERROR_LENGTH = 300;
+
+// Start a new run
+function createRun() {
+  return {
+    startedAt: new Date(),
+    phases: {},
+    hoursExtracted: null,
+    matchedSelectors: {},
+    warnings: [],
+
+    // Run fn and record its duration (ms) under the phase name, even when it throws
+    async time(phase, fn) {
+      const start = Date.now();
+      try {
+        return await fn();
+      } finally {
+        this.phases[phase] = Date.now() - start;
+      }
+    }
+  };
+}
+
+// Reduce an error to a single line that is safe to publish: no stack, no query strings
+// or credentials from URLs, no local file paths
+function sanitizeErrorMessage(error) {
+  const message = String((error && error.message) || error || 'Unknown error').split('\n')[0];
+  const sanitized = message
+    .replace(/\bhttps?:\/\/[^\s'"<>]+/gi, (match) => {
+      try {
+        const url = new URL(match);
+        return `${url.origin}${url.pathname}`;
+      } catch {
+        return '[url]';
+      }
+    })
+    .replace(/(^|[\s('"])(\/[\w.-]+){2,}/g, '$1[path]')
+    .trim();
+  return sanitized.length > MAX_ERROR_LENGTH ? `${sanitized.slice(0, MAX_ERROR_LENGTH - 1)}…` : sanitized;
+}
+
+// Initial status for a location that has not run yet
+function createStatus() {
+  return {
+    lastRunAt: null,
+    lastSuccessAt: null,
+    lastFailureAt: null,
+    consecutiveFailures: 0,
+    lastError: null,
+    lastRun: null
+  };
+}
+
+// Fold a finished run into a location's status (error is null for a successful run)
+function recordRun(status, run, error) {
+  const finishedAt = new Date();
+  status.lastRunAt = finishedAt;
+  status.lastRun = {
+    startedAt: run.startedAt,
+    finishedAt,
+    durationMs: finishedAt - run.startedAt,
+    ok: !error,
+    phases: { ...run.phases },
+    hoursExtracted: run.hoursExtracted,
+    matchedSelectors: { ...run.matchedSelectors },
+    warnings: [...run.warnings],
+    error: error ? sanitizeErrorMessage(error) : null
+  };
+
+  if (error) {
+    status.lastFailureAt = finishedAt;
+    status.consecutiveFailures += 1;
+    status.lastError = {
+      at: finishedAt,
+      message: status.lastRun.error
+    };
+  } else {
+    status.lastSuccessAt = finishedAt;
+    status.consecutiveFailures = 0;
+  }
+}
+
+module.exports = {
+  createRun,
+  createStatus,
+  recordRun,
+  sanitizeErrorMessage
+};
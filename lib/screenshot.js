@@ -0,0 +1,74 @@
+const { initBrowser } = require('./browser');
+const DEBUG = require('./debug');
+
+// Load a page of the server's own web UI into an open page and capture it as a PNG
+async function capturePage(screenshotPage, options) {
+  DEBUG.log('SCREENSHOT', `Setting viewport ${options.width}x${options.height}`);
+  await screenshotPage.setViewport({ width: options.width, height: options.height });
+  await screenshotPage.setExtraHTTPHeaders(options.headers || {});
+
+  DEBUG.log('SCREENSHOT', `Navigating to ${options.url}...`);
+  await screenshotPage.goto(options.url, {
+    waitUntil: 'networkidle2',
+    timeout: 30000
+  });
+
+  DEBUG.log('SCREENSHOT', 'Waiting for weather grid to load...');
+  await screenshotPage.waitForFunction(() => {
+    const grid = document.getElementById('weather-grid');
+    return grid && grid.children.length > 0;
+  }, { timeout: 15000 });
+
+  await new Promise(resolve => setTimeout(resolve, 500));
+  DEBUG.log('SCREENSHOT', 'Capturing PNG screenshot...');
+
+  return screenshotPage.screenshot({ fullPage: false });
+}
+
+// Capture several pages of the web UI one after another in a single browser page.
+// captures: [{ url, width, height, headers }], headers being extra request headers for
+// everything the page loads. Returns [{ png } | { error }] in the same order, so
+// one failing capture doesn't stop the rest; the page is replaced after a failure in
+// case it was left unusable. Only failing to launch the browser throws.
+async function captureScreenshots(captures) {
+  const browserInstance = await initBrowser();
+  const results = [];
+  let screenshotPage = null;
+  try {
+    for (const options of captures) {
+      try {
+        if (!screenshotPage) {
+          screenshotPage = await browserInstance.newPage();
+          DEBUG.log('SCREENSHOT', 'New page opened');
+        }
+        results.push({ png: await capturePage(screenshotPage, options) });
+      } catch (error) {
+        results.push({ error });
+        if (screenshotPage) {
+          await screenshotPage.close().catch(() => {});
+          screenshotPage = null;
+        }
+      }
+    }
+    return results;
+  } finally {
+    if (screenshotPage) {
+      await screenshotPage.close().catch(() => {});
+    }
+  }
+}
+
+// Load a page of the server's own web UI and capture it as a PNG.
+// options: { url, width, height, headers }
+async function captureScreenshot(options) {
+  const [result] = await captureScreenshots([options]);
+  if (result.error) {
+    throw result.error;
+  }
+  return result.png;
+}
+
+module.exports = {
+  captureScreenshot,
+  captureScreenshots
+};
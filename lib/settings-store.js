@@ -0,0 +1,95 @@
+const DEBUG = require('./debug');
+const { writeJsonAtomic, readJson } = require('./state-file');
+
+// Settings that can be changed at runtime, kept in a JSON file. The schema is a map of
+// setting name to:
+//   type        - 'integer' (with min and max) or 'choice' (one of choices)
+//   default     - value used until the setting is changed
+//   label       - short name shown on the admin page
+//   description - one-line help text shown on the admin page
+
+// Check one value against its schema entry; returns an error message or null
+function validateValue(definition, value) {
+  if (definition.type === 'integer') {
+    if (!Number.isInteger(value) || value < definition.min || value > definition.max) {
+      return `must be an integer between ${definition.min} and ${definition.max}`;
+    }
+    return null;
+  }
+  if (!definition.choices.includes(value)) {
+    return `must be one of ${definition.choices.join(', ')}`;
+  }
+  return null;
+}
+
+// Default value of every setting
+function getDefaultSettings(schema) {
+  return Object.fromEntries(Object.entries(schema).map(([name, definition]) => [name, definition.default]));
+}
+
+// Apply a partial update to a complete settings object. Unknown names and invalid values
+// are all reported rather than applied piecemeal.
+// Returns { settings } with the merged settings, or { errors: { <name>: message } }.
+function mergeSettings(schema, current, changes) {
+  if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+    return { errors: { settings: 'must be a JSON object' } };
+  }
+
+  // No prototype, so a "__proto__" name is recorded like any other
+  const errors = Object.create(null);
+  for (const [name, value] of Object.entries(changes)) {
+    if (!Object.hasOwn(schema, name)) {
+      errors[name] = 'is not a known setting';
+      continue;
+    }
+    const error = validateValue(schema[name], value);
+    if (error) {
+      errors[name] = error;
+    }
+  }
+  if (Object.keys(errors).length > 0) {
+    return { errors };
+  }
+  return { settings: { ...current, ...changes } };
+}
+
+// Read the settings file. Missing settings get their defaults; unknown or invalid ones
+// are logged and ignored, so a bad hand edit never keeps the server from starting.
+function loadSettings(filePath, schema) {
+  const settings = getDefaultSettings(schema);
+  let saved;
+  try {
+    saved = readJson(filePath);
+  } catch (error) {
+    DEBUG.error('SETTINGS', `Ignoring unreadable settings file ${filePath}: ${error.message}`);
+    return settings;
+  }
+  if (!saved || !saved.settings) {
+    return settings;
+  }
+
+  for (const [name, value] of Object.entries(saved.settings)) {
+    const error = Object.hasOwn(schema, name) ? validateValue(schema[name], value) : 'is not a known setting';
+    if (error) {
+      DEBUG.warn('SETTINGS', `Ignoring saved setting "${name}": ${error}`);
+      continue;
+    }
+    settings[name] = value;
+  }
+  return settings;
+}
+
+// Write the settings file atomically
+function saveSettings(filePath, settings) {
+  writeJsonAtomic(filePath, {
+    savedAt: new Date().toISOString(),
+    settings
+  });
+}
+
+module.exports = {
+  getDefaultSettings,
+  mergeSettings,
+  loadSettings,
+  saveSettings
+};
@@ -0,0 +1,32 @@
+const fs = require('fs');
+const path = require('path');
+
+// Write JSON so readers never see a half-written file: write to a temp file in the
+// same directory, flush it to disk, then rename it over the target.
+function writeJsonAtomic(filePath, value) {
+  const dir = path.dirname(filePath);
+  fs.mkdirSync(dir, { recursive: true });
+
+  const tmpPath = path.join(dir, `.${path.basename(filePath)}.${process.pid}.tmp`);
+  const fd = fs.openSync(tmpPath, 'w');
+  try {
+    fs.writeSync(fd, `${JSON.stringify(value, null, 2)}\n`);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tmpPath, filePath);
+}
+
+// Read a JSON file, returning null when it does not exist
+function readJson(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+module.exports = {
+  writeJsonAtomic,
+  readJson
+};
@@ -0,0 +1,80 @@
+// Sunrise and sunset from a location's coordinates, computed locally with the NOAA
+// sunrise equation (accurate to about a minute outside the polar circles), so day/night
+// needs no network request and follows the seasons.
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Julian date of the J2000.0 epoch (2000-01-01 12:00 UTC) and of the Unix epoch
+const J2000 = 2451545;
+const UNIX_EPOCH_JULIAN = 2440587.5;
+
+// Sun altitude at sunrise/sunset: the disc's upper edge on the horizon, with refraction
+const SUNRISE_ALTITUDE = -0.833;
+
+// Earth's axial tilt
+const OBLIQUITY = 23.4397;
+
+const RAD = Math.PI / 180;
+
+function toJulian(time) {
+  return time / DAY + UNIX_EPOCH_JULIAN;
+}
+
+function fromJulian(julian) {
+  return new Date(Math.round((julian - UNIX_EPOCH_JULIAN) * DAY));
+}
+
+// Solar noon and the hour angle of sunrise/sunset for solar day n (days since J2000) at a
+// longitude (east positive). hourAngle is null when the sun doesn't cross the horizon.
+function solveSolarDay(n, latitude, longitude) {
+  const meanSolarTime = n - longitude / 360;
+  const anomaly = (357.5291 + 0.98560028 * meanSolarTime) % 360;
+  const center = 1.9148 * Math.sin(anomaly * RAD) + 0.02 * Math.sin(2 * anomaly * RAD) + 0.0003 * Math.sin(3 * anomaly * RAD);
+  const eclipticLongitude = (anomaly + center + 180 + 102.9372) % 360;
+  const transit = J2000 + meanSolarTime + 0.0053 * Math.sin(anomaly * RAD) - 0.0069 * Math.sin(2 * eclipticLongitude * RAD);
+
+  const declination = Math.asin(Math.sin(eclipticLongitude * RAD) * Math.sin(OBLIQUITY * RAD));
+  const cosHourAngle = (Math.sin(SUNRISE_ALTITUDE * RAD) - Math.sin(latitude * RAD) * Math.sin(declination)) /
+    (Math.cos(latitude * RAD) * Math.cos(declination));
+
+  return {
+    transit,
+    // Above 1 the sun stays below the horizon all day, below -1 it never sets
+    polar: cosHourAngle > 1 ? 'night' : cosHourAngle < -1 ? 'day' : null,
+    hourAngle: Math.abs(cosHourAngle) <= 1 ? Math.acos(cosHourAngle) / RAD : null
+  };
+}
+
+// Sunrise and sunset on a "YYYY-MM-DD" day (the location's calendar day).
+// Returns { sunrise, sunset, polar }: Dates, or both null with polar 'day' or 'night'
+// when the sun doesn't rise or set that day.
+function getSunTimes(day, latitude, longitude) {
+  const n = Math.round((Date.parse(`${day}T12:00:00Z`) - fromJulian(J2000).getTime()) / DAY);
+  const { transit, polar, hourAngle } = solveSolarDay(n, latitude, longitude);
+  if (polar) {
+    return { sunrise: null, sunset: null, polar };
+  }
+  // Rounded to the minute; the equation isn't more precise than that
+  const toMinute = date => new Date(Math.round(date.getTime() / 60000) * 60000);
+  return {
+    sunrise: toMinute(fromJulian(transit - hourAngle / 360)),
+    sunset: toMinute(fromJulian(transit + hourAngle / 360)),
+    polar: null
+  };
+}
+
+// Whether the sun is up at an instant
+function isDaylightAt(date, latitude, longitude) {
+  // The solar day whose noon is nearest the instant
+  const n = Math.round(toJulian(date.getTime()) - J2000 + longitude / 360);
+  const { transit, polar, hourAngle } = solveSolarDay(n, latitude, longitude);
+  if (polar) {
+    return polar === 'day';
+  }
+  return Math.abs(toJulian(date.getTime()) - transit) * 360 < hourAngle;
+}
+
+module.exports = {
+  getSunTimes,
+  isDaylightAt
+};
@@ -0,0 +1,969 @@
+const sharp = require('sharp');
+const { buildForecastChart } = require('../public/forecast-chart');
+const { DEFAULT_TIME_ZONE, dateKey, addDays } = require('./timezone');
+
+// Chrome-free renderer for the display image: lays out the same alert banner, header,
+// "Now" block, chart, hourly cards (or list rows / table) and daily strip as
+// public/index.html + renderAlertBanner(), renderCurrentConditions(), renderForecastChart(),
+// createWeatherCard(), createForecastTable() and createDailyCard() in public/app.js, in
+// the same page layouts, as an SVG and rasterizes it with sharp. Sizes, spacing and colors mirror public/styles.css, so
+// keep the two in step when the card design changes. The settings controls under
+// the grid are left out; they carry no forecast information on a panel.
+
+const REM = 16;
+
+// Approximate line box height for a font size (CSS line-height: normal)
+const LINE_HEIGHT = 1.2;
+
+// Average glyph width as a fraction of the font size, used to estimate text widths
+const CHAR_WIDTH = 0.55;
+const BOLD_CHAR_WIDTH = 0.65;
+
+const FONT_FAMILY = "-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, sans-serif";
+
+// Layout metrics from public/styles.css
+const LAYOUT = {
+  bodyPadding: 20,
+  containerMaxWidth: 1200,
+  headerMarginBottom: 30,
+  titleMarginBottom: 10,
+  gridGap: 10,
+  cardPadding: 12,
+  timeRowGap: 8,
+  timeRowMarginBottom: 6,
+  temperatureMarginBottom: 8,
+  precipitationGap: 4,
+  precipitationPaddingX: 6,
+  precipitationPaddingY: 5,
+  currentPaddingX: 16,
+  currentPaddingY: 10,
+  currentMarginBottom: 10,
+  currentMainGap: 12,
+  currentDetailsWidth: 2 * 140 + 4,
+  alertPaddingX: 16,
+  alertPaddingY: 12,
+  alertHeadlineGap: 10,
+  alertItemSpacing: 8,
+  chartHeight: 160,
+  chartPadding: 10,
+  chartMarginBottom: 10,
+  gridMarginBottom: 20,
+  dailyGap: 6,
+  dailyMinWidth: 80,
+  dailyPaddingX: 4,
+  dailyPaddingY: 6,
+  listRowGap: 6,
+  listRowPaddingY: 8,
+  listColumnGap: 16,
+  listTemperatureWidth: 5 * REM,
+  listItemWidth: 130,
+  heroTemperatureSize: 5 * REM,
+  heroPhraseSize: 1.5 * REM,
+  heroCardMinWidth: 110,
+  tableCellPaddingX: 10,
+  tableCellPaddingY: 6,
+  tableFontSize: 0.9 * REM,
+  tableHeaderSize: 0.75 * REM
+};
+
+// Page layouts (see DISPLAY_LAYOUTS in server.js and LAYOUTS in public/app.js)
+const PAGE_LAYOUTS = ['grid', 'list', 'hero', 'table'];
+
+// Page styles for the B/W (e-ink) and color display modes
+const THEMES = {
+  eink: {
+    background: '#fff',
+    headerColor: '#000',
+    titleSize: 2.5 * REM,
+    titleUppercase: true,
+    titleLetterSpacing: 0.08,
+    subtitleSize: 1.5 * REM,
+    cardRadius: 6,
+    cardBorder: 2,
+    temperatureSize: 1.8 * REM,
+    precipitationBorder: 1,
+    day: {
+      background: '#fff',
+      border: '#000',
+      time: '#000',
+      phrase: '#000',
+      temperature: '#000',
+      itemBackground: '#fff',
+      itemBorder: '#000',
+      label: '#000',
+      value: '#000'
+    },
+    night: {
+      background: '#fff',
+      border: '#000',
+      dashed: true,
+      time: '#000',
+      phrase: '#000',
+      temperature: '#000',
+      itemBackground: '#fff',
+      itemBorder: '#000',
+      label: '#000',
+      value: '#000'
+    },
+    alert: {
+      background: '#000',
+      text: '#fff',
+      radius: 6,
+      divider: '#fff',
+      dividerWidth: 2
+    },
+    chart: {
+      background: '#fff',
+      border: '#000',
+      borderWidth: 2,
+      radius: 6
+    },
+    current: {
+      background: '#fff',
+      border: '#000',
+      borderWidth: 2,
+      radius: 6,
+      label: '#000',
+      temperature: '#000',
+      phrase: '#000'
+    },
+    daily: {
+      background: '#fff',
+      border: '#000',
+      borderWidth: 2,
+      radius: 6,
+      name: '#000',
+      phrase: '#000',
+      temperature: '#000',
+      precipitation: '#000'
+    },
+    table: {
+      background: '#fff',
+      border: '#000',
+      borderWidth: 2,
+      radius: 6,
+      header: '#000',
+      text: '#000',
+      divider: '#000',
+      nightBackground: '#fff',
+      nightText: '#000',
+      nightDashed: true
+    }
+  },
+  color: {
+    background: '#667eea',
+    headerColor: '#fff',
+    titleSize: 2.5 * REM,
+    titleUppercase: false,
+    titleLetterSpacing: 0,
+    subtitleSize: 1.5 * REM,
+    subtitleOpacity: 0.9,
+    cardRadius: 10,
+    cardBorder: 0,
+    temperatureSize: 1.75 * REM,
+    precipitationBorder: 0,
+    day: {
+      background: '#fff',
+      time: '#666',
+      phrase: '#888',
+      temperature: '#2196F3',
+      itemBackground: '#f5f5f5',
+      label: '#666',
+      value: '#1976D2'
+    },
+    night: {
+      background: '#2c3e50',
+      time: '#ecf0f1',
+      phrase: '#bdc3c7',
+      temperature: '#64b5f6',
+      itemBackground: 'rgba(255, 255, 255, 0.1)',
+      label: '#bdc3c7',
+      value: '#90caf9'
+    },
+    alert: {
+      background: '#c62828',
+      text: '#fff',
+      radius: 10,
+      divider: 'rgba(255, 255, 255, 0.5)',
+      dividerWidth: 1
+    },
+    chart: {
+      background: '#fff',
+      borderWidth: 0,
+      radius: 10
+    },
+    current: {
+      background: '#fff',
+      borderWidth: 0,
+      radius: 10,
+      label: '#666',
+      temperature: '#2196F3',
+      phrase: '#666'
+    },
+    daily: {
+      background: '#fff',
+      borderWidth: 0,
+      radius: 8,
+      name: '#666',
+      phrase: '#888',
+      temperature: '#2196F3',
+      precipitation: '#1976D2'
+    },
+    table: {
+      background: '#fff',
+      borderWidth: 0,
+      radius: 10,
+      header: '#666',
+      text: '#333',
+      divider: '#e0e0e0',
+      nightBackground: '#2c3e50',
+      nightText: '#ecf0f1',
+      nightDashed: false
+    }
+  }
+};
+
+// Defaults match what a fresh browser profile shows (see public/app.js)
+const DEFAULT_OPTIONS = {
+  mode: 'eink',
+  unit: 'C',
+  timeFormat: '24',
+  cards: 12,
+  layout: 'grid'
+};
+
+// Escape text for use in SVG content and attribute values
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// Rough rendered width of a string; good enough for wrapping and spacing
+function estimateTextWidth(text, fontSize, bold) {
+  return String(text).length * fontSize * (bold ? BOLD_CHAR_WIDTH : CHAR_WIDTH);
+}
+
+// Split text into lines no wider than maxWidth (at most maxLines, the last one ellipsized)
+function wrapText(text, maxWidth, fontSize, maxLines) {
+  const words = String(text).split(/\s+/).filter(Boolean);
+  const lines = [];
+  let current = '';
+
+  for (const word of words) {
+    const candidate = current ? `${current} ${word}` : word;
+    if (!current || estimateTextWidth(candidate, fontSize) <= maxWidth) {
+      current = candidate;
+      continue;
+    }
+    lines.push(current);
+    current = word;
+  }
+  if (current) {
+    lines.push(current);
+  }
+
+  if (lines.length > maxLines) {
+    const kept = lines.slice(0, maxLines);
+    kept[maxLines - 1] = `${kept[maxLines - 1]}…`;
+    return kept;
+  }
+  return lines;
+}
+
+// Same conversions and formats as the browser UI
+function formatTemperature(fahrenheit, unit) {
+  if (unit === 'C') {
+    return `${Math.round((fahrenheit - 32) * 5 / 9)}°C`;
+  }
+  return `${fahrenheit}°F`;
+}
+
+function formatSpeed(kmh, unit) {
+  if (unit === 'F') {
+    return `${Math.round(kmh / 1.609344)} mph`;
+  }
+  return `${Math.round(kmh)} km/h`;
+}
+
+// Today or Tomorrow for a "YYYY-MM-DD" day, relative to now in the location's timezone
+// (not the server's); null for other days
+function relativeDayLabel(day, timeZone, now) {
+  const today = dateKey(now, timeZone);
+  if (day === today) return 'Today';
+  if (day === addDays(today, 1)) return 'Tomorrow';
+  return null;
+}
+
+// Today, Tomorrow or the short weekday for a daily forecast date ("YYYY-MM-DD")
+function formatDayName(day, timeZone, now = new Date()) {
+  const date = new Date(`${day}T12:00:00Z`);
+  if (Number.isNaN(date.getTime())) return '';
+  return relativeDayLabel(day, timeZone, now) ||
+    date.toLocaleDateString('en-US', { weekday: 'short', timeZone: 'UTC' });
+}
+
+// Today, Tomorrow or "Wed, Jan 15" for a datetime
+function formatDate(datetime, timeZone, now = new Date()) {
+  const date = new Date(datetime);
+  return relativeDayLabel(dateKey(date, timeZone), timeZone, now) ||
+    date.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric', timeZone });
+}
+
+function formatTime(datetime, timeFormat, timeZone) {
+  const date = new Date(datetime);
+  if (Number.isNaN(date.getTime())) return '';
+  if (timeFormat === '12') {
+    return date.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', hour12: true, timeZone });
+  }
+  return date.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit', hour12: false, timeZone });
+}
+
+function textElement(x, y, text, attributes) {
+  const attrs = Object.entries(attributes)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([name, value]) => `${name}="${escapeXml(value)}"`)
+    .join(' ');
+  return `<text x="${x}" y="${y}" ${attrs}>${escapeXml(text)}</text>`;
+}
+
+// SVG for one label/value item (card precipitation rows, "Now" details) filling box
+function renderItem(label, value, box, colors, border) {
+  const itemSize = 0.7 * REM;
+  const itemBaseline = box.y + border + LAYOUT.precipitationPaddingY + itemSize;
+  return `<rect x="${box.x + border / 2}" y="${box.y + border / 2}" width="${box.width - border}" height="${box.height - border}" rx="4" fill="${colors.itemBackground}"` +
+    (border ? ` stroke="${colors.itemBorder}" stroke-width="${border}"` : '') +
+    '/>' +
+    textElement(box.x + border + LAYOUT.precipitationPaddingX, itemBaseline, label, {
+      'font-size': itemSize,
+      'font-weight': 500,
+      fill: colors.label
+    }) +
+    textElement(box.x + box.width - border - LAYOUT.precipitationPaddingX, itemBaseline, value, {
+      'font-size': itemSize,
+      'font-weight': 'bold',
+      'text-anchor': 'end',
+      fill: colors.value
+    });
+}
+
+// Precompute the text of one card and the height it needs
+function measureCard(hour, cardWidth, theme, options) {
+  const innerWidth = cardWidth - 2 * (LAYOUT.cardPadding + theme.cardBorder);
+  const timeSize = REM;
+  const phraseSize = 0.75 * REM;
+  const time = formatTime(hour.datetime, options.timeFormat, options.timeZone);
+  const timeWidth = estimateTextWidth(time, timeSize, true);
+  const phrase = hour.iconPhrase || '';
+
+  // The phrase wraps next to the time; when even its longest word does not fit there
+  // (narrow cards, 12-hour times) it moves onto its own lines under the time instead
+  const longestWord = Math.max(0, ...phrase.split(/\s+/).map(word => estimateTextWidth(word, phraseSize)));
+  const besideWidth = innerWidth - timeWidth - LAYOUT.timeRowGap;
+  const phraseBelow = longestWord > besideWidth;
+  const phraseLines = wrapText(phrase, phraseBelow ? innerWidth : besideWidth, phraseSize, 4);
+  const phraseHeight = phraseLines.length * phraseSize * LINE_HEIGHT;
+
+  const timeRowHeight = phraseBelow
+    ? timeSize * LINE_HEIGHT + phraseHeight
+    : Math.max(timeSize * LINE_HEIGHT, phraseHeight);
+  // Compact cards (hero strip) leave out the amount and shorten the label
+  const items = [[options.compact ? 'Precip.' : 'Precipitation', `${hour.precipitation}%`]];
+  if (!options.compact) {
+    items.push(['Amount', `${hour.precipitationAmount.toFixed(1)} ${hour.precipitationUnit}`]);
+  }
+  const itemHeight = 0.7 * REM * LINE_HEIGHT + 2 * (LAYOUT.precipitationPaddingY + theme.precipitationBorder);
+  const height = 2 * (LAYOUT.cardPadding + theme.cardBorder) +
+    timeRowHeight + LAYOUT.timeRowMarginBottom +
+    theme.temperatureSize * LINE_HEIGHT + LAYOUT.temperatureMarginBottom +
+    items.length * itemHeight + (items.length - 1) * LAYOUT.precipitationGap;
+
+  return { time, timeWidth, phraseLines, phraseBelow, timeRowHeight, items, itemHeight, height };
+}
+
+// SVG for one hourly card filling box ({ x, y, width, height })
+function renderCard(hour, measured, box, theme, options) {
+  const colors = hour.isDaylight ? theme.day : theme.night;
+  const parts = [];
+  const inset = theme.cardBorder / 2;
+
+  parts.push(`<rect x="${box.x + inset}" y="${box.y + inset}" width="${box.width - theme.cardBorder}" height="${box.height - theme.cardBorder}" rx="${theme.cardRadius}" fill="${colors.background}"` +
+    (theme.cardBorder ? ` stroke="${colors.border}" stroke-width="${theme.cardBorder}"${colors.dashed ? ` stroke-dasharray="${3 * theme.cardBorder} ${3 * theme.cardBorder}"` : ''}` : '') +
+    '/>');
+
+  const left = box.x + theme.cardBorder + LAYOUT.cardPadding;
+  const right = box.x + box.width - theme.cardBorder - LAYOUT.cardPadding;
+  let y = box.y + theme.cardBorder + LAYOUT.cardPadding;
+
+  // Time and condition phrase share a baseline
+  const timeSize = REM;
+  const phraseSize = 0.75 * REM;
+  const baseline = y + timeSize;
+  parts.push(textElement(left, baseline, measured.time, {
+    'font-size': timeSize,
+    'font-weight': 600,
+    fill: colors.time
+  }));
+  const phraseX = measured.phraseBelow ? left : left + measured.timeWidth + LAYOUT.timeRowGap;
+  const phraseBaseline = measured.phraseBelow ? baseline + phraseSize * LINE_HEIGHT : baseline;
+  measured.phraseLines.forEach((line, index) => {
+    parts.push(textElement(phraseX, phraseBaseline + index * phraseSize * LINE_HEIGHT, line, {
+      'font-size': phraseSize,
+      fill: colors.phrase
+    }));
+  });
+  y += measured.timeRowHeight + LAYOUT.timeRowMarginBottom;
+
+  parts.push(textElement(left, y + theme.temperatureSize, formatTemperature(hour.temperature, options.unit), {
+    'font-size': theme.temperatureSize,
+    'font-weight': 'bold',
+    fill: colors.temperature
+  }));
+  y += theme.temperatureSize * LINE_HEIGHT + LAYOUT.temperatureMarginBottom;
+
+  measured.items.forEach(([label, value]) => {
+    const itemBox = { x: left, y, width: right - left, height: measured.itemHeight };
+    parts.push(renderItem(label, value, itemBox, colors, theme.precipitationBorder));
+    y += measured.itemHeight + LAYOUT.precipitationGap;
+  });
+
+  return parts.join('');
+}
+
+// Alerts listed in the banner before the rest are summarized as "+N more"
+const MAX_BANNER_ALERTS = 3;
+
+// SVG for the alert banner starting at y; returns { svg, height }
+function renderAlertBanner(alerts, left, width, y, theme, options) {
+  const colors = theme.alert;
+  const { alertPaddingX, alertPaddingY, alertHeadlineGap, alertItemSpacing } = LAYOUT;
+  const severitySize = 0.8 * REM;
+  const titleSize = 1.5 * REM;
+  const metaSize = 0.95 * REM;
+  const innerLeft = left + alertPaddingX;
+  const innerWidth = width - 2 * alertPaddingX;
+  const parts = [];
+
+  let lineTop = y + alertPaddingY;
+  const addDivider = () => {
+    lineTop += alertItemSpacing;
+    parts.push(`<rect x="${innerLeft}" y="${lineTop}" width="${innerWidth}" height="${colors.dividerWidth}" fill="${colors.divider}"/>`);
+    lineTop += colors.dividerWidth + alertItemSpacing;
+  };
+
+  alerts.slice(0, MAX_BANNER_ALERTS).forEach((alert, index) => {
+    if (index > 0) addDivider();
+
+    const severity = (alert.severity === 'unknown' ? 'Alert' : alert.severity).toUpperCase();
+    const baseline = lineTop + titleSize;
+    parts.push(textElement(innerLeft, baseline, severity, {
+      'font-size': severitySize,
+      'font-weight': 'bold',
+      'letter-spacing': '0.05em',
+      fill: colors.text
+    }));
+    const titleLeft = innerLeft + estimateTextWidth(severity, severitySize, true) +
+      severity.length * 0.05 * severitySize + alertHeadlineGap;
+    const titleWidth = (innerLeft + innerWidth - titleLeft) * CHAR_WIDTH / BOLD_CHAR_WIDTH;
+    parts.push(textElement(titleLeft, baseline, wrapText(alert.title, titleWidth, titleSize, 1)[0] || '', {
+      'font-size': titleSize,
+      'font-weight': 'bold',
+      fill: colors.text
+    }));
+    lineTop += titleSize * LINE_HEIGHT;
+
+    const meta = [];
+    if (alert.expiresAt) {
+      const day = formatDate(alert.expiresAt, options.timeZone);
+      meta.push(`Until ${day === 'Today' ? '' : `${day} `}${formatTime(alert.expiresAt, options.timeFormat, options.timeZone)}`);
+    }
+    if (alert.source) {
+      meta.push(alert.source);
+    }
+    if (meta.length > 0) {
+      parts.push(textElement(innerLeft, lineTop + metaSize, wrapText(meta.join(' · '), innerWidth, metaSize, 1)[0], {
+        'font-size': metaSize,
+        'font-weight': 500,
+        fill: colors.text
+      }));
+      lineTop += metaSize * LINE_HEIGHT;
+    }
+  });
+
+  const hidden = alerts.length - MAX_BANNER_ALERTS;
+  if (hidden > 0) {
+    addDivider();
+    parts.push(textElement(innerLeft, lineTop + metaSize, `+${hidden} more alert${hidden === 1 ? '' : 's'}`, {
+      'font-size': metaSize,
+      'font-weight': 500,
+      fill: colors.text
+    }));
+    lineTop += metaSize * LINE_HEIGHT;
+  }
+
+  const height = lineTop + alertPaddingY - y;
+  const background = `<rect x="${left}" y="${y}" width="${width}" height="${height}" rx="${colors.radius}" fill="${colors.background}"/>`;
+  return { svg: background + parts.join(''), height };
+}
+
+// SVG for the "Now" block starting at y; returns { svg, height }. The hero layout
+// enlarges the temperature and phrase and moves the details into a row underneath.
+function renderCurrentConditions(current, left, width, y, theme, options) {
+  const colors = theme.current;
+  const items = theme.day;
+  const { currentPaddingX, currentPaddingY, currentMainGap, currentDetailsWidth } = LAYOUT;
+  const border = theme.precipitationBorder;
+  const itemHeight = 0.7 * REM * LINE_HEIGHT + 2 * (LAYOUT.precipitationPaddingY + border);
+  const hero = options.layout === 'hero';
+
+  const details = [];
+  if (typeof current.realFeel === 'number') {
+    details.push(['RealFeel', formatTemperature(current.realFeel, options.unit)]);
+  }
+  if (typeof current.windSpeed === 'number') {
+    const direction = current.windDirection ? `${current.windDirection} ` : '';
+    details.push(['Wind', `${direction}${formatSpeed(current.windSpeed, options.unit)}`]);
+  }
+  if (typeof current.humidity === 'number') {
+    details.push(['Humidity', `${current.humidity}%`]);
+  }
+  details.push(['Observed', formatTime(current.observedAt, options.timeFormat, options.timeZone)]);
+
+  const innerLeft = left + colors.borderWidth + currentPaddingX;
+  const innerRight = left + width - colors.borderWidth - currentPaddingX;
+  const temperatureSize = hero ? LAYOUT.heroTemperatureSize : 2.5 * REM;
+  const phraseSize = hero ? LAYOUT.heroPhraseSize : REM;
+
+  // Details: a grid of label/value rows, two columns beside the temperature or (hero)
+  // up to four across the full width below it
+  const detailColumns = hero && innerRight - innerLeft >= 4 * 140 ? 4 : 2;
+  const detailsWidth = hero ? innerRight - innerLeft : currentDetailsWidth;
+  const detailsLeft = innerRight - detailsWidth;
+  const detailRows = Math.ceil(details.length / detailColumns);
+  const detailsHeight = detailRows * itemHeight + (detailRows - 1) * LAYOUT.precipitationGap;
+  const mainHeight = hero ? temperatureSize * LINE_HEIGHT : Math.max(temperatureSize, detailsHeight);
+  const contentHeight = hero ? mainHeight + currentMainGap + detailsHeight : mainHeight;
+  const height = contentHeight + 2 * (currentPaddingY + colors.borderWidth);
+  const parts = [];
+
+  const inset = colors.borderWidth / 2;
+  parts.push(`<rect x="${left + inset}" y="${y + inset}" width="${width - colors.borderWidth}" height="${height - colors.borderWidth}" rx="${colors.radius}" fill="${colors.background}"` +
+    (colors.borderWidth ? ` stroke="${colors.border}" stroke-width="${colors.borderWidth}"` : '') +
+    '/>');
+
+  const contentTop = y + colors.borderWidth + currentPaddingY;
+
+  // Label, temperature and phrase share a baseline (align-items: baseline)
+  const baseline = contentTop + (mainHeight + temperatureSize * 0.8) / 2;
+  const labelSize = 0.8 * REM;
+  const label = 'NOW';
+  parts.push(textElement(innerLeft, baseline, label, {
+    'font-size': labelSize,
+    'font-weight': 'bold',
+    'letter-spacing': '0.05em',
+    fill: colors.label
+  }));
+  let x = innerLeft + estimateTextWidth(label, labelSize, true) + label.length * 0.05 * labelSize + currentMainGap;
+
+  const temperature = formatTemperature(current.temperature, options.unit);
+  parts.push(textElement(x, baseline, temperature, {
+    'font-size': temperatureSize,
+    'font-weight': 'bold',
+    fill: colors.temperature
+  }));
+  x += estimateTextWidth(temperature, temperatureSize, true) + currentMainGap;
+
+  const phraseRight = hero ? innerRight : detailsLeft - currentMainGap;
+  const phrase = wrapText(current.phrase || '', phraseRight - x, phraseSize, 1)[0] || '';
+  parts.push(textElement(x, baseline, phrase, {
+    'font-size': phraseSize,
+    fill: colors.phrase
+  }));
+
+  const columnWidth = (detailsWidth - (detailColumns - 1) * LAYOUT.precipitationGap) / detailColumns;
+  const rowTop = hero ? contentTop + mainHeight + currentMainGap : contentTop + (contentHeight - detailsHeight) / 2;
+  details.forEach(([itemLabel, value], index) => {
+    const itemBox = {
+      x: detailsLeft + (index % detailColumns) * (columnWidth + LAYOUT.precipitationGap),
+      y: rowTop + Math.floor(index / detailColumns) * (itemHeight + LAYOUT.precipitationGap),
+      width: columnWidth,
+      height: itemHeight
+    };
+    parts.push(renderItem(itemLabel, value, itemBox, items, border));
+  });
+
+  return { svg: parts.join(''), height };
+}
+
+// SVG for the temperature/precipitation chart box starting at y, with sunrise/sunset
+// markers from sun (may be null); returns { svg, height }
+function renderChart(hours, sun, left, width, y, theme, options) {
+  const colors = theme.chart;
+  const inset = LAYOUT.chartPadding + colors.borderWidth;
+  const height = LAYOUT.chartHeight + 2 * inset;
+  const chart = buildForecastChart(hours, {
+    width: width - 2 * inset,
+    height: LAYOUT.chartHeight,
+    unit: options.unit,
+    timeFormat: options.timeFormat,
+    timeZone: options.timeZone,
+    mode: options.mode,
+    sun
+  });
+
+  const parts = [];
+  const half = colors.borderWidth / 2;
+  parts.push(`<rect x="${left + half}" y="${y + half}" width="${width - colors.borderWidth}" height="${height - colors.borderWidth}" rx="${colors.radius}" fill="${colors.background}"` +
+    (colors.borderWidth ? ` stroke="${colors.border}" stroke-width="${colors.borderWidth}"` : '') +
+    '/>');
+  parts.push(`<g transform="translate(${left + inset} ${y + inset})">`);
+  chart.elements.forEach(({ tag, attrs, text }) => {
+    const attributes = Object.entries(attrs)
+      .filter(([, value]) => value !== null && value !== undefined)
+      .map(([name, value]) => ` ${name}="${escapeXml(value)}"`)
+      .join('');
+    parts.push(text === undefined ? `<${tag}${attributes}/>` : `<${tag}${attributes}>${escapeXml(text)}</${tag}>`);
+  });
+  parts.push('</g>');
+
+  return { svg: parts.join(''), height };
+}
+
+// SVG for hourly cards in grid rows starting at y: repeat(auto-fit, minmax(minColumnWidth, 1fr));
+// returns { svg, height }
+function renderCardGrid(hours, left, width, y, minColumnWidth, theme, options) {
+  const columns = Math.max(1, Math.floor((width + LAYOUT.gridGap) / (minColumnWidth + LAYOUT.gridGap)));
+  const cardWidth = (width - (columns - 1) * LAYOUT.gridGap) / columns;
+  const parts = [];
+  let top = y;
+
+  for (let rowStart = 0; rowStart < hours.length; rowStart += columns) {
+    const row = hours.slice(rowStart, rowStart + columns);
+    const measured = row.map(hour => measureCard(hour, cardWidth, theme, options));
+    // Grid rows stretch every card to the tallest one
+    const rowHeight = Math.max(...measured.map(card => card.height));
+
+    row.forEach((hour, index) => {
+      const box = {
+        x: left + index * (cardWidth + LAYOUT.gridGap),
+        y: top,
+        width: cardWidth,
+        height: rowHeight
+      };
+      parts.push(renderCard(hour, measured[index], box, theme, options));
+    });
+    top += rowHeight + LAYOUT.gridGap;
+  }
+
+  return { svg: parts.join(''), height: Math.max(0, top - LAYOUT.gridGap - y) };
+}
+
+// SVG for the list layout starting at y: one full-width row per hour with the time and
+// phrase on the left and the temperature and precipitation items on the right (narrow
+// pages leave out the amount); returns { svg, height }
+function renderListRows(hours, left, width, y, theme, options) {
+  const { listRowGap, listRowPaddingY, listColumnGap, listTemperatureWidth, listItemWidth } = LAYOUT;
+  const border = theme.cardBorder;
+  const itemBorder = theme.precipitationBorder;
+  const itemHeight = 0.7 * REM * LINE_HEIGHT + 2 * (LAYOUT.precipitationPaddingY + itemBorder);
+  const timeSize = REM;
+  const phraseSize = 0.75 * REM;
+  const contentHeight = Math.max(theme.temperatureSize * LINE_HEIGHT, itemHeight);
+  const rowHeight = contentHeight + 2 * (listRowPaddingY + border);
+  const withAmount = options.width > 768;
+  const parts = [];
+
+  hours.forEach((hour, index) => {
+    const colors = hour.isDaylight ? theme.day : theme.night;
+    const top = y + index * (rowHeight + listRowGap);
+    const inset = border / 2;
+    parts.push(`<rect x="${left + inset}" y="${top + inset}" width="${width - border}" height="${rowHeight - border}" rx="${theme.cardRadius}" fill="${colors.background}"` +
+      (border ? ` stroke="${colors.border}" stroke-width="${border}"${colors.dashed ? ` stroke-dasharray="${3 * border} ${3 * border}"` : ''}` : '') +
+      '/>');
+
+    const contentTop = top + border + listRowPaddingY;
+    const innerLeft = left + border + LAYOUT.cardPadding;
+    let right = left + width - border - LAYOUT.cardPadding;
+
+    // Precipitation items, right to left
+    const items = [['Precipitation', `${hour.precipitation}%`]];
+    if (withAmount) {
+      items.push(['Amount', `${hour.precipitationAmount.toFixed(1)} ${hour.precipitationUnit}`]);
+    }
+    items.reverse().forEach(([label, value]) => {
+      const itemBox = {
+        x: right - listItemWidth,
+        y: contentTop + (contentHeight - itemHeight) / 2,
+        width: listItemWidth,
+        height: itemHeight
+      };
+      parts.push(renderItem(label, value, itemBox, colors, itemBorder));
+      right -= listItemWidth + LAYOUT.precipitationGap;
+    });
+    right += LAYOUT.precipitationGap - listColumnGap;
+
+    const baseline = contentTop + (contentHeight + theme.temperatureSize * 0.8) / 2;
+    parts.push(textElement(right, baseline, formatTemperature(hour.temperature, options.unit), {
+      'font-size': theme.temperatureSize,
+      'font-weight': 'bold',
+      'text-anchor': 'end',
+      fill: colors.temperature
+    }));
+    right -= listTemperatureWidth + listColumnGap;
+
+    // Time and phrase share the temperature's baseline
+    const time = formatTime(hour.datetime, options.timeFormat, options.timeZone);
+    parts.push(textElement(innerLeft, baseline, time, {
+      'font-size': timeSize,
+      'font-weight': 600,
+      fill: colors.time
+    }));
+    const phraseLeft = innerLeft + estimateTextWidth(time, timeSize, true) + LAYOUT.timeRowGap;
+    parts.push(textElement(phraseLeft, baseline, wrapText(hour.iconPhrase || '', right - phraseLeft, phraseSize, 1)[0] || '', {
+      'font-size': phraseSize,
+      fill: colors.phrase
+    }));
+  });
+
+  const height = hours.length > 0 ? hours.length * (rowHeight + listRowGap) - listRowGap : 0;
+  return { svg: parts.join(''), height };
+}
+
+// SVG for the table layout starting at y: a header row and one line per hour, night
+// hours shaded (dashed dividers in B/W); returns { svg, height }
+function renderTable(hours, left, width, y, theme, options) {
+  const colors = theme.table;
+  const { tableCellPaddingX, tableCellPaddingY, tableFontSize, tableHeaderSize } = LAYOUT;
+  const border = colors.borderWidth;
+  const rows = hours.map(hour => ({
+    hour,
+    cells: [
+      formatTime(hour.datetime, options.timeFormat, options.timeZone),
+      hour.iconPhrase || '',
+      formatTemperature(hour.temperature, options.unit),
+      `${hour.precipitation}%`,
+      `${hour.precipitationAmount.toFixed(1)} ${hour.precipitationUnit}`
+    ]
+  }));
+  // Conditions take the width left over; narrow pages leave out the amount
+  const columns = [
+    { label: 'Time', align: 'start', weight: 600 },
+    { label: 'Conditions', align: 'start' },
+    { label: 'Temp', align: 'end', weight: 'bold' },
+    { label: 'Precip.', align: 'end' },
+    { label: 'Amount', align: 'end' }
+  ].slice(0, options.width > 768 ? 5 : 4);
+
+  const innerLeft = left + border;
+  const innerWidth = width - 2 * border;
+  const widths = columns.map((column, index) => 2 * tableCellPaddingX + Math.max(
+    estimateTextWidth(column.label.toUpperCase(), tableHeaderSize, true) + column.label.length * 0.05 * tableHeaderSize,
+    ...rows.map(row => estimateTextWidth(row.cells[index], tableFontSize, Boolean(column.weight)))
+  ));
+  widths[1] = Math.max(0, innerWidth - widths.reduce((sum, columnWidth, index) => (index === 1 ? sum : sum + columnWidth), 0));
+  const columnLeft = widths.map((columnWidth, index) => innerLeft + widths.slice(0, index).reduce((sum, w) => sum + w, 0));
+
+  const headerHeight = tableHeaderSize * LINE_HEIGHT + 2 * tableCellPaddingY;
+  const rowHeight = tableFontSize * LINE_HEIGHT + 2 * tableCellPaddingY;
+  const height = headerHeight + rows.length * rowHeight + 2 * border;
+  const parts = [];
+
+  const inset = border / 2;
+  parts.push(`<rect x="${left + inset}" y="${y + inset}" width="${width - border}" height="${height - border}" rx="${colors.radius}" fill="${colors.background}"` +
+    (border ? ` stroke="${colors.border}" stroke-width="${border}"` : '') +
+    '/>');
+
+  const cellX = (index, align) => (align === 'end'
+    ? columnLeft[index] + widths[index] - tableCellPaddingX
+    : columnLeft[index] + tableCellPaddingX);
+
+  let top = y + border;
+  columns.forEach((column, index) => {
+    parts.push(textElement(cellX(index, column.align), top + tableCellPaddingY + tableHeaderSize, column.label.toUpperCase(), {
+      'font-size': tableHeaderSize,
+      'font-weight': 'bold',
+      'letter-spacing': '0.05em',
+      'text-anchor': column.align,
+      fill: colors.header
+    }));
+  });
+  top += headerHeight;
+
+  rows.forEach(({ hour, cells }, rowIndex) => {
+    const night = !hour.isDaylight;
+    // Keep the shading inside the rounded box on the last row
+    const last = rowIndex === rows.length - 1;
+    if (night && colors.nightBackground !== colors.background) {
+      const radius = last ? Math.max(0, colors.radius - border) : 0;
+      parts.push(`<path d="M${innerLeft} ${top}h${innerWidth}v${rowHeight - radius}` +
+        (radius ? `a${radius} ${radius} 0 0 1 ${-radius} ${radius}h${-(innerWidth - 2 * radius)}a${radius} ${radius} 0 0 1 ${-radius} ${-radius}` : `h${-innerWidth}`) +
+        `z" fill="${colors.nightBackground}"/>`);
+    }
+    const dashed = night && colors.nightDashed ? ' stroke-dasharray="4 3"' : '';
+    parts.push(`<line x1="${innerLeft}" y1="${top + 0.5}" x2="${innerLeft + innerWidth}" y2="${top + 0.5}" stroke="${colors.divider}" stroke-width="1"${dashed} shape-rendering="crispEdges"/>`);
+
+    const baseline = top + tableCellPaddingY + tableFontSize;
+    columns.forEach((column, index) => {
+      const maxWidth = widths[index] - 2 * tableCellPaddingX;
+      const text = index === 1 ? wrapText(cells[index], maxWidth, tableFontSize, 1)[0] || '' : cells[index];
+      parts.push(textElement(cellX(index, column.align), baseline, text, {
+        'font-size': tableFontSize,
+        'font-weight': column.weight,
+        'text-anchor': column.align,
+        fill: night ? colors.nightText : colors.text
+      }));
+    });
+    top += rowHeight;
+  });
+
+  return { svg: parts.join(''), height };
+}
+
+// Font sizes of the daily strip lines: day name, phrase, high / low, precipitation
+const DAILY_LINE_SIZES = [0.8 * REM, 0.65 * REM, 0.9 * REM, 0.7 * REM];
+
+// SVG for the daily strip starting at y
+function renderDailyStrip(days, left, width, y, theme, options) {
+  const colors = theme.daily;
+  const { dailyGap, dailyMinWidth, dailyPaddingX, dailyPaddingY } = LAYOUT;
+  // repeat(auto-fit, minmax(80px, 1fr)): empty tracks collapse, so days share the width
+  const columns = Math.max(1, Math.min(days.length, Math.floor((width + dailyGap) / (dailyMinWidth + dailyGap))));
+  const dayWidth = (width - (columns - 1) * dailyGap) / columns;
+  const dayHeight = 2 * (dailyPaddingY + colors.borderWidth) +
+    DAILY_LINE_SIZES.reduce((sum, size) => sum + size * LINE_HEIGHT, 0);
+  const parts = [];
+
+  days.forEach((day, index) => {
+    const x = left + (index % columns) * (dayWidth + dailyGap);
+    const top = y + Math.floor(index / columns) * (dayHeight + dailyGap);
+    const inset = colors.borderWidth / 2;
+    parts.push(`<rect x="${x + inset}" y="${top + inset}" width="${dayWidth - colors.borderWidth}" height="${dayHeight - colors.borderWidth}" rx="${colors.radius}" fill="${colors.background}"` +
+      (colors.borderWidth ? ` stroke="${colors.border}" stroke-width="${colors.borderWidth}"` : '') +
+      '/>');
+
+    const innerWidth = dayWidth - 2 * (dailyPaddingX + colors.borderWidth);
+    const high = typeof day.high === 'number' ? formatTemperature(day.high, options.unit).replace(/[CF]$/, '') : '–';
+    const low = typeof day.low === 'number' ? formatTemperature(day.low, options.unit).replace(/[CF]$/, '') : '–';
+    const lines = [
+      { text: formatDayName(day.date, options.timeZone), weight: 600, fill: colors.name },
+      { text: wrapText(day.dayPhrase || '', innerWidth, DAILY_LINE_SIZES[1], 1)[0] || '', fill: colors.phrase },
+      { text: `${high} / ${low}`, weight: 'bold', fill: colors.temperature },
+      { text: typeof day.precipitation === 'number' ? `${day.precipitation}%` : '', fill: colors.precipitation }
+    ];
+
+    let lineTop = top + colors.borderWidth + dailyPaddingY;
+    lines.forEach((line, lineIndex) => {
+      const size = DAILY_LINE_SIZES[lineIndex];
+      parts.push(textElement(x + dayWidth / 2, lineTop + size, line.text, {
+        'font-size': size,
+        'font-weight': line.weight,
+        'text-anchor': 'middle',
+        fill: line.fill
+      }));
+      lineTop += size * LINE_HEIGHT;
+    });
+  });
+
+  return parts.join('');
+}
+
+// Build the display page for cached forecast data ({ location, timezone, sun, forecast,
+// daily, current, alerts }) as an SVG string. alerts are the active ones, most important first
+// (lib/alerts.js); times and Today/Tomorrow are shown in the location's timezone.
+// options: { width, height, mode, unit, timeFormat, cards, layout } (see DEFAULT_OPTIONS)
+function renderForecastSvg(data, options) {
+  const settings = { ...DEFAULT_OPTIONS, timeZone: data.timezone || DEFAULT_TIME_ZONE, ...options };
+  const theme = THEMES[settings.mode] || THEMES.eink;
+  const layout = PAGE_LAYOUTS.includes(settings.layout) ? settings.layout : 'grid';
+  const { width, height } = settings;
+  const narrow = width <= 768;
+  const parts = [];
+
+  parts.push(`<rect width="${width}" height="${height}" fill="${theme.background}"/>`);
+
+  const contentWidth = Math.min(width - 2 * LAYOUT.bodyPadding, LAYOUT.containerMaxWidth);
+  const contentLeft = (width - contentWidth) / 2;
+  const center = width / 2;
+  let y = LAYOUT.bodyPadding;
+
+  // Header: title (replaced by the alert banner while alerts are active) and location name
+  const alerts = data.alerts || [];
+  if (alerts.length > 0) {
+    const banner = renderAlertBanner(alerts, contentLeft, contentWidth, y, theme, settings);
+    parts.push(banner.svg);
+    y += banner.height + LAYOUT.titleMarginBottom;
+  } else {
+    const titleSize = narrow ? 2 * REM : theme.titleSize;
+    const title = theme.titleUppercase ? 'HOURLY WEATHER FORECAST' : 'Hourly Weather Forecast';
+    parts.push(textElement(center, y + titleSize, title, {
+      'font-size': titleSize,
+      'font-weight': 'bold',
+      'text-anchor': 'middle',
+      'letter-spacing': theme.titleLetterSpacing ? `${theme.titleLetterSpacing}em` : null,
+      fill: theme.headerColor
+    }));
+    y += titleSize * LINE_HEIGHT + LAYOUT.titleMarginBottom;
+  }
+
+  parts.push(textElement(center, y + theme.subtitleSize, data.location || '', {
+    'font-size': theme.subtitleSize,
+    'font-weight': 500,
+    'text-anchor': 'middle',
+    opacity: theme.subtitleOpacity,
+    fill: theme.headerColor
+  }));
+  y += theme.subtitleSize * LINE_HEIGHT + LAYOUT.headerMarginBottom;
+
+  if (data.current) {
+    const block = renderCurrentConditions(data.current, contentLeft, contentWidth, y, theme, settings);
+    parts.push(block.svg);
+    y += block.height + LAYOUT.currentMarginBottom;
+  }
+
+  // Hourly section of the layout; only the grid has room for the chart
+  const hours = (data.forecast || []).slice(0, settings.cards);
+  let section;
+  if (layout === 'list') {
+    section = renderListRows(hours, contentLeft, contentWidth, y, theme, settings);
+  } else if (layout === 'table') {
+    section = renderTable(hours, contentLeft, contentWidth, y, theme, settings);
+  } else if (layout === 'hero') {
+    // A single row of compact cards: as many as fit
+    const fitting = Math.floor((contentWidth + LAYOUT.gridGap) / (LAYOUT.heroCardMinWidth + LAYOUT.gridGap));
+    section = renderCardGrid(hours.slice(0, Math.max(1, fitting)), contentLeft, contentWidth, y,
+      LAYOUT.heroCardMinWidth, theme, { ...settings, compact: true });
+  } else {
+    if (hours.length >= 2) {
+      const chart = renderChart(hours, data.sun, contentLeft, contentWidth, y, theme, settings);
+      parts.push(chart.svg);
+      y += chart.height + LAYOUT.chartMarginBottom;
+    }
+    // Grid: repeat(auto-fit, minmax(140px, 1fr)), 120px on narrow screens
+    section = renderCardGrid(hours, contentLeft, contentWidth, y, narrow ? 120 : 140, theme, settings);
+  }
+  parts.push(section.svg);
+  y += section.height;
+
+  // Daily strip under the hourly section
+  const days = data.daily || [];
+  if (days.length > 0) {
+    y += LAYOUT.gridMarginBottom;
+    parts.push(renderDailyStrip(days, contentLeft, contentWidth, y, theme, settings));
+  }
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="${escapeXml(FONT_FAMILY)}">${parts.join('')}</svg>`;
+}
+
+// Render the display page for cached forecast data as a PNG (same contract as captureScreenshot)
+async function renderForecastPng(data, options) {
+  const svg = renderForecastSvg(data, options);
+  return sharp(Buffer.from(svg)).png().toBuffer();
+}
+
+module.exports = {
+  renderForecastSvg,
+  renderForecastPng
+};
@@ -0,0 +1,125 @@
+// Timezone helpers built on Intl, so forecast datetimes are constructed in the
+// location's IANA zone rather than the server's, DST included.
+//
+// Internally every instant is a Date (stored as UTC "Z" strings); toZonedIso() formats
+// one with the location's explicit offset for API output. Calendar days are handled as
+// "YYYY-MM-DD" keys in the location's zone.
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Zone used for locations that don't configure one
+const DEFAULT_TIME_ZONE = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+const formatters = new Map();
+
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || timeZone.trim() === '') return false;
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Wall-clock fields of an instant in a zone: { year, month (1-12), day, hour, minute, second }
+function getZonedParts(date, timeZone) {
+  const parts = {};
+  for (const { type, value } of getFormatter(timeZone).formatToParts(date)) {
+    if (type !== 'literal') {
+      parts[type] = Number(value);
+    }
+  }
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour,
+    minute: parts.minute,
+    second: parts.second
+  };
+}
+
+// Minutes the zone is ahead of UTC at an instant (negative west of Greenwich)
+function getOffsetMinutes(date, timeZone) {
+  const parts = getZonedParts(date, timeZone);
+  const wall = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return Math.round((wall - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+}
+
+// "YYYY-MM-DD" of an instant's calendar day in a zone
+function dateKey(date, timeZone) {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+// Shift a "YYYY-MM-DD" key by whole days
+function addDays(key, days) {
+  const [year, month, day] = key.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day) + days * DAY).toISOString().slice(0, 10);
+}
+
+// The instant a wall-clock time on a "YYYY-MM-DD" day occurs in a zone. A time skipped
+// by a DST spring-forward resolves to the same wall time after the jump; a time
+// repeated by a fall-back resolves to its first occurrence.
+function zonedTimeToUtc(key, hour, minute, timeZone) {
+  const [year, month, day] = key.split('-').map(Number);
+  const wall = Date.UTC(year, month - 1, day, hour, minute);
+  // The offsets in effect half a day either side cover both sides of any DST change
+  const before = wall - getOffsetMinutes(new Date(wall - DAY / 2), timeZone) * 60000;
+  const after = wall - getOffsetMinutes(new Date(wall + DAY / 2), timeZone) * 60000;
+
+  const matches = [before, after].filter(time => {
+    const parts = getZonedParts(new Date(time), timeZone);
+    return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute) === wall;
+  });
+  // Of the two candidates for a skipped time, the later one lands after the jump
+  return new Date(matches.length > 0 ? Math.min(...matches) : Math.max(before, after));
+}
+
+function formatOffset(minutes) {
+  const sign = minutes < 0 ? '-' : '+';
+  const absolute = Math.abs(minutes);
+  return `${sign}${String(Math.floor(absolute / 60)).padStart(2, '0')}:${String(absolute % 60).padStart(2, '0')}`;
+}
+
+// ISO 8601 string of an instant with the zone's offset, e.g. "2026-01-14T15:00:00-08:00".
+// Accepts a Date or an ISO string; returns null for missing or unparseable values.
+function toZonedIso(value, timeZone) {
+  if (value === null || value === undefined) return null;
+  const date = value instanceof Date ? value : new Date(value);
+  if (Number.isNaN(date.getTime())) return null;
+
+  const parts = getZonedParts(date, timeZone);
+  const pad = number => String(number).padStart(2, '0');
+  return `${parts.year}-${pad(parts.month)}-${pad(parts.day)}` +
+    `T${pad(parts.hour)}:${pad(parts.minute)}:${pad(parts.second)}` +
+    formatOffset(getOffsetMinutes(date, timeZone));
+}
+
+module.exports = {
+  DEFAULT_TIME_ZONE,
+  isValidTimeZone,
+  getZonedParts,
+  getOffsetMinutes,
+  dateKey,
+  addDays,
+  zonedTimeToUtc,
+  toZonedIso
+};
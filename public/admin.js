@@ -0,0 +1,201 @@
+// Admin page: edits the server's runtime settings through /api/admin/settings.
+// The form is built from the schema the server sends, so new settings show up here
+// without changes to this page.
+
+// The admin token is kept for this browser tab only
+const ADMIN_TOKEN_STORAGE_KEY = 'adminToken';
+
+// Last response from the server: { settings, defaults, schema }
+let adminData = null;
+
+function loadSavedToken() {
+    try {
+        return sessionStorage.getItem(ADMIN_TOKEN_STORAGE_KEY) || '';
+    } catch {
+        return '';
+    }
+}
+
+function saveToken(token) {
+    try {
+        sessionStorage.setItem(ADMIN_TOKEN_STORAGE_KEY, token);
+    } catch {
+        // Ignore storage errors (e.g., blocked in private mode)
+    }
+}
+
+function showMessage(text, isError) {
+    const message = document.getElementById('admin-message');
+    message.textContent = text;
+    message.classList.toggle('admin-message-error', Boolean(isError));
+    message.hidden = !text;
+}
+
+// Send a request to the admin API; returns { response, body }
+async function adminRequest(method, payload) {
+    const token = document.getElementById('admin-token').value;
+    const options = {
+        method,
+        headers: { Authorization: `Bearer ${token}` }
+    };
+    if (payload !== undefined) {
+        options.headers['Content-Type'] = 'application/json';
+        options.body = JSON.stringify(payload);
+    }
+    const response = await fetch('/api/admin/settings', options);
+    let body = null;
+    try {
+        body = await response.json();
+    } catch {
+        // Non-JSON error pages (e.g., a proxy) are reported by status below
+    }
+    return { response, body };
+}
+
+// Input element for one setting: a number field or a select of its choices
+function createInput(name, definition, value) {
+    let input;
+    if (definition.type === 'choice') {
+        input = document.createElement('select');
+        definition.choices.forEach(choice => {
+            const option = document.createElement('option');
+            option.value = choice;
+            option.textContent = choice;
+            input.appendChild(option);
+        });
+    } else {
+        input = document.createElement('input');
+        input.type = 'number';
+        input.step = '1';
+        input.min = String(definition.min);
+        input.max = String(definition.max);
+        input.required = true;
+    }
+    input.id = `setting-${name}`;
+    input.name = name;
+    input.className = 'admin-input';
+    input.value = String(value);
+    return input;
+}
+
+function renderSettingsForm() {
+    const fields = document.getElementById('settings-fields');
+    fields.replaceChildren();
+
+    Object.entries(adminData.schema).forEach(([name, definition]) => {
+        const field = document.createElement('div');
+        field.className = 'admin-field';
+
+        const label = document.createElement('label');
+        label.htmlFor = `setting-${name}`;
+        label.className = 'admin-label';
+        label.textContent = definition.label;
+        field.appendChild(label);
+
+        field.appendChild(createInput(name, definition, adminData.settings[name]));
+
+        const description = document.createElement('div');
+        description.className = 'admin-description';
+        description.textContent = `${definition.description} Default: ${adminData.defaults[name]}.`;
+        field.appendChild(description);
+
+        const error = document.createElement('div');
+        error.className = 'admin-field-error';
+        error.id = `setting-error-${name}`;
+        error.hidden = true;
+        field.appendChild(error);
+
+        fields.appendChild(field);
+    });
+
+    document.getElementById('settings-form').hidden = false;
+}
+
+function showFieldErrors(errors) {
+    Object.keys(adminData.schema).forEach(name => {
+        const error = document.getElementById(`setting-error-${name}`);
+        if (!error) return;
+        error.textContent = errors[name] ? `This ${errors[name]}.` : '';
+        error.hidden = !errors[name];
+    });
+}
+
+// Values from the form in the types the schema expects
+function readSettingsForm() {
+    const values = {};
+    Object.entries(adminData.schema).forEach(([name, definition]) => {
+        const input = document.getElementById(`setting-${name}`);
+        values[name] = definition.type === 'integer' ? Number(input.value) : input.value;
+    });
+    return values;
+}
+
+function describeFailure(response, body) {
+    if (body && body.error) return body.error;
+    return `Request failed (HTTP ${response.status}).`;
+}
+
+async function loadSettings() {
+    showMessage('Loading settings...');
+    try {
+        const { response, body } = await adminRequest('GET');
+        if (!response.ok) {
+            document.getElementById('settings-form').hidden = true;
+            showMessage(describeFailure(response, body), true);
+            return;
+        }
+        adminData = body;
+        renderSettingsForm();
+        showMessage('');
+    } catch (error) {
+        showMessage(`Could not reach the server: ${error.message}`, true);
+    }
+}
+
+async function saveSettings() {
+    showMessage('Saving...');
+    try {
+        const { response, body } = await adminRequest('PUT', readSettingsForm());
+        if (!response.ok) {
+            showFieldErrors((body && body.fields) || {});
+            showMessage(describeFailure(response, body), true);
+            return;
+        }
+        adminData = body;
+        renderSettingsForm();
+        showMessage(`Saved at ${new Date().toLocaleTimeString()}. Panels are refreshed with the new settings.`);
+    } catch (error) {
+        showMessage(`Could not reach the server: ${error.message}`, true);
+    }
+}
+
+function fillInDefaults() {
+    Object.entries(adminData.defaults).forEach(([name, value]) => {
+        const input = document.getElementById(`setting-${name}`);
+        if (input) input.value = String(value);
+    });
+    showFieldErrors({});
+    showMessage('Defaults filled in; save to apply them.');
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    const tokenInput = document.getElementById('admin-token');
+    tokenInput.value = loadSavedToken();
+
+    document.getElementById('token-form').addEventListener('submit', (event) => {
+        event.preventDefault();
+        saveToken(tokenInput.value);
+        loadSettings();
+    });
+
+    document.getElementById('settings-form').addEventListener('submit', (event) => {
+        event.preventDefault();
+        saveSettings();
+    });
+
+    document.getElementById('reset-defaults').addEventListener('click', fillInDefaults);
+
+    if (tokenInput.value) {
+        loadSettings();
+    }
+});
@@ -1,8 +1,56 @@
 // Store forecast data for unit conversion
 let forecastData = [];
 
+// Forecasts for every location, used by the side-by-side view
+let comparisonData = [];
+
+// Daily outlook for the single-location view (empty when unavailable)
+let dailyData = [];
+
+// Sunrise/sunset per day of the single-location forecast (null without coordinates)
+let sunData = null;
+
+// Current conditions for the single-location view (null when unavailable)
+let currentData = null;
+
+// IANA timezone of the shown location, from the forecast response. Times and
+// Today/Tomorrow are shown in it rather than the viewer's (undefined = the browser's own).
+let locationTimeZone;
+
+// Active alerts of the shown location(s), each with its location name for the compare view
+let alertData = [];
+
+// Alerts listed in the banner before the rest are summarized as "+N more"
+const MAX_BANNER_ALERTS = 3;
+
+// Locations configured on the server
+let locations = [];
+let defaultLocationId = '';
+
+// Incremented per fetchWeather() call so an older, slower response never overwrites a newer one
+let fetchGeneration = 0;
+
+// Display defaults from the server's settings (/api/settings), used until the viewer
+// picks their own time format or display mode
+let serverSettings = { timeFormat: '24', displayMode: 'eink' };
+
 const TIME_FORMAT_STORAGE_KEY = 'timeFormat';
 const DISPLAY_MODE_STORAGE_KEY = 'displayMode';
+const LOCATION_STORAGE_KEY = 'location';
+const LOCATION_VIEW_STORAGE_KEY = 'locationView';
+const DETAIL_FIELDS_STORAGE_KEY = 'detailFields';
+const LAYOUT_STORAGE_KEY = 'layout';
+
+// Page layouts, also drawn by lib/svg-renderer.js: the card grid, a vertical list, a large
+// "Now" block over a single row of compact cards, and a dense table
+const LAYOUTS = ['grid', 'list', 'hero', 'table'];
+
+// Minimum width of a compact card in the hero layout's single row (px)
+const HERO_CARD_MIN_WIDTH = 110;
+
+// URL parameters (e.g. ?location=culver-city) override saved preferences,
+// which lets the screenshot pipeline render a specific location
+const urlParams = new URLSearchParams(window.location.search);
 
 // Get current temperature unit (default to Celsius)
 function getSelectedUnit() {
@@ -21,21 +69,196 @@ function getSelectedDisplayMode() {
     return selected && selected.value === 'color' ? 'color' : 'eink';
 }
 
+function getSelectedLocation() {
+    const select = document.getElementById('location-select');
+    if (select && select.value) return select.value;
+    return urlParams.get('location') || '';
+}
+
+function getSelectedLocationView() {
+    const selected = document.querySelector('input[name="location-view"]:checked');
+    return selected && selected.value === 'compare' ? 'compare' : 'single';
+}
+
+function getSelectedLayout() {
+    const selected = document.querySelector('input[name="page-layout"]:checked');
+    return selected && LAYOUTS.includes(selected.value) ? selected.value : 'grid';
+}
+
+// Optional card details, in display order. format() returns null when the forecast
+// doesn't include the value (not every provider reports every field).
+const DETAIL_FIELDS = [
+    {
+        key: 'realFeel',
+        label: 'RealFeel',
+        format: hour => (typeof hour.realFeel === 'number' ? `${getTemperature(hour.realFeel)}°${getSelectedUnit()}` : null)
+    },
+    {
+        key: 'wind',
+        label: 'Wind',
+        format: hour => {
+            if (typeof hour.windSpeed !== 'number') return null;
+            const direction = hour.windDirection ? `${sanitizeText(hour.windDirection)} ` : '';
+            return `${direction}${formatSpeed(hour.windSpeed)}`;
+        }
+    },
+    {
+        key: 'windGust',
+        label: 'Gusts',
+        format: hour => (typeof hour.windGust === 'number' ? formatSpeed(hour.windGust) : null)
+    },
+    {
+        key: 'humidity',
+        label: 'Humidity',
+        format: hour => (typeof hour.humidity === 'number' ? `${hour.humidity}%` : null)
+    },
+    {
+        key: 'dewPoint',
+        label: 'Dew point',
+        format: hour => (typeof hour.dewPoint === 'number' ? `${getTemperature(hour.dewPoint)}°${getSelectedUnit()}` : null)
+    },
+    {
+        key: 'uvIndex',
+        label: 'UV index',
+        format: hour => (typeof hour.uvIndex === 'number' ? String(hour.uvIndex) : null)
+    },
+    {
+        key: 'cloudCover',
+        label: 'Clouds',
+        format: hour => (typeof hour.cloudCover === 'number' ? `${hour.cloudCover}%` : null)
+    },
+    {
+        key: 'visibility',
+        label: 'Visibility',
+        format: hour => (typeof hour.visibility === 'number' ? formatDistance(hour.visibility) : null)
+    }
+];
+
+// Detail fields ticked in the settings, in display order
+function getSelectedDetailFields() {
+    const checked = Array.from(document.querySelectorAll('input[name="detail-field"]:checked'))
+        .map(input => input.value);
+    return DETAIL_FIELDS.filter(field => checked.includes(field.key)).map(field => field.key);
+}
+
+// Keep only known detail field keys
+function filterDetailFields(keys) {
+    return DETAIL_FIELDS.map(field => field.key).filter(key => keys.includes(key));
+}
+
+// ?details=wind,humidity overrides the saved selection (e.g. for screenshots)
+function loadSavedDetailFields() {
+    const fromUrl = urlParams.get('details');
+    if (fromUrl !== null) return filterDetailFields(fromUrl.split(','));
+    try {
+        const value = JSON.parse(localStorage.getItem(DETAIL_FIELDS_STORAGE_KEY) || '[]');
+        return Array.isArray(value) ? filterDetailFields(value) : [];
+    } catch {
+        return [];
+    }
+}
+
+function saveDetailFields(keys) {
+    try {
+        localStorage.setItem(DETAIL_FIELDS_STORAGE_KEY, JSON.stringify(filterDetailFields(keys)));
+    } catch {
+        // Ignore storage errors (e.g., blocked in private mode)
+    }
+}
+
+// The saved time format, else the server's default
 function loadSavedTimeFormat() {
     try {
         const value = localStorage.getItem(TIME_FORMAT_STORAGE_KEY);
-        return value === '12' ? '12' : '24';
+        if (value === '12' || value === '24') return value;
     } catch {
-        return '24';
+        // Ignore storage errors (e.g., blocked in private mode)
     }
+    return serverSettings.timeFormat;
 }
 
+// The saved display mode, else the server's default
 function loadSavedDisplayMode() {
     try {
         const value = localStorage.getItem(DISPLAY_MODE_STORAGE_KEY);
-        return value === 'color' ? 'color' : 'eink';
+        if (value === 'color' || value === 'eink') return value;
     } catch {
-        return 'eink';
+        // Ignore storage errors (e.g., blocked in private mode)
+    }
+    return serverSettings.displayMode;
+}
+
+// Take the display defaults from a /api/settings response or settings event
+function applyServerSettings(data) {
+    if (!data) return;
+    serverSettings = {
+        timeFormat: data.timeFormat === '12' ? '12' : '24',
+        displayMode: data.displayMode === 'color' ? 'color' : 'eink'
+    };
+}
+
+function loadSavedLocation() {
+    const fromUrl = urlParams.get('location');
+    if (fromUrl) return fromUrl;
+    try {
+        return localStorage.getItem(LOCATION_STORAGE_KEY) || '';
+    } catch {
+        return '';
+    }
+}
+
+function loadSavedLocationView() {
+    const fromUrl = urlParams.get('view');
+    if (fromUrl) return fromUrl === 'compare' ? 'compare' : 'single';
+    try {
+        const value = localStorage.getItem(LOCATION_VIEW_STORAGE_KEY);
+        return value === 'compare' ? 'compare' : 'single';
+    } catch {
+        return 'single';
+    }
+}
+
+// ?layout=table wins over the saved choice; null when neither picks one, so the
+// location's configured layout applies
+function loadSavedLayout() {
+    const fromUrl = urlParams.get('layout');
+    if (LAYOUTS.includes(fromUrl)) return fromUrl;
+    try {
+        const value = localStorage.getItem(LAYOUT_STORAGE_KEY);
+        return LAYOUTS.includes(value) ? value : null;
+    } catch {
+        return null;
+    }
+}
+
+// Layout configured on the server for the selected location
+function getConfiguredLayout() {
+    const locationId = getSelectedLocation() || defaultLocationId;
+    const location = locations.find(entry => entry.id === locationId);
+    return location && LAYOUTS.includes(location.layout) ? location.layout : 'grid';
+}
+
+function saveLocation(locationId) {
+    try {
+        localStorage.setItem(LOCATION_STORAGE_KEY, locationId);
+    } catch {
+        // Ignore storage errors (e.g., blocked in private mode)
+    }
+}
+
+function saveLocationView(view) {
+    try {
+        localStorage.setItem(LOCATION_VIEW_STORAGE_KEY, view === 'compare' ? 'compare' : 'single');
+    } catch {
+        // Ignore storage errors (e.g., blocked in private mode)
+    }
+}
+
+function saveLayout(layout) {
+    try {
+        localStorage.setItem(LAYOUT_STORAGE_KEY, LAYOUTS.includes(layout) ? layout : 'grid');
+    } catch {
+        // Ignore storage errors (e.g., blocked in private mode)
     }
 }
 
@@ -73,34 +296,62 @@ function getTemperature(fahrenheitTemp) {
     return fahrenheitTemp;
 }
 
-// Format datetime to readable time
-function formatTime(datetime) {
+// Format a wind speed in km/h, in mph when showing Fahrenheit
+function formatSpeed(kmh) {
+    if (getSelectedUnit() === 'F') {
+        return `${Math.round(kmh / 1.609344)} mph`;
+    }
+    return `${Math.round(kmh)} km/h`;
+}
+
+// Format a distance in km, in miles when showing Fahrenheit
+function formatDistance(km) {
+    if (getSelectedUnit() === 'F') {
+        return `${Math.round(km / 1.609344)} mi`;
+    }
+    return `${Math.round(km)} km`;
+}
+
+// Format datetime to readable time in the location's timezone
+function formatTime(datetime, timeZone = locationTimeZone) {
     const date = new Date(datetime);
     if (Number.isNaN(date.getTime())) return '';
 
     const timeFormat = getSelectedTimeFormat();
     if (timeFormat === '12') {
         // Regular time (12-hour): h:MM AM/PM
-        return date.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', hour12: true });
+        return date.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', hour12: true, timeZone });
     }
     // Military time (24-hour): HH:MM
-    return date.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit', hour12: false });
+    return date.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit', hour12: false, timeZone });
+}
+
+// "YYYY-MM-DD" of a date's calendar day in a timezone
+function getDateKey(date, timeZone) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', { year: 'numeric', month: '2-digit', day: '2-digit', timeZone })
+        .formatToParts(date)
+        .forEach(part => { parts[part.type] = part.value; });
+    return `${parts.year}-${parts.month}-${parts.day}`;
+}
+
+// Today or Tomorrow for a "YYYY-MM-DD" day, relative to the current date where the
+// location is (which can differ from the viewer's); null for other days
+function getRelativeDayLabel(dateKey, timeZone) {
+    const today = getDateKey(new Date(), timeZone);
+    const [year, month, day] = today.split('-').map(Number);
+    const tomorrow = new Date(Date.UTC(year, month - 1, day + 1)).toISOString().slice(0, 10);
+
+    if (dateKey === today) return 'Today';
+    if (dateKey === tomorrow) return 'Tomorrow';
+    return null;
 }
 
 // Format date for display
-function formatDate(datetime) {
+function formatDate(datetime, timeZone = locationTimeZone) {
     const date = new Date(datetime);
-    const today = new Date();
-    const tomorrow = new Date(today);
-    tomorrow.setDate(tomorrow.getDate() + 1);
-
-    if (date.toDateString() === today.toDateString()) {
-        return 'Today';
-    } else if (date.toDateString() === tomorrow.toDateString()) {
-        return 'Tomorrow';
-    } else {
-        return date.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
-    }
+    return getRelativeDayLabel(getDateKey(date, timeZone), timeZone) ||
+        date.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric', timeZone });
 }
 
 // Sanitize text to prevent XSS attacks
@@ -109,12 +360,74 @@ function sanitizeText(text) {
     return text;
 }
 
-// Create weather card element using safe DOM manipulation (XSS-safe)
-function createWeatherCard(hour) {
+// Convert a temperature difference in Fahrenheit to the selected unit
+function getTemperatureChange(fahrenheitDelta) {
+    if (getSelectedUnit() === 'C') {
+        return Math.round(fahrenheitDelta * 5 / 9);
+    }
+    return fahrenheitDelta;
+}
+
+function formatSigned(value) {
+    return value > 0 ? `+${value}` : String(value);
+}
+
+// Note on a card whose forecast changed significantly since the previous refresh
+function createChangeNote(change, timeZone) {
+    const note = document.createElement('div');
+    note.className = 'forecast-change';
+    const parts = [];
+    const temperatureChange = getTemperatureChange(change.temperature);
+    if (temperatureChange !== 0) {
+        parts.push(`${formatSigned(temperatureChange)}°${getSelectedUnit()}`);
+    }
+    if (change.precipitation !== 0) {
+        parts.push(`${formatSigned(change.precipitation)}% precip.`);
+    }
+    note.textContent = `Changed ${parts.join(', ')}`;
+    note.title = `Since the update at ${formatTime(change.since, timeZone)}`;
+    return note;
+}
+
+// List of the selected detail fields the hour has values for (null when none)
+function createDetailsList(hour) {
+    const selected = getSelectedDetailFields();
+    const items = DETAIL_FIELDS
+        .filter(field => selected.includes(field.key))
+        .map(field => ({ label: field.label, value: field.format(hour) }))
+        .filter(item => item.value !== null);
+    if (items.length === 0) return null;
+
+    const detailsDiv = document.createElement('div');
+    detailsDiv.className = 'details';
+    items.forEach(item => {
+        const itemDiv = document.createElement('div');
+        itemDiv.className = 'detail-item';
+
+        const label = document.createElement('span');
+        label.className = 'detail-label';
+        label.textContent = item.label;
+
+        const value = document.createElement('span');
+        value.className = 'detail-value';
+        value.textContent = item.value;
+
+        itemDiv.appendChild(label);
+        itemDiv.appendChild(value);
+        detailsDiv.appendChild(itemDiv);
+    });
+    return detailsDiv;
+}
+
+// Create weather card element using safe DOM manipulation (XSS-safe).
+// timeZone is the card's location's (compare view columns can differ). Compact cards
+// (hero layout) show only the time, phrase, temperature and precipitation probability.
+function createWeatherCard(hour, timeZone = locationTimeZone, compact = false) {
     const card = document.createElement('div');
-    card.className = `weather-card ${hour.isDaylight ? '' : 'night'}`;
+    const changed = Boolean(hour.change && hour.change.significant);
+    card.className = `weather-card ${hour.isDaylight ? '' : 'night'}${changed ? ' changed' : ''}`;
     
-    const timeStr = formatTime(hour.datetime);
+    const timeStr = formatTime(hour.datetime, timeZone);
     
     // Get temperature in selected unit
     const displayTemp = getTemperature(hour.temperature);
@@ -148,7 +461,7 @@ function createWeatherCard(hour) {
     
     const precipLabel1 = document.createElement('span');
     precipLabel1.className = 'precipitation-label';
-    precipLabel1.textContent = 'Precipitation';
+    precipLabel1.textContent = compact ? 'Precip.' : 'Precipitation';
     
     const precipValue1 = document.createElement('span');
     precipValue1.className = 'precipitation-value';
@@ -173,16 +486,300 @@ function createWeatherCard(hour) {
     precipItem2.appendChild(precipValue2);
     
     precipitationDiv.appendChild(precipItem1);
-    precipitationDiv.appendChild(precipItem2);
+    if (!compact) {
+        precipitationDiv.appendChild(precipItem2);
+    }
     
     // Assemble the card
     card.appendChild(timeIconRow);
     card.appendChild(temperatureDiv);
     card.appendChild(precipitationDiv);
+    if (compact) {
+        return card;
+    }
+    const detailsDiv = createDetailsList(hour);
+    if (detailsDiv) {
+        card.appendChild(detailsDiv);
+    }
+    if (changed) {
+        card.appendChild(createChangeNote(hour.change, timeZone));
+    }
+
+    return card;
+}
+
+// One label/value row of the "Now" block
+function createCurrentDetail(label, value) {
+    const item = document.createElement('div');
+    item.className = 'detail-item';
+
+    const labelSpan = document.createElement('span');
+    labelSpan.className = 'detail-label';
+    labelSpan.textContent = label;
+
+    const valueSpan = document.createElement('span');
+    valueSpan.className = 'detail-value';
+    valueSpan.textContent = value;
+
+    item.appendChild(labelSpan);
+    item.appendChild(valueSpan);
+    return item;
+}
+
+// Render the "Now" block above the hourly cards (single-location view only)
+function renderCurrentConditions() {
+    const currentEl = document.getElementById('current-conditions');
+    currentEl.innerHTML = '';
+    currentEl.classList.toggle('hero', getSelectedLayout() === 'hero');
+    if (!currentData || getSelectedLocationView() === 'compare') {
+        currentEl.style.display = 'none';
+        return;
+    }
+    const unit = getSelectedUnit();
+
+    const mainDiv = document.createElement('div');
+    mainDiv.className = 'current-main';
+
+    const labelDiv = document.createElement('div');
+    labelDiv.className = 'current-label';
+    labelDiv.textContent = 'Now';
+
+    const temperatureDiv = document.createElement('div');
+    temperatureDiv.className = 'current-temperature';
+    temperatureDiv.textContent = `${getTemperature(currentData.temperature)}°${unit}`;
+
+    const phraseDiv = document.createElement('div');
+    phraseDiv.className = 'current-phrase';
+    phraseDiv.textContent = sanitizeText(currentData.phrase || '');
+
+    mainDiv.appendChild(labelDiv);
+    mainDiv.appendChild(temperatureDiv);
+    mainDiv.appendChild(phraseDiv);
+
+    const detailsDiv = document.createElement('div');
+    detailsDiv.className = 'current-details';
+    if (typeof currentData.realFeel === 'number') {
+        detailsDiv.appendChild(createCurrentDetail('RealFeel', `${getTemperature(currentData.realFeel)}°${unit}`));
+    }
+    if (typeof currentData.windSpeed === 'number') {
+        const direction = currentData.windDirection ? `${sanitizeText(currentData.windDirection)} ` : '';
+        detailsDiv.appendChild(createCurrentDetail('Wind', `${direction}${formatSpeed(currentData.windSpeed)}`));
+    }
+    if (typeof currentData.humidity === 'number') {
+        detailsDiv.appendChild(createCurrentDetail('Humidity', `${currentData.humidity}%`));
+    }
+    detailsDiv.appendChild(createCurrentDetail('Observed', formatTime(currentData.observedAt)));
 
+    currentEl.appendChild(mainDiv);
+    currentEl.appendChild(detailsDiv);
+    currentEl.style.display = '';
+}
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// Chart height in px; the width follows the container
+const CHART_HEIGHT = 160;
+
+// Draw the temperature/precipitation chart for the shown cards (single-location view
+// and grid layout only). The geometry comes from buildForecastChart() in forecast-chart.js; the nodes
+// are created here so no markup strings reach the DOM.
+function renderForecastChart() {
+    const chartEl = document.getElementById('forecast-chart');
+    chartEl.innerHTML = '';
+    const hours = forecastData.slice(0, getCardsCount());
+    if (hours.length < 2 || getSelectedLocationView() === 'compare' || getSelectedLayout() !== 'grid') {
+        chartEl.style.display = 'none';
+        return;
+    }
+    chartEl.style.display = '';
+
+    // clientWidth includes the 10px padding on each side
+    const width = Math.max(chartEl.clientWidth - 20, 0) || 800;
+    const chart = buildForecastChart(hours, {
+        width,
+        height: CHART_HEIGHT,
+        unit: getSelectedUnit(),
+        timeFormat: getSelectedTimeFormat(),
+        timeZone: locationTimeZone,
+        mode: getSelectedDisplayMode(),
+        sun: sunData
+    });
+
+    const svg = document.createElementNS(SVG_NS, 'svg');
+    svg.setAttribute('width', chart.width);
+    svg.setAttribute('height', chart.height);
+    svg.setAttribute('viewBox', `0 0 ${chart.width} ${chart.height}`);
+    svg.setAttribute('role', 'img');
+    svg.setAttribute('aria-label', 'Temperature and precipitation probability by hour');
+
+    chart.elements.forEach(({ tag, attrs, text }) => {
+        const node = document.createElementNS(SVG_NS, tag);
+        Object.entries(attrs).forEach(([name, value]) => {
+            if (value !== null && value !== undefined) {
+                node.setAttribute(name, value);
+            }
+        });
+        if (text !== undefined) {
+            node.textContent = text;
+        }
+        svg.appendChild(node);
+    });
+    chartEl.appendChild(svg);
+}
+
+// Weekday label for a daily forecast date ("YYYY-MM-DD"): Today, Tomorrow or "Tue"
+function formatDayName(dateKey) {
+    // The key already is the location's day, so its weekday is read in UTC
+    const date = new Date(`${dateKey}T12:00:00Z`);
+    if (Number.isNaN(date.getTime())) return '';
+    return getRelativeDayLabel(dateKey, locationTimeZone) ||
+        date.toLocaleDateString('en-US', { weekday: 'short', timeZone: 'UTC' });
+}
+
+// Create one day of the daily strip (XSS-safe)
+function createDailyCard(day) {
+    const card = document.createElement('div');
+    card.className = 'daily-day';
+    const unit = getSelectedUnit();
+
+    const nameDiv = document.createElement('div');
+    nameDiv.className = 'daily-name';
+    nameDiv.textContent = formatDayName(day.date);
+
+    const phraseDiv = document.createElement('div');
+    phraseDiv.className = 'daily-phrase';
+    phraseDiv.textContent = sanitizeText(day.dayPhrase || '');
+
+    const temperaturesDiv = document.createElement('div');
+    temperaturesDiv.className = 'daily-temperatures';
+    const high = typeof day.high === 'number' ? `${getTemperature(day.high)}°` : '–';
+    const low = typeof day.low === 'number' ? `${getTemperature(day.low)}°` : '–';
+    temperaturesDiv.textContent = `${high} / ${low}`;
+
+    const precipitationDiv = document.createElement('div');
+    precipitationDiv.className = 'daily-precipitation';
+    precipitationDiv.textContent = typeof day.precipitation === 'number' ? `${day.precipitation}%` : '';
+
+    // Details that don't fit the strip go in the tooltip
+    const tooltip = [`High / low in °${unit}`];
+    if (day.nightPhrase) tooltip.push(`Night: ${sanitizeText(day.nightPhrase)}`);
+    if (day.sunrise) tooltip.push(`Sunrise ${formatTime(day.sunrise)}`);
+    if (day.sunset) tooltip.push(`Sunset ${formatTime(day.sunset)}`);
+    card.title = tooltip.join('\n');
+
+    card.appendChild(nameDiv);
+    card.appendChild(phraseDiv);
+    card.appendChild(temperaturesDiv);
+    card.appendChild(precipitationDiv);
     return card;
 }
 
+// Render the daily strip under the hourly cards (single-location view only)
+function renderDailyStrip() {
+    const stripEl = document.getElementById('daily-strip');
+    stripEl.innerHTML = '';
+    if (dailyData.length === 0 || getSelectedLocationView() === 'compare') {
+        stripEl.style.display = 'none';
+        return;
+    }
+    dailyData.forEach(day => stripEl.appendChild(createDailyCard(day)));
+    stripEl.style.display = '';
+}
+
+// One alert of the banner: severity, title, end time and issuer (XSS-safe)
+function createAlertItem(alert, prefix) {
+    const item = document.createElement('div');
+    item.className = `alert-item ${alert.severity}`;
+
+    const headline = document.createElement('div');
+    headline.className = 'alert-headline';
+
+    const severitySpan = document.createElement('span');
+    severitySpan.className = 'alert-severity';
+    severitySpan.textContent = alert.severity === 'unknown' ? 'Alert' : sanitizeText(alert.severity);
+
+    const titleSpan = document.createElement('span');
+    titleSpan.className = 'alert-title';
+    titleSpan.textContent = `${prefix}${sanitizeText(alert.title)}`;
+
+    headline.appendChild(severitySpan);
+    headline.appendChild(titleSpan);
+    item.appendChild(headline);
+
+    const meta = [];
+    if (alert.expiresAt) {
+        const day = formatDate(alert.expiresAt, alert.timezone);
+        meta.push(`Until ${day === 'Today' ? '' : `${day} `}${formatTime(alert.expiresAt, alert.timezone)}`);
+    }
+    if (alert.source) {
+        meta.push(sanitizeText(alert.source));
+    }
+    if (meta.length > 0) {
+        const metaDiv = document.createElement('div');
+        metaDiv.className = 'alert-meta';
+        metaDiv.textContent = meta.join(' · ');
+        item.appendChild(metaDiv);
+    }
+    return item;
+}
+
+// Show active alerts in a banner that replaces the page title, so they are the first
+// thing on the screen; hidden when there are none
+function renderAlertBanner() {
+    const bannerEl = document.getElementById('alert-banner');
+    bannerEl.innerHTML = '';
+    document.body.classList.toggle('has-alert', alertData.length > 0);
+    if (alertData.length === 0) {
+        bannerEl.style.display = 'none';
+        return;
+    }
+
+    const multipleLocations = getSelectedLocationView() === 'compare';
+    alertData.slice(0, MAX_BANNER_ALERTS).forEach(alert => {
+        const prefix = multipleLocations ? `${sanitizeText(alert.location)}: ` : '';
+        bannerEl.appendChild(createAlertItem(alert, prefix));
+    });
+
+    const hidden = alertData.length - MAX_BANNER_ALERTS;
+    if (hidden > 0) {
+        const more = document.createElement('div');
+        more.className = 'alert-more';
+        more.textContent = `+${hidden} more alert${hidden === 1 ? '' : 's'}`;
+        bannerEl.appendChild(more);
+    }
+    bannerEl.style.display = 'block';
+}
+
+// Describe a cache age in minutes for people ("45 minutes", "6 hours")
+function formatAge(minutes) {
+    if (minutes < 60) {
+        return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+    }
+    const hours = Math.round(minutes / 60);
+    return `${hours} hour${hours === 1 ? '' : 's'}`;
+}
+
+// Warn when any shown forecast is stale, with the server's explanation
+function renderStaleBanner(entries) {
+    const bannerEl = document.getElementById('stale-banner');
+    bannerEl.innerHTML = '';
+
+    const staleEntries = entries.filter(entry => entry.stale);
+    if (staleEntries.length === 0) {
+        bannerEl.style.display = 'none';
+        return;
+    }
+
+    staleEntries.forEach(entry => {
+        const line = document.createElement('div');
+        const prefix = entries.length > 1 ? `${sanitizeText(entry.location)}: ` : '';
+        const age = typeof entry.cacheAgeMinutes === 'number' ? ` is ${formatAge(entry.cacheAgeMinutes)} old` : ' is out of date';
+        line.textContent = `${prefix}Forecast${age}. ${sanitizeText(entry.staleMessage || '')}`.trim();
+        bannerEl.appendChild(line);
+    });
+    bannerEl.style.display = 'block';
+}
+
 // Get the number of cards to display
 function getCardsCount() {
     const cardsInput = document.getElementById('cards-count');
@@ -192,58 +789,303 @@ function getCardsCount() {
     return count;
 }
 
-// Render weather cards from stored forecast data
+// Whether there is any forecast data to re-render
+function hasForecastData() {
+    return forecastData.length > 0 || comparisonData.length > 0;
+}
+
+// Table cell with text (XSS-safe)
+function createTableCell(tag, text, className) {
+    const cell = document.createElement(tag);
+    if (className) {
+        cell.className = className;
+    }
+    cell.textContent = text;
+    return cell;
+}
+
+// Dense table of forecast hours for the table layout: one row per hour with the
+// selected card details as extra columns
+function createForecastTable(hours, timeZone = locationTimeZone) {
+    const unit = getSelectedUnit();
+    const details = DETAIL_FIELDS.filter(field => getSelectedDetailFields().includes(field.key));
+
+    const table = document.createElement('table');
+    table.className = 'forecast-table';
+
+    const headRow = document.createElement('tr');
+    headRow.appendChild(createTableCell('th', 'Time'));
+    headRow.appendChild(createTableCell('th', 'Conditions'));
+    headRow.appendChild(createTableCell('th', 'Temp', 'numeric'));
+    headRow.appendChild(createTableCell('th', 'Precip.', 'numeric'));
+    headRow.appendChild(createTableCell('th', 'Amount', 'numeric'));
+    details.forEach(field => headRow.appendChild(createTableCell('th', field.label, 'numeric')));
+    const head = document.createElement('thead');
+    head.appendChild(headRow);
+    table.appendChild(head);
+
+    const body = document.createElement('tbody');
+    hours.forEach(hour => {
+        const row = document.createElement('tr');
+        const changed = Boolean(hour.change && hour.change.significant);
+        row.className = `${hour.isDaylight ? '' : 'night'}${changed ? ' changed' : ''}`.trim();
+        if (changed) {
+            row.title = createChangeNote(hour.change, timeZone).textContent;
+        }
+        row.appendChild(createTableCell('td', formatTime(hour.datetime, timeZone), 'time'));
+        row.appendChild(createTableCell('td', sanitizeText(hour.iconPhrase)));
+        row.appendChild(createTableCell('td', `${getTemperature(hour.temperature)}°${unit}`, 'numeric temperature'));
+        row.appendChild(createTableCell('td', `${hour.precipitation}%`, 'numeric'));
+        row.appendChild(createTableCell('td', `${hour.precipitationAmount.toFixed(1)} ${sanitizeText(hour.precipitationUnit)}`, 'numeric'));
+        details.forEach(field => row.appendChild(createTableCell('td', field.format(hour) || '–', 'numeric')));
+        body.appendChild(row);
+    });
+    table.appendChild(body);
+    return table;
+}
+
+// Number of compact cards that fit the hero layout's single row
+function getHeroCardsCount() {
+    // The container is visible even while the forecast is loading, unlike the grid
+    const width = document.querySelector('.container').clientWidth || 800;
+    return Math.max(1, Math.floor((width + 10) / (HERO_CARD_MIN_WIDTH + 10)));
+}
+
+// Render one column per location for the side-by-side view. The list and table layouts
+// apply per column; the hero layout needs a single location and falls back to the grid.
+function renderComparisonColumns(gridEl, cardsToShow, layout) {
+    gridEl.classList.add('compare');
+
+    comparisonData.forEach(entry => {
+        const column = document.createElement('section');
+        column.className = 'location-column';
+
+        const title = document.createElement('h3');
+        title.className = 'location-column-title';
+        title.textContent = sanitizeText(entry.location);
+        column.appendChild(title);
+
+        const hours = entry.forecast.slice(0, cardsToShow);
+        if (layout === 'table') {
+            column.appendChild(createForecastTable(hours, entry.timezone));
+        } else {
+            const columnGrid = document.createElement('div');
+            columnGrid.className = layout === 'list' ? 'weather-grid list' : 'weather-grid';
+            hours.forEach(hour => {
+                columnGrid.appendChild(createWeatherCard(hour, entry.timezone));
+            });
+            column.appendChild(columnGrid);
+        }
+
+        gridEl.appendChild(column);
+    });
+}
+
+// Render weather cards (or list rows / table, per the selected layout) from stored forecast data
 function renderWeatherCards() {
     const gridEl = document.getElementById('weather-grid');
     gridEl.innerHTML = '';
+    gridEl.classList.remove('compare', ...LAYOUTS);
     
     const cardsToShow = getCardsCount();
-    const dataToRender = forecastData.slice(0, cardsToShow);
+    const layout = getSelectedLayout();
+
+    renderAlertBanner();
+    renderCurrentConditions();
+    renderForecastChart();
+    renderDailyStrip();
+
+    if (getSelectedLocationView() === 'compare' && comparisonData.length > 0) {
+        renderComparisonColumns(gridEl, cardsToShow, layout);
+        return;
+    }
+
+    gridEl.classList.add(layout);
+    if (layout === 'table') {
+        gridEl.appendChild(createForecastTable(forecastData.slice(0, cardsToShow)));
+        return;
+    }
+
+    const compact = layout === 'hero';
+    const dataToRender = forecastData.slice(0, compact ? Math.min(cardsToShow, getHeroCardsCount()) : cardsToShow);
     
     dataToRender.forEach(hour => {
-        const card = createWeatherCard(hour);
+        const card = createWeatherCard(hour, locationTimeZone, compact);
         gridEl.appendChild(card);
     });
 }
 
-// Fetch weather data from API
-async function fetchWeather() {
+// Fetch the hourly forecast for one location (empty id = server default)
+async function fetchLocationForecast(locationId) {
+    const query = locationId ? `?location=${encodeURIComponent(locationId)}` : '';
+    const response = await fetch(`/api/hourly-forecast${query}`);
+    const data = await response.json();
+
+    if (!response.ok) {
+        throw new Error(data.error || 'Failed to fetch weather data');
+    }
+    return data;
+}
+
+// Fetch the daily outlook for one location; the strip is optional, so failures
+// leave it empty instead of failing the page
+async function fetchDailyForecast(locationId) {
+    try {
+        const query = locationId ? `?location=${encodeURIComponent(locationId)}` : '';
+        const response = await fetch(`/api/daily-forecast${query}`);
+        if (!response.ok) return [];
+        const data = await response.json();
+        return Array.isArray(data.days) ? data.days : [];
+    } catch (error) {
+        console.error('Error loading daily forecast:', error);
+        return [];
+    }
+}
+
+// Fetch the current conditions for one location; like the daily strip, the "Now" block
+// is optional and simply stays hidden when they are unavailable
+async function fetchCurrentConditions(locationId) {
+    try {
+        const query = locationId ? `?location=${encodeURIComponent(locationId)}` : '';
+        const response = await fetch(`/api/current-conditions${query}`);
+        if (!response.ok) return null;
+        return await response.json();
+    } catch (error) {
+        console.error('Error loading current conditions:', error);
+        return null;
+    }
+}
+
+// Fetch the active alerts for one location, tagged with its name and timezone; empty when
+// unavailable so a failing alerts source never hides the forecast
+async function fetchAlerts(location) {
+    try {
+        const query = location.id ? `?location=${encodeURIComponent(location.id)}` : '';
+        const response = await fetch(`/api/alerts${query}`);
+        if (!response.ok) return [];
+        const data = await response.json();
+        return data.alerts.map(alert => ({ ...alert, location: location.name, timezone: data.timezone }));
+    } catch (error) {
+        console.error('Error loading alerts:', error);
+        return [];
+    }
+}
+
+// Load the server's display defaults; the built-in ones stay if that fails
+async function fetchSettings() {
+    try {
+        const response = await fetch('/api/settings');
+        if (!response.ok) return;
+        applyServerSettings(await response.json());
+    } catch (error) {
+        console.error('Error loading settings:', error);
+    }
+}
+
+// Fetch the list of configured locations and populate the location selector
+async function fetchLocations() {
+    try {
+        const response = await fetch('/api/locations');
+        if (!response.ok) return;
+        const data = await response.json();
+        locations = Array.isArray(data.locations) ? data.locations : [];
+        defaultLocationId = data.defaultLocation || '';
+
+        const select = document.getElementById('location-select');
+        const savedLocation = loadSavedLocation();
+        locations.forEach(location => {
+            const option = document.createElement('option');
+            option.value = location.id;
+            option.textContent = sanitizeText(location.name);
+            select.appendChild(option);
+        });
+        const known = locations.some(location => location.id === savedLocation);
+        select.value = known ? savedLocation : data.defaultLocation;
+
+        // Only offer location controls when there is something to choose from
+        if (locations.length > 1) {
+            document.getElementById('location-settings').style.display = '';
+        }
+    } catch (error) {
+        // Fall back to the server's default location
+        console.error('Error loading locations:', error);
+    }
+}
+
+// Fetch weather data from API.
+// options.silent keeps the current cards on screen while loading (used for live updates)
+// and leaves them in place if the request fails.
+async function fetchWeather(options = {}) {
     const loadingEl = document.getElementById('loading');
     const errorEl = document.getElementById('error');
     const containerEl = document.getElementById('weather-container');
     const gridEl = document.getElementById('weather-grid');
     const locationEl = document.getElementById('location-name');
+    const bannerEl = document.getElementById('stale-banner');
+    const silent = options.silent && hasForecastData();
+    const generation = ++fetchGeneration;
 
-    // Show loading, hide others
-    loadingEl.style.display = 'block';
-    errorEl.style.display = 'none';
-    containerEl.style.display = 'none';
+    if (!silent) {
+        // Show loading, hide others
+        loadingEl.style.display = 'block';
+        errorEl.style.display = 'none';
+        bannerEl.style.display = 'none';
+        containerEl.style.display = 'none';
+    }
 
     try {
-        const response = await fetch('/api/hourly-forecast');
-        const data = await response.json();
+        if (getSelectedLocationView() === 'compare' && locations.length > 1) {
+            const [results, alerts] = await Promise.all([
+                Promise.all(locations.map(location => fetchLocationForecast(location.id))),
+                Promise.all(locations.map(fetchAlerts))
+            ]);
+            if (generation !== fetchGeneration) return;
+            comparisonData = results;
+            alertData = alerts.flat();
+            forecastData = [];
+            dailyData = [];
+            sunData = null;
+            currentData = null;
+            locationTimeZone = undefined;
+            renderStaleBanner(comparisonData);
+            locationEl.textContent = `${comparisonData.length} locations`;
+            document.title = 'Weather - All locations';
+        } else {
+            const [data, days, current, alerts] = await Promise.all([
+                fetchLocationForecast(getSelectedLocation()),
+                fetchDailyForecast(getSelectedLocation()),
+                fetchCurrentConditions(getSelectedLocation()),
+                fetchAlerts({ id: getSelectedLocation(), name: '' })
+            ]);
+            if (generation !== fetchGeneration) return;
 
-        if (!response.ok) {
-            throw new Error(data.error || 'Failed to fetch weather data');
-        }
+            // Update the location name from scraped data
+            if (data.location) {
+                locationEl.textContent = data.location;
+                document.title = `Weather - ${data.location}`;
+            }
 
-        // Update the location name from scraped data
-        if (data.location) {
-            locationEl.textContent = data.location;
-            document.title = `Weather - ${data.location}`;
+            // Store forecast data for unit conversion
+            forecastData = data.forecast;
+            locationTimeZone = data.timezone;
+            sunData = data.sun || null;
+            comparisonData = [];
+            dailyData = days;
+            currentData = current;
+            alertData = alerts;
+            renderStaleBanner([data]);
         }
 
-        // Store forecast data for unit conversion
-        forecastData = data.forecast;
-
         // Render weather cards
         renderWeatherCards();
 
         // Show container, hide loading
         loadingEl.style.display = 'none';
+        errorEl.style.display = 'none';
         containerEl.style.display = 'block';
     } catch (error) {
         console.error('Error:', error);
+        if (generation !== fetchGeneration || silent) return;
         loadingEl.style.display = 'none';
         errorEl.textContent = error.message;
         errorEl.style.display = 'block';
@@ -256,7 +1098,7 @@ function initUnitToggle() {
     const unitRadios = document.querySelectorAll('input[name="temp-unit"]');
     unitRadios.forEach(radio => {
         radio.addEventListener('change', () => {
-            if (forecastData.length > 0) {
+            if (hasForecastData()) {
                 renderWeatherCards();
             }
         });
@@ -265,43 +1107,49 @@ function initUnitToggle() {
 
 // Handle time format toggle (regular/military)
 function initTimeToggle() {
-    const savedFormat = loadSavedTimeFormat();
-    const regularRadio = document.getElementById('time-regular');
-    const militaryRadio = document.getElementById('time-military');
-
-    if (regularRadio && militaryRadio) {
-        if (savedFormat === '24') {
-            militaryRadio.checked = true;
-        } else {
-            regularRadio.checked = true;
-        }
-    }
+    setTimeFormatRadios(loadSavedTimeFormat());
 
     const timeRadios = document.querySelectorAll('input[name="time-format"]');
     timeRadios.forEach(radio => {
         radio.addEventListener('change', () => {
             saveTimeFormat(getSelectedTimeFormat());
-            if (forecastData.length > 0) {
+            if (hasForecastData()) {
                 renderWeatherCards();
             }
         });
     });
 }
 
-// Handle display mode toggle (e-ink/color)
-function initDisplayModeToggle() {
-    const savedMode = loadSavedDisplayMode();
+function setTimeFormatRadios(format) {
+    const regularRadio = document.getElementById('time-regular');
+    const militaryRadio = document.getElementById('time-military');
+
+    if (regularRadio && militaryRadio) {
+        if (format === '24') {
+            militaryRadio.checked = true;
+        } else {
+            regularRadio.checked = true;
+        }
+    }
+}
+
+function setDisplayModeRadios(mode) {
     const einkRadio = document.getElementById('display-eink');
     const colorRadio = document.getElementById('display-color');
 
     if (einkRadio && colorRadio) {
-        if (savedMode === 'color') {
+        if (mode === 'color') {
             colorRadio.checked = true;
         } else {
             einkRadio.checked = true;
         }
     }
+}
 
+// Handle display mode toggle (e-ink/color)
+function initDisplayModeToggle() {
+    const savedMode = loadSavedDisplayMode();
+    setDisplayModeRadios(savedMode);
     applyDisplayMode(savedMode);
 
     const modeRadios = document.querySelectorAll('input[name="display-mode"]');
@@ -310,6 +1158,53 @@ function initDisplayModeToggle() {
             const mode = getSelectedDisplayMode();
             saveDisplayMode(mode);
             applyDisplayMode(mode);
+            // The chart draws its colors itself rather than through CSS
+            if (forecastData.length > 0) {
+                renderForecastChart();
+            }
+        });
+    });
+}
+
+// Handle the layout toggle. Without a saved or ?layout= choice it follows the selected
+// location's configured layout, so it runs after the locations are loaded.
+function initLayoutToggle() {
+    const applyLayout = (layout) => {
+        const radio = document.getElementById(`layout-${layout}`);
+        if (radio) {
+            radio.checked = true;
+        }
+    };
+    applyLayout(loadSavedLayout() || getConfiguredLayout());
+
+    const layoutRadios = document.querySelectorAll('input[name="page-layout"]');
+    layoutRadios.forEach(radio => {
+        radio.addEventListener('change', () => {
+            saveLayout(getSelectedLayout());
+            if (hasForecastData()) {
+                renderWeatherCards();
+            }
+        });
+    });
+
+    document.getElementById('location-select').addEventListener('change', () => {
+        if (!loadSavedLayout()) {
+            applyLayout(getConfiguredLayout());
+        }
+    });
+}
+
+// Handle the optional card detail checkboxes
+function initDetailToggles() {
+    const savedFields = loadSavedDetailFields();
+    const checkboxes = document.querySelectorAll('input[name="detail-field"]');
+    checkboxes.forEach(checkbox => {
+        checkbox.checked = savedFields.includes(checkbox.value);
+        checkbox.addEventListener('change', () => {
+            saveDetailFields(getSelectedDetailFields());
+            if (hasForecastData()) {
+                renderWeatherCards();
+            }
         });
     });
 }
@@ -318,12 +1213,135 @@ function initDisplayModeToggle() {
 function initCardsCountInput() {
     const cardsInput = document.getElementById('cards-count');
     cardsInput.addEventListener('input', () => {
-        if (forecastData.length > 0) {
+        if (hasForecastData()) {
             renderWeatherCards();
         }
     });
 }
 
+// Handle location selector and single/side-by-side view toggle
+function initLocationControls() {
+    const select = document.getElementById('location-select');
+    select.addEventListener('change', () => {
+        saveLocation(select.value);
+        fetchWeather();
+    });
+
+    const savedView = loadSavedLocationView();
+    const viewRadio = document.getElementById(savedView === 'compare' ? 'view-compare' : 'view-single');
+    if (viewRadio) {
+        viewRadio.checked = true;
+    }
+    select.disabled = savedView === 'compare';
+
+    const viewRadios = document.querySelectorAll('input[name="location-view"]');
+    viewRadios.forEach(radio => {
+        radio.addEventListener('change', () => {
+            const view = getSelectedLocationView();
+            saveLocationView(view);
+            select.disabled = view === 'compare';
+            fetchWeather();
+        });
+    });
+}
+
+// Whether a location's forecast is currently on screen
+function isLocationShown(locationId) {
+    if (getSelectedLocationView() === 'compare' && locations.length > 1) {
+        return locations.some(location => location.id === locationId);
+    }
+    return (getSelectedLocation() || defaultLocationId) === locationId;
+}
+
+// Follow server-sent forecast and status updates, re-rendering in place.
+// EventSource reconnects by itself after network drops; when the server refuses the
+// stream (e.g. rate limited) it gives up, so reconnect with backoff ourselves.
+function initLiveUpdates() {
+    if (typeof EventSource === 'undefined') return;
+
+    let reconnectDelay = 5000;
+    let hadError = false;
+    let refreshTimer = null;
+
+    // A finished refresh sends both a forecast and a status event; fetch once for both
+    const scheduleRefresh = () => {
+        clearTimeout(refreshTimer);
+        refreshTimer = setTimeout(() => fetchWeather({ silent: true }), 500);
+    };
+
+    const connect = () => {
+        const source = new EventSource('/api/events');
+
+        source.addEventListener('open', () => {
+            reconnectDelay = 5000;
+            // Catch up on anything published while disconnected
+            if (hadError) {
+                hadError = false;
+                scheduleRefresh();
+            }
+        });
+
+        const onUpdate = (event) => {
+            let data;
+            try {
+                data = JSON.parse(event.data);
+            } catch {
+                return;
+            }
+            if (data.isFetching || !isLocationShown(data.locationId)) return;
+            scheduleRefresh();
+        };
+        source.addEventListener('forecast', onUpdate);
+        source.addEventListener('current', onUpdate);
+        source.addEventListener('alerts', onUpdate);
+        source.addEventListener('status', onUpdate);
+
+        // New display defaults from the admin page; only a choice the viewer hasn't
+        // made themselves follows them
+        source.addEventListener('settings', (event) => {
+            try {
+                applyServerSettings(JSON.parse(event.data));
+            } catch {
+                return;
+            }
+            setTimeFormatRadios(loadSavedTimeFormat());
+            const mode = loadSavedDisplayMode();
+            setDisplayModeRadios(mode);
+            applyDisplayMode(mode);
+            if (hasForecastData()) {
+                renderWeatherCards();
+            }
+        });
+
+        source.addEventListener('error', () => {
+            hadError = true;
+            if (source.readyState === EventSource.CLOSED) {
+                setTimeout(connect, reconnectDelay);
+                reconnectDelay = Math.min(reconnectDelay * 2, 5 * 60 * 1000);
+            }
+        });
+    };
+
+    connect();
+}
+
+// Redraw the chart when the window width changes (its width is fixed at draw time), and
+// the hero row, whose number of cards depends on the width
+function initChartResize() {
+    let resizeTimer = null;
+    window.addEventListener('resize', () => {
+        clearTimeout(resizeTimer);
+        resizeTimer = setTimeout(() => {
+            if (forecastData.length === 0) return;
+            if (getSelectedLayout() === 'hero') {
+                renderWeatherCards();
+            } else {
+                renderForecastChart();
+            }
+        }, 200);
+    });
+}
+
 // Handle refresh button click
 function initRefreshButton() {
     const refreshBtn = document.getElementById('refresh-btn');
@@ -333,11 +1351,19 @@ function initRefreshButton() {
 }
 
 // Fetch weather on page load and initialize controls
-document.addEventListener('DOMContentLoaded', () => {
+document.addEventListener('DOMContentLoaded', async () => {
+    // The time format and display mode fall back to the server's defaults
+    await fetchSettings();
     initUnitToggle();
     initTimeToggle();
     initDisplayModeToggle();
     initCardsCountInput();
+    initDetailToggles();
+    initLocationControls();
     initRefreshButton();
+    initChartResize();
+    await fetchLocations();
+    initLayoutToggle();
     fetchWeather();
+    initLiveUpdates();
 });
@@ -0,0 +1,226 @@
+// Forecast chart: a temperature line over precipitation-probability bars, one slot per
+// forecast hour. buildForecastChart() only computes geometry and returns plain element
+// descriptions ({ tag, attrs, text }), so the same chart is drawn by public/app.js (as
+// DOM nodes) and by lib/svg-renderer.js (as SVG markup for the panel image) without a
+// chart library. Loaded as a plain script in the browser and with require() in Node.
+
+const CHART_FONT_SIZE = 11;
+
+const CHART_HOUR_MS = 60 * 60 * 1000;
+
+// Space around the plot for the legend (top), hour labels (bottom) and axis labels
+const CHART_PADDING = { top: 24, right: 36, bottom: 20, left: 36 };
+
+// Stroke and fill colors per display mode; B/W uses only black and white so the panel
+// image needs no dithering
+const CHART_COLORS = {
+    eink: {
+        grid: '#000',
+        gridDash: '2 4',
+        text: '#000',
+        line: '#000',
+        barFill: '#fff',
+        barStroke: '#000',
+        sun: '#000'
+    },
+    color: {
+        grid: '#e0e0e0',
+        gridDash: null,
+        text: '#666',
+        line: '#ff7043',
+        barFill: '#90caf9',
+        barStroke: null,
+        sun: '#f9a825'
+    }
+};
+
+function chartTemperature(fahrenheit, unit) {
+    return unit === 'C' ? Math.round((fahrenheit - 32) * 5 / 9) : fahrenheit;
+}
+
+// Short hour label: "14:00" or "2 PM", in timeZone (the runtime's own when not given)
+function formatChartHour(datetime, timeFormat, timeZone) {
+    const date = new Date(datetime);
+    if (Number.isNaN(date.getTime())) return '';
+    const hours = Number(new Intl.DateTimeFormat('en-US', { hour: 'numeric', hourCycle: 'h23', timeZone }).format(date));
+    if (timeFormat === '12') {
+        return `${hours % 12 || 12} ${hours < 12 ? 'AM' : 'PM'}`;
+    }
+    return `${String(hours).padStart(2, '0')}:00`;
+}
+
+// Clock time label for a sunrise/sunset marker: "06:58" or "6:58 AM"
+function formatChartTime(datetime, timeFormat, timeZone) {
+    const date = new Date(datetime);
+    if (timeFormat === '12') {
+        return date.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', hour12: true, timeZone });
+    }
+    return date.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit', hourCycle: 'h23', timeZone });
+}
+
+// Build the chart for a list of forecast hours.
+// options: { width, height, unit ('C' | 'F'), timeFormat ('24' | '12'), timeZone (IANA name),
+//            mode ('eink' | 'color'), sun (optional [{ sunrise, sunset }] from the forecast
+//            response, drawn as markers where they fall within the hours) }
+// Returns { width, height, elements } with elements in drawing order.
+function buildForecastChart(hours, options) {
+    const { width, height } = options;
+    const colors = CHART_COLORS[options.mode] || CHART_COLORS.eink;
+    const elements = [];
+    if (hours.length === 0) {
+        return { width, height, elements };
+    }
+
+    const left = CHART_PADDING.left;
+    const right = width - CHART_PADDING.right;
+    const top = CHART_PADDING.top;
+    const bottom = height - CHART_PADDING.bottom;
+    const slot = (right - left) / hours.length;
+    const centerOf = index => left + slot * (index + 0.5);
+    const text = (x, y, value, anchor) => ({
+        tag: 'text',
+        attrs: { x: Math.round(x * 10) / 10, y: Math.round(y * 10) / 10, 'font-size': CHART_FONT_SIZE, 'text-anchor': anchor, fill: colors.text },
+        text: value
+    });
+
+    // Temperature scale with headroom for the min/max labels, at least 4 degrees tall
+    const temperatures = hours.map(hour => chartTemperature(hour.temperature, options.unit));
+    const headroom = Math.max(1, (Math.max(...temperatures) - Math.min(...temperatures)) / 4);
+    let low = Math.min(...temperatures) - headroom;
+    let high = Math.max(...temperatures) + headroom;
+    if (high - low < 4) {
+        const middle = (high + low) / 2;
+        low = middle - 2;
+        high = middle + 2;
+    }
+    low = Math.floor(low);
+    high = Math.ceil(high);
+    const yOf = temperature => bottom - (temperature - low) / (high - low) * (bottom - top);
+
+    // Grid lines and temperature labels (left), precipitation labels (right)
+    [high, Math.round((high + low) / 2), low].forEach(temperature => {
+        const y = Math.round(yOf(temperature)) + 0.5;
+        elements.push({
+            tag: 'line',
+            attrs: {
+                x1: left, y1: y, x2: right, y2: y,
+                stroke: colors.grid,
+                'stroke-width': 1,
+                'stroke-dasharray': colors.gridDash,
+                'shape-rendering': 'crispEdges'
+            }
+        });
+        elements.push(text(left - 4, y + CHART_FONT_SIZE / 3, `${temperature}°`, 'end'));
+    });
+    elements.push(text(right + 4, top + CHART_FONT_SIZE / 3, '100%', 'start'));
+    elements.push(text(right + 4, bottom + CHART_FONT_SIZE / 3, '0%', 'start'));
+
+    // Precipitation probability bars
+    const barWidth = Math.max(2, Math.round(slot * 0.5));
+    hours.forEach((hour, index) => {
+        const barHeight = Math.round(hour.precipitation / 100 * (bottom - top));
+        if (barHeight <= 0) return;
+        elements.push({
+            tag: 'rect',
+            attrs: {
+                x: Math.round(centerOf(index) - barWidth / 2),
+                y: bottom - barHeight,
+                width: barWidth,
+                height: barHeight,
+                fill: colors.barFill,
+                stroke: colors.barStroke,
+                'stroke-width': colors.barStroke ? 1 : null,
+                'shape-rendering': 'crispEdges'
+            }
+        });
+    });
+
+    // Sunrise and sunset markers, placed on the same time axis as the hour labels (each
+    // label sits at the center of its slot)
+    const start = new Date(hours[0].datetime).getTime() - CHART_HOUR_MS / 2;
+    const end = start + hours.length * CHART_HOUR_MS;
+    const events = [];
+    (options.sun || []).forEach(day => {
+        if (day.sunrise) events.push({ label: 'Sunrise', time: day.sunrise });
+        if (day.sunset) events.push({ label: 'Sunset', time: day.sunset });
+    });
+    events.forEach(event => {
+        const time = new Date(event.time).getTime();
+        if (!(time >= start && time < end)) return;
+        const x = Math.round(left + slot * (time - start) / CHART_HOUR_MS) + 0.5;
+        elements.push({
+            tag: 'line',
+            attrs: { x1: x, y1: top, x2: x, y2: bottom, stroke: colors.sun, 'stroke-width': 1, 'stroke-dasharray': '4 3' }
+        });
+        // Label on the side with more room
+        const label = `${event.label} ${formatChartTime(event.time, options.timeFormat, options.timeZone)}`;
+        const fitsRight = x + 3 + label.length * CHART_FONT_SIZE * 0.6 <= right;
+        elements.push(text(fitsRight ? x + 3 : x - 3, top + CHART_FONT_SIZE, label, fitsRight ? 'start' : 'end'));
+    });
+
+    // Temperature line with a point per hour when there is room for them
+    const points = temperatures.map((temperature, index) => [centerOf(index), yOf(temperature)]);
+    elements.push({
+        tag: 'polyline',
+        attrs: {
+            points: points.map(([x, y]) => `${x.toFixed(1)},${y.toFixed(1)}`).join(' '),
+            fill: 'none',
+            stroke: colors.line,
+            'stroke-width': 3,
+            'stroke-linejoin': 'round',
+            'stroke-linecap': 'round'
+        }
+    });
+    if (slot >= 14) {
+        points.forEach(([x, y]) => {
+            elements.push({
+                tag: 'circle',
+                attrs: { cx: x.toFixed(1), cy: y.toFixed(1), r: 3, fill: colors.line }
+            });
+        });
+    }
+
+    // Label the warmest and coldest hour so the peak reads without the axis
+    const maxIndex = temperatures.indexOf(Math.max(...temperatures));
+    const minIndex = temperatures.indexOf(Math.min(...temperatures));
+    const unitLabel = `°${options.unit === 'C' ? 'C' : 'F'}`;
+    elements.push(text(points[maxIndex][0], points[maxIndex][1] - 7, `${temperatures[maxIndex]}${unitLabel}`, 'middle'));
+    if (minIndex !== maxIndex) {
+        elements.push(text(points[minIndex][0], points[minIndex][1] + CHART_FONT_SIZE + 6, `${temperatures[minIndex]}${unitLabel}`, 'middle'));
+    }
+
+    // Hour labels, thinned out so they don't overlap
+    const labelWidth = options.timeFormat === '12' ? 36 : 40;
+    const labelStep = Math.max(1, Math.ceil(labelWidth / slot));
+    hours.forEach((hour, index) => {
+        if (index % labelStep !== 0) return;
+        elements.push(text(centerOf(index), height - 6, formatChartHour(hour.datetime, options.timeFormat, options.timeZone), 'middle'));
+    });
+
+    // Legend
+    elements.push({
+        tag: 'line',
+        attrs: { x1: left, y1: 9, x2: left + 16, y2: 9, stroke: colors.line, 'stroke-width': 3, 'stroke-linecap': 'round' }
+    });
+    elements.push(text(left + 22, 9 + CHART_FONT_SIZE / 3, `Temperature (${unitLabel})`, 'start'));
+    const legendBarX = left + 130;
+    elements.push({
+        tag: 'rect',
+        attrs: {
+            x: legendBarX, y: 4, width: 8, height: 10,
+            fill: colors.barFill,
+            stroke: colors.barStroke,
+            'stroke-width': colors.barStroke ? 1 : null,
+            'shape-rendering': 'crispEdges'
+        }
+    });
+    elements.push(text(legendBarX + 14, 9 + CHART_FONT_SIZE / 3, 'Precipitation', 'start'));
+
+    return { width, height, elements };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        buildForecastChart
+    };
+}
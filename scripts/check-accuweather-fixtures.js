@@ -0,0 +1,143 @@
+// Runs the AccuWeather extraction against the saved pages in fixtures/accuweather/
+// and compares the result with each page's .expected.json file. Pages named daily-*.html
+// are daily forecast pages, current-*.html current conditions pages and alerts-*.html
+// weather-warnings pages; the rest are hourly pages.
+//
+//   node scripts/check-accuweather-fixtures.js            # check, exit code 1 on mismatch
+//   node scripts/check-accuweather-fixtures.js --update   # rewrite the .expected.json files
+//
+// Every selector in HOURLY_CARD_SELECTORS, DAILY_CARD_SELECTORS, CURRENT_CARD_SELECTORS and
+// ALERT_CARD_SELECTORS must be matched by at least one fixture, so a new fallback path
+// needs a new fixture.
+const express = require('express');
+const path = require('path');
+const fs = require('fs');
+const assert = require('assert');
+const { initBrowser, closeBrowser } = require('../lib/browser');
+const {
+  HOURLY_CARD_SELECTORS,
+  MAX_CARDS_PER_PAGE,
+  DAILY_CARD_SELECTORS,
+  MAX_DAYS,
+  CURRENT_CARD_SELECTORS,
+  ALERT_CARD_SELECTORS,
+  extractLocationName,
+  extractHourlyCards,
+  extractDailyCards,
+  extractCurrentConditions,
+  extractAlerts
+} = require('../lib/providers/accuweather-extract');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures', 'accuweather');
+const UPDATE = process.argv.includes('--update');
+
+// Load a fixture page and run the same extraction the scraper uses
+async function extractFixture(browserInstance, baseUrl, fileName) {
+  const page = await browserInstance.newPage();
+  try {
+    // Fixtures are static snapshots; keep their scripts from running
+    await page.setJavaScriptEnabled(false);
+    await page.goto(`${baseUrl}/${fileName}`, { waitUntil: 'load', timeout: 15000 });
+
+    if (fileName.startsWith('daily-')) {
+      return page.evaluate(extractDailyCards, {
+        cardSelectors: DAILY_CARD_SELECTORS,
+        maxDays: MAX_DAYS
+      });
+    }
+
+    if (fileName.startsWith('current-')) {
+      return page.evaluate(extractCurrentConditions, {
+        cardSelectors: CURRENT_CARD_SELECTORS
+      });
+    }
+
+    if (fileName.startsWith('alerts-')) {
+      return page.evaluate(extractAlerts, {
+        cardSelectors: ALERT_CARD_SELECTORS
+      });
+    }
+
+    const locationName = await page.evaluate(extractLocationName);
+    const { matchedSelector, cards } = await page.evaluate(extractHourlyCards, {
+      cardSelectors: HOURLY_CARD_SELECTORS,
+      maxCards: MAX_CARDS_PER_PAGE
+    });
+
+    return { locationName, matchedSelector, cards };
+  } finally {
+    await page.close();
+  }
+}
+
+async function checkFixtures() {
+  const fixtures = fs.readdirSync(FIXTURES_DIR).filter(file => file.endsWith('.html')).sort();
+  if (fixtures.length === 0) {
+    throw new Error(`No fixtures found in ${FIXTURES_DIR}`);
+  }
+
+  const app = express();
+  app.use(express.static(FIXTURES_DIR));
+  const server = app.listen(0);
+  const baseUrl = `http://localhost:${server.address().port}`;
+
+  const failures = [];
+  const matchedSelectors = new Set();
+
+  try {
+    const browserInstance = await initBrowser();
+
+    for (const fileName of fixtures) {
+      const expectedPath = path.join(FIXTURES_DIR, fileName.replace(/\.html$/, '.expected.json'));
+      const actual = await extractFixture(browserInstance, baseUrl, fileName);
+      if (actual.matchedSelector) {
+        matchedSelectors.add(actual.matchedSelector);
+      }
+
+      if (UPDATE) {
+        fs.writeFileSync(expectedPath, `${JSON.stringify(actual, null, 2)}\n`);
+        console.log(`UPDATED ${path.basename(expectedPath)}`);
+        continue;
+      }
+
+      if (!fs.existsSync(expectedPath)) {
+        failures.push(`${fileName}: missing ${path.basename(expectedPath)} (run with --update)`);
+        console.log(`FAIL ${fileName}`);
+        continue;
+      }
+
+      try {
+        assert.deepStrictEqual(actual, JSON.parse(fs.readFileSync(expectedPath, 'utf8')));
+        const cardCount = actual.cards ? actual.cards.length : Number(Boolean(actual.card));
+        console.log(`PASS ${fileName} (${actual.matchedSelector || 'no cards'}, ${cardCount} cards)`);
+      } catch (error) {
+        failures.push(`${fileName}:\n${error.message}`);
+        console.log(`FAIL ${fileName}`);
+      }
+    }
+  } finally {
+    await closeBrowser();
+    server.close();
+  }
+
+  [...HOURLY_CARD_SELECTORS, ...DAILY_CARD_SELECTORS, ...CURRENT_CARD_SELECTORS, ...ALERT_CARD_SELECTORS]
+    .filter(selector => !matchedSelectors.has(selector))
+    .forEach(selector => failures.push(`No fixture exercises the card selector ${selector}`));
+
+  return failures;
+}
+
+checkFixtures()
+  .then((failures) => {
+    if (failures.length > 0) {
+      console.error(`\n${failures.length} problem(s):\n`);
+      failures.forEach(failure => console.error(`- ${failure}\n`));
+      process.exitCode = 1;
+      return;
+    }
+    console.log('\nAll AccuWeather fixtures passed');
+  })
+  .catch((error) => {
+    console.error('Failed to run fixture checks:', error.message);
+    process.exitCode = 1;
+  });
@@ -2,11 +2,16 @@ const express = require('express');
 const path = require('path');
 const fs = require('fs');
 const puppeteer = require('puppeteer');
+const { isDaylightAt } = require('../lib/sun');
 
 const PUBLIC_DIR = path.join(__dirname, '..', 'public');
 const SCREENSHOT_DIR = path.join(__dirname, '..', 'screenshots');
 const SCREENSHOT_PATH = path.join(SCREENSHOT_DIR, 'eink-ui.png');
 
+// Culver City, CA, so the mock day/night cards follow real sunrise and sunset
+const MOCK_LATITUDE = 34.021;
+const MOCK_LONGITUDE = -118.397;
+
 function buildMockForecast(hours = 12) {
   const now = new Date();
   const forecast = [];
@@ -14,8 +19,7 @@ function buildMockForecast(hours = 12) {
   for (let i = 0; i < hours; i += 1) {
     const dt = new Date(now);
     dt.setHours(now.getHours() + i, 0, 0, 0);
-    const hour = dt.getHours();
-    const isDaylight = hour >= 6 && hour < 20;
+    const isDaylight = isDaylightAt(dt, MOCK_LATITUDE, MOCK_LONGITUDE);
 
     forecast.push({
       datetime: dt.toISOString(),
@@ -42,8 +46,17 @@ async function generateScreenshot() {
   const app = express();
   app.use(express.static(PUBLIC_DIR));
 
+  app.get('/api/locations', (req, res) => {
+    res.json({
+      defaultLocation: 'culver-city',
+      locations: [{ id: 'culver-city', name: 'Culver City, CA' }]
+    });
+  });
+
   app.get('/api/hourly-forecast', (req, res) => {
     res.json({
+      locationId: 'culver-city',
+      timezone: 'America/Los_Angeles',
       location: 'Culver City, CA',
       forecast: buildMockForecast(),
       cachedAt: new Date().toISOString(),
@@ -0,0 +1,195 @@
+// Local stub for the Open-Meteo forecast API.
+// Serves deterministic hourly, daily and current data in Open-Meteo's JSON format so the open-meteo
+// provider can be exercised without network access. Point a location at it with:
+//   "provider": "open-meteo", "apiUrl": "http://localhost:8787/v1/forecast"
+// The response builders are also exported for tests that run their own stub.
+const express = require('express');
+
+const PORT = parseInt(process.env.STUB_PORT, 10) || 8787;
+const HOURS = 48;
+
+// Build a 48-hour Open-Meteo style response starting at the current UTC day
+function buildStubResponse(latitude, longitude) {
+  const start = new Date();
+  start.setUTCHours(0, 0, 0, 0);
+
+  const hourly = {
+    time: [],
+    temperature_2m: [],
+    precipitation_probability: [],
+    precipitation: [],
+    weather_code: [],
+    is_day: [],
+    apparent_temperature: [],
+    wind_speed_10m: [],
+    wind_direction_10m: [],
+    wind_gusts_10m: [],
+    relative_humidity_2m: [],
+    dew_point_2m: [],
+    uv_index: [],
+    cloud_cover: [],
+    visibility: []
+  };
+
+  for (let i = 0; i < HOURS; i += 1) {
+    const dt = new Date(start.getTime() + i * 60 * 60 * 1000);
+    const hour = dt.getUTCHours();
+    hourly.time.push(dt.toISOString().slice(0, 16));
+    const temperature = 60 + 10 * Math.sin((hour - 9) / 24 * 2 * Math.PI);
+    hourly.temperature_2m.push(Number(temperature.toFixed(1)));
+    hourly.apparent_temperature.push(Number((temperature - 2).toFixed(1)));
+    hourly.precipitation_probability.push((i * 7) % 100);
+    hourly.precipitation.push(Number(((i * 0.2) % 3).toFixed(1)));
+    hourly.weather_code.push([0, 1, 2, 3, 61][i % 5]);
+    hourly.is_day.push(hour >= 14 || hour < 2 ? 1 : 0);
+    hourly.wind_speed_10m.push(Number((8 + (i % 6) * 2.5).toFixed(1)));
+    hourly.wind_direction_10m.push((i * 30) % 360);
+    hourly.wind_gusts_10m.push(Number((15 + (i % 6) * 4).toFixed(1)));
+    hourly.relative_humidity_2m.push(50 + (i * 5) % 45);
+    hourly.dew_point_2m.push(Number((temperature - 12).toFixed(1)));
+    hourly.uv_index.push(hour >= 15 && hour < 24 ? Number((4 * Math.sin((hour - 15) / 9 * Math.PI)).toFixed(2)) : 0);
+    hourly.cloud_cover.push((i * 20) % 100);
+    hourly.visibility.push(24140 - (i % 4) * 4000);
+  }
+
+  return {
+    latitude,
+    longitude,
+    utc_offset_seconds: 0,
+    timezone: 'GMT',
+    hourly_units: {
+      time: 'iso8601',
+      temperature_2m: '°F',
+      precipitation_probability: '%',
+      precipitation: 'mm',
+      weather_code: 'wmo code',
+      is_day: '',
+      apparent_temperature: '°F',
+      wind_speed_10m: 'km/h',
+      wind_direction_10m: '°',
+      wind_gusts_10m: 'km/h',
+      relative_humidity_2m: '%',
+      dew_point_2m: '°F',
+      uv_index: '',
+      cloud_cover: '%',
+      visibility: 'm'
+    },
+    hourly
+  };
+}
+
+// Build a daily Open-Meteo style response for the requested number of days
+function buildStubDailyResponse(latitude, longitude, days) {
+  const start = new Date();
+  start.setUTCHours(0, 0, 0, 0);
+
+  const daily = {
+    time: [],
+    temperature_2m_max: [],
+    temperature_2m_min: [],
+    precipitation_probability_max: [],
+    weather_code: [],
+    sunrise: [],
+    sunset: []
+  };
+
+  for (let i = 0; i < days; i += 1) {
+    const date = new Date(start.getTime() + i * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    daily.time.push(date);
+    daily.temperature_2m_max.push(70 + (i % 4) * 2.4);
+    daily.temperature_2m_min.push(50 + (i % 3) * 1.7);
+    daily.precipitation_probability_max.push((i * 13) % 100);
+    daily.weather_code.push([0, 2, 3, 61, 95][i % 5]);
+    daily.sunrise.push(`${date}T06:${String(50 + (i % 10)).padStart(2, '0')}`);
+    daily.sunset.push(`${date}T17:${String(10 + i).padStart(2, '0')}`);
+  }
+
+  return {
+    latitude,
+    longitude,
+    utc_offset_seconds: 0,
+    timezone: 'GMT',
+    daily_units: {
+      time: 'iso8601',
+      temperature_2m_max: '°F',
+      temperature_2m_min: '°F',
+      precipitation_probability_max: '%',
+      weather_code: 'wmo code',
+      sunrise: 'iso8601',
+      sunset: 'iso8601'
+    },
+    daily
+  };
+}
+
+// Build a current-conditions Open-Meteo style response for the current quarter hour
+function buildStubCurrentResponse(latitude, longitude) {
+  const now = new Date();
+  now.setUTCMinutes(now.getUTCMinutes() - (now.getUTCMinutes() % 15), 0, 0);
+  const hour = now.getUTCHours() + now.getUTCMinutes() / 60;
+  const temperature = 60 + 10 * Math.sin((hour - 9) / 24 * 2 * Math.PI);
+
+  return {
+    latitude,
+    longitude,
+    utc_offset_seconds: 0,
+    timezone: 'GMT',
+    current_units: {
+      time: 'iso8601',
+      interval: 'seconds',
+      temperature_2m: '°F',
+      apparent_temperature: '°F',
+      weather_code: 'wmo code',
+      wind_speed_10m: 'km/h',
+      wind_direction_10m: '°',
+      wind_gusts_10m: 'km/h',
+      relative_humidity_2m: '%'
+    },
+    current: {
+      time: now.toISOString().slice(0, 16),
+      interval: 900,
+      temperature_2m: Number(temperature.toFixed(1)),
+      apparent_temperature: Number((temperature - 2).toFixed(1)),
+      weather_code: 2,
+      wind_speed_10m: 12.2,
+      wind_direction_10m: 250,
+      wind_gusts_10m: 24.5,
+      relative_humidity_2m: 64
+    }
+  };
+}
+
+// Answer a /v1/forecast request the way Open-Meteo would
+function handleForecastRequest(req, res) {
+  const latitude = Number(req.query.latitude);
+  const longitude = Number(req.query.longitude);
+  if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) {
+    return res.status(400).json({ error: true, reason: 'latitude and longitude are required' });
+  }
+  if (req.query.current) {
+    return res.json(buildStubCurrentResponse(latitude, longitude));
+  }
+  if (req.query.daily) {
+    const days = Math.min(Math.max(parseInt(req.query.forecast_days, 10) || 7, 1), 16);
+    return res.json(buildStubDailyResponse(latitude, longitude, days));
+  }
+  res.json(buildStubResponse(latitude, longitude));
+}
+
+if (require.main === module) {
+  const app = express();
+  app.get('/v1/forecast', (req, res) => {
+    console.log(`GET ${req.originalUrl}`);
+    handleForecastRequest(req, res);
+  });
+  app.listen(PORT, () => {
+    console.log(`Open-Meteo stub listening on http://localhost:${PORT}/v1/forecast`);
+  });
+}
+
+module.exports = {
+  buildStubResponse,
+  buildStubDailyResponse,
+  buildStubCurrentResponse,
+  handleForecastRequest
+};
@@ -1,35 +1,122 @@
 const express = require('express');
-const puppeteer = require('puppeteer');
 const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const path = require('path');
 const fs = require('fs');
-const sharp = require('sharp');
-const bmp = require('bmp-js');
+const crypto = require('crypto');
 require('dotenv').config();
+const DEBUG = require('./lib/debug');
+const { closeBrowser } = require('./lib/browser');
+const { captureScreenshots } = require('./lib/screenshot');
+const { renderForecastPng } = require('./lib/svg-renderer');
+const { getProvider } = require('./lib/providers');
+const { writeJsonAtomic, readJson } = require('./lib/state-file');
+const { createRun, createStatus, recordRun, sanitizeErrorMessage } = require('./lib/run-status');
+const { createEventStream } = require('./lib/event-stream');
+const { appendHistory, queryHistory, pruneHistory } = require('./lib/history-store');
+const { getActiveAlerts } = require('./lib/alerts');
+const { DEFAULT_TIME_ZONE, isValidTimeZone, dateKey, zonedTimeToUtc, toZonedIso } = require('./lib/timezone');
+const { getSunTimes, isDaylightAt } = require('./lib/sun');
+const {
+  SIGNIFICANT_TEMPERATURE_CHANGE,
+  SIGNIFICANT_PRECIPITATION_CHANGE,
+  compareForecasts,
+  buildRevisionSeries,
+  summarizeDrift
+} = require('./lib/forecast-drift');
+const {
+  MAX_RETRIES,
+  getRecovery,
+  isCircuitOpenAt
+} = require('./lib/retry-policy');
+const {
+  renderBmp,
+  renderFormats,
+  encodeFrame,
+  cropFrame,
+  getPalette,
+  getDither,
+  PALETTES,
+  DITHERS,
+  FRAMEBUFFER_ROW_ALIGNS,
+  FRAMEBUFFER_PLANES
+} = require('./lib/eink');
+const { hashFrame, diffFrames } = require('./lib/frame-diff');
+const { getDefaultSettings, mergeSettings, loadSettings, saveSettings } = require('./lib/settings-store');
+
+// Panel images directory (overridable via SCREENSHOTS_DIR)
+const SCREENSHOTS_DIR = process.env.SCREENSHOTS_DIR
+  ? path.resolve(process.env.SCREENSHOTS_DIR)
+  : path.join(__dirname, 'screenshots');
+
+// Default panel size (the viewportWidth/viewportHeight settings): the built-in panel
+// profile, panel profiles and /api/display.bmp without width/height
+const SCREENSHOT_WIDTH = 960;
+const SCREENSHOT_HEIGHT = 640;
+
+// Size limits for panel profiles and on-demand display renders (pixels per side)
+const DISPLAY_MIN_SIZE = 64;
+const DISPLAY_MAX_SIZE = 2048;
+
+// Supported panel rotations (degrees clockwise)
+const DISPLAY_ROTATIONS = [0, 90, 180, 270];
+
+// Palette used for each ?bits= value
+const DISPLAY_BITS_PALETTES = {
+  1: 'mono',
+  2: 'gray4',
+  4: 'gray16',
+  24: 'rgb'
+};
 
-// Screenshots directory
-const SCREENSHOTS_DIR = path.join(__dirname, 'screenshots');
+// Screenshot output palette and dithering (see lib/eink.js)
+const DISPLAY_PALETTE = process.env.DISPLAY_PALETTE || 'rgb';
+const DISPLAY_DITHER = process.env.DISPLAY_DITHER || 'floyd-steinberg';
+// Fail fast on a misconfigured palette or dither
+getPalette(DISPLAY_PALETTE);
+getDither(DISPLAY_DITHER);
+
+// How display images are drawn: "browser" screenshots the web UI with Puppeteer,
+// "svg" builds the same cards as SVG and rasterizes them with sharp (no Chrome needed)
+const DISPLAY_RENDERERS = ['browser', 'svg'];
+const DISPLAY_RENDERER = process.env.DISPLAY_RENDERER || 'browser';
+if (!DISPLAY_RENDERERS.includes(DISPLAY_RENDERER)) {
+  throw new Error(`Unknown DISPLAY_RENDERER "${DISPLAY_RENDERER}" (available: ${DISPLAY_RENDERERS.join(', ')})`);
+}
 
-// Debug logging helper - outputs timestamped, categorized messages to terminal
-const DEBUG = {
-  log: (category, ...args) => {
-    const ts = new Date().toISOString();
-    const prefix = `[${ts}] [${category}]`;
-    console.log(prefix, ...args);
-  },
-  warn: (category, ...args) => {
-    const ts = new Date().toISOString();
-    const prefix = `[${ts}] [${category}] WARN:`;
-    console.warn(prefix, ...args);
-  },
-  error: (category, ...args) => {
-    const ts = new Date().toISOString();
-    const prefix = `[${ts}] [${category}] ERROR:`;
-    console.error(prefix, ...args);
-  }
-};
+// Page layouts shared by the web UI and both renderers: the card grid, a vertical list,
+// a large "Now" block over an hourly strip, and a dense table. Locations can pick their
+// own; DISPLAY_LAYOUT is the default for the rest.
+const DISPLAY_LAYOUTS = ['grid', 'list', 'hero', 'table'];
+const DISPLAY_LAYOUT = process.env.DISPLAY_LAYOUT || 'grid';
+if (!DISPLAY_LAYOUTS.includes(DISPLAY_LAYOUT)) {
+  throw new Error(`Unknown DISPLAY_LAYOUT "${DISPLAY_LAYOUT}" (available: ${DISPLAY_LAYOUTS.join(', ')})`);
+}
+
+// Persistent state directory (overridable via DATA_DIR)
+const DATA_DIR = process.env.DATA_DIR
+  ? path.resolve(process.env.DATA_DIR)
+  : path.join(__dirname, 'data');
+
+// Forecast cache file, restored at startup so the API is useful before the first scrape finishes
+const CACHE_FILE = path.join(DATA_DIR, 'forecast-cache.json');
+
+// Every scrape's forecast, kept for /api/history (see lib/history-store.js)
+const HISTORY_DIR = path.join(DATA_DIR, 'history');
+
+// Days of history kept (overridable via HISTORY_RETENTION_DAYS, 0 keeps everything).
+// History is deleted a month file at a time, once all of a month is older than this.
+const HISTORY_RETENTION_DAYS = process.env.HISTORY_RETENTION_DAYS === undefined
+  ? 365
+  : Number(process.env.HISTORY_RETENTION_DAYS);
+if (!Number.isInteger(HISTORY_RETENTION_DAYS) || HISTORY_RETENTION_DAYS < 0) {
+  throw new Error(`HISTORY_RETENTION_DAYS must be a whole number of days, got "${process.env.HISTORY_RETENTION_DAYS}"`);
+}
+
+// Version and pixel hash of each saved panel image, so an identical render after a
+// restart doesn't count as a change
+const PANEL_IMAGES_FILE = path.join(DATA_DIR, 'panel-images.json');
 
 const app = express();
 
@@ -93,21 +180,37 @@ const allowedOrigins = process.env.ALLOWED_ORIGINS
   ? process.env.ALLOWED_ORIGINS.split(',').map(origin => origin.trim())
   : [`http://localhost:${PORT}`];
 
-app.use(cors({
-  origin: function (origin, callback) {
-    // Allow requests with no origin (like mobile apps, curl, or same-origin)
-    if (!origin) return callback(null, true);
-    
-    if (allowedOrigins.includes(origin) || allowedOrigins.includes('*')) {
-      callback(null, true);
-    } else {
-      callback(new Error('Not allowed by CORS'));
-    }
-  },
-  methods: ['GET', 'OPTIONS'],
-  optionsSuccessStatus: 200
+app.use(cors((req, optionsCallback) => {
+  optionsCallback(null, {
+    origin: function (origin, callback) {
+      // Allow requests with no origin (like mobile apps, curl, or same-origin GETs)
+      if (!origin) return callback(null, true);
+
+      // Browsers also send Origin on same-origin PUTs (the admin page), whatever host
+      // the server is reached under
+      const sameOrigin = origin === `${req.protocol}://${req.get('host')}`;
+      if (sameOrigin || allowedOrigins.includes(origin) || allowedOrigins.includes('*')) {
+        callback(null, true);
+      } else {
+        callback(new Error('Not allowed by CORS'));
+      }
+    },
+    methods: ['GET', 'PUT', 'OPTIONS'],
+    optionsSuccessStatus: 200
+  });
 }));
 
+// Header and random per-process value the browser renderer sends with every request of
+// the pages it captures, so its own /api traffic isn't rate limited
+const RENDER_HEADER = 'x-display-render';
+const RENDER_TOKEN = crypto.randomBytes(16).toString('hex');
+
+// Whether a request comes from the browser renderer capturing a panel image
+function isRenderRequest(req) {
+  const loopback = ['127.0.0.1', '::1', '::ffff:127.0.0.1'].includes(req.socket.remoteAddress);
+  return loopback && req.get(RENDER_HEADER) === RENDER_TOKEN;
+}
+
 // Rate limiting - prevent DoS attacks
 const apiLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
@@ -115,6 +218,8 @@ const apiLimiter = rateLimit({
   message: { error: 'Too many requests, please try again later.' },
   standardHeaders: true,
   legacyHeaders: false,
+  // Every capture loads the whole UI; counting those would lock out real clients
+  skip: isRenderRequest
 });
 
 // Apply rate limiting to API routes
@@ -164,696 +269,2181 @@ app.use(express.static(path.join(__dirname, 'public'), {
   }
 }));
 
-// Serve screenshots directory as static files
-app.use('/screenshots', express.static(SCREENSHOTS_DIR));
+// Content hashes of files in screenshots/, keyed by file name
+const screenshotInfo = new Map();
 
-// AccuWeather URL for Culver City hourly forecast
-const ACCUWEATHER_URL = 'https://www.accuweather.com/en/us/culver-city/90232/hourly-weather-forecast/332093';
-// AccuWeather URL for tomorrow's hourly forecast
-const ACCUWEATHER_TOMORROW_URL = 'https://www.accuweather.com/en/us/culver-city/90232/hourly-weather-forecast/332093?day=2';
+// Hex SHA-256 of an image, used as its ETag and as the hash in device manifests
+function hashImage(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
 
-// Threshold for fetching tomorrow's data (hours remaining in day)
-const TOMORROW_FETCH_THRESHOLD_HOURS = 12;
+// Hash and modification time of a screenshot file, re-hashed only when the file changes
+function getScreenshotInfo(fileName) {
+  const filePath = path.join(SCREENSHOTS_DIR, fileName);
+  let stat;
+  try {
+    stat = fs.statSync(filePath);
+  } catch {
+    return null;
+  }
 
-// Data refresh interval (1 hour in milliseconds)
-const DATA_REFRESH_INTERVAL = 60 * 60 * 1000;
+  const known = screenshotInfo.get(fileName);
+  if (known && known.modifiedAt.getTime() === stat.mtime.getTime()) {
+    return known;
+  }
 
-// Initialize browser instance (reused for better performance)
-let browser = null;
+  const info = {
+    hash: hashImage(fs.readFileSync(filePath)),
+    modifiedAt: stat.mtime
+  };
+  screenshotInfo.set(fileName, info);
+  return info;
+}
 
-// Cached weather data
-let cachedWeatherData = null;
-let lastFetchTime = null;
-let isFetching = false;
+// Serve screenshots directory as static files
+// Panel images (BMP, raw framebuffer, PNG) get a content-hash ETag so polling devices can
+// use If-None-Match; send() answers conditional requests (If-None-Match /
+// If-Modified-Since) with 304 on its own.
+app.use('/screenshots', express.static(SCREENSHOTS_DIR, {
+  setHeaders: (res, filePath) => {
+    if (/\.(bmp|bin|png)$/.test(filePath)) {
+      const info = getScreenshotInfo(path.basename(filePath));
+      if (info) {
+        res.setHeader('ETag', `"${info.hash}"`);
+      }
+      res.setHeader('Cache-Control', 'no-cache');
+    }
+  }
+}));
 
-// Ensure screenshots directory exists
-function ensureScreenshotsDirExists() {
-  if (!fs.existsSync(SCREENSHOTS_DIR)) {
-    fs.mkdirSync(SCREENSHOTS_DIR, { recursive: true });
-    DEBUG.log('SCREENSHOT', `Created directory: ${SCREENSHOTS_DIR}`);
+// Locations config file (overridable via LOCATIONS_FILE)
+const LOCATIONS_FILE = process.env.LOCATIONS_FILE
+  ? path.resolve(process.env.LOCATIONS_FILE)
+  : path.join(__dirname, 'config', 'locations.json');
+
+// Fallback location used when no config file is present
+const DEFAULT_LOCATIONS = [
+  {
+    id: 'culver-city',
+    name: 'Culver City, CA',
+    timezone: 'America/Los_Angeles',
+    latitude: 34.021,
+    longitude: -118.397,
+    url: 'https://www.accuweather.com/en/us/culver-city/90232/hourly-weather-forecast/332093'
   }
-}
+];
+
+// Shortest refresh interval a location may configure (5 minutes in milliseconds)
+const MIN_REFRESH_INTERVAL = 5 * 60 * 1000;
+
+// Settings editable at runtime on the admin page (see lib/settings-store.js), saved in
+// DATA_DIR and applied without a restart by applySettings()
+const SETTINGS_FILE = path.join(DATA_DIR, 'settings.json');
+
+const SETTINGS_SCHEMA = {
+  refreshIntervalMinutes: {
+    type: 'integer',
+    default: 60,
+    min: MIN_REFRESH_INTERVAL / 60 / 1000,
+    max: 24 * 60,
+    label: 'Forecast refresh interval (minutes)',
+    description: 'How often each location\'s hourly forecast is fetched, unless its config sets refreshIntervalMinutes.'
+  },
+  // Current conditions go out of date much faster than the hourly forecast
+  currentRefreshIntervalMinutes: {
+    type: 'integer',
+    default: 15,
+    min: MIN_REFRESH_INTERVAL / 60 / 1000,
+    max: 24 * 60,
+    label: 'Current conditions refresh interval (minutes)',
+    description: 'How often current conditions and alerts are fetched, unless a location sets currentRefreshIntervalMinutes.'
+  },
+  tomorrowFetchThresholdHours: {
+    type: 'integer',
+    default: 12,
+    min: 0,
+    max: 24,
+    label: 'Fetch tomorrow below (hours left today)',
+    description: 'AccuWeather: also scrape tomorrow\'s hourly page when fewer hours than this remain in the day.'
+  },
+  forecastHours: {
+    type: 'integer',
+    default: 16,
+    min: 1,
+    max: 48,
+    label: 'Forecast hours kept',
+    description: 'Hours of each fetched forecast that are cached and served.'
+  },
+  viewportWidth: {
+    type: 'integer',
+    default: SCREENSHOT_WIDTH,
+    min: DISPLAY_MIN_SIZE,
+    max: DISPLAY_MAX_SIZE,
+    label: 'Default panel width (px)',
+    description: 'Width of panel profiles without their own width, and of /api/display.bmp without ?width=.'
+  },
+  viewportHeight: {
+    type: 'integer',
+    default: SCREENSHOT_HEIGHT,
+    min: DISPLAY_MIN_SIZE,
+    max: DISPLAY_MAX_SIZE,
+    label: 'Default panel height (px)',
+    description: 'Height of panel profiles without their own height, and of /api/display.bmp without ?height=.'
+  },
+  timeFormat: {
+    type: 'choice',
+    default: '24',
+    choices: ['24', '12'],
+    label: 'Time format',
+    description: 'Clock used on panel images and by browsers that haven\'t picked one.'
+  },
+  displayMode: {
+    type: 'choice',
+    default: 'eink',
+    choices: ['eink', 'color'],
+    label: 'Display mode',
+    description: 'B/W e-ink or color styling for panel images and browsers that haven\'t picked one.'
+  }
+};
 
-async function initBrowser() {
-  if (!browser) {
-    const launchOptions = {
-      headless: true,
-      args: [
-        '--no-sandbox',
-        '--disable-setuid-sandbox',
-        '--disable-blink-features=AutomationControlled',
-        '--disable-dev-shm-usage',
-        '--disable-gpu',
-        '--disable-software-rasterizer',
-        '--disable-extensions',
-        '--single-process',
-        '--no-zygote'
-      ]
-    };
+let settings = loadSettings(SETTINGS_FILE, SETTINGS_SCHEMA);
 
-    DEBUG.log('BROWSER', 'Initializing Puppeteer browser...');
+// Display defaults the web UI falls back to when the browser has no saved choice
+function getPublicSettings() {
+  return {
+    timeFormat: settings.timeFormat,
+    displayMode: settings.displayMode
+  };
+}
 
-    try {
-      browser = await puppeteer.launch(launchOptions);
-      DEBUG.log('BROWSER', 'Browser launched successfully (bundled Chrome)');
-    } catch (error) {
-      DEBUG.error('BROWSER', 'Failed to launch bundled Chrome:', error.message);
-      DEBUG.log('BROWSER', 'Attempting fallback to system Chrome/Chromium...');
-
-      const systemChromePaths = [
-        '/usr/bin/google-chrome',
-        '/usr/local/bin/google-chrome',
-        '/usr/bin/google-chrome-stable',
-        '/usr/bin/chromium-browser',
-        '/usr/bin/chromium'
-      ];
-
-      let executablePath = null;
-      for (const chromePath of systemChromePaths) {
-        if (fs.existsSync(chromePath)) {
-          executablePath = chromePath;
-          break;
-        }
-      }
+// Interval in ms from a "...Minutes" config value, clamped to MIN_REFRESH_INTERVAL
+function parseRefreshMinutes(value, fallback) {
+  const minutes = Number(value);
+  return Number.isFinite(minutes) && minutes > 0
+    ? Math.max(minutes * 60 * 1000, MIN_REFRESH_INTERVAL)
+    : fallback;
+}
 
-      if (executablePath) {
-        DEBUG.log('BROWSER', `Using system Chrome at: ${executablePath}`);
-        browser = await puppeteer.launch({
-          ...launchOptions,
-          executablePath
-        });
-        DEBUG.log('BROWSER', 'Browser launched successfully (system Chrome)');
-      } else {
-        DEBUG.error('BROWSER', 'No Chrome/Chromium executable found in:', systemChromePaths.join(', '));
-        throw new Error('Failed to launch browser: No Chrome/Chromium executable found. Error code 2 typically indicates missing browser binary or dependencies.');
-      }
-    }
+// Location ids end up in file names and query strings, so keep them simple
+const LOCATION_ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,63}$/;
+
+// Optional coordinates of a location, used to compute sunrise, sunset and day/night
+// locally (providers that query by coordinates require them themselves)
+function parseCoordinates(entry) {
+  if (entry.latitude === undefined && entry.longitude === undefined) {
+    return { latitude: null, longitude: null };
+  }
+  const latitude = Number(entry.latitude);
+  const longitude = Number(entry.longitude);
+  if (!Number.isFinite(latitude) || latitude < -90 || latitude > 90) {
+    throw new Error(`Location "${entry.id}" needs a latitude between -90 and 90`);
   }
-  return browser;
+  if (!Number.isFinite(longitude) || longitude < -180 || longitude > 180) {
+    throw new Error(`Location "${entry.id}" needs a longitude between -180 and 180`);
+  }
+  return { latitude, longitude };
 }
 
-// Take a screenshot of the server's own web UI and save as BMP
-async function saveScreenshotAsBmp() {
-  let screenshotPage = null;
-  const startTime = Date.now();
-  try {
-    DEBUG.log('SCREENSHOT', 'Starting screenshot capture...');
-    ensureScreenshotsDirExists();
+// Validate a single location entry from the config file
+function normalizeLocation(entry, index) {
+  if (!entry || typeof entry !== 'object') {
+    throw new Error(`Location #${index + 1} must be an object`);
+  }
+  if (typeof entry.id !== 'string' || !LOCATION_ID_PATTERN.test(entry.id)) {
+    throw new Error(`Location #${index + 1} has an invalid id (use lowercase letters, digits and dashes)`);
+  }
 
-    const browserInstance = await initBrowser();
-    screenshotPage = await browserInstance.newPage();
-    DEBUG.log('SCREENSHOT', 'New page opened, setting viewport 960x640');
+  if (entry.timezone !== undefined && !isValidTimeZone(entry.timezone)) {
+    throw new Error(`Location "${entry.id}" has an unknown timezone (use an IANA name like "America/Los_Angeles")`);
+  }
+  if (entry.layout !== undefined && !DISPLAY_LAYOUTS.includes(entry.layout)) {
+    throw new Error(`Location "${entry.id}" has an unknown layout (available: ${DISPLAY_LAYOUTS.join(', ')})`);
+  }
 
-    await screenshotPage.setViewport({ width: 960, height: 640 });
+  const provider = getProvider(entry.provider);
+  const ownRefreshInterval = parseRefreshMinutes(entry.refreshIntervalMinutes, null);
+  const ownCurrentRefreshInterval = parseRefreshMinutes(entry.currentRefreshIntervalMinutes, null);
+
+  return {
+    id: entry.id,
+    name: typeof entry.name === 'string' && entry.name.trim() ? entry.name.trim() : entry.id,
+    provider: provider.name,
+    // Forecast times are wall-clock times in this zone; defaults to the server's
+    timezone: entry.timezone !== undefined ? entry.timezone : DEFAULT_TIME_ZONE,
+    ...parseCoordinates(entry),
+    layout: entry.layout !== undefined ? entry.layout : DISPLAY_LAYOUT,
+    // The location's own intervals, or null to follow the refresh interval settings
+    ownRefreshInterval,
+    ownCurrentRefreshInterval,
+    ...getRefreshIntervals({ ownRefreshInterval, ownCurrentRefreshInterval }),
+    ...provider.normalizeConfig(entry)
+  };
+}
 
-    DEBUG.log('SCREENSHOT', `Navigating to http://localhost:${PORT}...`);
-    await screenshotPage.goto(`http://localhost:${PORT}`, {
-      waitUntil: 'networkidle2',
-      timeout: 30000
-    });
+// Effective refresh intervals of a location: its own, else the settings'
+function getRefreshIntervals(location) {
+  return {
+    refreshInterval: location.ownRefreshInterval || settings.refreshIntervalMinutes * 60 * 1000,
+    currentRefreshInterval: location.ownCurrentRefreshInterval || settings.currentRefreshIntervalMinutes * 60 * 1000
+  };
+}
 
-    DEBUG.log('SCREENSHOT', 'Waiting for weather grid to load...');
-    await screenshotPage.waitForFunction(() => {
-      const grid = document.getElementById('weather-grid');
-      return grid && grid.children.length > 0;
-    }, { timeout: 15000 });
+// Load the list of forecast locations from the config file
+function loadLocations() {
+  if (!fs.existsSync(LOCATIONS_FILE)) {
+    DEBUG.warn('CONFIG', `Locations file not found at ${LOCATIONS_FILE}, using built-in default`);
+    return DEFAULT_LOCATIONS.map(normalizeLocation);
+  }
 
-    await new Promise(resolve => setTimeout(resolve, 500));
-    DEBUG.log('SCREENSHOT', 'Capturing PNG screenshot...');
-
-    const pngBuffer = await screenshotPage.screenshot({ fullPage: false });
-    
-    await screenshotPage.close();
-    screenshotPage = null;
-    
-    // Resize image and get raw RGBA pixel data
-    // Use ensureAlpha() to guarantee 4 channels (RGBA) regardless of input format
-    const { data, info } = await sharp(pngBuffer)
-      .resize(960, 640)
-      .ensureAlpha()
-      .raw()
-      .toBuffer({ resolveWithObject: true });
-    
-    const width = info.width;
-    const height = info.height;
-    
-    // bmp-js expects pixel data in ABGR format, but sharp outputs RGBA
-    // We need to convert RGBA to ABGR by swapping channels:
-    // RGBA: [R, G, B, A] -> ABGR: [A, B, G, R]
-    const abgrData = Buffer.alloc(data.length);
-    for (let i = 0; i < data.length; i += 4) {
-      abgrData[i] = data[i + 3];     // A (from position 3)
-      abgrData[i + 1] = data[i + 2]; // B (from position 2)
-      abgrData[i + 2] = data[i + 1]; // G (from position 1)
-      abgrData[i + 3] = data[i];     // R (from position 0)
-    }
-    
-    // Encode as BMP
-    const bmpData = bmp.encode({
-      data: abgrData,
-      width: width,
-      height: height
-    });
-    
-    const bmpPath = path.join(SCREENSHOTS_DIR, 'current.bmp');
-    fs.writeFileSync(bmpPath, bmpData.data);
-    const duration = Date.now() - startTime;
+  const raw = JSON.parse(fs.readFileSync(LOCATIONS_FILE, 'utf8'));
+  const entries = Array.isArray(raw) ? raw : raw.locations;
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw new Error(`No locations defined in ${LOCATIONS_FILE}`);
+  }
 
-    DEBUG.log('SCREENSHOT', `Saved to ${bmpPath} | ${width}x${height} | ${(bmpData.data.length / 1024).toFixed(1)} KB | ${duration}ms total`);
-  } catch (error) {
-    if (screenshotPage) {
-      await screenshotPage.close().catch(() => {});
+  const locations = entries.map(normalizeLocation);
+  const seen = new Set();
+  for (const location of locations) {
+    if (seen.has(location.id)) {
+      throw new Error(`Duplicate location id "${location.id}" in ${LOCATIONS_FILE}`);
     }
-    DEBUG.error('SCREENSHOT', error.message);
-    DEBUG.error('SCREENSHOT', 'Stack:', error.stack);
+    seen.add(location.id);
   }
+  return locations;
 }
 
-// Calculate hours remaining until midnight
-function getHoursRemainingInDay() {
-  const now = new Date();
-  const midnight = new Date(now);
-  midnight.setHours(24, 0, 0, 0); // Set to next midnight
-  const msRemaining = midnight.getTime() - now.getTime();
-  return msRemaining / (1000 * 60 * 60);
-}
+const LOCATIONS = loadLocations();
 
-// Scrape hourly forecast data from a specific AccuWeather URL
-async function scrapeHourlyFromUrl(browserInstance, url, isTomorrow = false) {
-  let page = null;
-  const pageLabel = isTomorrow ? 'tomorrow' : 'today';
-  const startTime = Date.now();
-  try {
-    DEBUG.log('SCRAPE', `[${pageLabel}] Opening new page...`);
-    page = await browserInstance.newPage();
-
-    await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
-    await page.setViewport({ width: 1920, height: 1080 });
-
-    await page.setExtraHTTPHeaders({
-      'Accept-Language': 'en-US,en;q=0.9',
-      'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
-      'Accept-Encoding': 'gzip, deflate, br',
-      'Connection': 'keep-alive',
-      'Upgrade-Insecure-Requests': '1'
-    });
+// The first configured location is served when no location id is requested
+// and is the one written to screenshots/current.bmp
+const DEFAULT_LOCATION_ID = LOCATIONS[0].id;
 
-    DEBUG.log('SCRAPE', `[${pageLabel}] Navigating to ${url}...`);
-    await page.goto(url, {
-      waitUntil: 'networkidle2',
-      timeout: 60000
-    });
+// Panel profiles config file (overridable via PANELS_FILE)
+const PANELS_FILE = process.env.PANELS_FILE
+  ? path.resolve(process.env.PANELS_FILE)
+  : path.join(__dirname, 'config', 'panels.json');
 
-    DEBUG.log('SCRAPE', `[${pageLabel}] Page loaded, waiting 3s for dynamic content...`);
-    await new Promise(resolve => setTimeout(resolve, 3000));
+// Used when no panels file exists: the original single screenshot per location, in the
+// viewport size from the settings (960x640 by default)
+const DEFAULT_PANELS = [
+  {
+    id: 'default',
+    filename: '{location}.bmp'
+  }
+];
+
+// Output file names: plain names in screenshots/, with {location} and {panel} placeholders.
+// The extension is replaced by each output format's own.
+const PANEL_FILENAME_PATTERN = /^[A-Za-z0-9_.{}-]+\.(bmp|bin|png)$/;
+
+// Files a panel profile can write per location: BMP, raw framebuffer (with a .json
+// sidecar describing it) and PNG, all from the same capture
+const PANEL_FORMATS = ['bmp', 'bin', 'png'];
+
+// Validate a single panel profile from the config file. Geometry, palette, dither and
+// layout are checked like the /api/display.bmp parameters; palette, dither and layout
+// default to DISPLAY_PALETTE, DISPLAY_DITHER and each location's layout.
+function normalizePanel(entry, index) {
+  if (!entry || typeof entry !== 'object') {
+    throw new Error(`Panel #${index + 1} must be an object`);
+  }
+  if (typeof entry.id !== 'string' || !LOCATION_ID_PATTERN.test(entry.id)) {
+    throw new Error(`Panel #${index + 1} has an invalid id (use lowercase letters, digits and dashes)`);
+  }
 
-    DEBUG.log('SCRAPE', `[${pageLabel}] Waiting for hourly forecast selectors (timeout 30s)...`);
-    try {
-      await page.waitForFunction(() => {
-        return document.querySelector('.hourly-card') || 
-               document.querySelector('[data-qa="hourlyCard"]') ||
-               document.querySelector('.hourly-list-item') ||
-               document.querySelector('.hourly-wrapper .card') ||
-               document.querySelector('.hourly-forecast') ||
-               document.querySelector('[class*="hourly"]') ||
-               document.querySelector('[class*="Hourly"]');
-      }, { timeout: 30000 });
-    } catch (waitError) {
-      DEBUG.warn('SCRAPE', `[${pageLabel}] Selector wait timed out: ${waitError.message}. Attempting extraction anyway...`);
-    }
-
-    DEBUG.log('SCRAPE', `[${pageLabel}] Extracting location name and forecast data...`);
-    // Extract the city/location name from the page (only for first page)
-    let locationName = null;
-    if (!isTomorrow) {
-      locationName = await page.evaluate(() => {
-        // Try multiple selectors to find the location name
-        const locationSelectors = [
-          '.subnav-title',
-          '.header-city-link',
-          '.current-city',
-          '[data-qa="headerLocation"]',
-          '.location-name',
-          '.header-loc',
-          'h1.location',
-          '.subnav .title',
-          '.header .location'
-        ];
-        
-        let rawLocation = null;
-        
-        for (const selector of locationSelectors) {
-          const elem = document.querySelector(selector);
-          if (elem && elem.textContent.trim()) {
-            rawLocation = elem.textContent.trim();
-            break;
-          }
-        }
-        
-        // Try to find location in the page title or meta tags
-        if (!rawLocation) {
-          const pageTitle = document.title;
-          if (pageTitle) {
-            // AccuWeather titles are typically like "City Name Weather - AccuWeather"
-            const titleMatch = pageTitle.match(/^(.+?)\s*(?:Weather|Hourly|Daily|Forecast)/i);
-            if (titleMatch) {
-              rawLocation = titleMatch[1].trim();
-            }
-          }
-        }
-        
-        // Fallback: look for any header element with location-like content
-        if (!rawLocation) {
-          const headers = document.querySelectorAll('h1, h2, .header-title');
-          for (const header of headers) {
-            const text = header.textContent.trim();
-            // Check if it looks like a location (contains city-like patterns)
-            if (text && text.length < 100 && !text.toLowerCase().includes('hourly') && !text.toLowerCase().includes('forecast')) {
-              rawLocation = text;
-              break;
-            }
-          }
-        }
-        
-        // Remove temperature from the location name (e.g., "Culver City 72°" -> "Culver City")
-        if (rawLocation) {
-          // Remove temperature patterns like "72°", "72°F", "72 °F", "-5°C", etc.
-          rawLocation = rawLocation.replace(/\s*-?\d+\s*°[FCfc]?\s*$/g, '').trim();
-        }
-        
-        return rawLocation;
-      });
+  const { options, error } = parseDisplayOptions(entry);
+  if (error) {
+    throw new Error(`Panel "${entry.id}": ${error}`);
+  }
+
+  let locationIds = null;
+  if (entry.locations !== undefined) {
+    if (!Array.isArray(entry.locations) || entry.locations.length === 0) {
+      throw new Error(`Panel "${entry.id}" needs a non-empty list of location ids in "locations"`);
+    }
+    const unknown = entry.locations.find(id => !LOCATIONS.some(location => location.id === id));
+    if (unknown !== undefined) {
+      throw new Error(`Panel "${entry.id}" lists unknown location "${unknown}"`);
     }
+    locationIds = entry.locations;
+  }
 
-    // Extract hourly forecast data
-    const forecastData = await page.evaluate((isTomorrowPage) => {
-      // AccuWeather uses .accordion-item.hour for each hourly forecast card
-      let cards = Array.from(document.querySelectorAll('.accordion-item.hour'));
-      
-      // Fallback selectors if the primary one doesn't work
-      if (cards.length === 0) {
-        cards = Array.from(document.querySelectorAll('[data-qa].hour'));
-      }
-      if (cards.length === 0) {
-        cards = Array.from(document.querySelectorAll('.hourly-card'));
-      }
-      if (cards.length === 0) {
-        cards = Array.from(document.querySelectorAll('[data-qa="hourlyCard"]'));
-      }
-      if (cards.length === 0) {
-        cards = Array.from(document.querySelectorAll('.hourly-list-item'));
-      }
-      
-      // Limit to 16 hours
-      cards = cards.slice(0, 16);
-      
-      const now = new Date();
-      // For tomorrow's page, set base date to tomorrow
-      const baseDate = new Date(now);
-      if (isTomorrowPage) {
-        baseDate.setDate(baseDate.getDate() + 1);
-      }
-      
-      return cards.map((card, index) => {
-        // Extract time from h2.date or other time elements
-        let timeText = '';
-        const timeSelectors = [
-          'h2.date',
-          'h2.date > div',
-          '.date',
-          '.hourly-card-header .time',
-          '.time',
-          '[data-qa="time"]',
-          '.hourly-time',
-          'h3'
-        ];
-        for (const selector of timeSelectors) {
-          const elem = card.querySelector(selector);
-          if (elem) {
-            timeText = elem.textContent.trim();
-            break;
-          }
-        }
-        
-        // Extract actual temperature - specifically from .temp element that's NOT inside .real-feel
-        let temperature = null;
-        
-        // First, try to get the direct .temp element that's not inside .real-feel
-        const tempElem = card.querySelector('.hourly-card-subcontaint > .temp, .hourly-card-top .temp:not(.real-feel .temp)');
-        if (tempElem) {
-          const tempText = tempElem.textContent.trim();
-          const tempMatch = tempText.match(/(\d+)\s*°/);
-          if (tempMatch) {
-            temperature = parseInt(tempMatch[1]);
-          }
-        }
-        
-        // If not found, try other selectors but exclude .real-feel elements
-        if (temperature === null) {
-          const tempSelectors = [
-            '.temp',
-            '.temperature',
-            '[data-qa="temperature"]',
-            '.hourly-temp',
-            '.temp-value'
-          ];
-          for (const selector of tempSelectors) {
-            const elem = card.querySelector(selector);
-            if (elem) {
-              // Make sure this element is not inside a .real-feel container
-              const isInsideRealFeel = elem.closest('.real-feel') !== null;
-              if (isInsideRealFeel) continue;
-              
-              const tempText = elem.textContent.trim();
-              const tempMatch = tempText.match(/(\d+)\s*°/);
-              if (tempMatch) {
-                const temp = parseInt(tempMatch[1]);
-                if (temp >= 0 && temp <= 150) {
-                  temperature = temp;
-                  break;
-                }
-              }
-            }
-          }
-        }
-        
-        // Extract precipitation probability
-        let precipitation = 0;
-        const precipSelectors = [
-          '.precip',
-          '.precipitation',
-          '[data-qa="precipitation"]',
-          '.precip-prob',
-          '.precipitation-probability'
-        ];
-        for (const selector of precipSelectors) {
-          const elem = card.querySelector(selector);
-          if (elem) {
-            const precipText = elem.textContent.trim();
-            const precipMatch = precipText.match(/(\d+)%/);
-            if (precipMatch) {
-              precipitation = parseInt(precipMatch[1]);
-              break;
-            }
-          }
-        }
-        
-        // Extract precipitation amount
-        let precipitationAmount = 0;
-        let precipitationUnit = 'mm';
-        const precipAmountSelectors = [
-          '.precip-amount',
-          '.precipitation-amount',
-          '[data-qa="precipitationAmount"]'
-        ];
-        for (const selector of precipAmountSelectors) {
-          const elem = card.querySelector(selector);
-          if (elem) {
-            const precipAmountText = elem.textContent.trim();
-            const precipAmountMatch = precipAmountText.match(/([\d.]+)\s*(in|mm|inch|inches)/i);
-            if (precipAmountMatch) {
-              precipitationAmount = parseFloat(precipAmountMatch[1]);
-              const unit = precipAmountMatch[2].toLowerCase();
-              // Convert inches to mm (1 inch = 25.4 mm)
-              if (unit !== 'mm') {
-                precipitationAmount = precipitationAmount * 25.4;
-              }
-              precipitationUnit = 'mm';
-              break;
-            }
-          }
-        }
-        
-        // Extract icon phrase
-        let iconPhrase = '';
-        const phraseSelectors = [
-          '.phrase',
-          '.icon-phrase',
-          '[data-qa="phrase"]',
-          '.condition',
-          '.weather-phrase'
-        ];
-        for (const selector of phraseSelectors) {
-          const elem = card.querySelector(selector);
-          if (elem) {
-            iconPhrase = elem.textContent.trim();
-            break;
-          }
-        }
-        
-        // Parse time to determine hour
-        let hour24 = now.getHours() + index;
-        if (timeText) {
-          // AccuWeather uses format like "3 PM" or "3:00 PM"
-          const hourMatch = timeText.match(/(\d+)(?::\d+)?\s*(AM|PM)?/i);
-          if (hourMatch) {
-            let hour = parseInt(hourMatch[1]);
-            const period = hourMatch[2] ? hourMatch[2].toUpperCase() : null;
-            if (period === 'PM' && hour !== 12) {
-              hour24 = hour + 12;
-            } else if (period === 'AM' && hour === 12) {
-              hour24 = 0;
-            } else if (period) {
-              hour24 = hour;
-            }
-          }
-        }
-        
-        const isDaylight = hour24 >= 6 && hour24 < 20;
-        
-        // Create datetime using baseDate (today or tomorrow)
-        const forecastDate = new Date(baseDate);
-        forecastDate.setHours(hour24, 0, 0, 0);
-        forecastDate.setMinutes(0);
-        forecastDate.setSeconds(0);
-        forecastDate.setMilliseconds(0);
-        
-        // For today's page: if the time is earlier than current time, assume it's tomorrow
-        if (!isTomorrowPage && forecastDate < now) {
-          forecastDate.setDate(forecastDate.getDate() + 1);
-        }
-        
-        return {
-          datetime: forecastDate.toISOString(),
-          temperature: temperature,
-          temperatureUnit: 'F',
-          precipitation: precipitation,
-          precipitationAmount: precipitationAmount,
-          precipitationUnit: precipitationUnit,
-          icon: null,
-          iconPhrase: iconPhrase || 'Clear',
-          isDaylight: isDaylight
-        };
-      }).filter(hour => hour.temperature !== null);
-    }, isTomorrow);
-
-    const duration = Date.now() - startTime;
-    DEBUG.log('SCRAPE', `[${pageLabel}] Extracted ${forecastData.length} hours | Location: ${locationName || 'N/A'} | ${duration}ms`);
-
-    await page.close();
+  const filename = entry.filename !== undefined ? entry.filename : '{location}-{panel}.bmp';
+  if (typeof filename !== 'string' || !PANEL_FILENAME_PATTERN.test(filename)) {
+    throw new Error(`Panel "${entry.id}" has an invalid filename (a .bmp, .bin or .png name with optional {location} and {panel} placeholders)`);
+  }
 
-    return {
-      locationName,
-      forecastData
-    };
-  } catch (error) {
-    if (page) {
-      await page.close().catch(() => {});
-    }
-    DEBUG.error('SCRAPE', `[${pageLabel}] ${error.message}`);
-    DEBUG.error('SCRAPE', 'Stack:', error.stack);
-    throw error;
+  const formats = entry.formats !== undefined ? entry.formats : ['bmp'];
+  if (!Array.isArray(formats) || formats.length === 0 || formats.some(format => !PANEL_FORMATS.includes(format)) ||
+    new Set(formats).size !== formats.length) {
+    throw new Error(`Panel "${entry.id}" needs "formats" to list some of ${PANEL_FORMATS.join(', ')}`);
+  }
+  if (formats.includes('bin') && options.palette === 'rgb') {
+    throw new Error(`Panel "${entry.id}": a raw framebuffer needs an e-ink palette, not "rgb"`);
+  }
+
+  const rowAlign = entry.rowAlign === undefined ? 1 : entry.rowAlign;
+  if (!FRAMEBUFFER_ROW_ALIGNS.includes(rowAlign)) {
+    throw new Error(`Panel "${entry.id}": rowAlign must be one of ${FRAMEBUFFER_ROW_ALIGNS.join(', ')}`);
+  }
+  const planes = entry.planes === undefined ? 'packed' : entry.planes;
+  if (!FRAMEBUFFER_PLANES.includes(planes)) {
+    throw new Error(`Panel "${entry.id}": planes must be one of ${FRAMEBUFFER_PLANES.join(', ')}`);
+  }
+  if (planes === 'split' && !PALETTES[options.palette].planes) {
+    throw new Error(`Panel "${entry.id}": palette "${options.palette}" has no color planes to split (use bwr)`);
   }
+  // Several locations would overwrite each other's image
+  if (!filename.includes('{location}') && (locationIds || LOCATIONS).length > 1) {
+    throw new Error(`Panel "${entry.id}" renders several locations, so its filename needs a {location} placeholder`);
+  }
+
+  return {
+    id: entry.id,
+    ...options,
+    locations: locationIds,
+    filename,
+    formats,
+    rowAlign,
+    planes
+  };
 }
 
-// Scrape weather data from AccuWeather
-async function scrapeWeatherData() {
-  const startTime = Date.now();
-  try {
-    DEBUG.log('WEATHER', '========== Fetching weather data ==========');
-    const browserInstance = await initBrowser();
-
-    const hoursRemaining = getHoursRemainingInDay();
-    const shouldFetchTomorrow = hoursRemaining < TOMORROW_FETCH_THRESHOLD_HOURS;
-
-    DEBUG.log('WEATHER', `Hours remaining today: ${hoursRemaining.toFixed(1)} | Fetch tomorrow: ${shouldFetchTomorrow}`);
-
-    DEBUG.log('WEATHER', 'Scraping today\'s hourly forecast...');
-    const todayResult = await scrapeHourlyFromUrl(browserInstance, ACCUWEATHER_URL, false);
-    
-    let allForecastData = todayResult.forecastData;
-    const locationName = todayResult.locationName;
-    
-    if (shouldFetchTomorrow) {
-      DEBUG.log('WEATHER', 'Fetching tomorrow\'s hourly forecast...');
-      try {
-        const tomorrowResult = await scrapeHourlyFromUrl(browserInstance, ACCUWEATHER_TOMORROW_URL, true);
+// Load the panel profiles rendered after each refresh
+function loadPanels() {
+  if (!fs.existsSync(PANELS_FILE)) {
+    DEBUG.log('CONFIG', `Panels file not found at ${PANELS_FILE}, using the built-in ${settings.viewportWidth}x${settings.viewportHeight} panel`);
+    return DEFAULT_PANELS.map(normalizePanel);
+  }
 
-        if (tomorrowResult.forecastData.length > 0) {
-          const existingDatetimes = new Set(allForecastData.map(h => h.datetime));
-          const newTomorrowData = tomorrowResult.forecastData.filter(h => !existingDatetimes.has(h.datetime));
-          allForecastData = [...allForecastData, ...newTomorrowData];
+  const config = JSON.parse(fs.readFileSync(PANELS_FILE, 'utf8'));
+  const entries = Array.isArray(config) ? config : config.panels;
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw new Error(`${PANELS_FILE} must contain a non-empty "panels" array`);
+  }
 
-          DEBUG.log('WEATHER', `Merged ${newTomorrowData.length} hours from tomorrow's forecast`);
-        } else {
-          DEBUG.warn('WEATHER', 'Tomorrow\'s forecast returned 0 hours');
+  const panels = entries.map(normalizePanel);
+  const seenIds = new Set();
+  const seenFiles = new Set();
+  for (const panel of panels) {
+    if (seenIds.has(panel.id)) {
+      throw new Error(`Duplicate panel id "${panel.id}" in ${PANELS_FILE}`);
+    }
+    seenIds.add(panel.id);
+    for (const location of getPanelLocations(panel)) {
+      for (const format of getPanelFileFormats(panel)) {
+        const fileName = getPanelFileName(panel, location, format);
+        if (seenFiles.has(fileName) || fileName === 'current.bmp') {
+          throw new Error(`Panel "${panel.id}" writes ${fileName}, which another panel or current.bmp already uses`);
         }
-      } catch (tomorrowError) {
-        DEBUG.error('WEATHER', 'Tomorrow fetch failed:', tomorrowError.message);
+        seenFiles.add(fileName);
       }
     }
-    
-    // Validate that data was successfully scraped
-    if (allForecastData.length === 0) {
-      throw new Error('No forecast data found on page. The page structure may have changed.');
-    }
-    
-    // Sort by datetime to ensure chronological order
-    allForecastData.sort((a, b) => new Date(a.datetime) - new Date(b.datetime));
-    
-    // Limit to 16 hours total
-    allForecastData = allForecastData.slice(0, 16);
-
-    const scrapedLocation = locationName || 'Unknown Location';
-    const totalDuration = Date.now() - startTime;
-
-    DEBUG.log('WEATHER', '---------- Scraped temperatures ----------');
-    DEBUG.log('WEATHER', `Location: ${scrapedLocation} | ${allForecastData.length} hours | ${totalDuration}ms total`);
-    allForecastData.forEach((hour, index) => {
-      const date = new Date(hour.datetime);
-      const timeStr = date.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit', hour12: false });
-      const dateStr = date.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
-      DEBUG.log('WEATHER', `  ${index + 1}. ${dateStr} ${timeStr}: ${hour.temperature}°${hour.temperatureUnit} - ${hour.iconPhrase} (Precip: ${hour.precipitation}%)`);
-    });
-    DEBUG.log('WEATHER', '==========================================');
+  }
+  return panels;
+}
+
+// Locations a panel profile shows
+function getPanelLocations(panel) {
+  return panel.locations ? LOCATIONS.filter(location => panel.locations.includes(location.id)) : LOCATIONS;
+}
+
+// Extensions of every file a panel profile writes: its formats plus the framebuffer's sidecar
+function getPanelFileFormats(panel) {
+  return panel.formats.includes('bin') ? [...panel.formats, 'json'] : panel.formats;
+}
+
+// File in screenshots/ a panel profile writes for a location in one format
+// (default: the first listed, which is the one devices are pointed at)
+function getPanelFileName(panel, location, format = panel.formats[0]) {
+  return panel.filename
+    .replace(/\{location\}/g, location.id)
+    .replace(/\{panel\}/g, panel.id)
+    .replace(/\.(bmp|bin|png)$/, `.${format}`);
+}
+
+// Reloaded by applySettings() when the viewport settings change
+let PANELS = loadPanels();
+
+// Panel profiles rendered for a location, in config order
+function getLocationPanels(location) {
+  return PANELS.filter(panel => !panel.locations || panel.locations.includes(location.id));
+}
+
+// Per-location cache and refresh state, keyed by location id
+const locationStates = new Map(LOCATIONS.map(location => [location.id, {
+  location,
+  cachedWeatherData: null,
+  lastFetchTime: null,
+  nextRefreshAt: null,
+  isFetching: false,
+  // A settings change arrived during a fetch; refetch once it ends (see refetchForSettings())
+  refetchQueued: false,
+  status: createStatus(),
+  // Change of each forecast hour since the previous scrape, keyed by datetime
+  forecastChanges: new Map(),
+  // Latest daily outlook ({ fetchedAt, days }), refreshed along with the hourly forecast
+  dailyForecast: null,
+  // Latest current conditions ({ fetchedAt, data }), refreshed on their own interval
+  currentConditions: null,
+  isFetchingCurrent: false,
+  currentError: null,
+  nextCurrentRefreshAt: null,
+  // Latest scraped alerts ({ fetchedAt, alerts }), refreshed with the current conditions
+  alerts: null,
+  alertsError: null,
+  // Pending backoff retry or circuit breaker probe (see lib/retry-policy.js)
+  retryTimer: null,
+  nextRetryAt: null,
+  circuitOpenUntil: null,
+  // Interval timers of the scheduled refreshes (see scheduleRefreshes())
+  refreshTimer: null,
+  currentRefreshTimer: null,
+  // Latest saved image per panel id: { version, pixelHash, updatedAt, frame, changes },
+  // see savePanelImages()
+  panelImages: new Map(),
+  // Tail of the location's panel renders, which run one at a time
+  panelRenderQueue: Promise.resolve()
+}]));
+
+// Open /api/events streams for browsers that follow forecast updates live
+const liveUpdates = createEventStream({
+  maxClients: 50,
+  heartbeatInterval: 25 * 1000,
+  retryDelay: 5000
+});
+
+// Tell live clients that a location's refresh state changed (started, finished, failed)
+function publishStatus(state) {
+  const cacheAgeMinutes = state.lastFetchTime ? Math.round((Date.now() - state.lastFetchTime.getTime()) / 1000 / 60) : null;
+  liveUpdates.publish('status', {
+    locationId: state.location.id,
+    isFetching: state.isFetching,
+    ...buildFreshness(state, cacheAgeMinutes)
+  });
+}
+
+// Look up the state for a location id, falling back to the default location
+function getLocationState(locationId) {
+  return locationStates.get(locationId || DEFAULT_LOCATION_ID) || null;
+}
+
+// Cached data is stale once it is older than the location's refresh interval
+function isCacheStale(state) {
+  if (!state.lastFetchTime) return false;
+  return Date.now() - state.lastFetchTime.getTime() > state.location.refreshInterval;
+}
+
+// Whether scheduled refreshes are currently being skipped after repeated failures
+function isCircuitOpen(state) {
+  return isCircuitOpenAt(state.circuitOpenUntil);
+}
+
+// When the next refresh attempt for a location will happen
+function getNextAttemptAt(state) {
+  if (state.nextRetryAt) return state.nextRetryAt;
+  if (isCircuitOpen(state)) return state.circuitOpenUntil;
+  return state.nextRefreshAt;
+}
+
+// Why a location's forecast is stale, as { reason, message }, or null when it is fresh.
+// reason is one of: refreshing, circuit-open, refresh-failed, refresh-pending
+function getStaleness(state) {
+  if (!isCacheStale(state)) return null;
 
+  const { status } = state;
+  const lastError = status.lastError ? status.lastError.message : null;
+  if (state.isFetching) {
+    return { reason: 'refreshing', message: 'A refresh is in progress.' };
+  }
+  if (isCircuitOpen(state)) {
     return {
-      location: scrapedLocation,
-      forecast: allForecastData
+      reason: 'circuit-open',
+      message: `Updates are paused after ${status.consecutiveFailures} failed attempts (${lastError}). Next attempt at ${state.circuitOpenUntil.toISOString()}.`
     };
-  } catch (error) {
-    throw error;
   }
+  if (status.consecutiveFailures > 0) {
+    const nextAttemptAt = getNextAttemptAt(state);
+    return {
+      reason: 'refresh-failed',
+      message: `The last ${status.consecutiveFailures === 1 ? 'refresh' : `${status.consecutiveFailures} refreshes`} failed (${lastError}).` +
+        (nextAttemptAt ? ` Next attempt at ${nextAttemptAt.toISOString()}.` : '')
+    };
+  }
+  return { reason: 'refresh-pending', message: 'The scheduled refresh has not completed yet.' };
 }
 
-// Fetch and cache weather data
-async function updateWeatherData() {
-  if (isFetching) {
-    DEBUG.log('CACHE', 'Fetch already in progress, skipping duplicate update');
-    return;
+// Write every location's cached forecast to the cache file
+function persistWeatherCache() {
+  const locations = {};
+  for (const [id, state] of locationStates) {
+    if (state.cachedWeatherData) {
+      locations[id] = {
+        fetchedAt: state.lastFetchTime.toISOString(),
+        data: state.cachedWeatherData,
+        daily: state.dailyForecast ? {
+          fetchedAt: state.dailyForecast.fetchedAt.toISOString(),
+          days: state.dailyForecast.days
+        } : null,
+        current: state.currentConditions ? {
+          fetchedAt: state.currentConditions.fetchedAt.toISOString(),
+          data: state.currentConditions.data
+        } : null,
+        alerts: state.alerts ? {
+          fetchedAt: state.alerts.fetchedAt.toISOString(),
+          alerts: state.alerts.alerts
+        } : null
+      };
+    }
   }
 
-  isFetching = true;
-  const updateStart = Date.now();
-  DEBUG.log('CACHE', '---------- Starting weather data update ----------');
+  try {
+    writeJsonAtomic(CACHE_FILE, {
+      savedAt: new Date().toISOString(),
+      locations
+    });
+    DEBUG.log('CACHE', `Persisted ${Object.keys(locations).length} location(s) to ${CACHE_FILE}`);
+  } catch (error) {
+    DEBUG.error('CACHE', `Failed to persist cache: ${error.message}`);
+  }
+}
 
+// Restore cached forecasts written by a previous run
+function restoreWeatherCache() {
+  let saved;
   try {
-    const data = await scrapeWeatherData();
-    cachedWeatherData = data;
-    lastFetchTime = new Date();
-    const updateDuration = Date.now() - updateStart;
+    saved = readJson(CACHE_FILE);
+  } catch (error) {
+    DEBUG.error('CACHE', `Ignoring unreadable cache file ${CACHE_FILE}: ${error.message}`);
+    return;
+  }
+  if (!saved || !saved.locations) {
+    DEBUG.log('CACHE', 'No persisted cache found');
+    return;
+  }
 
-    DEBUG.log('CACHE', `Cache updated | ${data.forecast.length} hours | ${updateDuration}ms`);
-    DEBUG.log('CACHE', `Next refresh in ${DATA_REFRESH_INTERVAL / 1000 / 60} minutes`);
+  for (const [id, entry] of Object.entries(saved.locations)) {
+    const state = locationStates.get(id);
+    const fetchedAt = new Date(entry && entry.fetchedAt);
+    if (!state || !entry.data || !Array.isArray(entry.data.forecast) || Number.isNaN(fetchedAt.getTime())) {
+      DEBUG.warn('CACHE', `Skipping persisted cache entry for "${id}"`);
+      continue;
+    }
 
-    DEBUG.log('CACHE', 'Triggering screenshot capture...');
-    await saveScreenshotAsBmp();
-    DEBUG.log('CACHE', '---------- Update complete ----------');
-  } catch (error) {
-    DEBUG.error('CACHE', error.message);
-    DEBUG.error('CACHE', 'Stack:', error.stack);
-    if (cachedWeatherData) {
-      DEBUG.log('CACHE', 'Falling back to previously cached data');
-    } else {
-      DEBUG.error('CACHE', 'No cached data available');
+    state.cachedWeatherData = entry.data;
+    state.lastFetchTime = fetchedAt;
+    const dailyFetchedAt = new Date(entry.daily && entry.daily.fetchedAt);
+    if (entry.daily && Array.isArray(entry.daily.days) && !Number.isNaN(dailyFetchedAt.getTime())) {
+      state.dailyForecast = { fetchedAt: dailyFetchedAt, days: entry.daily.days };
     }
-  } finally {
-    isFetching = false;
+    const currentFetchedAt = new Date(entry.current && entry.current.fetchedAt);
+    if (entry.current && entry.current.data && !Number.isNaN(currentFetchedAt.getTime())) {
+      state.currentConditions = { fetchedAt: currentFetchedAt, data: entry.current.data };
+    }
+    const alertsFetchedAt = new Date(entry.alerts && entry.alerts.fetchedAt);
+    if (entry.alerts && Array.isArray(entry.alerts.alerts) && !Number.isNaN(alertsFetchedAt.getTime())) {
+      state.alerts = { fetchedAt: alertsFetchedAt, alerts: entry.alerts.alerts };
+    }
+    const ageMinutes = Math.round((Date.now() - fetchedAt.getTime()) / 1000 / 60);
+    DEBUG.log('CACHE', `[${id}] Restored ${entry.data.forecast.length} hours from disk | age: ${ageMinutes}m${isCacheStale(state) ? ' (stale)' : ''}`);
   }
 }
 
-// Start the hourly data refresh interval
-function startHourlyDataRefresh() {
-  updateWeatherData();
-
-  setInterval(() => {
-    updateWeatherData();
-  }, DATA_REFRESH_INTERVAL);
+// Save each panel image's version and pixel hash; the frames themselves stay in memory
+function persistPanelImages() {
+  const locations = {};
+  for (const [id, state] of locationStates) {
+    if (state.panelImages.size > 0) {
+      locations[id] = Object.fromEntries([...state.panelImages].map(([panelId, image]) => [panelId, {
+        version: image.version,
+        pixelHash: image.pixelHash,
+        updatedAt: image.updatedAt.toISOString()
+      }]));
+    }
+  }
 
-  DEBUG.log('REFRESH', `Scheduled every ${DATA_REFRESH_INTERVAL / 1000 / 60} minutes`);
+  try {
+    writeJsonAtomic(PANEL_IMAGES_FILE, {
+      savedAt: new Date().toISOString(),
+      locations
+    });
+  } catch (error) {
+    DEBUG.error('SCREENSHOT', `Failed to persist panel image versions: ${error.message}`);
+  }
 }
 
-// Endpoint to get hourly forecast
-app.get('/api/hourly-forecast', async (req, res) => {
+// Restore panel image versions written by a previous run. Without the previous frame the
+// first changed render after a restart is published as a full refresh.
+function restorePanelImages() {
+  let saved;
   try {
-    if (cachedWeatherData) {
-      const cacheAge = lastFetchTime ? Math.round((Date.now() - lastFetchTime.getTime()) / 1000 / 60) : 0;
-      DEBUG.log('API', `Cache HIT | age: ${cacheAge}m | ${cachedWeatherData.forecast.length} hours`);
-      return res.json({
-        ...cachedWeatherData,
-        cachedAt: lastFetchTime?.toISOString(),
-        cacheAgeMinutes: cacheAge
+    saved = readJson(PANEL_IMAGES_FILE);
+  } catch (error) {
+    DEBUG.error('SCREENSHOT', `Ignoring unreadable panel image file ${PANEL_IMAGES_FILE}: ${error.message}`);
+    return;
+  }
+  if (!saved || !saved.locations) return;
+
+  for (const [id, panels] of Object.entries(saved.locations)) {
+    const state = locationStates.get(id);
+    if (!state) continue;
+    for (const [panelId, entry] of Object.entries(panels || {})) {
+      const updatedAt = new Date(entry && entry.updatedAt);
+      if (!getLocationPanels(state.location).some(panel => panel.id === panelId) ||
+        !Number.isInteger(entry.version) || typeof entry.pixelHash !== 'string' || Number.isNaN(updatedAt.getTime())) {
+        continue;
+      }
+      state.panelImages.set(panelId, {
+        version: entry.version,
+        pixelHash: entry.pixelHash,
+        updatedAt,
+        frame: null,
+        changes: null
       });
     }
+  }
+}
 
-    if (!isFetching) {
-      DEBUG.log('API', 'Cache MISS - triggering fetch');
-      await updateWeatherData();
-    } else {
-      DEBUG.log('API', 'Cache MISS - waiting for ongoing fetch...');
-      while (isFetching) {
-        await new Promise(resolve => setTimeout(resolve, 500));
+// Ensure screenshots directory exists
+function ensureScreenshotsDirExists() {
+  if (!fs.existsSync(SCREENSHOTS_DIR)) {
+    fs.mkdirSync(SCREENSHOTS_DIR, { recursive: true });
+    DEBUG.log('SCREENSHOT', `Created directory: ${SCREENSHOTS_DIR}`);
+  }
+}
+
+// URL of the server's own web UI for a location in a page layout
+function getDisplayPageUrl(location, layout) {
+  return `http://localhost:${PORT}/?location=${encodeURIComponent(location.id)}&layout=${layout}`;
+}
+
+// Page size and layout to draw for a panel geometry: the UI is laid out in the panel's
+// viewing orientation, then rotated onto its framebuffer by renderFormats()
+function getRenderView(options, location) {
+  const sideways = options.rotate === 90 || options.rotate === 270;
+  return {
+    width: sideways ? options.height : options.width,
+    height: sideways ? options.width : options.height,
+    layout: options.layout || location.layout
+  };
+}
+
+// Draw the display page for a location as PNGs with the configured renderer, one per
+// view ({ width, height, layout }). Returns [{ png } | { error }] in the same order; the
+// browser renderer captures every view in one page of the shared browser.
+async function renderDisplayPngs(state, views) {
+  if (DISPLAY_RENDERER === 'svg') {
+    const daily = state.dailyForecast ? state.dailyForecast.days : [];
+    const current = state.currentConditions ? state.currentConditions.data : null;
+    const alerts = state.alerts ? getActiveAlerts(state.alerts.alerts) : [];
+    const sun = buildSunTimes(state.location, state.cachedWeatherData.forecast);
+    const data = { ...state.cachedWeatherData, timezone: state.location.timezone, sun, daily, current, alerts };
+    const results = [];
+    for (const { width, height, layout } of views) {
+      try {
+        results.push({ png: await renderForecastPng(data, { width, height, layout, mode: settings.displayMode, timeFormat: settings.timeFormat }) });
+      } catch (error) {
+        results.push({ error });
       }
     }
+    return results;
+  }
+  return captureScreenshots(views.map(({ width, height, layout }) => ({
+    url: getDisplayPageUrl(state.location, layout),
+    width,
+    height,
+    headers: { [RENDER_HEADER]: RENDER_TOKEN }
+  })));
+}
 
-    if (cachedWeatherData) {
-      DEBUG.log('API', `Serving freshly fetched data | ${cachedWeatherData.forecast.length} hours`);
-      return res.json({
-        ...cachedWeatherData,
-        cachedAt: lastFetchTime?.toISOString(),
-        cacheAgeMinutes: 0
-      });
+// Draw the display page for a location as a single PNG (throws on failure)
+async function renderDisplayPng(state, view) {
+  const [result] = await renderDisplayPngs(state, [view]);
+  if (result.error) {
+    throw result.error;
+  }
+  return result.png;
+}
+
+// Description of a panel's raw framebuffer, saved next to the .bin so firmware can check
+// the geometry before sending the buffer to the display
+function buildFramebufferSidecar(panel, location, images, version, renderedAt) {
+  return {
+    panel: panel.id,
+    location: location.id,
+    version,
+    renderedAt,
+    width: images.width,
+    height: images.height,
+    rotate: panel.rotate,
+    palette: panel.palette,
+    ...images.framebuffer,
+    size: images.files.bin.length,
+    hash: hashImage(images.files.bin),
+    files: Object.fromEntries(panel.formats.map(format => [format, getPanelFileName(panel, location, format)]))
+  };
+}
+
+// Encode the changed regions of a panel image in each of the panel's formats, so devices
+// with partial refresh can fetch just those areas. Returns the regions with
+// data: { <format>: Buffer } and, for 'bin', the region's own framebuffer layout.
+async function encodeChangedRegions(panel, frame, regions) {
+  const encoded = [];
+  for (const region of regions) {
+    const crop = cropFrame(frame, region);
+    const data = {};
+    let framebuffer = null;
+    for (const format of panel.formats) {
+      const image = await encodeFrame(crop, format, panel);
+      data[format] = image.data;
+      framebuffer = framebuffer || image.framebuffer;
     }
+    encoded.push({ ...region, data, framebuffer });
+  }
+  return encoded;
+}
 
-    throw new Error('Failed to fetch weather data. Please try again later.');
-  } catch (error) {
-    DEBUG.error('API', error.message);
-    DEBUG.error('API', 'Stack:', error.stack);
+// Save one panel's render for a location unless its pixels match the saved image. A
+// changed image gets the next version and the regions that differ from the previous one
+// (see lib/frame-diff.js). Returns whether the files were written.
+async function savePanelImage(state, panel, index, images) {
+  const { location } = state;
+  const previous = state.panelImages.get(panel.id);
+  const pixelHash = hashFrame(images.frame);
+  const unchanged = previous && previous.pixelHash === pixelHash;
+  const writesCurrent = location.id === DEFAULT_LOCATION_ID && index === 0 && panel.formats.includes('bmp');
+  const fileNames = getPanelFileFormats(panel).map(format => getPanelFileName(panel, location, format));
+  if (writesCurrent) {
+    fileNames.push('current.bmp');
+  }
+  if (unchanged) {
+    // Keep the frame from this render for the next diff after a restart
+    previous.frame = previous.frame || images.frame;
+  }
+  if (unchanged && fileNames.every(fileName => fs.existsSync(path.join(SCREENSHOTS_DIR, fileName)))) {
+    DEBUG.log('SCREENSHOT', `[${location.id}] Panel ${panel.id} unchanged (version ${previous.version}), not rewritten`);
+    return false;
+  }
 
-    res.status(500).json({
-      error: 'Failed to fetch weather data. Please try again later.'
-    });
+  const version = unchanged ? previous.version : (previous ? previous.version : 0) + 1;
+  const updatedAt = unchanged ? previous.updatedAt : new Date();
+  for (const format of panel.formats) {
+    fs.writeFileSync(path.join(SCREENSHOTS_DIR, getPanelFileName(panel, location, format)), images.files[format]);
+  }
+  if (images.framebuffer) {
+    const sidecar = buildFramebufferSidecar(panel, location, images, version, updatedAt);
+    fs.writeFileSync(path.join(SCREENSHOTS_DIR, getPanelFileName(panel, location, 'json')), JSON.stringify(sidecar, null, 2));
   }
-});
 
-// Serve the main page
-app.get('/', (req, res) => {
-  res.sendFile(path.join(__dirname, 'public', 'index.html'));
-});
+  // Keep current.bmp pointing at the default location's first panel for existing displays
+  if (writesCurrent) {
+    fs.writeFileSync(path.join(SCREENSHOTS_DIR, 'current.bmp'), images.files.bmp);
+  }
 
-// Graceful shutdown
-process.on('SIGINT', async () => {
-  DEBUG.log('SHUTDOWN', 'Received SIGINT, closing browser...');
-  if (browser) {
-    await browser.close();
-    DEBUG.log('SHUTDOWN', 'Browser closed');
+  if (unchanged) {
+    // Files were missing on disk; the image itself is the same version
+    DEBUG.log('SCREENSHOT', `[${location.id}] Panel ${panel.id} rewritten (version ${version}, files were missing)`);
+    return true;
   }
-  process.exit(0);
-});
 
-app.listen(PORT, () => {
-  DEBUG.log('STARTUP', '========================================');
-  DEBUG.log('STARTUP', `Server running on http://localhost:${PORT}`);
-  DEBUG.log('STARTUP', `Node.js version: ${process.version}`);
-  DEBUG.log('STARTUP', `PID: ${process.pid}`);
-  DEBUG.log('STARTUP', `Environment: ${process.env.NODE_ENV || 'development'}`);
-  DEBUG.log('STARTUP', `CORS allowed origins: ${allowedOrigins.join(', ')}`);
-  DEBUG.log('STARTUP', 'Rate limit: 100 requests per 900s (15 min)');
-  DEBUG.log('STARTUP', `Data refresh interval: ${DATA_REFRESH_INTERVAL / 1000 / 60} minutes`);
-  DEBUG.log('STARTUP', `Screenshots directory: ${SCREENSHOTS_DIR}`);
-  DEBUG.log('STARTUP', `AccuWeather URL: ${ACCUWEATHER_URL}`);
-  DEBUG.log('STARTUP', '========================================');
-  DEBUG.log('STARTUP', 'Scraping AccuWeather website for weather data...');
+  const diff = diffFrames(previous ? previous.frame : null, images.frame);
+  state.panelImages.set(panel.id, {
+    version,
+    pixelHash,
+    updatedAt,
+    frame: images.frame,
+    changes: {
+      previousVersion: previous ? previous.version : null,
+      fullRefresh: diff.fullRefresh,
+      reason: diff.reason,
+      regions: await encodeChangedRegions(panel, images.frame, diff.regions)
+    }
+  });
+  persistPanelImages();
+
+  const sizes = panel.formats.map(format => `${format} ${(images.files[format].length / 1024).toFixed(1)} KB`).join(', ');
+  const change = diff.fullRefresh ? `full refresh (${diff.reason})` : `${diff.regions.length} changed region(s)`;
+  DEBUG.log('SCREENSHOT', `[${location.id}] Panel ${panel.id} saved to ${getPanelFileName(panel, location)} | version ${version}, ${change} | ${images.width}x${images.height} rotate ${panel.rotate} ${panel.palette} | ${sizes}`);
+  return true;
+}
+
+// Render every panel profile that shows a location and save it in each of the panel's
+// formats, all from one browser session and one capture per panel. Panels whose pixels
+// didn't change are left alone. Failures are logged per panel rather than thrown, so one
+// bad profile doesn't keep the others from being written. Returns the failures
+// ([{ panel, error }]).
+// A location's renders run one at a time: the forecast and conditions refreshes both
+// render, and overlapping runs would race on the files and panelImages versions.
+function savePanelImages(state) {
+  const render = state.panelRenderQueue.then(() => writePanelImages(state));
+  state.panelRenderQueue = render.catch(() => {});
+  return render;
+}
+
+async function writePanelImages(state) {
+  const { location } = state;
+  const panels = getLocationPanels(location);
+  if (panels.length === 0) return [];
+  const startTime = Date.now();
+  DEBUG.log('SCREENSHOT', `[${location.id}] Starting ${DISPLAY_RENDERER} render of ${panels.length} panel(s)...`);
+
+  let results;
+  try {
+    ensureScreenshotsDirExists();
+    results = await renderDisplayPngs(state, panels.map(panel => getRenderView(panel, location)));
+  } catch (error) {
+    // Nothing could be rendered (e.g. the browser failed to launch)
+    DEBUG.error('SCREENSHOT', `[${location.id}] ${error.message}`);
+    DEBUG.error('SCREENSHOT', 'Stack:', error.stack);
+    return panels.map(panel => ({ panel: panel.id, error }));
+  }
+
+  const failures = [];
+  let written = 0;
+  for (const [index, panel] of panels.entries()) {
+    try {
+      if (results[index].error) {
+        throw results[index].error;
+      }
+      // Resize, rotate and convert to the panel's e-ink palette once, then encode each format
+      const images = await renderFormats(results[index].png, panel, panel.formats);
+      if (await savePanelImage(state, panel, index, images)) {
+        written++;
+      }
+    } catch (error) {
+      DEBUG.error('SCREENSHOT', `[${location.id}] Panel ${panel.id}: ${error.message}`);
+      DEBUG.error('SCREENSHOT', 'Stack:', error.stack);
+      failures.push({ panel: panel.id, error });
+    }
+  }
+
+  DEBUG.log('SCREENSHOT', `[${location.id}] ${panels.length - failures.length}/${panels.length} panel(s) rendered, ${written} written | ${Date.now() - startTime}ms total`);
+  return failures;
+}
+
+// Day or night per forecast hour from the sun's position at the location. Locations
+// without coordinates keep the provider's own isDaylight.
+function applyDaylight(location, forecast) {
+  if (location.latitude === null) return forecast;
+  return forecast.map(hour => ({
+    ...hour,
+    isDaylight: isDaylightAt(new Date(hour.datetime), location.latitude, location.longitude)
+  }));
+}
+
+// Sunrise and sunset for each of the location's calendar days the forecast hours fall on:
+// [{ date, sunrise, sunset, polar }] (see lib/sun.js), or null without coordinates
+function buildSunTimes(location, forecast) {
+  if (location.latitude === null) return null;
+  const days = [...new Set(forecast.map(hour => dateKey(new Date(hour.datetime), location.timezone)))];
+  return days.map(day => {
+    const { sunrise, sunset, polar } = getSunTimes(day, location.latitude, location.longitude);
+    return {
+      date: day,
+      sunrise: toZonedIso(sunrise, location.timezone),
+      sunset: toZonedIso(sunset, location.timezone),
+      polar
+    };
+  });
+}
+
+// Fill in sunrise/sunset the daily source left out (AccuWeather only lists them on some
+// page layouts) with the computed times
+function fillDailySunTimes(location, days) {
+  if (location.latitude === null) return days;
+  return days.map(day => {
+    if (day.sunrise && day.sunset) return day;
+    const { sunrise, sunset } = getSunTimes(day.date, location.latitude, location.longitude);
+    return {
+      ...day,
+      sunrise: day.sunrise || (sunrise ? sunrise.toISOString() : null),
+      sunset: day.sunset || (sunset ? sunset.toISOString() : null)
+    };
+  });
+}
+
+// Fetch weather data for a configured location from its forecast provider
+async function fetchWeatherData(location, run) {
+  const startTime = Date.now();
+  DEBUG.log('WEATHER', `========== Fetching weather data [${location.id}] via ${location.provider} ==========`);
+
+  const provider = getProvider(location.provider);
+  const result = await provider.fetchForecast(location, run, {
+    tomorrowFetchThresholdHours: settings.tomorrowFetchThresholdHours
+  });
+  let allForecastData = result.forecast;
+  run.hoursExtracted = allForecastData.length;
+
+  // Validate that the provider returned data
+  if (allForecastData.length === 0) {
+    throw new Error(`No forecast data returned by provider "${location.provider}".`);
+  }
+
+  // Sort by datetime to ensure chronological order
+  allForecastData.sort((a, b) => new Date(a.datetime) - new Date(b.datetime));
+
+  // Keep the configured number of hours (16 by default)
+  allForecastData = applyDaylight(location, allForecastData.slice(0, settings.forecastHours));
+
+  const scrapedLocation = result.locationName || location.name;
+  const totalDuration = Date.now() - startTime;
+
+  DEBUG.log('WEATHER', '---------- Forecast temperatures ----------');
+  DEBUG.log('WEATHER', `Location: ${scrapedLocation} | ${allForecastData.length} hours | ${totalDuration}ms total`);
+  allForecastData.forEach((hour, index) => {
+    const date = new Date(hour.datetime);
+    const timeStr = date.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit', hour12: false, timeZone: location.timezone });
+    const dateStr = date.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric', timeZone: location.timezone });
+    DEBUG.log('WEATHER', `  ${index + 1}. ${dateStr} ${timeStr}: ${hour.temperature}°${hour.temperatureUnit} - ${hour.iconPhrase} (Precip: ${hour.precipitation}%)`);
+  });
+  DEBUG.log('WEATHER', '==========================================');
+
+  return {
+    location: scrapedLocation,
+    forecast: allForecastData
+  };
+}
+
+// Refresh a location's daily outlook. A failure only adds a warning to the run and keeps
+// the previous outlook; it never fails the hourly refresh.
+async function refreshDailyForecast(state, run) {
+  const { location } = state;
+  try {
+    const { days } = await getProvider(location.provider).fetchDailyForecast(location, run);
+    state.dailyForecast = { fetchedAt: new Date(), days: fillDailySunTimes(location, days) };
+    DEBUG.log('WEATHER', `[${location.id}] Daily forecast updated | ${days.length} days`);
+  } catch (error) {
+    DEBUG.error('WEATHER', `[${location.id}] Daily forecast failed: ${error.message}`);
+    run.warnings.push(`Daily forecast failed: ${sanitizeErrorMessage(error)}`);
+  }
+}
+
+// Append a freshly cached forecast to the history store and drop months past the
+// retention; history is best effort and never fails a refresh
+function recordHistory(state) {
+  const { id } = state.location;
+  try {
+    appendHistory(HISTORY_DIR, id, state.lastFetchTime, state.cachedWeatherData.forecast);
+    if (HISTORY_RETENTION_DAYS > 0) {
+      const pruned = pruneHistory(HISTORY_DIR, id, new Date(Date.now() - HISTORY_RETENTION_DAYS * 24 * 60 * 60 * 1000));
+      if (pruned.length > 0) {
+        DEBUG.log('HISTORY', `[${id}] Deleted history older than ${HISTORY_RETENTION_DAYS} days: ${pruned.join(', ')}`);
+      }
+    }
+  } catch (error) {
+    DEBUG.error('HISTORY', `[${id}] Failed to update history: ${error.message}`);
+  }
+}
+
+// Fetch and cache weather data for one location. Returns whether the cache was updated.
+async function updateWeatherData(state) {
+  const { location } = state;
+  if (state.isFetching) {
+    DEBUG.log('CACHE', `[${location.id}] Fetch already in progress, skipping duplicate update`);
+    return false;
+  }
+
+  state.isFetching = true;
+  clearRetry(state);
+  publishStatus(state);
+  const updateStart = Date.now();
+  const run = createRun();
+  DEBUG.log('CACHE', `---------- Starting weather data update [${location.id}] ----------`);
+
+  try {
+    const data = await fetchWeatherData(location, run);
+    await refreshDailyForecast(state, run);
+    state.forecastChanges = state.cachedWeatherData
+      ? compareForecasts(state.cachedWeatherData.forecast, data.forecast, state.lastFetchTime)
+      : new Map();
+    state.cachedWeatherData = data;
+    state.lastFetchTime = new Date();
+    persistWeatherCache();
+    recordHistory(state);
+    liveUpdates.publish('forecast', {
+      locationId: location.id,
+      cachedAt: state.lastFetchTime.toISOString()
+    });
+    const updateDuration = Date.now() - updateStart;
+
+    DEBUG.log('CACHE', `[${location.id}] Cache updated | ${data.forecast.length} hours | ${updateDuration}ms`);
+    DEBUG.log('CACHE', `[${location.id}] Next refresh in ${location.refreshInterval / 1000 / 60} minutes`);
+
+    DEBUG.log('CACHE', `[${location.id}] Triggering screenshot capture...`);
+    const screenshotFailures = await run.time('screenshot', () => savePanelImages(state));
+    for (const { panel, error } of screenshotFailures) {
+      run.warnings.push(`Screenshot for panel ${panel} failed: ${sanitizeErrorMessage(error)}`);
+    }
+    recordRun(state.status, run, null);
+    if (state.circuitOpenUntil) {
+      DEBUG.log('REFRESH', `[${location.id}] Refresh succeeded, closing circuit`);
+      state.circuitOpenUntil = null;
+    }
+    DEBUG.log('CACHE', `---------- Update complete [${location.id}] ----------`);
+    return true;
+  } catch (error) {
+    recordRun(state.status, run, error);
+    DEBUG.error('CACHE', `[${location.id}] ${error.message}`);
+    DEBUG.error('CACHE', 'Stack:', error.stack);
+    if (state.cachedWeatherData) {
+      DEBUG.log('CACHE', `[${location.id}] Falling back to previously cached data`);
+    } else {
+      DEBUG.error('CACHE', `[${location.id}] No cached data available`);
+    }
+    scheduleRecovery(state);
+    return false;
+  } finally {
+    state.isFetching = false;
+    publishStatus(state);
+    if (state.refetchQueued) {
+      state.refetchQueued = false;
+      refetchForSettings(state);
+    }
+  }
+}
+
+// Fetch and cache the current conditions for one location. Failures keep the previous
+// conditions and are reported in /api/status; the next interval tries again.
+// Returns whether new conditions were cached.
+async function updateCurrentConditions(state) {
+  const { location } = state;
+  try {
+    const data = await getProvider(location.provider).fetchCurrentConditions(location, createRun());
+    state.currentConditions = { fetchedAt: new Date(), data };
+    state.currentError = null;
+    persistWeatherCache();
+    liveUpdates.publish('current', {
+      locationId: location.id,
+      cachedAt: state.currentConditions.fetchedAt.toISOString()
+    });
+    DEBUG.log('CURRENT', `[${location.id}] ${data.temperature}°${data.temperatureUnit} ${data.phrase || ''} | observed ${data.observedAt}`);
+    return true;
+  } catch (error) {
+    state.currentError = sanitizeErrorMessage(error);
+    DEBUG.error('CURRENT', `[${location.id}] ${error.message}`);
+    return false;
+  }
+}
+
+// Fetch and cache the alerts for one location, for providers that have them. Like the
+// current conditions, a failure keeps the previous alerts and is reported in /api/status.
+// Returns whether new alerts were cached.
+async function updateAlerts(state) {
+  const { location } = state;
+  const provider = getProvider(location.provider);
+  if (!provider.fetchAlerts) return false;
+
+  try {
+    const { alerts } = await provider.fetchAlerts(location, createRun());
+    state.alerts = { fetchedAt: new Date(), alerts };
+    state.alertsError = null;
+    persistWeatherCache();
+    const active = getActiveAlerts(alerts);
+    liveUpdates.publish('alerts', {
+      locationId: location.id,
+      cachedAt: state.alerts.fetchedAt.toISOString(),
+      active: active.length
+    });
+    DEBUG.log('ALERTS', `[${location.id}] ${active.length} active: ${active.map(alert => alert.title).join(', ') || 'none'}`);
+    return true;
+  } catch (error) {
+    state.alertsError = sanitizeErrorMessage(error);
+    DEBUG.error('ALERTS', `[${location.id}] ${error.message}`);
+    return false;
+  }
+}
+
+// Refresh the fast-changing data for one location: current conditions, then alerts.
+// The screenshot is re-rendered afterwards so the panel's "Now" block and alert banner
+// stay current.
+async function updateConditions(state) {
+  if (state.isFetchingCurrent) return;
+
+  state.isFetchingCurrent = true;
+  try {
+    const currentUpdated = await updateCurrentConditions(state);
+    const alertsUpdated = await updateAlerts(state);
+
+    // A running hourly refresh takes its own screenshot when it finishes
+    if ((currentUpdated || alertsUpdated) && state.cachedWeatherData && !state.isFetching) {
+      await savePanelImages(state);
+    }
+  } finally {
+    state.isFetchingCurrent = false;
+  }
+}
+
+// Cancel a pending retry or probe (a refresh is starting anyway)
+function clearRetry(state) {
+  if (state.retryTimer) {
+    clearTimeout(state.retryTimer);
+  }
+  state.retryTimer = null;
+  state.nextRetryAt = null;
+}
+
+// Run a refresh after delay ms, replacing any pending retry
+function scheduleRetry(state, delay) {
+  clearRetry(state);
+  state.nextRetryAt = new Date(Date.now() + delay);
+  state.retryTimer = setTimeout(() => {
+    clearRetry(state);
+    updateWeatherData(state);
+  }, delay);
+}
+
+// After a failed refresh: open the circuit once failures pile up, otherwise retry
+// with backoff until the retries for this failure streak are used up
+function scheduleRecovery(state) {
+  const { location, status } = state;
+  const failures = status.consecutiveFailures;
+  const recovery = getRecovery(failures, location.refreshInterval);
+
+  if (recovery && recovery.circuitOpen) {
+    state.circuitOpenUntil = new Date(Date.now() + recovery.delay);
+    // Probe once when the cooldown ends; the regular schedule is skipped until then
+    scheduleRetry(state, recovery.delay);
+    DEBUG.warn('REFRESH', `[${location.id}] ${failures} consecutive failures, circuit open until ${state.circuitOpenUntil.toISOString()}`);
+    return;
+  }
+
+  if (recovery) {
+    scheduleRetry(state, recovery.delay);
+    DEBUG.log('REFRESH', `[${location.id}] Retry ${failures}/${MAX_RETRIES} in ${Math.round(recovery.delay / 1000)}s`);
+    return;
+  }
+
+  DEBUG.log('REFRESH', `[${location.id}] Retries exhausted, waiting for the next scheduled refresh`);
+}
+
+// Start the data refresh interval for every configured location
+function startHourlyDataRefresh() {
+  for (const state of locationStates.values()) {
+    updateWeatherData(state);
+    updateConditions(state);
+    scheduleRefreshes(state);
+  }
+}
+
+// (Re)start a location's refresh timers from its current intervals; the next refresh
+// is a full interval from now
+function scheduleRefreshes(state) {
+  const { location } = state;
+  clearInterval(state.refreshTimer);
+  clearInterval(state.currentRefreshTimer);
+
+  state.nextRefreshAt = new Date(Date.now() + location.refreshInterval);
+  state.refreshTimer = setInterval(() => {
+    state.nextRefreshAt = new Date(Date.now() + location.refreshInterval);
+    if (isCircuitOpen(state)) {
+      DEBUG.log('REFRESH', `[${location.id}] Circuit open, skipping scheduled refresh`);
+      return;
+    }
+    updateWeatherData(state);
+  }, location.refreshInterval);
+
+  DEBUG.log('REFRESH', `[${location.id}] Scheduled every ${location.refreshInterval / 1000 / 60} minutes`);
+
+  state.nextCurrentRefreshAt = new Date(Date.now() + location.currentRefreshInterval);
+  state.currentRefreshTimer = setInterval(() => {
+    state.nextCurrentRefreshAt = new Date(Date.now() + location.currentRefreshInterval);
+    // Same source as the forecast; don't hammer it while the circuit is open
+    if (isCircuitOpen(state)) return;
+    updateConditions(state);
+  }, location.currentRefreshInterval);
+
+  DEBUG.log('REFRESH', `[${location.id}] Current conditions and alerts every ${location.currentRefreshInterval / 1000 / 60} minutes`);
+}
+
+// Server-Sent Events stream of live updates for every location:
+//   forecast - new forecast data was cached ({ locationId, cachedAt })
+//   current  - new current conditions were cached ({ locationId, cachedAt })
+//   alerts   - new alerts were cached ({ locationId, cachedAt, active })
+//   status   - a refresh started or finished ({ locationId, isFetching, stale, staleReason, ... })
+//   settings - the display defaults were changed on the admin page ({ timeFormat, displayMode })
+app.get('/api/events', (req, res) => liveUpdates.handle(req, res));
+
+// Endpoint to list the configured locations
+app.get('/api/locations', (req, res) => {
+  res.json({
+    defaultLocation: DEFAULT_LOCATION_ID,
+    locations: LOCATIONS.map(location => ({
+      id: location.id,
+      name: location.name,
+      timezone: location.timezone,
+      layout: location.layout
+    }))
+  });
+});
+
+// Age of a saved screenshot in screenshots/ (null when it hasn't been written yet)
+function getScreenshotFileStatus(fileName) {
+  try {
+    const stats = fs.statSync(path.join(SCREENSHOTS_DIR, fileName));
+    return {
+      url: `/screenshots/${fileName}`,
+      updatedAt: stats.mtime,
+      ageMinutes: Math.round((Date.now() - stats.mtimeMs) / 1000 / 60)
+    };
+  } catch {
+    return null;
+  }
+}
+
+// Version of a location's saved panel image and what changed in it (regions without data)
+function buildPanelImageStatus(state, panel) {
+  const image = state.panelImages.get(panel.id);
+  if (!image) {
+    return { version: null, updatedAt: null, changes: null };
+  }
+  return {
+    version: image.version,
+    updatedAt: image.updatedAt,
+    changes: image.changes ? {
+      previousVersion: image.changes.previousVersion,
+      fullRefresh: image.changes.fullRefresh,
+      reason: image.changes.reason,
+      regions: image.changes.regions.map(({ x, y, width, height }) => ({ x, y, width, height }))
+    } : null
+  };
+}
+
+// Scrape health for one location
+function buildLocationStatus(state) {
+  const { location, status } = state;
+  const panels = getLocationPanels(location);
+  return {
+    id: location.id,
+    name: location.name,
+    provider: location.provider,
+    timezone: location.timezone,
+    healthy: status.lastSuccessAt !== null && status.consecutiveFailures === 0,
+    isFetching: state.isFetching,
+    lastSuccessAt: status.lastSuccessAt,
+    lastFailureAt: status.lastFailureAt,
+    consecutiveFailures: status.consecutiveFailures,
+    lastError: status.lastError,
+    lastRun: status.lastRun,
+    nextRefreshAt: state.nextRefreshAt,
+    nextRetryAt: state.nextRetryAt,
+    circuitOpen: isCircuitOpen(state),
+    circuitOpenUntil: isCircuitOpen(state) ? state.circuitOpenUntil : null,
+    cachedAt: state.lastFetchTime,
+    stale: isCacheStale(state),
+    staleReason: getStaleness(state)?.reason || null,
+    current: {
+      cachedAt: state.currentConditions ? state.currentConditions.fetchedAt : null,
+      nextRefreshAt: state.nextCurrentRefreshAt,
+      lastError: state.currentError
+    },
+    alerts: getProvider(location.provider).fetchAlerts ? {
+      cachedAt: state.alerts ? state.alerts.fetchedAt : null,
+      active: state.alerts ? getActiveAlerts(state.alerts.alerts).length : 0,
+      lastError: state.alertsError
+    } : null,
+    // The location's first panel, as before panel profiles existed
+    screenshot: panels.length > 0 ? getScreenshotFileStatus(getPanelFileName(panels[0], location)) : null,
+    panels: panels.map(panel => ({
+      id: panel.id,
+      width: panel.width,
+      height: panel.height,
+      rotate: panel.rotate,
+      palette: panel.palette,
+      formats: panel.formats,
+      ...buildPanelImageStatus(state, panel),
+      screenshot: getScreenshotFileStatus(getPanelFileName(panel, location)),
+      // Every file the panel writes, keyed by format (json: the framebuffer's sidecar)
+      files: Object.fromEntries(getPanelFileFormats(panel).map(format => [
+        format,
+        getScreenshotFileStatus(getPanelFileName(panel, location, format))
+      ]))
+    }))
+  };
+}
+
+// Endpoint reporting scrape health per location, for monitoring
+app.get('/api/status', (req, res) => {
+  res.json({
+    generatedAt: new Date(),
+    uptimeSeconds: Math.round(process.uptime()),
+    renderer: DISPLAY_RENDERER,
+    locations: LOCATIONS.map(location => buildLocationStatus(locationStates.get(location.id)))
+  });
+});
+
+// API responses give forecast times with the location's UTC offset, e.g.
+// "2026-01-14T15:00:00-08:00", so clients need no zone lookup to show them as local
+// times; the cache and history keep UTC so they sort and compare as plain strings.
+function zoneAlerts(alerts, timeZone) {
+  return alerts.map(alert => ({
+    ...alert,
+    effectiveAt: toZonedIso(alert.effectiveAt, timeZone),
+    expiresAt: toZonedIso(alert.expiresAt, timeZone)
+  }));
+}
+
+// Build the hourly forecast response body from a location's cache
+function buildForecastResponse(state, cacheAgeMinutes) {
+  const { timezone } = state.location;
+  return {
+    locationId: state.location.id,
+    timezone,
+    ...state.cachedWeatherData,
+    sun: buildSunTimes(state.location, state.cachedWeatherData.forecast),
+    forecast: state.cachedWeatherData.forecast.map(hour => {
+      const change = state.forecastChanges.get(hour.datetime);
+      return {
+        ...hour,
+        datetime: toZonedIso(hour.datetime, timezone),
+        change: change ? { ...change, since: toZonedIso(change.since, timezone) } : null
+      };
+    }),
+    ...buildFreshness(state, cacheAgeMinutes)
+  };
+}
+
+// Cache age and staleness fields shared by forecast responses and live status events
+function buildFreshness(state, cacheAgeMinutes) {
+  const staleness = getStaleness(state);
+  const nextAttemptAt = getNextAttemptAt(state);
+  return {
+    cachedAt: state.lastFetchTime?.toISOString(),
+    cacheAgeMinutes,
+    stale: staleness !== null,
+    staleReason: staleness ? staleness.reason : null,
+    staleMessage: staleness ? staleness.message : null,
+    lastError: state.status.consecutiveFailures > 0 ? state.status.lastError.message : null,
+    consecutiveFailures: state.status.consecutiveFailures,
+    nextAttemptAt: nextAttemptAt ? nextAttemptAt.toISOString() : null
+  };
+}
+
+// Endpoint to get hourly forecast (?location=<id>, defaults to the first location)
+app.get('/api/hourly-forecast', async (req, res) => {
+  const requestedId = typeof req.query.location === 'string' ? req.query.location : null;
+  const state = getLocationState(requestedId);
+  if (!state) {
+    return res.status(404).json({ error: 'Unknown location.' });
+  }
+
+  try {
+    if (state.cachedWeatherData) {
+      const cacheAge = state.lastFetchTime ? Math.round((Date.now() - state.lastFetchTime.getTime()) / 1000 / 60) : 0;
+      DEBUG.log('API', `[${state.location.id}] Cache HIT | age: ${cacheAge}m | ${state.cachedWeatherData.forecast.length} hours`);
+      return res.json(buildForecastResponse(state, cacheAge));
+    }
+
+    if (isCircuitOpen(state)) {
+      DEBUG.log('API', `[${state.location.id}] Cache MISS - circuit open, not fetching`);
+      return res.status(503).json({
+        error: 'Forecast source is unavailable. Please try again later.',
+        retryAt: state.circuitOpenUntil.toISOString()
+      });
+    }
+
+    if (!state.isFetching) {
+      DEBUG.log('API', `[${state.location.id}] Cache MISS - triggering fetch`);
+      await updateWeatherData(state);
+    } else {
+      DEBUG.log('API', `[${state.location.id}] Cache MISS - waiting for ongoing fetch...`);
+      while (state.isFetching) {
+        await new Promise(resolve => setTimeout(resolve, 500));
+      }
+    }
+
+    if (state.cachedWeatherData) {
+      DEBUG.log('API', `[${state.location.id}] Serving freshly fetched data | ${state.cachedWeatherData.forecast.length} hours`);
+      return res.json(buildForecastResponse(state, 0));
+    }
+
+    throw new Error('Failed to fetch weather data. Please try again later.');
+  } catch (error) {
+    DEBUG.error('API', error.message);
+    DEBUG.error('API', 'Stack:', error.stack);
+
+    res.status(500).json({
+      error: 'Failed to fetch weather data. Please try again later.'
+    });
+  }
+});
+
+// Endpoint to get the daily outlook (?location=<id>, defaults to the first location)
+app.get('/api/daily-forecast', async (req, res) => {
+  const requestedId = typeof req.query.location === 'string' ? req.query.location : null;
+  const state = getLocationState(requestedId);
+  if (!state) {
+    return res.status(404).json({ error: 'Unknown location.' });
+  }
+
+  // The first refresh after startup fetches the daily outlook too
+  while (!state.dailyForecast && state.isFetching) {
+    await new Promise(resolve => setTimeout(resolve, 500));
+  }
+  if (!state.dailyForecast) {
+    return res.status(503).json({ error: 'Daily forecast is not available yet. Please try again later.' });
+  }
+
+  const { fetchedAt, days } = state.dailyForecast;
+  const { timezone } = state.location;
+  res.json({
+    locationId: state.location.id,
+    timezone,
+    location: state.cachedWeatherData ? state.cachedWeatherData.location : state.location.name,
+    days: days.map(day => ({
+      ...day,
+      sunrise: toZonedIso(day.sunrise, timezone),
+      sunset: toZonedIso(day.sunset, timezone)
+    })),
+    cachedAt: fetchedAt.toISOString(),
+    cacheAgeMinutes: Math.round((Date.now() - fetchedAt.getTime()) / 1000 / 60)
+  });
+});
+
+// Endpoint to get the current conditions (?location=<id>, defaults to the first location)
+app.get('/api/current-conditions', async (req, res) => {
+  const requestedId = typeof req.query.location === 'string' ? req.query.location : null;
+  const state = getLocationState(requestedId);
+  if (!state) {
+    return res.status(404).json({ error: 'Unknown location.' });
+  }
+
+  while (!state.currentConditions && state.isFetchingCurrent) {
+    await new Promise(resolve => setTimeout(resolve, 500));
+  }
+  if (!state.currentConditions) {
+    return res.status(503).json({ error: 'Current conditions are not available yet. Please try again later.' });
+  }
+
+  const { fetchedAt, data } = state.currentConditions;
+  const cacheAgeMinutes = Math.round((Date.now() - fetchedAt.getTime()) / 1000 / 60);
+  res.json({
+    locationId: state.location.id,
+    timezone: state.location.timezone,
+    ...data,
+    observedAt: toZonedIso(data.observedAt, state.location.timezone),
+    cachedAt: fetchedAt.toISOString(),
+    cacheAgeMinutes,
+    // Stale once a refresh has been missed, not while the next one is running
+    stale: Date.now() - fetchedAt.getTime() > 2 * state.location.currentRefreshInterval
+  });
+});
+
+// Endpoint to get the alerts in effect (?location=<id>, defaults to the first location).
+// Scraped alerts that have expired since the last refresh are left out.
+app.get('/api/alerts', async (req, res) => {
+  const requestedId = typeof req.query.location === 'string' ? req.query.location : null;
+  const state = getLocationState(requestedId);
+  if (!state) {
+    return res.status(404).json({ error: 'Unknown location.' });
+  }
+
+  // Providers without an alerts source always report none
+  if (!getProvider(state.location.provider).fetchAlerts) {
+    return res.json({
+      locationId: state.location.id,
+      timezone: state.location.timezone,
+      supported: false,
+      alerts: [],
+      cachedAt: null,
+      cacheAgeMinutes: null
+    });
+  }
+
+  while (!state.alerts && state.isFetchingCurrent) {
+    await new Promise(resolve => setTimeout(resolve, 500));
+  }
+  if (!state.alerts) {
+    return res.status(503).json({ error: 'Alerts are not available yet. Please try again later.' });
+  }
+
+  const { fetchedAt, alerts } = state.alerts;
+  res.json({
+    locationId: state.location.id,
+    timezone: state.location.timezone,
+    supported: true,
+    alerts: zoneAlerts(getActiveAlerts(alerts), state.location.timezone),
+    cachedAt: fetchedAt.toISOString(),
+    cacheAgeMinutes: Math.round((Date.now() - fetchedAt.getTime()) / 1000 / 60)
+  });
+});
+
+// Widest forecast time range one history query may cover
+const HISTORY_MAX_RANGE = 31 * 24 * 60 * 60 * 1000;
+
+// Default and maximum number of records returned by one history query
+const HISTORY_DEFAULT_LIMIT = 1000;
+const HISTORY_MAX_LIMIT = 10000;
+
+// Parse an ISO 8601 timestamp query parameter; undefined when absent, null when invalid.
+// A bare date ("2026-01-14") is midnight in the location's timezone.
+function parseTimeParam(value, timeZone) {
+  if (value === undefined) return undefined;
+  if (typeof value !== 'string') return null;
+  const date = /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value))
+    ? zonedTimeToUtc(value, 0, 0, timeZone)
+    : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+// Validate /api/history query parameters for a location in timeZone.
+// Returns { query: { from, to, scrapedFrom, scrapedTo, limit } } or { error }.
+function parseHistoryQuery(query, timeZone) {
+  const times = {};
+  for (const name of ['from', 'to', 'scrapedFrom', 'scrapedTo']) {
+    times[name] = parseTimeParam(query[name], timeZone);
+    if (times[name] === null) {
+      return { error: `${name} must be an ISO 8601 date or timestamp.` };
+    }
+  }
+
+  // A missing end of the range is 24 hours from the other end; with neither, the last 24 hours
+  const day = 24 * 60 * 60 * 1000;
+  const to = times.to || (times.from ? new Date(times.from.getTime() + day) : new Date());
+  const from = times.from || new Date(to.getTime() - day);
+  if (from > to) {
+    return { error: 'from must not be after to.' };
+  }
+  if (to - from > HISTORY_MAX_RANGE) {
+    return { error: 'The range between from and to must not exceed 31 days.' };
+  }
+
+  const limit = query.limit === undefined ? HISTORY_DEFAULT_LIMIT : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > HISTORY_MAX_LIMIT) {
+    return { error: `limit must be an integer between 1 and ${HISTORY_MAX_LIMIT}.` };
+  }
+
+  return {
+    query: { from, to, scrapedFrom: times.scrapedFrom, scrapedTo: times.scrapedTo, limit }
+  };
+}
+
+// Endpoint to query past forecasts for a location by forecast hour
+// (?location=<id>&from=2026-01-14&to=2026-01-15, optionally narrowed by scrapedFrom/scrapedTo)
+app.get('/api/history', async (req, res) => {
+  const requestedId = typeof req.query.location === 'string' ? req.query.location : null;
+  const state = getLocationState(requestedId);
+  if (!state) {
+    return res.status(404).json({ error: 'Unknown location.' });
+  }
+
+  const { timezone } = state.location;
+  const { query, error } = parseHistoryQuery(req.query, timezone);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const { records, truncated } = await queryHistory(HISTORY_DIR, { locationId: state.location.id, ...query });
+    DEBUG.log('API', `[${state.location.id}] History ${query.from.toISOString()} - ${query.to.toISOString()} | ${records.length} records${truncated ? ' (truncated)' : ''}`);
+    res.json({
+      locationId: state.location.id,
+      timezone,
+      from: toZonedIso(query.from, timezone),
+      to: toZonedIso(query.to, timezone),
+      count: records.length,
+      truncated,
+      records: records.map(record => ({
+        ...record,
+        scrapedAt: toZonedIso(record.scrapedAt, timezone),
+        datetime: toZonedIso(record.datetime, timezone)
+      }))
+    });
+  } catch (queryError) {
+    DEBUG.error('API', `[${state.location.id}] History query failed: ${queryError.message}`);
+    res.status(500).json({ error: 'Failed to read forecast history.' });
+  }
+});
+
+// Endpoint showing how the forecast for each target hour changed across scrapes
+// (?location=<id>&from=&to=, same range parameters as /api/history)
+app.get('/api/forecast-drift', async (req, res) => {
+  const requestedId = typeof req.query.location === 'string' ? req.query.location : null;
+  const state = getLocationState(requestedId);
+  if (!state) {
+    return res.status(404).json({ error: 'Unknown location.' });
+  }
+
+  const { timezone } = state.location;
+  const { query, error } = parseHistoryQuery({ ...req.query, limit: undefined }, timezone);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const { records, truncated } = await queryHistory(HISTORY_DIR, {
+      locationId: state.location.id,
+      ...query,
+      limit: HISTORY_MAX_LIMIT
+    });
+    const series = buildRevisionSeries(records);
+    res.json({
+      locationId: state.location.id,
+      timezone,
+      from: toZonedIso(query.from, timezone),
+      to: toZonedIso(query.to, timezone),
+      truncated,
+      thresholds: {
+        temperature: SIGNIFICANT_TEMPERATURE_CHANGE,
+        precipitation: SIGNIFICANT_PRECIPITATION_CHANGE
+      },
+      stats: summarizeDrift(series),
+      series: series.map(({ datetime, revisions }) => ({
+        datetime: toZonedIso(datetime, timezone),
+        revisions: revisions.map(revision => ({ ...revision, scrapedAt: toZonedIso(revision.scrapedAt, timezone) }))
+      }))
+    });
+  } catch (queryError) {
+    DEBUG.error('API', `[${state.location.id}] Drift query failed: ${queryError.message}`);
+    res.status(500).json({ error: 'Failed to read forecast history.' });
+  }
+});
+
+// Number of rendered display images kept in memory
+const DISPLAY_CACHE_SIZE = 16;
+
+// Rendered display images keyed by location, data versions and output options
+const displayImageCache = new Map();
+
+// Renders in progress, so identical concurrent requests share one capture
+const displayRendersInFlight = new Map();
+
+// Renders run one at a time so small hosts never open several Chrome pages at once
+let displayRenderQueue = Promise.resolve();
+
+// Parse and validate the /api/display.bmp query parameters
+function parseDisplayOptions(query) {
+  const width = query.width === undefined ? settings.viewportWidth : Number(query.width);
+  const height = query.height === undefined ? settings.viewportHeight : Number(query.height);
+  for (const [name, value] of [['width', width], ['height', height]]) {
+    if (!Number.isInteger(value) || value < DISPLAY_MIN_SIZE || value > DISPLAY_MAX_SIZE) {
+      return { error: `${name} must be an integer between ${DISPLAY_MIN_SIZE} and ${DISPLAY_MAX_SIZE}.` };
+    }
+  }
+
+  const rotate = query.rotate === undefined ? 0 : Number(query.rotate);
+  if (!DISPLAY_ROTATIONS.includes(rotate)) {
+    return { error: `rotate must be one of ${DISPLAY_ROTATIONS.join(', ')}.` };
+  }
+
+  // An explicit palette wins over bits; without either the configured palette is used
+  let palette = DISPLAY_PALETTE;
+  if (query.palette !== undefined) {
+    if (typeof query.palette !== 'string' || !PALETTES[query.palette]) {
+      return { error: `palette must be one of ${Object.keys(PALETTES).join(', ')}.` };
+    }
+    palette = query.palette;
+  } else if (query.bits !== undefined) {
+    palette = DISPLAY_BITS_PALETTES[query.bits];
+    if (!palette) {
+      return { error: `bits must be one of ${Object.keys(DISPLAY_BITS_PALETTES).join(', ')}.` };
+    }
+  }
+
+  const dither = query.dither === undefined ? DISPLAY_DITHER : query.dither;
+  if (!DITHERS.includes(dither)) {
+    return { error: `dither must be one of ${DITHERS.join(', ')}.` };
+  }
+
+  // Without ?layout= each location renders in its configured layout
+  const layout = query.layout;
+  if (layout !== undefined && !DISPLAY_LAYOUTS.includes(layout)) {
+    return { error: `layout must be one of ${DISPLAY_LAYOUTS.join(', ')}.` };
+  }
+
+  return {
+    options: { width, height, rotate, palette, dither, layout }
+  };
+}
+
+// Fetch times of the data a display image shows: the forecast, and the current conditions
+// and alerts, which refresh on their own shorter interval
+function getDisplayDataTimes(state) {
+  return [
+    state.lastFetchTime,
+    state.currentConditions ? state.currentConditions.fetchedAt : null,
+    state.alerts ? state.alerts.fetchedAt : null
+  ];
+}
+
+// When the newest data a display image shows was fetched
+function getDisplayUpdatedAt(state) {
+  return new Date(Math.max(...getDisplayDataTimes(state).map(time => (time ? time.getTime() : 0))));
+}
+
+// Render (or return a cached render of) the display image for a location and panel geometry
+async function getDisplayImage(state, options) {
+  const { location } = state;
+  const layout = options.layout || location.layout;
+  const key = [
+    location.id,
+    ...getDisplayDataTimes(state).map(time => (time ? time.getTime() : '-')),
+    options.width,
+    options.height,
+    options.rotate,
+    options.palette,
+    options.dither,
+    layout
+  ].join('|');
+
+  const cached = displayImageCache.get(key);
+  if (cached) {
+    // Move to the end so the least recently used render is evicted first
+    displayImageCache.delete(key);
+    displayImageCache.set(key, cached);
+    return cached;
+  }
+  if (displayRendersInFlight.has(key)) {
+    return displayRendersInFlight.get(key);
+  }
+
+  const render = displayRenderQueue.then(async () => {
+    const startTime = Date.now();
+    const pngBuffer = await renderDisplayPng(state, getRenderView(options, location));
+    const bmpData = await renderBmp(pngBuffer, options);
+
+    DEBUG.log('DISPLAY', `[${location.id}] Rendered ${options.width}x${options.height} rotate ${options.rotate} ${options.palette}/${options.dither} ${layout} | ${(bmpData.data.length / 1024).toFixed(1)} KB | ${Date.now() - startTime}ms`);
+    return {
+      data: bmpData.data,
+      hash: hashImage(bmpData.data),
+      renderedAt: new Date()
+    };
+  });
+  displayRenderQueue = render.catch(() => {});
+  displayRendersInFlight.set(key, render);
+
+  try {
+    const image = await render;
+    displayImageCache.set(key, image);
+    while (displayImageCache.size > DISPLAY_CACHE_SIZE) {
+      displayImageCache.delete(displayImageCache.keys().next().value);
+    }
+    return image;
+  } finally {
+    displayRendersInFlight.delete(key);
+  }
+}
+
+// Endpoint to render the display image for a specific panel geometry
+// (?location=<id>&width=800&height=480&rotate=90&bits=1&dither=bayer&layout=hero)
+app.get('/api/display.bmp', async (req, res) => {
+  const requestedId = typeof req.query.location === 'string' ? req.query.location : null;
+  const state = getLocationState(requestedId);
+  if (!state) {
+    return res.status(404).json({ error: 'Unknown location.' });
+  }
+
+  const { options, error } = parseDisplayOptions(req.query);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  if (!state.cachedWeatherData) {
+    return res.status(503).json({ error: 'Forecast data is not available yet. Please try again later.' });
+  }
+
+  try {
+    const image = await getDisplayImage(state, options);
+    res.set('Content-Type', 'image/bmp');
+    res.set('Cache-Control', 'no-cache');
+    res.set('ETag', `"${image.hash}"`);
+    res.set('Last-Modified', getDisplayUpdatedAt(state).toUTCString());
+
+    // Answer If-None-Match / If-Modified-Since from devices that already have this image
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+    res.send(image.data);
+  } catch (renderError) {
+    DEBUG.error('DISPLAY', renderError.message);
+    DEBUG.error('DISPLAY', 'Stack:', renderError.stack);
+
+    res.status(500).json({
+      error: 'Failed to render display image. Please try again later.'
+    });
+  }
+});
+
+// Extra time allowed after a scheduled refresh for the scrape and screenshot to finish
+const DISPLAY_SETTLE_SECONDS = 120;
+
+// Shortest sleep suggested to polling devices
+const MIN_DEVICE_SLEEP_SECONDS = 60;
+
+// When a location's panel images can next change: the next forecast refresh, or the
+// next current conditions refresh if sooner, since that re-renders the "Now" block and
+// alert banner (skipped while the circuit is open)
+function getNextUpdateAt(state) {
+  const nextAttemptAt = getNextAttemptAt(state);
+  const nextCurrentAt = isCircuitOpen(state) ? null : state.nextCurrentRefreshAt;
+  if (!nextAttemptAt || !nextCurrentAt) {
+    return nextAttemptAt || nextCurrentAt;
+  }
+  return nextCurrentAt < nextAttemptAt ? nextCurrentAt : nextAttemptAt;
+}
+
+// Seconds a device can sleep before new data for a location can be expected
+function getDeviceSleepSeconds(state) {
+  const nextUpdateAt = getNextUpdateAt(state);
+  if (state.isFetching || state.isFetchingCurrent || !nextUpdateAt) {
+    return MIN_DEVICE_SLEEP_SECONDS;
+  }
+  const secondsUntilRefresh = Math.ceil((nextUpdateAt.getTime() - Date.now()) / 1000);
+  return Math.max(secondsUntilRefresh + DISPLAY_SETTLE_SECONDS, MIN_DEVICE_SLEEP_SECONDS);
+}
+
+// Query string for /api/display.bmp built from the display parameters a device sent
+function buildDisplayQuery(locationId, query) {
+  const params = new URLSearchParams({ location: locationId });
+  for (const name of ['width', 'height', 'rotate', 'bits', 'palette', 'dither', 'layout']) {
+    if (typeof query[name] === 'string') {
+      params.set(name, query[name]);
+    }
+  }
+  return params.toString();
+}
+
+// Endpoint telling a polling device which image to show, its hash, and how long to sleep.
+// Without display parameters it points at the saved image of ?panel=<id> (default: the
+// location's first panel profile) in screenshots/, in ?format=<bmp|bin|png> (default: the
+// panel's first format); with any of width/height/rotate/bits/palette/dither/layout it
+// points at the matching /api/display.bmp render.
+app.get('/api/display/manifest', async (req, res) => {
+  const requestedId = typeof req.query.location === 'string' ? req.query.location : null;
+  const state = getLocationState(requestedId);
+  if (!state) {
+    return res.status(404).json({ error: 'Unknown location.' });
+  }
+
+  const wantsRender = ['width', 'height', 'rotate', 'bits', 'palette', 'dither', 'layout'].some(name => req.query[name] !== undefined);
+  const panels = getLocationPanels(state.location);
+  let panel = wantsRender ? null : panels[0] || null;
+  if (req.query.panel !== undefined) {
+    if (wantsRender) {
+      return res.status(400).json({ error: 'panel cannot be combined with display parameters.' });
+    }
+    panel = panels.find(entry => entry.id === req.query.panel);
+    if (!panel) {
+      return res.status(404).json({ error: 'Unknown panel for this location.' });
+    }
+  }
+
+  let format = wantsRender ? 'bmp' : panel ? panel.formats[0] : null;
+  if (req.query.format !== undefined) {
+    if (wantsRender) {
+      return res.status(400).json({ error: 'format cannot be combined with display parameters.' });
+    }
+    if (!panel || !panel.formats.includes(req.query.format)) {
+      return res.status(400).json({ error: `format must be one of the panel's formats (${panel ? panel.formats.join(', ') : 'none'}).` });
+    }
+    format = req.query.format;
+  }
+
+  const manifest = {
+    location: state.location.id,
+    panel: panel ? panel.id : null,
+    format,
+    // Bumped only when the panel image's pixels change; see /api/display/changes
+    version: panel && state.panelImages.has(panel.id) ? state.panelImages.get(panel.id).version : null,
+    // When the image was last rendered with new pixels (null until it exists)
+    updatedAt: null,
+    nextUpdateAt: getNextUpdateAt(state)?.toISOString() || null,
+    sleepSeconds: getDeviceSleepSeconds(state),
+    imageUrl: null,
+    hash: null,
+    // Geometry of a raw framebuffer (format "bin")
+    metadataUrl: null
+  };
+
+  try {
+    if (wantsRender) {
+      const { options, error } = parseDisplayOptions(req.query);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      if (state.cachedWeatherData) {
+        const image = await getDisplayImage(state, options);
+        manifest.imageUrl = `/api/display.bmp?${buildDisplayQuery(state.location.id, req.query)}`;
+        manifest.hash = image.hash;
+        manifest.updatedAt = image.renderedAt.toISOString();
+      }
+    } else if (panel) {
+      const fileName = getPanelFileName(panel, state.location, format);
+      const info = getScreenshotInfo(fileName);
+      if (info) {
+        manifest.imageUrl = `/screenshots/${fileName}`;
+        manifest.hash = info.hash;
+        const saved = state.panelImages.get(panel.id);
+        manifest.updatedAt = (saved ? saved.updatedAt : info.modifiedAt).toISOString();
+        if (format === 'bin') {
+          manifest.metadataUrl = `/screenshots/${getPanelFileName(panel, state.location, 'json')}`;
+        }
+      }
+    }
+  } catch (error) {
+    DEBUG.error('DISPLAY', `Manifest render failed: ${error.message}`);
+  }
+
+  // No image yet: ask the device to check back soon
+  if (!manifest.imageUrl) {
+    manifest.sleepSeconds = MIN_DEVICE_SLEEP_SECONDS;
+  }
+
+  res.set('Cache-Control', 'no-cache');
+  res.json(manifest);
+});
+
+// Endpoint for devices with partial refresh: what changed in a panel image since the
+// version the device shows (?location=<id>&panel=<id>&since=<version>&format=<bmp|bin|png>).
+// Regions are only available against the previous version; anything older, or a change
+// too large for partial refresh, asks for a full refresh from imageUrl instead.
+app.get('/api/display/changes', (req, res) => {
+  const requestedId = typeof req.query.location === 'string' ? req.query.location : null;
+  const state = getLocationState(requestedId);
+  if (!state) {
+    return res.status(404).json({ error: 'Unknown location.' });
+  }
+
+  const panels = getLocationPanels(state.location);
+  const panel = req.query.panel === undefined ? panels[0] : panels.find(entry => entry.id === req.query.panel);
+  if (!panel) {
+    return res.status(404).json({ error: 'Unknown panel for this location.' });
+  }
+
+  const format = req.query.format === undefined ? panel.formats[0] : req.query.format;
+  if (!panel.formats.includes(format)) {
+    return res.status(400).json({ error: `format must be one of the panel's formats (${panel.formats.join(', ')}).` });
+  }
+
+  const since = Number(req.query.since);
+  if (req.query.since === undefined || !Number.isInteger(since) || since < 0) {
+    return res.status(400).json({ error: 'since must be the image version the device shows (0 for none).' });
+  }
+
+  const image = state.panelImages.get(panel.id);
+  if (!image) {
+    return res.status(503).json({ error: 'The panel image has not been rendered yet. Please try again later.' });
+  }
+
+  const fileName = getPanelFileName(panel, state.location, format);
+  const changes = {
+    location: state.location.id,
+    panel: panel.id,
+    format,
+    version: image.version,
+    updatedAt: image.updatedAt,
+    imageUrl: `/screenshots/${fileName}`,
+    hash: getScreenshotInfo(fileName)?.hash || null,
+    changed: since !== image.version,
+    fullRefresh: false,
+    reason: null,
+    regions: []
+  };
+
+  if (changes.changed) {
+    if (!image.changes || image.changes.previousVersion !== since) {
+      changes.fullRefresh = true;
+      changes.reason = image.changes && image.changes.previousVersion !== null ? 'version-gap' : 'no-previous-frame';
+    } else if (image.changes.fullRefresh) {
+      changes.fullRefresh = true;
+      changes.reason = image.changes.reason;
+    } else {
+      // Region images are encoded like the full image (a bin region has its own row length)
+      changes.regions = image.changes.regions.map(region => ({
+        x: region.x,
+        y: region.y,
+        width: region.width,
+        height: region.height,
+        ...(format === 'bin' ? { rowBytes: region.framebuffer.rowBytes, planes: region.framebuffer.planes } : {}),
+        data: region.data[format].toString('base64')
+      }));
+    }
+  }
+
+  res.set('Cache-Control', 'no-cache');
+  res.json(changes);
+});
+
+// Re-render every location's panel images from its cached data, one location at a time.
+// A location that is refreshing is skipped; its refresh renders with the new settings.
+async function rerenderPanelImages() {
+  for (const state of locationStates.values()) {
+    if (!state.cachedWeatherData || state.isFetching) continue;
+    await savePanelImages(state);
+  }
+}
+
+// Refetch one location after a forecast setting changed. A fetch in progress started with
+// the old settings, so another follows it; when the circuit is open or the refetch fails,
+// the panel images are re-rendered from the cache so display settings still apply.
+async function refetchForSettings(state) {
+  if (state.isFetching) {
+    state.refetchQueued = true;
+    return;
+  }
+  if (!isCircuitOpen(state) && await updateWeatherData(state)) return;
+  if (!state.cachedWeatherData) return;
+  try {
+    await savePanelImages(state);
+  } catch (error) {
+    DEBUG.error('SETTINGS', `[${state.location.id}] Re-render failed: ${error.message}`);
+  }
+}
+
+// Apply changed settings without a restart: reschedule refreshes whose interval changed,
+// reload panel profiles that follow the viewport, then refetch (forecast settings) or
+// re-render (display settings) so the panel images reflect the new values
+function applySettings(previous) {
+  const changed = name => previous[name] !== settings[name];
+
+  for (const state of locationStates.values()) {
+    const { location } = state;
+    const intervals = getRefreshIntervals(location);
+    if (intervals.refreshInterval !== location.refreshInterval || intervals.currentRefreshInterval !== location.currentRefreshInterval) {
+      Object.assign(location, intervals);
+      scheduleRefreshes(state);
+    }
+  }
+
+  if (changed('viewportWidth') || changed('viewportHeight')) {
+    try {
+      PANELS = loadPanels();
+    } catch (error) {
+      DEBUG.error('SETTINGS', `Keeping the current panel profiles: ${error.message}`);
+    }
+  }
+
+  // Renders are cached by data version only
+  displayImageCache.clear();
+  liveUpdates.publish('settings', getPublicSettings());
+
+  if (changed('forecastHours') || changed('tomorrowFetchThresholdHours')) {
+    for (const state of locationStates.values()) {
+      refetchForSettings(state);
+    }
+  } else if (['viewportWidth', 'viewportHeight', 'timeFormat', 'displayMode'].some(changed)) {
+    rerenderPanelImages().catch(error => DEBUG.error('SETTINGS', `Re-render failed: ${error.message}`));
+  }
+}
+
+// Token the admin API requires as "Authorization: Bearer <token>"; without one the
+// admin API is disabled
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || '';
+
+// Reject admin API requests without the admin token
+function requireAdmin(req, res, next) {
+  if (!ADMIN_TOKEN) {
+    return res.status(403).json({ error: 'The admin API is disabled. Set ADMIN_TOKEN to enable it.' });
+  }
+  const header = req.get('authorization') || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7) : '';
+  // Compare digests so the check takes the same time whatever the token's length
+  const expected = crypto.createHash('sha256').update(ADMIN_TOKEN).digest();
+  const given = crypto.createHash('sha256').update(token).digest();
+  if (!crypto.timingSafeEqual(expected, given)) {
+    return res.status(401).json({ error: 'Missing or wrong admin token.' });
+  }
+  next();
+}
+
+// Display defaults for the web UI (time format, display mode)
+app.get('/api/settings', (req, res) => {
+  res.set('Cache-Control', 'no-cache');
+  res.json(getPublicSettings());
+});
+
+// Admin endpoint listing every setting with its default and schema (for the admin page)
+app.get('/api/admin/settings', requireAdmin, (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  res.json({
+    settings,
+    defaults: getDefaultSettings(SETTINGS_SCHEMA),
+    schema: SETTINGS_SCHEMA
+  });
+});
+
+// Admin endpoint changing some or all settings ({ <name>: value, ... }). Nothing is
+// changed unless every value is valid; the new settings are saved and applied at once.
+app.put('/api/admin/settings', requireAdmin, (req, res) => {
+  // Other bodies aren't parsed and would arrive as {}, silently changing nothing
+  if (!req.is('application/json')) {
+    return res.status(415).json({ error: 'Settings must be sent as application/json.' });
+  }
+  if (Object.keys(req.body).length === 0) {
+    return res.status(400).json({ error: 'No settings to change.' });
+  }
+
+  const result = mergeSettings(SETTINGS_SCHEMA, settings, req.body);
+  if (result.errors) {
+    return res.status(400).json({ error: 'Invalid settings.', fields: result.errors });
+  }
+
+  try {
+    saveSettings(SETTINGS_FILE, result.settings);
+  } catch (error) {
+    DEBUG.error('SETTINGS', `Failed to save settings: ${error.message}`);
+    return res.status(500).json({ error: 'Failed to save settings.' });
+  }
+
+  const previous = settings;
+  settings = result.settings;
+  const changedNames = Object.keys(settings).filter(name => previous[name] !== settings[name]);
+  DEBUG.log('SETTINGS', `Updated ${changedNames.map(name => `${name}=${settings[name]}`).join(', ') || 'nothing'}`);
+  applySettings(previous);
+
+  res.set('Cache-Control', 'no-store');
+  res.json({
+    settings,
+    defaults: getDefaultSettings(SETTINGS_SCHEMA),
+    schema: SETTINGS_SCHEMA
+  });
+});
+
+// Serve the admin settings page
+app.get('/admin', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'admin.html'));
+});
+
+// Serve the main page
+app.get('/', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'index.html'));
+});
+
+// Graceful shutdown
+process.on('SIGINT', async () => {
+  DEBUG.log('SHUTDOWN', 'Received SIGINT, closing browser...');
+  await closeBrowser();
+  DEBUG.log('SHUTDOWN', 'Browser closed');
+  process.exit(0);
+});
+
+app.listen(PORT, () => {
+  DEBUG.log('STARTUP', '========================================');
+  DEBUG.log('STARTUP', `Server running on http://localhost:${PORT}`);
+  DEBUG.log('STARTUP', `Node.js version: ${process.version}`);
+  DEBUG.log('STARTUP', `PID: ${process.pid}`);
+  DEBUG.log('STARTUP', `Environment: ${process.env.NODE_ENV || 'development'}`);
+  DEBUG.log('STARTUP', `CORS allowed origins: ${allowedOrigins.join(', ')}`);
+  DEBUG.log('STARTUP', 'Rate limit: 100 requests per 900s (15 min)');
+  DEBUG.log('STARTUP', `Screenshots directory: ${SCREENSHOTS_DIR}`);
+  DEBUG.log('STARTUP', `Display renderer: ${DISPLAY_RENDERER} | palette: ${DISPLAY_PALETTE} | dither: ${DISPLAY_DITHER} | layout: ${DISPLAY_LAYOUT}`);
+  DEBUG.log('STARTUP', `Locations file: ${LOCATIONS_FILE}`);
+  LOCATIONS.forEach(location => {
+    DEBUG.log('STARTUP', `Location ${location.id}: ${location.provider} | refresh every ${location.refreshInterval / 1000 / 60} minutes`);
+  });
+  DEBUG.log('STARTUP', `Panels file: ${PANELS_FILE}`);
+  for (const panel of PANELS) {
+    DEBUG.log('STARTUP', `Panel ${panel.id}: ${panel.width}x${panel.height} rotate ${panel.rotate} ${panel.palette}/${panel.dither} | ${panel.layout || 'location layout'} | ${panel.filename} (${panel.formats.join(', ')})`);
+  }
+  DEBUG.log('STARTUP', `Cache file: ${CACHE_FILE}`);
+  DEBUG.log('STARTUP', `Panel image versions: ${PANEL_IMAGES_FILE}`);
+  DEBUG.log('STARTUP', `Settings file: ${SETTINGS_FILE} | admin API ${ADMIN_TOKEN ? 'enabled' : 'disabled (no ADMIN_TOKEN)'}`);
+  DEBUG.log('STARTUP', '========================================');
+
+  // Serve the last known forecast immediately while the first refresh runs
+  restoreWeatherCache();
+  restorePanelImages();
+
+  DEBUG.log('STARTUP', 'Fetching weather data for all locations...');
 
   // Start the hourly data refresh
   startHourlyDataRefresh();
@@ -0,0 +1,212 @@
+// The Node half of the AccuWeather scraper, fed the raw cards the browser extracted from
+// the saved pages in fixtures/accuweather/ (their .expected.json files). The browser half
+// is checked with `npm run check:fixtures`, which needs Chrome.
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const {
+  parseCardDetails,
+  buildForecastRecords,
+  buildDailyRecords,
+  buildCurrentConditions,
+  buildAlertRecords
+} = require('../lib/providers/accuweather-extract');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures', 'accuweather');
+
+function loadFixture(name) {
+  return JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, `${name}.expected.json`), 'utf8'));
+}
+
+const NO_DETAILS = {
+  windSpeed: null,
+  windDirection: null,
+  windGust: null,
+  windSpeedUnit: 'km/h',
+  humidity: null,
+  dewPoint: null,
+  uvIndex: null,
+  cloudCover: null,
+  visibility: null,
+  visibilityUnit: 'km'
+};
+
+test('parseCardDetails converts the detail panel rows to metric fields', () => {
+  const [card] = loadFixture('accordion-item-hour').cards;
+  assert.deepStrictEqual(parseCardDetails(card.details), {
+    windSpeed: 11,
+    windDirection: 'SSW',
+    windGust: 24,
+    windSpeedUnit: 'km/h',
+    humidity: 68,
+    dewPoint: 57,
+    uvIndex: 3,
+    cloudCover: 45,
+    visibility: 16.1,
+    visibilityUnit: 'km'
+  });
+  assert.deepStrictEqual(parseCardDetails({}), NO_DETAILS);
+  assert.deepStrictEqual(parseCardDetails(undefined), NO_DETAILS);
+});
+
+test('buildForecastRecords dates the hours of today\'s page and rolls over midnight', () => {
+  const { cards } = loadFixture('accordion-item-hour');
+  // 14:30 in Culver City
+  const records = buildForecastRecords(cards, false, 'America/Los_Angeles', new Date('2026-01-14T22:30:00Z'));
+
+  assert.deepStrictEqual(records.map(record => [record.datetime, record.temperature, record.isDaylight]), [
+    ['2026-01-14T23:00:00.000Z', 68, true],
+    ['2026-01-15T00:00:00.000Z', 67, true],
+    ['2026-01-15T08:00:00.000Z', 55, false],
+    ['2026-01-15T20:00:00.000Z', 72, true]
+  ]);
+  assert.deepStrictEqual(records[1], {
+    datetime: '2026-01-15T00:00:00.000Z',
+    temperature: 67,
+    temperatureUnit: 'F',
+    realFeel: 69,
+    precipitation: 25,
+    precipitationAmount: 1.5,
+    precipitationUnit: 'mm',
+    icon: null,
+    iconPhrase: 'Mostly cloudy',
+    isDaylight: true,
+    ...NO_DETAILS
+  });
+  assert.strictEqual(records[0].windSpeed, 11);
+});
+
+test('buildForecastRecords drops cards without a temperature and places cards without a time', () => {
+  const { cards } = loadFixture('hourly-list-item');
+  // 05:30 in Miami
+  const records = buildForecastRecords(cards, false, 'America/New_York', new Date('2026-01-14T10:30:00Z'));
+
+  assert.deepStrictEqual(records.map(record => [record.datetime, record.temperature, record.iconPhrase]), [
+    ['2026-01-14T11:00:00.000Z', 79, 'Thunderstorms'],
+    // "08:00" isn't parsed; the card follows the dropped 7 AM card
+    ['2026-01-14T13:00:00.000Z', 81, 'Humid']
+  ]);
+});
+
+test('buildForecastRecords dates tomorrow\'s page on the next day', () => {
+  const { cards } = loadFixture('data-qa-hourly-card');
+  const records = buildForecastRecords(cards, true, 'America/Los_Angeles', new Date('2026-01-14T22:30:00Z'));
+  assert.deepStrictEqual(records.map(record => record.datetime), ['2026-01-16T07:00:00.000Z']);
+});
+
+test('buildForecastRecords returns nothing for a page without cards', () => {
+  const { cards } = loadFixture('no-cards');
+  assert.deepStrictEqual(buildForecastRecords(cards, false, 'America/Los_Angeles'), []);
+});
+
+test('buildDailyRecords dates the cards and parses sunrise and sunset', () => {
+  const { cards } = loadFixture('daily-wrapper');
+  const records = buildDailyRecords(cards, 'America/Los_Angeles', new Date('2026-01-14T20:00:00Z'));
+
+  assert.deepStrictEqual(records, [
+    {
+      date: '2026-01-14',
+      high: 68,
+      low: 52,
+      temperatureUnit: 'F',
+      dayPhrase: 'Sunny and pleasant',
+      nightPhrase: 'Clear',
+      precipitation: 1,
+      sunrise: '2026-01-14T14:58:00.000Z',
+      sunset: '2026-01-15T01:08:00.000Z'
+    },
+    {
+      date: '2026-01-15',
+      high: 71,
+      low: 54,
+      temperatureUnit: 'F',
+      dayPhrase: 'Partly sunny',
+      nightPhrase: 'Low clouds',
+      precipitation: 25,
+      sunrise: null,
+      sunset: null
+    },
+    {
+      date: '2026-01-16',
+      high: 64,
+      low: null,
+      temperatureUnit: 'F',
+      dayPhrase: 'Rain',
+      nightPhrase: null,
+      precipitation: 90,
+      sunrise: null,
+      sunset: null
+    }
+  ]);
+});
+
+test('buildDailyRecords puts dates shown without a year in the nearest year', () => {
+  const { cards } = loadFixture('daily-data-qa-card');
+  const records = buildDailyRecords(cards, 'Europe/London', new Date('2026-01-01T12:00:00Z'));
+
+  assert.deepStrictEqual(records.map(record => [record.date, record.sunrise, record.sunset]), [
+    ['2025-12-31', '2025-12-31T07:57:00.000Z', '2025-12-31T16:24:00.000Z'],
+    ['2026-01-01', null, null]
+  ]);
+});
+
+test('buildCurrentConditions dates the observation time on today', () => {
+  const { card } = loadFixture('current-weather-card');
+  // 14:40 in Culver City
+  assert.deepStrictEqual(buildCurrentConditions(card, 'America/Los_Angeles', new Date('2026-01-14T22:40:00Z')), {
+    observedAt: '2026-01-14T22:37:00.000Z',
+    temperature: 68,
+    temperatureUnit: 'F',
+    realFeel: 71,
+    phrase: 'Sunny and pleasant',
+    windSpeed: 11,
+    windDirection: 'SSW',
+    windGust: 19,
+    windSpeedUnit: 'km/h',
+    humidity: 48
+  });
+});
+
+test('buildCurrentConditions dates an observation time later than now on yesterday', () => {
+  const { card } = loadFixture('current-data-qa');
+  // 02:00 in Culver City; 2:37 PM was yesterday afternoon
+  const record = buildCurrentConditions(card, 'America/Los_Angeles', new Date('2026-01-14T10:00:00Z'));
+  assert.strictEqual(record.observedAt, '2026-01-13T22:37:00.000Z');
+  assert.strictEqual(record.windGust, null);
+  assert.strictEqual(record.humidity, 55);
+});
+
+test('buildAlertRecords parses alert times, severities and sources', () => {
+  const { cards } = loadFixture('alerts-item');
+  const records = buildAlertRecords(cards, 'America/Chicago', new Date('2026-07-15T12:00:00Z'));
+
+  assert.deepStrictEqual(records, [
+    {
+      title: 'Excessive Heat Warning',
+      severity: 'severe',
+      effectiveAt: '2026-07-14T15:00:00.000Z',
+      expiresAt: '2026-07-17T01:00:00.000Z',
+      source: 'U.S. National Weather Service'
+    },
+    {
+      title: 'Air Quality Alert',
+      severity: 'unknown',
+      effectiveAt: null,
+      expiresAt: '2026-07-16T04:59:00.000Z',
+      source: 'South Coast Air Quality Management District'
+    }
+  ]);
+});
+
+test('buildAlertRecords takes ISO times and the page\'s own severity', () => {
+  const { cards } = loadFixture('alerts-data-qa');
+  assert.deepStrictEqual(buildAlertRecords(cards, 'America/Chicago', new Date('2026-01-14T20:00:00Z')), [{
+    title: 'Flood Watch',
+    severity: 'moderate',
+    effectiveAt: '2026-01-14T18:00:00.000Z',
+    expiresAt: '2026-01-15T14:00:00.000Z',
+    source: 'U.S. National Weather Service'
+  }]);
+  assert.deepStrictEqual(buildAlertRecords(loadFixture('alerts-none').cards, 'America/Chicago'), []);
+});
@@ -0,0 +1,84 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { waitFor, startStub, startServer } = require('./helpers/server');
+
+const ADMIN_TOKEN = 'test-admin-token';
+
+function putSettings(baseUrl, changes) {
+  return fetch(`${baseUrl}/api/admin/settings`, {
+    method: 'PUT',
+    headers: { 'Authorization': `Bearer ${ADMIN_TOKEN}`, 'Content-Type': 'application/json' },
+    body: JSON.stringify(changes)
+  });
+}
+
+async function getPanel(baseUrl) {
+  const status = await (await fetch(`${baseUrl}/api/status`)).json();
+  return status.locations[0].panels[0];
+}
+
+async function getForecastHours(baseUrl) {
+  return (await (await fetch(`${baseUrl}/api/hourly-forecast`)).json()).forecast.length;
+}
+
+test('a forecast setting changed during a fetch is refetched once that fetch ends', async () => {
+  const stub = await startStub();
+  const server = await startServer({ stubUrl: stub.url, env: { ADMIN_TOKEN } });
+  try {
+    const { baseUrl } = server;
+    stub.hold = req => Boolean(req.query.hourly);
+    assert.strictEqual((await putSettings(baseUrl, { forecastHours: 10 })).status, 200);
+    await waitFor(() => stub.held.length > 0);
+
+    // This change arrives while the fetch for the previous one is held
+    assert.strictEqual((await putSettings(baseUrl, { forecastHours: 6 })).status, 200);
+    const hourlyRequests = stub.requests.filter(query => query.hourly).length;
+    stub.hold = () => false;
+    stub.held.splice(0).forEach(release => release());
+
+    await waitFor(() => stub.requests.filter(query => query.hourly).length > hourlyRequests);
+    await waitFor(async () => await getForecastHours(baseUrl) === 6);
+  } finally {
+    await server.stop();
+    await stub.close();
+  }
+});
+
+test('a failed refetch after a settings change re-renders the panels from the cache', async () => {
+  const stub = await startStub();
+  const server = await startServer({ stubUrl: stub.url, env: { ADMIN_TOKEN } });
+  try {
+    const { baseUrl } = server;
+    await waitFor(async () => (await getPanel(baseUrl)).version !== null);
+    const { version } = await getPanel(baseUrl);
+    await stub.close();
+
+    assert.strictEqual((await putSettings(baseUrl, { forecastHours: 8, displayMode: 'color' })).status, 200);
+    await waitFor(async () => (await getPanel(baseUrl)).version > version);
+  } finally {
+    await server.stop();
+  }
+});
+
+test('a settings PUT without a JSON body is rejected and changes nothing', async () => {
+  const stub = await startStub();
+  const server = await startServer({ stubUrl: stub.url, env: { ADMIN_TOKEN } });
+  try {
+    const { baseUrl } = server;
+    const formEncoded = await fetch(`${baseUrl}/api/admin/settings`, {
+      method: 'PUT',
+      headers: { 'Authorization': `Bearer ${ADMIN_TOKEN}`, 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: 'timeFormat=12'
+    });
+    assert.strictEqual(formEncoded.status, 415);
+    assert.strictEqual((await putSettings(baseUrl, {})).status, 400);
+
+    const current = await (await fetch(`${baseUrl}/api/admin/settings`, {
+      headers: { 'Authorization': `Bearer ${ADMIN_TOKEN}` }
+    })).json();
+    assert.strictEqual(current.settings.timeFormat, '24');
+  } finally {
+    await server.stop();
+    await stub.close();
+  }
+});
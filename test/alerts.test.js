@@ -0,0 +1,38 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { isAlertActive, getActiveAlerts } = require('../lib/alerts');
+
+const NOW = new Date('2026-07-15T12:00:00Z');
+
+function alert(title, severity, effectiveAt, expiresAt) {
+  return { title, severity, effectiveAt, expiresAt, source: 'U.S. National Weather Service' };
+}
+
+test('an alert is active from its start until, not including, its end', () => {
+  assert.strictEqual(isAlertActive(alert('a', 'severe', '2026-07-15T12:00:00Z', '2026-07-15T13:00:00Z'), NOW), true);
+  assert.strictEqual(isAlertActive(alert('a', 'severe', '2026-07-15T12:00:01Z', null), NOW), false);
+  assert.strictEqual(isAlertActive(alert('a', 'severe', null, '2026-07-15T12:00:00Z'), NOW), false);
+  // Missing times are open-ended
+  assert.strictEqual(isAlertActive(alert('a', 'severe', null, null), NOW), true);
+});
+
+test('active alerts are sorted by severity, then by the soonest end', () => {
+  const alerts = [
+    alert('Air Quality Alert', 'unknown', null, null),
+    alert('Heat Advisory', 'minor', '2026-07-15T10:00:00Z', '2026-07-16T02:00:00Z'),
+    alert('Flood Watch', 'moderate', '2026-07-15T00:00:00Z', '2026-07-16T00:00:00Z'),
+    alert('Expired Warning', 'extreme', '2026-07-14T00:00:00Z', '2026-07-15T11:00:00Z'),
+    alert('Excessive Heat Warning', 'severe', '2026-07-14T15:00:00Z', null),
+    alert('Red Flag Warning', 'severe', '2026-07-15T06:00:00Z', '2026-07-15T20:00:00Z'),
+    alert('Upcoming Watch', 'moderate', '2026-07-16T00:00:00Z', null),
+    alert('Odd Severity', 'catastrophic', null, null)
+  ];
+  assert.deepStrictEqual(getActiveAlerts(alerts, NOW).map(({ title }) => title), [
+    'Red Flag Warning',
+    'Excessive Heat Warning',
+    'Flood Watch',
+    'Heat Advisory',
+    'Air Quality Alert',
+    'Odd Severity'
+  ]);
+});
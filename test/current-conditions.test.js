@@ -0,0 +1,90 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { parseCurrentResponse } = require('../lib/providers/open-meteo');
+const { waitFor, startStub, startServer } = require('./helpers/server');
+
+test('parseCurrentResponse normalizes Open-Meteo current conditions', () => {
+  const body = {
+    current: {
+      time: '2026-01-14T22:30',
+      interval: 900,
+      temperature_2m: 67.6,
+      apparent_temperature: 65.4,
+      weather_code: 61,
+      wind_speed_10m: 12.2,
+      wind_direction_10m: 250,
+      wind_gusts_10m: 24.5,
+      relative_humidity_2m: 64
+    }
+  };
+  assert.deepStrictEqual(parseCurrentResponse(body), {
+    observedAt: '2026-01-14T22:30:00.000Z',
+    temperature: 68,
+    temperatureUnit: 'F',
+    realFeel: 65,
+    phrase: 'Light rain',
+    windSpeed: 12,
+    windDirection: 'WSW',
+    windGust: 25,
+    windSpeedUnit: 'km/h',
+    humidity: 64
+  });
+});
+
+test('parseCurrentResponse keeps missing values null and rejects a response without conditions', () => {
+  const record = parseCurrentResponse({ current: { time: '2026-01-14T22:30', temperature_2m: 50, weather_code: 999 } });
+  assert.strictEqual(record.temperature, 50);
+  assert.strictEqual(record.realFeel, null);
+  assert.strictEqual(record.phrase, null);
+  assert.strictEqual(record.windDirection, null);
+  assert.strictEqual(record.humidity, null);
+
+  assert.throws(() => parseCurrentResponse({}), /missing current conditions/);
+  assert.throws(() => parseCurrentResponse({ current: { time: '2026-01-14T22:30' } }), /missing current conditions/);
+  assert.throws(() => parseCurrentResponse(null), /missing current conditions/);
+});
+
+let stub;
+let server;
+
+before(async () => {
+  // The first current conditions request waits until the endpoint test releases it
+  stub = await startStub({ hold: req => Boolean(req.query.current) });
+  server = await startServer({ stubUrl: stub.url });
+});
+
+after(async () => {
+  if (server) await server.stop();
+  if (stub) await stub.close();
+});
+
+test('/api/current-conditions waits for the first fetch and serves it in the location\'s timezone', async () => {
+  const { baseUrl } = server;
+  await waitFor(() => stub.held.length > 0);
+  const pending = fetch(`${baseUrl}/api/current-conditions`);
+  // Let the request reach the server while the fetch is still held
+  await new Promise(resolve => setTimeout(resolve, 300));
+  stub.hold = () => false;
+  stub.held.shift()();
+
+  const response = await pending;
+  assert.strictEqual(response.status, 200);
+  const body = await response.json();
+  assert.strictEqual(body.locationId, 'test');
+  assert.strictEqual(body.timezone, 'America/Los_Angeles');
+  assert.match(body.observedAt, /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}-0[78]:00$/);
+  assert.strictEqual(body.phrase, 'Partly cloudy');
+  // The stub's apparent temperature is 2°F under the temperature, each rounded on its own
+  assert.ok(Math.abs(body.realFeel - (body.temperature - 2)) <= 1, `realFeel ${body.realFeel}, temperature ${body.temperature}`);
+  assert.strictEqual(body.windDirection, 'WSW');
+  assert.strictEqual(body.windGust, 25);
+  assert.strictEqual(body.humidity, 64);
+  assert.strictEqual(body.cacheAgeMinutes, 0);
+  assert.strictEqual(body.stale, false);
+  assert.ok(Math.abs(Date.parse(body.cachedAt) - Date.now()) < 60 * 1000);
+});
+
+test('/api/current-conditions rejects an unknown location', async () => {
+  const response = await fetch(`${server.baseUrl}/api/current-conditions?location=nowhere`);
+  assert.strictEqual(response.status, 404);
+});
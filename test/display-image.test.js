@@ -0,0 +1,39 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { waitFor, startStub, startServer } = require('./helpers/server');
+
+let stub;
+let server;
+
+before(async () => {
+  stub = await startStub({ hold: req => Boolean(req.query.current) });
+  server = await startServer({ stubUrl: stub.url });
+});
+
+after(async () => {
+  if (server) await server.stop();
+  if (stub) await stub.close();
+});
+
+test('a current conditions refresh changes the served display image', async () => {
+  const { baseUrl } = server;
+  const first = await fetch(`${baseUrl}/api/display.bmp`);
+  assert.strictEqual(first.status, 200);
+  const firstImage = Buffer.from(await first.arrayBuffer());
+  const lastModified = first.headers.get('last-modified');
+
+  // Last-Modified has one-second resolution; the conditions must land in a later second
+  await new Promise(resolve => setTimeout(resolve, 1100));
+  await waitFor(() => stub.held.length > 0);
+  stub.held.shift()();
+  await waitFor(async () => (await fetch(`${baseUrl}/api/current-conditions`)).ok);
+
+  // A device that only sends If-Modified-Since must get the new image, not a 304
+  const second = await fetch(`${baseUrl}/api/display.bmp`, {
+    headers: { 'If-Modified-Since': lastModified }
+  });
+  assert.strictEqual(second.status, 200);
+  const secondImage = Buffer.from(await second.arrayBuffer());
+  assert.notDeepStrictEqual(secondImage, firstImage);
+  assert.ok(new Date(second.headers.get('last-modified')) > new Date(lastModified));
+});
@@ -0,0 +1,50 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { waitFor, startStub, startServer } = require('./helpers/server');
+
+let stub;
+let server;
+
+before(async () => {
+  stub = await startStub();
+  server = await startServer({ stubUrl: stub.url });
+});
+
+after(async () => {
+  if (server) await server.stop();
+  if (stub) await stub.close();
+});
+
+async function getManifest(query = '') {
+  const response = await fetch(`${server.baseUrl}/api/display/manifest${query}`);
+  assert.strictEqual(response.status, 200);
+  return response.json();
+}
+
+test('the manifest wakes devices for the next current conditions refresh', async () => {
+  await waitFor(async () => (await getManifest()).imageUrl !== null);
+  const manifest = await getManifest();
+
+  // Current conditions refresh every 15 minutes, the forecast every 60
+  const untilNextUpdate = new Date(manifest.nextUpdateAt).getTime() - Date.now();
+  assert.ok(untilNextUpdate > 0 && untilNextUpdate <= 15 * 60 * 1000, `nextUpdateAt ${manifest.nextUpdateAt}`);
+  assert.ok(manifest.sleepSeconds <= 15 * 60 + 120, `sleepSeconds ${manifest.sleepSeconds}`);
+});
+
+test('the manifest reports when the panel image was last rendered', async () => {
+  await waitFor(async () => (await getManifest()).imageUrl !== null);
+  const manifest = await getManifest();
+  const status = await (await fetch(`${server.baseUrl}/api/status`)).json();
+  const [panel] = status.locations[0].panels;
+  assert.strictEqual(manifest.updatedAt, panel.updatedAt);
+  assert.strictEqual(manifest.version, panel.version);
+});
+
+test('the manifest of an on-demand render reports the render time', async () => {
+  const requestedAt = Date.now();
+  const manifest = await getManifest('?width=200&height=120&bits=1');
+  assert.ok(manifest.imageUrl.startsWith('/api/display.bmp?'));
+  // Nothing rendered this geometry before, so the render happened for this request
+  const updatedAt = new Date(manifest.updatedAt).getTime();
+  assert.ok(updatedAt >= requestedAt && updatedAt <= Date.now(), `updatedAt ${manifest.updatedAt}`);
+});
@@ -0,0 +1,125 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { quantize, encodeFrame } = require('../lib/eink');
+
+// Split an indexed BMP into its header fields, color table and pixel rows (as stored)
+function readBmp(buffer) {
+  const offset = buffer.readUInt32LE(10);
+  const bits = buffer.readUInt16LE(28);
+  const height = buffer.readInt32LE(22);
+  const rowBytes = buffer.readUInt32LE(34) / Math.abs(height);
+  return {
+    header: {
+      signature: buffer.toString('ascii', 0, 2),
+      fileSize: buffer.readUInt32LE(2),
+      offset,
+      infoSize: buffer.readUInt32LE(14),
+      width: buffer.readInt32LE(18),
+      height,
+      planes: buffer.readUInt16LE(26),
+      bits,
+      compression: buffer.readUInt32LE(30),
+      colorsUsed: buffer.readUInt32LE(46),
+      colorsImportant: buffer.readUInt32LE(50)
+    },
+    colorTable: [...buffer.subarray(54, offset)],
+    rows: Array.from({ length: Math.abs(height) }, (_, i) => [...buffer.subarray(offset + i * rowBytes, offset + (i + 1) * rowBytes)])
+  };
+}
+
+async function encodeBmp(palette, width, height, indices) {
+  const { data } = await encodeFrame({ width, height, palette, indices: Uint8Array.from(indices) }, 'bmp');
+  return readBmp(data);
+}
+
+test('a mono BMP packs 1 bit per pixel MSB-first in padded bottom-up rows', async () => {
+  const bmp = await encodeBmp('mono', 3, 2, [
+    0, 1, 0,
+    1, 1, 1
+  ]);
+  assert.deepStrictEqual(bmp.header, {
+    signature: 'BM',
+    fileSize: 14 + 40 + 2 * 4 + 2 * 4,
+    offset: 14 + 40 + 2 * 4,
+    infoSize: 40,
+    width: 3,
+    height: 2,
+    planes: 1,
+    bits: 1,
+    compression: 0,
+    colorsUsed: 2,
+    colorsImportant: 2
+  });
+  assert.deepStrictEqual(bmp.colorTable, [0, 0, 0, 0, 255, 255, 255, 0]);
+  // The bottom row comes first; each row is padded to 4 bytes
+  assert.deepStrictEqual(bmp.rows, [
+    [0b11100000, 0, 0, 0],
+    [0b01000000, 0, 0, 0]
+  ]);
+});
+
+test('a gray4 BMP packs 2 bits per pixel with a 4-entry gray table', async () => {
+  const bmp = await encodeBmp('gray4', 5, 1, [0, 1, 2, 3, 2]);
+  assert.strictEqual(bmp.header.bits, 2);
+  assert.strictEqual(bmp.header.offset, 14 + 40 + 4 * 4);
+  assert.strictEqual(bmp.header.fileSize, 14 + 40 + 4 * 4 + 4);
+  assert.deepStrictEqual(bmp.colorTable, [0, 0, 0, 0, 85, 85, 85, 0, 170, 170, 170, 0, 255, 255, 255, 0]);
+  assert.deepStrictEqual(bmp.rows, [[0b00011011, 0b10000000, 0, 0]]);
+});
+
+test('a gray16 BMP packs 4 bits per pixel with a 16-entry gray table', async () => {
+  const bmp = await encodeBmp('gray16', 3, 1, [0, 15, 8]);
+  assert.strictEqual(bmp.header.bits, 4);
+  assert.strictEqual(bmp.header.colorsUsed, 16);
+  assert.strictEqual(bmp.header.colorsImportant, 16);
+  assert.strictEqual(bmp.colorTable.length, 16 * 4);
+  assert.deepStrictEqual(bmp.colorTable.slice(8 * 4, 9 * 4), [136, 136, 136, 0]);
+  assert.deepStrictEqual(bmp.rows, [[0x0f, 0x80, 0, 0]]);
+});
+
+test('a bwr BMP has a full 2-bit color table with three colors in use', async () => {
+  const bmp = await encodeBmp('bwr', 2, 2, [
+    0, 2,
+    1, 0
+  ]);
+  assert.strictEqual(bmp.header.bits, 2);
+  assert.strictEqual(bmp.header.colorsUsed, 4);
+  assert.strictEqual(bmp.header.colorsImportant, 3);
+  // BGRA: black, white, red, unused
+  assert.deepStrictEqual(bmp.colorTable, [0, 0, 0, 0, 255, 255, 255, 0, 0, 0, 255, 0, 0, 0, 0, 0]);
+  assert.deepStrictEqual(bmp.rows, [
+    [0b01000000, 0, 0, 0],
+    [0b00100000, 0, 0, 0]
+  ]);
+});
+
+test('an acep7 BMP packs 4 bits per pixel in the driver\'s color order', async () => {
+  const bmp = await encodeBmp('acep7', 2, 1, [4, 6]);
+  assert.strictEqual(bmp.header.bits, 4);
+  assert.strictEqual(bmp.header.colorsImportant, 7);
+  assert.deepStrictEqual(bmp.colorTable.slice(4 * 4, 7 * 4), [
+    0, 0, 255, 0,   // red
+    0, 255, 255, 0, // yellow
+    0, 128, 255, 0  // orange
+  ]);
+  assert.deepStrictEqual(bmp.colorTable.slice(7 * 4), new Array(9 * 4).fill(0));
+  assert.deepStrictEqual(bmp.rows, [[0x46, 0, 0, 0]]);
+});
+
+test('a row of exactly 32 pixels needs no padding', async () => {
+  const bmp = await encodeBmp('mono', 32, 1, new Array(32).fill(1));
+  assert.deepStrictEqual(bmp.rows, [[255, 255, 255, 255]]);
+});
+
+test('quantize maps pixels to the nearest palette color', () => {
+  const rgb = Uint8Array.from([
+    0, 0, 0,
+    255, 255, 255,
+    100, 100, 100,
+    250, 10, 10
+  ]);
+  assert.deepStrictEqual([...quantize(rgb, 4, 1, 'mono', 'none')], [0, 1, 0, 0]);
+  assert.deepStrictEqual([...quantize(rgb, 4, 1, 'gray4', 'none')], [0, 3, 1, 1]);
+  // Colors are matched in RGB, not on luminance
+  assert.deepStrictEqual([...quantize(rgb, 4, 1, 'bwr', 'none')], [0, 1, 0, 2]);
+});
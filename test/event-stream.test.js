@@ -0,0 +1,70 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const express = require('express');
+const { createEventStream } = require('../lib/event-stream');
+const { waitFor } = require('./helpers/server');
+
+// Serve an event stream on a free port
+async function serve(options) {
+  const stream = createEventStream(options);
+  const app = express();
+  app.get('/events', stream.handle);
+  const server = await new Promise(resolve => {
+    const httpServer = http.createServer(app).listen(0, '127.0.0.1', () => resolve(httpServer));
+  });
+  return { stream, url: `http://127.0.0.1:${server.address().port}/events`, close: () => new Promise(resolve => server.close(resolve)) };
+}
+
+// Open a stream and collect what arrives; resolves once the response headers are in
+function connect(url) {
+  return new Promise((resolve, reject) => {
+    const req = http.get(url, res => {
+      const client = { res, text: '', close: () => req.destroy() };
+      res.setEncoding('utf8');
+      res.on('data', chunk => {
+        client.text += chunk;
+      });
+      resolve(client);
+    });
+    req.on('error', reject);
+  });
+}
+
+test('an event stream sends the retry delay, published events and heartbeats', async () => {
+  const server = await serve({ maxClients: 2, heartbeatInterval: 50, retryDelay: 3000 });
+  const client = await connect(server.url);
+  try {
+    assert.strictEqual(client.res.statusCode, 200);
+    assert.strictEqual(client.res.headers['content-type'], 'text/event-stream; charset=UTF-8');
+    await waitFor(() => client.text.startsWith('retry: 3000\n\n'));
+
+    server.stream.publish('forecast', { locationId: 'test', cachedAt: '2026-01-14T22:00:00.000Z' });
+    await waitFor(() => client.text.includes('event: forecast\ndata: {"locationId":"test","cachedAt":"2026-01-14T22:00:00.000Z"}\n\n'));
+    await waitFor(() => client.text.includes(': heartbeat\n\n'));
+  } finally {
+    client.close();
+    await server.close();
+  }
+});
+
+test('an event stream turns away clients over the limit and forgets closed ones', async () => {
+  const server = await serve({ maxClients: 1, heartbeatInterval: 60000, retryDelay: 3000 });
+  const first = await connect(server.url);
+  try {
+    await waitFor(() => server.stream.clientCount() === 1);
+    const second = await connect(server.url);
+    assert.strictEqual(second.res.statusCode, 503);
+    second.close();
+
+    first.close();
+    await waitFor(() => server.stream.clientCount() === 0);
+    const third = await connect(server.url);
+    assert.strictEqual(third.res.statusCode, 200);
+    third.close();
+    await waitFor(() => server.stream.clientCount() === 0);
+  } finally {
+    first.close();
+    await server.close();
+  }
+});
@@ -0,0 +1,49 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { writeJsonAtomic, readJson } = require('../lib/state-file');
+const { waitFor, startStub, startServer } = require('./helpers/server');
+
+test('writeJsonAtomic replaces the file and leaves no temporary file behind', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'state-file-test-'));
+  try {
+    const file = path.join(dir, 'nested', 'state.json');
+    assert.strictEqual(readJson(file), null);
+
+    writeJsonAtomic(file, { version: 1 });
+    writeJsonAtomic(file, { version: 2, items: ['a'] });
+    assert.deepStrictEqual(readJson(file), { version: 2, items: ['a'] });
+    assert.deepStrictEqual(fs.readdirSync(path.dirname(file)), ['state.json']);
+
+    fs.writeFileSync(file, '{ "version": ');
+    assert.throws(() => readJson(file), SyntaxError);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('a restarted server serves the persisted forecast while its source is down', async () => {
+  const stub = await startStub();
+  let server = await startServer({ stubUrl: stub.url });
+  try {
+    await waitFor(async () => (await fetch(`${server.baseUrl}/api/current-conditions`)).ok);
+    const before = await (await fetch(`${server.baseUrl}/api/hourly-forecast`)).json();
+    const current = await (await fetch(`${server.baseUrl}/api/current-conditions`)).json();
+    await server.stop({ keepFiles: true });
+    await stub.close();
+
+    server = await startServer({ stubUrl: stub.url, dir: server.dir });
+    const after = await (await fetch(`${server.baseUrl}/api/hourly-forecast`)).json();
+    assert.strictEqual(after.cachedAt, before.cachedAt);
+    assert.deepStrictEqual(after.forecast.map(hour => [hour.datetime, hour.temperature]),
+      before.forecast.map(hour => [hour.datetime, hour.temperature]));
+
+    const restoredCurrent = await (await fetch(`${server.baseUrl}/api/current-conditions`)).json();
+    assert.strictEqual(restoredCurrent.cachedAt, current.cachedAt);
+    assert.strictEqual(restoredCurrent.temperature, current.temperature);
+  } finally {
+    await server.stop();
+  }
+});
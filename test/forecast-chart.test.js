@@ -0,0 +1,71 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { buildForecastChart } = require('../public/forecast-chart');
+
+// 14:00 to 17:00 in Los Angeles
+const HOURS = [
+  { datetime: '2026-01-14T22:00:00.000Z', temperature: 60, precipitation: 0 },
+  { datetime: '2026-01-14T23:00:00.000Z', temperature: 64, precipitation: 50 },
+  { datetime: '2026-01-15T00:00:00.000Z', temperature: 62, precipitation: 100 },
+  { datetime: '2026-01-15T01:00:00.000Z', temperature: 58, precipitation: 20 }
+];
+
+// Plot area 164x100 at (36, 24): one 41px slot per hour
+const OPTIONS = { width: 236, height: 144, unit: 'F', timeFormat: '24', timeZone: 'America/Los_Angeles', mode: 'eink' };
+
+const texts = chart => chart.elements.filter(element => element.tag === 'text').map(element => element.text);
+
+test('a chart without hours is empty', () => {
+  assert.deepStrictEqual(buildForecastChart([], OPTIONS), { width: 236, height: 144, elements: [] });
+});
+
+test('the chart labels the temperature scale, the extremes and the hours in the location\'s timezone', () => {
+  const chart = buildForecastChart(HOURS, OPTIONS);
+  assert.strictEqual(chart.width, 236);
+  assert.strictEqual(chart.height, 144);
+  assert.deepStrictEqual(texts(chart), [
+    '66°', '61°', '56°', '100%', '0%',
+    '64°F', '58°F',
+    '14:00', '15:00', '16:00', '17:00',
+    'Temperature (°F)', 'Precipitation'
+  ]);
+
+  const polyline = chart.elements.find(element => element.tag === 'polyline');
+  assert.strictEqual(polyline.attrs.points.split(' ').length, 4);
+  assert.strictEqual(chart.elements.filter(element => element.tag === 'circle').length, 4);
+});
+
+test('precipitation bars are scaled to the plot height, and dry hours have none', () => {
+  const chart = buildForecastChart(HOURS, OPTIONS);
+  // The last rect is the legend's
+  const bars = chart.elements.filter(element => element.tag === 'rect').slice(0, -1);
+  assert.deepStrictEqual(bars.map(bar => [bar.attrs.x, bar.attrs.y, bar.attrs.width, bar.attrs.height]), [
+    [87, 74, 21, 50],
+    [128, 24, 21, 100],
+    [169, 104, 21, 20]
+  ]);
+  assert.ok(bars.every(bar => bar.attrs.fill === '#fff' && bar.attrs.stroke === '#000'));
+
+  const color = buildForecastChart(HOURS, { ...OPTIONS, mode: 'color' });
+  assert.strictEqual(color.elements.find(element => element.tag === 'rect').attrs.fill, '#90caf9');
+});
+
+test('the chart converts to Celsius and uses 12-hour labels', () => {
+  const chart = buildForecastChart(HOURS, { ...OPTIONS, unit: 'C', timeFormat: '12' });
+  const labels = texts(chart);
+  assert.ok(labels.includes('18°C') && labels.includes('14°C'), labels.join(', '));
+  assert.ok(labels.includes('Temperature (°C)'));
+  assert.deepStrictEqual(labels.filter(label => / [AP]M$/.test(label)), ['2 PM', '3 PM', '4 PM', '5 PM']);
+});
+
+test('sunrise and sunset are marked only within the charted hours', () => {
+  const sun = [
+    { sunrise: '2026-01-14T14:59:00.000Z', sunset: '2026-01-15T01:06:00.000Z' },
+    { sunrise: '2026-01-15T14:59:00.000Z', sunset: '2026-01-16T01:07:00.000Z' }
+  ];
+  const chart = buildForecastChart(HOURS, { ...OPTIONS, sun });
+  assert.deepStrictEqual(texts(chart).filter(label => /^Sun/.test(label)), ['Sunset 17:06']);
+  const marker = chart.elements.find(element => element.tag === 'line' && element.attrs['stroke-dasharray'] === '4 3');
+  // 17:06 is 3.6 slots after the start of the first slot (13:30)
+  assert.strictEqual(marker.attrs.x1, Math.round(36 + 41 * 3.6) + 0.5);
+});
@@ -0,0 +1,73 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { compareForecasts, buildRevisionSeries, summarizeDrift } = require('../lib/forecast-drift');
+
+const PREVIOUS = [
+  { datetime: '2026-01-14T15:00:00.000Z', temperature: 60, precipitation: 10 },
+  { datetime: '2026-01-14T16:00:00.000Z', temperature: 62, precipitation: 10 },
+  { datetime: '2026-01-14T17:00:00.000Z', temperature: 63, precipitation: 20 }
+];
+
+const CURRENT = [
+  { datetime: '2026-01-14T16:00:00.000Z', temperature: 64, precipitation: 15 },
+  { datetime: '2026-01-14T17:00:00.000Z', temperature: 60, precipitation: 45 },
+  { datetime: '2026-01-14T18:00:00.000Z', temperature: 58, precipitation: 50 }
+];
+
+test('compareForecasts reports the change of each hour both scrapes cover', () => {
+  const changes = compareForecasts(PREVIOUS, CURRENT, new Date('2026-01-14T14:00:00Z'));
+  assert.deepStrictEqual([...changes], [
+    ['2026-01-14T16:00:00.000Z', { temperature: 2, precipitation: 5, since: '2026-01-14T14:00:00.000Z', significant: false }],
+    ['2026-01-14T17:00:00.000Z', { temperature: -3, precipitation: 25, since: '2026-01-14T14:00:00.000Z', significant: true }]
+  ]);
+});
+
+test('a change at either threshold alone is significant', () => {
+  const changes = compareForecasts(
+    [{ datetime: 'a', temperature: 60, precipitation: 0 }, { datetime: 'b', temperature: 60, precipitation: 0 }],
+    [{ datetime: 'a', temperature: 63, precipitation: 0 }, { datetime: 'b', temperature: 60, precipitation: 20 }],
+    new Date('2026-01-14T14:00:00Z')
+  );
+  assert.strictEqual(changes.get('a').significant, true);
+  assert.strictEqual(changes.get('b').significant, true);
+});
+
+test('stored scrapes become revision series and drift statistics by lead time', () => {
+  // Two scrapes an hour apart, as they come out of the history store
+  const records = [
+    ...PREVIOUS.map(hour => ({ scrapedAt: '2026-01-14T14:00:00.000Z', ...hour })),
+    ...CURRENT.map(hour => ({ scrapedAt: '2026-01-14T15:00:00.000Z', ...hour }))
+  ];
+  const series = buildRevisionSeries(records);
+
+  assert.deepStrictEqual(series.map(({ datetime, revisions }) => [datetime, revisions.map(revision => revision.leadHours)]), [
+    ['2026-01-14T15:00:00.000Z', [1]],
+    ['2026-01-14T16:00:00.000Z', [2, 1]],
+    ['2026-01-14T17:00:00.000Z', [3, 2]],
+    ['2026-01-14T18:00:00.000Z', [3]]
+  ]);
+  assert.deepStrictEqual(series[2].revisions, [
+    { scrapedAt: '2026-01-14T14:00:00.000Z', leadHours: 3, temperature: 63, precipitation: 20 },
+    { scrapedAt: '2026-01-14T15:00:00.000Z', leadHours: 2, temperature: 60, precipitation: 45 }
+  ]);
+
+  assert.deepStrictEqual(summarizeDrift(series), {
+    targetHours: 4,
+    significantHours: 1,
+    overall: { samples: 2, meanAbsTemperatureChange: 2.5, meanAbsPrecipitationChange: 15 },
+    byLeadTime: [
+      { leadHours: 1, samples: 1, meanAbsTemperatureChange: 2, meanAbsPrecipitationChange: 5 },
+      { leadHours: 2, samples: 1, meanAbsTemperatureChange: 3, meanAbsPrecipitationChange: 25 }
+    ]
+  });
+});
+
+test('a single scrape has no drift', () => {
+  const series = buildRevisionSeries(PREVIOUS.map(hour => ({ scrapedAt: '2026-01-14T14:00:00.000Z', ...hour })));
+  assert.deepStrictEqual(summarizeDrift(series), {
+    targetHours: 3,
+    significantHours: 0,
+    overall: { samples: 0, meanAbsTemperatureChange: null, meanAbsPrecipitationChange: null },
+    byLeadTime: []
+  });
+});
@@ -0,0 +1,106 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { TILE_SIZE, hashFrame, diffFrames } = require('../lib/frame-diff');
+
+// Palette-indexed frame, all white (index 0)
+function createFrame(width, height) {
+  return { width, height, palette: 'mono', indices: new Uint8Array(width * height) };
+}
+
+function withPixels(frame, points) {
+  const indices = Uint8Array.from(frame.indices);
+  for (const [x, y] of points) {
+    indices[y * frame.width + x] = 1;
+  }
+  return { ...frame, indices };
+}
+
+test('identical frames are unchanged and hash alike', () => {
+  const frame = createFrame(64, 48);
+  const copy = withPixels(frame, []);
+  assert.deepStrictEqual(diffFrames(frame, copy), { changed: false, fullRefresh: false, reason: null, regions: [] });
+  assert.strictEqual(hashFrame(frame), hashFrame(copy));
+  assert.notStrictEqual(hashFrame(frame), hashFrame(withPixels(frame, [[0, 0]])));
+});
+
+test('a single changed pixel marks its one tile', () => {
+  const frame = createFrame(64, 48);
+  assert.strictEqual(TILE_SIZE, 8);
+  assert.deepStrictEqual(diffFrames(frame, withPixels(frame, [[10, 3]])), {
+    changed: true,
+    fullRefresh: false,
+    reason: null,
+    regions: [{ x: 8, y: 0, width: 8, height: 8 }]
+  });
+});
+
+test('a single changed pixel in an RGBA frame marks its one tile', () => {
+  const frame = { width: 20, height: 10, palette: 'color', rgba: new Uint8Array(20 * 10 * 4) };
+  const rgba = Uint8Array.from(frame.rgba);
+  // Green channel of pixel (9, 0)
+  rgba[9 * 4 + 1] = 255;
+  assert.deepStrictEqual(diffFrames(frame, { ...frame, rgba }).regions, [{ x: 8, y: 0, width: 8, height: 8 }]);
+});
+
+test('changes on both sides of a tile corner form one region', () => {
+  const frame = createFrame(64, 48);
+  // Tiles (0, 0) and (1, 1) touch diagonally
+  assert.deepStrictEqual(diffFrames(frame, withPixels(frame, [[7, 7], [8, 8]])).regions, [
+    { x: 0, y: 0, width: 16, height: 16 }
+  ]);
+});
+
+test('separate changes form separate regions, top to bottom', () => {
+  const frame = createFrame(64, 48);
+  assert.deepStrictEqual(diffFrames(frame, withPixels(frame, [[60, 40], [1, 1], [40, 2]])).regions, [
+    { x: 0, y: 0, width: 8, height: 8 },
+    { x: 40, y: 0, width: 8, height: 8 },
+    { x: 56, y: 40, width: 8, height: 8 }
+  ]);
+});
+
+test('regions at the frame edge are cut to frames whose size is not a multiple of the tile', () => {
+  const frame = createFrame(30, 21);
+  assert.deepStrictEqual(diffFrames(frame, withPixels(frame, [[29, 20]])).regions, [
+    { x: 24, y: 16, width: 6, height: 5 }
+  ]);
+  // A change across the last partial tile column and row
+  assert.deepStrictEqual(diffFrames(frame, withPixels(frame, [[23, 15], [24, 16]])).regions, [
+    { x: 16, y: 8, width: 14, height: 13 }
+  ]);
+});
+
+test('more regions than a panel handles are merged into one', () => {
+  const frame = createFrame(200, 200);
+  // Nine tiles with a gap between each
+  const points = Array.from({ length: 9 }, (_, i) => [i * 2 * TILE_SIZE, 0]);
+  assert.deepStrictEqual(diffFrames(frame, withPixels(frame, points)).regions, [
+    { x: 0, y: 0, width: 136, height: 8 }
+  ]);
+});
+
+test('changes covering more than half the panel switch to a full refresh', () => {
+  const frame = createFrame(64, 64);
+  // Every pixel of the top rows
+  const rows = count => Array.from({ length: count * 64 }, (_, i) => [i % 64, Math.floor(i / 64)]);
+
+  // Exactly half the panel is still a partial refresh
+  assert.deepStrictEqual(diffFrames(frame, withPixels(frame, rows(32))).regions, [
+    { x: 0, y: 0, width: 64, height: 32 }
+  ]);
+  // One more row starts another row of tiles
+  assert.deepStrictEqual(diffFrames(frame, withPixels(frame, rows(33))), {
+    changed: true,
+    fullRefresh: true,
+    reason: 'large-change',
+    regions: []
+  });
+});
+
+test('a first render or a new geometry needs a full refresh', () => {
+  const frame = createFrame(64, 48);
+  assert.strictEqual(diffFrames(null, frame).reason, 'no-previous-frame');
+  assert.strictEqual(diffFrames(createFrame(48, 64), frame).reason, 'geometry-changed');
+  assert.strictEqual(diffFrames({ ...frame, palette: 'gray4' }, frame).reason, 'geometry-changed');
+  assert.strictEqual(diffFrames(null, frame).fullRefresh, true);
+});
@@ -0,0 +1,86 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const sharp = require('sharp');
+const { PALETTES, encodeFramebuffer, renderFormats } = require('../lib/eink');
+
+// bwr frame, 3x2: black, white, red / red, black, white
+const BWR_INDICES = Uint8Array.from([
+  0, 1, 2,
+  2, 0, 1
+]);
+
+test('a packed framebuffer holds palette indices MSB-first, rows padded to rowAlign', () => {
+  const packed = encodeFramebuffer(BWR_INDICES, 3, 2, 'bwr', { planes: 'packed' });
+  assert.deepStrictEqual([...packed.data], [0b00011000, 0b10000100]);
+  assert.deepStrictEqual(packed.layout, {
+    bitsPerPixel: 2,
+    bitOrder: 'msb-first',
+    rowBytes: 1,
+    rowAlign: 1,
+    planes: [{ name: 'pixels', offset: 0, length: 2 }],
+    colors: PALETTES.bwr.colors
+  });
+
+  const aligned = encodeFramebuffer(BWR_INDICES, 3, 2, 'bwr', { rowAlign: 2, planes: 'packed' });
+  assert.deepStrictEqual([...aligned.data], [0b00011000, 0, 0b10000100, 0]);
+  assert.strictEqual(aligned.layout.rowBytes, 2);
+
+  const mono = encodeFramebuffer(Uint8Array.from([1, 0, 0, 0, 0, 0, 0, 0, 1]), 9, 1, 'mono', { rowAlign: 4 });
+  assert.deepStrictEqual([...mono.data], [0x80, 0x80, 0, 0]);
+});
+
+test('a split bwr framebuffer has a black and then a red plane, 0 where the color is', () => {
+  const split = encodeFramebuffer(BWR_INDICES, 3, 2, 'bwr', { planes: 'split' });
+  assert.deepStrictEqual([...split.data], [
+    // black
+    0b01100000,
+    0b10100000,
+    // red
+    0b11000000,
+    0b01100000
+  ]);
+  assert.deepStrictEqual(split.layout, {
+    bitsPerPixel: 1,
+    bitOrder: 'msb-first',
+    rowBytes: 1,
+    rowAlign: 1,
+    planes: [
+      { name: 'black', offset: 0, length: 2 },
+      { name: 'red', offset: 2, length: 2 }
+    ],
+    colors: PALETTES.bwr.colors
+  });
+});
+
+test('a framebuffer needs an indexed palette, and planes to split', () => {
+  assert.throws(() => encodeFramebuffer(BWR_INDICES, 3, 2, 'mono', { planes: 'split' }), /no color planes/);
+  assert.throws(() => encodeFramebuffer(BWR_INDICES, 3, 2, 'rgb', { planes: 'packed' }), /indexed palette/);
+});
+
+// A 2x4 page (the viewing orientation of a sideways 4x2 panel), white with one black
+// pixel in the top-left corner
+function createSidewaysPage() {
+  const rgb = Buffer.alloc(2 * 4 * 3, 255);
+  rgb.fill(0, 0, 3);
+  return sharp(rgb, { raw: { width: 2, height: 4, channels: 3 } }).png().toBuffer();
+}
+
+for (const [rotate, rows] of [
+  // Clockwise: the page's top-left corner lands top-right
+  [90, [0b11100000, 0b11110000]],
+  // Counter-clockwise: it lands bottom-left
+  [270, [0b11110000, 0b01110000]]
+]) {
+  test(`a panel rotated ${rotate} degrees gets the page turned onto its framebuffer`, async () => {
+    const options = { width: 4, height: 2, palette: 'mono', dither: 'none', rotate, rowAlign: 1, planes: 'packed' };
+    const images = await renderFormats(await createSidewaysPage(), options, ['bin', 'bmp']);
+    assert.strictEqual(images.width, 4);
+    assert.strictEqual(images.height, 2);
+    assert.deepStrictEqual([...images.files.bin], rows);
+    // The BMP shows the same pixels, bottom row first
+    assert.strictEqual(images.files.bmp.readInt32LE(18), 4);
+    assert.strictEqual(images.files.bmp.readInt32LE(22), 2);
+    const offset = images.files.bmp.readUInt32LE(10);
+    assert.deepStrictEqual([images.files.bmp[offset], images.files.bmp[offset + 4]], [rows[1], rows[0]]);
+  });
+}
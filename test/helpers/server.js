@@ -0,0 +1,140 @@
+// Starts the real server as a child process against an in-process Open-Meteo stub, with
+// its data and panel images in a temporary directory, for end-to-end tests.
+const { spawn } = require('child_process');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const { handleForecastRequest } = require('../../scripts/stub-open-meteo-server');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+function listen(app) {
+  return new Promise(resolve => {
+    const httpServer = http.createServer(app).listen(0, '127.0.0.1', () => resolve(httpServer));
+  });
+}
+
+// A port nothing listens on right now
+async function getFreePort() {
+  const probe = await listen((req, res) => res.end());
+  const { port } = probe.address();
+  await new Promise(resolve => probe.close(resolve));
+  return port;
+}
+
+async function waitFor(check, timeoutMs = 20000) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    if (await check()) return;
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  throw new Error('Timed out waiting for the server');
+}
+
+// Open-Meteo stub. Requests the hold predicate matches (settable on the returned stub)
+// wait in held, as functions answering them, until the test calls one. Every request's
+// query is recorded in requests.
+async function startStub({ hold = () => false } = {}) {
+  const held = [];
+  const requests = [];
+  const app = express();
+  const stub = {
+    hold,
+    held,
+    requests,
+    close: () => {
+      held.splice(0).forEach(release => release());
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+  app.get('/v1/forecast', (req, res) => {
+    requests.push(req.query);
+    if (stub.hold(req)) {
+      held.push(() => handleForecastRequest(req, res));
+      return;
+    }
+    handleForecastRequest(req, res);
+  });
+  const server = await listen(app);
+  stub.url = `http://127.0.0.1:${server.address().port}/v1/forecast`;
+  return stub;
+}
+
+// Start server.js with one open-meteo location served by the stub and wait until its
+// forecast is cached. options: { stubUrl, env, panels, dir }, panels being a panels file's
+// "panels" list (default: no panels file) and dir the directory of a server stopped with
+// { keepFiles: true } to restart on its files (default: a new temporary directory).
+// Returns { baseUrl, dir, screenshotsDir, dataDir, stop }; stop({ keepFiles }) deletes the
+// directory unless keepFiles is set.
+async function startServer({ stubUrl, env = {}, panels, dir } = {}) {
+  const tempDir = dir || fs.mkdtempSync(path.join(os.tmpdir(), 'sunshine-test-'));
+  const locationsFile = path.join(tempDir, 'locations.json');
+  fs.writeFileSync(locationsFile, JSON.stringify({
+    locations: [{
+      id: 'test',
+      name: 'Test Office',
+      provider: 'open-meteo',
+      latitude: 34.02,
+      longitude: -118.39,
+      timezone: 'America/Los_Angeles',
+      apiUrl: stubUrl
+    }]
+  }));
+  const panelsFile = path.join(tempDir, 'panels.json');
+  if (panels) {
+    fs.writeFileSync(panelsFile, JSON.stringify({ panels }));
+  }
+
+  const port = await getFreePort();
+  const baseUrl = `http://127.0.0.1:${port}`;
+  const screenshotsDir = path.join(tempDir, 'screenshots');
+  const dataDir = path.join(tempDir, 'data');
+  const child = spawn(process.execPath, ['server.js'], {
+    cwd: ROOT,
+    env: {
+      ...process.env,
+      PORT: String(port),
+      DATA_DIR: dataDir,
+      SCREENSHOTS_DIR: screenshotsDir,
+      LOCATIONS_FILE: locationsFile,
+      PANELS_FILE: panelsFile,
+      DISPLAY_RENDERER: 'svg',
+      ADMIN_TOKEN: '',
+      ...env
+    },
+    stdio: 'ignore'
+  });
+  const exited = new Promise(resolve => child.once('exit', resolve));
+
+  const stop = async ({ keepFiles = false } = {}) => {
+    if (child.exitCode === null) {
+      child.kill();
+      await exited;
+    }
+    if (!keepFiles) {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+  };
+
+  try {
+    await waitFor(async () => {
+      try {
+        return (await fetch(`${baseUrl}/api/hourly-forecast`)).ok;
+      } catch {
+        return false;
+      }
+    });
+  } catch (error) {
+    await stop();
+    throw error;
+  }
+  return { baseUrl, dir: tempDir, screenshotsDir, dataDir, stop };
+}
+
+module.exports = {
+  waitFor,
+  startStub,
+  startServer
+};
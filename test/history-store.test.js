@@ -0,0 +1,97 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { appendHistory, queryHistory, pruneHistory } = require('../lib/history-store');
+
+let dir;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'history-store-test-'));
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// Forecast of `hours` hours starting at start, with temperatures from base upwards
+function forecast(start, hours, base) {
+  return Array.from({ length: hours }, (_, i) => ({
+    datetime: new Date(Date.parse(start) + i * 60 * 60 * 1000).toISOString(),
+    temperature: base + i
+  }));
+}
+
+function query(options) {
+  return queryHistory(dir, { locationId: 'office', limit: 100, ...options });
+}
+
+test('a range query returns the scrapes of each forecast hour in order', async () => {
+  appendHistory(dir, 'office', new Date('2026-01-14T06:00:00Z'), forecast('2026-01-14T06:00:00Z', 6, 50));
+  appendHistory(dir, 'office', new Date('2026-01-14T07:00:00Z'), forecast('2026-01-14T07:00:00Z', 6, 60));
+  appendHistory(dir, 'other', new Date('2026-01-14T07:00:00Z'), forecast('2026-01-14T07:00:00Z', 6, 70));
+
+  const { records, truncated } = await query({ from: new Date('2026-01-14T08:00:00Z'), to: new Date('2026-01-14T09:00:00Z') });
+  assert.strictEqual(truncated, false);
+  assert.deepStrictEqual(records.map(record => [record.datetime, record.scrapedAt, record.temperature]), [
+    ['2026-01-14T08:00:00.000Z', '2026-01-14T06:00:00.000Z', 52],
+    ['2026-01-14T08:00:00.000Z', '2026-01-14T07:00:00.000Z', 61],
+    ['2026-01-14T09:00:00.000Z', '2026-01-14T06:00:00.000Z', 53],
+    ['2026-01-14T09:00:00.000Z', '2026-01-14T07:00:00.000Z', 62]
+  ]);
+  assert.ok(records.every(record => record.locationId === 'office'));
+
+  const scraped = await query({
+    from: new Date('2026-01-14T08:00:00Z'),
+    to: new Date('2026-01-14T09:00:00Z'),
+    scrapedFrom: new Date('2026-01-14T06:30:00Z')
+  });
+  assert.deepStrictEqual(scraped.records.map(record => record.temperature), [61, 62]);
+
+  const limited = await query({ from: new Date('2026-01-14T08:00:00Z'), to: new Date('2026-01-14T09:00:00Z'), limit: 3 });
+  assert.strictEqual(limited.records.length, 3);
+  assert.strictEqual(limited.truncated, true);
+});
+
+test('a query reads every month the scrapes of a range can be in', async () => {
+  appendHistory(dir, 'office', new Date('2026-01-31T23:00:00Z'), forecast('2026-01-31T23:00:00Z', 3, 40));
+  appendHistory(dir, 'office', new Date('2026-02-01T00:00:00Z'), forecast('2026-02-01T00:00:00Z', 2, 45));
+  assert.deepStrictEqual(fs.readdirSync(path.join(dir, 'office')).sort(), ['2026-01.jsonl', '2026-02.jsonl']);
+
+  const { records } = await query({ from: new Date('2026-02-01T00:00:00Z'), to: new Date('2026-02-01T00:00:00Z') });
+  assert.deepStrictEqual(records.map(record => record.temperature), [41, 45]);
+});
+
+test('a line cut short by a crash mid-append is skipped', async () => {
+  appendHistory(dir, 'office', new Date('2026-01-14T06:00:00Z'), forecast('2026-01-14T06:00:00Z', 2, 50));
+  fs.appendFileSync(path.join(dir, 'office', '2026-01.jsonl'), '{"locationId":"office","scrapedAt":"2026-01-14T07:00');
+
+  const { records } = await query({ from: new Date('2026-01-14T06:00:00Z'), to: new Date('2026-01-14T08:00:00Z') });
+  assert.deepStrictEqual(records.map(record => record.temperature), [50, 51]);
+});
+
+test('a corrupt line is skipped and the lines after it are still read', async () => {
+  appendHistory(dir, 'office', new Date('2026-01-14T06:00:00Z'), forecast('2026-01-14T06:00:00Z', 1, 50));
+  fs.appendFileSync(path.join(dir, 'office', '2026-01.jsonl'), 'not json\n\n');
+  appendHistory(dir, 'office', new Date('2026-01-14T07:00:00Z'), forecast('2026-01-14T07:00:00Z', 1, 60));
+
+  const { records } = await query({ from: new Date('2026-01-14T06:00:00Z'), to: new Date('2026-01-14T08:00:00Z') });
+  assert.deepStrictEqual(records.map(record => record.temperature), [50, 60]);
+});
+
+test('pruning deletes the months that ended before the cutoff', async () => {
+  for (const scrapedAt of ['2025-11-30T12:00:00Z', '2025-12-31T23:00:00Z', '2026-01-01T00:00:00Z', '2026-02-10T00:00:00Z']) {
+    appendHistory(dir, 'office', new Date(scrapedAt), forecast(scrapedAt, 1, 50));
+  }
+  fs.writeFileSync(path.join(dir, 'office', 'notes.txt'), 'kept');
+
+  assert.deepStrictEqual(pruneHistory(dir, 'office', new Date('2026-01-20T00:00:00Z')), ['2025-11', '2025-12']);
+  assert.deepStrictEqual(fs.readdirSync(path.join(dir, 'office')).sort(), ['2026-01.jsonl', '2026-02.jsonl', 'notes.txt']);
+  // January still holds scrapes newer than a cutoff inside it
+  assert.deepStrictEqual(pruneHistory(dir, 'office', new Date('2026-01-31T23:59:59Z')), []);
+
+  const { records } = await query({ from: new Date('2025-11-01T00:00:00Z'), to: new Date('2026-02-28T00:00:00Z') });
+  assert.deepStrictEqual(records.map(record => record.scrapedAt), ['2026-01-01T00:00:00.000Z', '2026-02-10T00:00:00.000Z']);
+  assert.deepStrictEqual(pruneHistory(dir, 'missing', new Date()), []);
+});
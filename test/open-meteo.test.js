@@ -0,0 +1,149 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { getProvider, DEFAULT_PROVIDER } = require('../lib/providers');
+const openMeteo = require('../lib/providers/open-meteo');
+const { buildStubResponse } = require('../scripts/stub-open-meteo-server');
+
+const { normalizeConfig, parseHourlyResponse, parseDailyResponse } = openMeteo;
+
+test('providers are looked up by name, AccuWeather by default', () => {
+  assert.strictEqual(getProvider('open-meteo'), openMeteo);
+  assert.strictEqual(getProvider(undefined).name, DEFAULT_PROVIDER);
+  assert.throws(() => getProvider('weather-rock'), /Unknown forecast provider "weather-rock"/);
+});
+
+test('normalizeConfig validates the coordinates and the API URL', () => {
+  assert.deepStrictEqual(normalizeConfig({ id: 'a', latitude: '34.02', longitude: -118.39 }), {
+    latitude: 34.02,
+    longitude: -118.39,
+    apiUrl: 'https://api.open-meteo.com/v1/forecast'
+  });
+  assert.strictEqual(
+    normalizeConfig({ id: 'a', latitude: 0, longitude: 0, apiUrl: 'http://localhost:8787/v1/forecast' }).apiUrl,
+    'http://localhost:8787/v1/forecast'
+  );
+
+  assert.throws(() => normalizeConfig({ id: 'a', latitude: 91, longitude: 0 }), /latitude between -90 and 90/);
+  assert.throws(() => normalizeConfig({ id: 'a', latitude: 0 }), /longitude between -180 and 180/);
+  assert.throws(() => normalizeConfig({ id: 'a', latitude: 0, longitude: 0, apiUrl: 'not a url' }), /invalid apiUrl/);
+  assert.throws(() => normalizeConfig({ id: 'a', latitude: 0, longitude: 0, apiUrl: 'http://example.com/v1/forecast' }), /must use https/);
+});
+
+test('parseHourlyResponse keeps the current and later hours as normalized records', () => {
+  const body = {
+    hourly: {
+      time: ['2026-01-14T21:00', '2026-01-14T22:00', '2026-01-14T23:00', '2026-01-15T00:00'],
+      temperature_2m: [60.2, 59.6, null, 57.4],
+      precipitation_probability: [0, 10, 20, null],
+      precipitation: [0, 0.3, 0, null],
+      weather_code: [0, 61, 3, 999],
+      is_day: [1, 1, 0, 0]
+    }
+  };
+  const forecast = parseHourlyResponse(body, new Date('2026-01-14T22:40:00Z'));
+
+  // 21:00 has ended, 23:00 has no temperature
+  assert.deepStrictEqual(forecast.map(hour => [hour.datetime, hour.temperature, hour.precipitation, hour.precipitationAmount, hour.iconPhrase, hour.isDaylight]), [
+    ['2026-01-14T22:00:00.000Z', 60, 10, 0.3, 'Light rain', true],
+    ['2026-01-15T00:00:00.000Z', 57, 0, 0, 'Clear', false]
+  ]);
+  assert.strictEqual(forecast[0].temperatureUnit, 'F');
+  assert.strictEqual(forecast[0].precipitationUnit, 'mm');
+  assert.strictEqual(forecast[0].icon, null);
+});
+
+test('parseHourlyResponse reads the stub\'s response and rejects one without hourly data', () => {
+  const now = new Date();
+  const forecast = parseHourlyResponse(buildStubResponse(34.02, -118.39), now);
+  assert.ok(forecast.length > 0);
+  assert.ok(new Date(forecast[0].datetime) <= now);
+  assert.ok(new Date(forecast[0].datetime).getTime() > now.getTime() - 60 * 60 * 1000);
+
+  assert.throws(() => parseHourlyResponse({}), /missing hourly data/);
+  assert.throws(() => parseHourlyResponse({ hourly: { time: 'x' } }), /missing hourly data/);
+});
+
+test('parseHourlyResponse converts wind, humidity, UV, cloud cover and visibility', () => {
+  const body = {
+    hourly: {
+      time: ['2026-01-14T22:00', '2026-01-14T23:00'],
+      temperature_2m: [60, 59],
+      apparent_temperature: [58.6, null],
+      wind_speed_10m: [12.4, null],
+      wind_direction_10m: [355, null],
+      wind_gusts_10m: [24.5, null],
+      relative_humidity_2m: [64, null],
+      dew_point_2m: [47.5, null],
+      uv_index: [2.45, null],
+      cloud_cover: [40, null],
+      visibility: [24140, null]
+    }
+  };
+  const [hour, bare] = parseHourlyResponse(body, new Date('2026-01-14T22:00:00Z'));
+  assert.deepStrictEqual(hour, {
+    datetime: '2026-01-14T22:00:00.000Z',
+    temperature: 60,
+    temperatureUnit: 'F',
+    realFeel: 59,
+    precipitation: 0,
+    precipitationAmount: 0,
+    precipitationUnit: 'mm',
+    icon: null,
+    iconPhrase: 'Clear',
+    isDaylight: false,
+    windSpeed: 12,
+    // 355° is nearest north
+    windDirection: 'N',
+    windGust: 25,
+    windSpeedUnit: 'km/h',
+    humidity: 64,
+    dewPoint: 48,
+    uvIndex: 2,
+    cloudCover: 40,
+    visibility: 24.1,
+    visibilityUnit: 'km'
+  });
+  for (const field of ['realFeel', 'windSpeed', 'windDirection', 'windGust', 'humidity', 'dewPoint', 'uvIndex', 'cloudCover', 'visibility']) {
+    assert.strictEqual(bare[field], null, field);
+  }
+});
+
+test('parseDailyResponse reads daily records with sunrise and sunset in the location\'s timezone', () => {
+  const body = {
+    daily: {
+      time: ['2026-03-07', '2026-03-08', '2026-03-09'],
+      temperature_2m_max: [68.4, 71.5, null],
+      temperature_2m_min: [52.1, null, null],
+      precipitation_probability_max: [5, 40, 0],
+      weather_code: [1, 63, 0],
+      sunrise: ['2026-03-07T06:12', '2026-03-08T07:11', '2026-03-09T07:09'],
+      sunset: ['2026-03-07T17:56', '2026-03-08T18:57', '2026-03-09T18:58']
+    }
+  };
+  // Los Angeles moves from PST to PDT on 2026-03-08
+  assert.deepStrictEqual(parseDailyResponse(body, 'America/Los_Angeles'), [
+    {
+      date: '2026-03-07',
+      high: 68,
+      low: 52,
+      temperatureUnit: 'F',
+      dayPhrase: 'Mostly clear',
+      nightPhrase: null,
+      precipitation: 5,
+      sunrise: '2026-03-07T14:12:00.000Z',
+      sunset: '2026-03-08T01:56:00.000Z'
+    },
+    {
+      date: '2026-03-08',
+      high: 72,
+      low: null,
+      temperatureUnit: 'F',
+      dayPhrase: 'Rain',
+      nightPhrase: null,
+      precipitation: 40,
+      sunrise: '2026-03-08T14:11:00.000Z',
+      sunset: '2026-03-09T01:57:00.000Z'
+    }
+  ]);
+  assert.throws(() => parseDailyResponse({}, 'America/Los_Angeles'), /missing daily data/);
+});
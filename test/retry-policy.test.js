@@ -0,0 +1,99 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const {
+  MAX_RETRIES,
+  CIRCUIT_BREAKER_THRESHOLD,
+  getRetryDelay,
+  getCircuitCooldown,
+  getRecovery,
+  isCircuitOpenAt
+} = require('../lib/retry-policy');
+const { createRun, createStatus, recordRun } = require('../lib/run-status');
+
+const MINUTE = 60 * 1000;
+const noJitter = () => 0;
+const fullJitter = () => 0.9999999;
+
+test('retry delays double from one minute up to the 15 minute cap', () => {
+  // Without jitter a delay is half the exponential delay
+  assert.deepStrictEqual([1, 2, 3, 4, 5, 6, 7].map(attempt => getRetryDelay(attempt, noJitter)), [
+    0.5 * MINUTE, 1 * MINUTE, 2 * MINUTE, 4 * MINUTE, 7.5 * MINUTE, 7.5 * MINUTE, 7.5 * MINUTE
+  ]);
+  assert.deepStrictEqual([1, 2, 3, 4, 5, 6, 7].map(attempt => getRetryDelay(attempt, fullJitter)), [
+    1 * MINUTE, 2 * MINUTE, 4 * MINUTE, 8 * MINUTE, 15 * MINUTE, 15 * MINUTE, 15 * MINUTE
+  ]);
+});
+
+test('jitter keeps each delay between half and all of the exponential delay', () => {
+  for (let attempt = 1; attempt <= 8; attempt++) {
+    const exponential = Math.min(MINUTE * 2 ** (attempt - 1), 15 * MINUTE);
+    for (const value of [0, 0.25, 0.5, 0.75, 0.9999999]) {
+      const delay = getRetryDelay(attempt, () => value);
+      assert.ok(delay >= exponential / 2 && delay <= exponential, `attempt ${attempt}, random ${value}: ${delay}`);
+    }
+  }
+  assert.strictEqual(getRetryDelay(1, () => 0.5), 45 * 1000);
+});
+
+test('the circuit cooldown is at least 30 minutes and two refresh intervals', () => {
+  assert.strictEqual(getCircuitCooldown(5 * MINUTE), 30 * MINUTE);
+  assert.strictEqual(getCircuitCooldown(60 * MINUTE), 120 * MINUTE);
+});
+
+test('failures are retried, then wait for the schedule, then open the circuit', () => {
+  assert.strictEqual(MAX_RETRIES, 3);
+  assert.strictEqual(CIRCUIT_BREAKER_THRESHOLD, 5);
+  assert.deepStrictEqual([1, 2, 3, 4, 5, 6].map(failures => getRecovery(failures, 60 * MINUTE, noJitter)), [
+    { circuitOpen: false, delay: 0.5 * MINUTE },
+    { circuitOpen: false, delay: 1 * MINUTE },
+    { circuitOpen: false, delay: 2 * MINUTE },
+    null,
+    { circuitOpen: true, delay: 120 * MINUTE },
+    { circuitOpen: true, delay: 120 * MINUTE }
+  ]);
+});
+
+test('the circuit opens after the threshold and closes when the probe succeeds', () => {
+  const refreshInterval = 60 * MINUTE;
+  const status = createStatus();
+  let now = Date.parse('2026-01-14T12:00:00Z');
+  let openUntil = null;
+
+  // Mirrors the server's refresh: a failure is recorded and its recovery planned
+  const refresh = ok => {
+    recordRun(status, createRun(), ok ? null : new Error('HTTP 503'));
+    if (ok) {
+      openUntil = null;
+      return null;
+    }
+    const recovery = getRecovery(status.consecutiveFailures, refreshInterval, noJitter);
+    if (recovery && recovery.circuitOpen) {
+      openUntil = new Date(now + recovery.delay);
+    }
+    return recovery;
+  };
+
+  for (let i = 1; i < CIRCUIT_BREAKER_THRESHOLD; i++) {
+    refresh(false);
+    assert.strictEqual(isCircuitOpenAt(openUntil, now), false, `after ${i} failures`);
+    now += refreshInterval;
+  }
+  refresh(false);
+  assert.strictEqual(isCircuitOpenAt(openUntil, now), true);
+  assert.strictEqual(isCircuitOpenAt(openUntil, now + 120 * MINUTE - 1), true);
+  // The cooldown is over: the probe runs
+  now += 120 * MINUTE;
+  assert.strictEqual(isCircuitOpenAt(openUntil, now), false);
+
+  // A failed probe opens it for another cooldown
+  assert.deepStrictEqual(refresh(false), { circuitOpen: true, delay: 120 * MINUTE });
+  assert.strictEqual(isCircuitOpenAt(openUntil, now + MINUTE), true);
+
+  // A successful probe closes it and starts a new failure streak with retries
+  now += 120 * MINUTE;
+  refresh(true);
+  assert.strictEqual(isCircuitOpenAt(openUntil, now), false);
+  assert.strictEqual(status.consecutiveFailures, 0);
+  assert.deepStrictEqual(refresh(false), { circuitOpen: false, delay: 0.5 * MINUTE });
+  assert.strictEqual(isCircuitOpenAt(openUntil, now), false);
+});
@@ -0,0 +1,44 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { getDefaultSettings, mergeSettings, loadSettings } = require('../lib/settings-store');
+
+const SCHEMA = {
+  refreshIntervalMinutes: { type: 'integer', default: 60, min: 5, max: 1440 },
+  timeFormat: { type: 'choice', default: '24', choices: ['24', '12'] }
+};
+
+test('mergeSettings applies valid changes', () => {
+  const result = mergeSettings(SCHEMA, getDefaultSettings(SCHEMA), { timeFormat: '12' });
+  assert.deepStrictEqual(result, { settings: { refreshIntervalMinutes: 60, timeFormat: '12' } });
+});
+
+test('mergeSettings reports every invalid value and changes nothing', () => {
+  const result = mergeSettings(SCHEMA, getDefaultSettings(SCHEMA), { refreshIntervalMinutes: 1, timeFormat: 'x', timeFormat2: '12' });
+  assert.deepStrictEqual(Object.keys(result.errors).sort(), ['refreshIntervalMinutes', 'timeFormat', 'timeFormat2']);
+  assert.strictEqual(result.settings, undefined);
+});
+
+test('mergeSettings rejects names inherited from Object.prototype as unknown', () => {
+  // Parsed like a request body, so "__proto__" is an own key
+  const changes = JSON.parse('{ "constructor": "24", "toString": 1, "__proto__": { "a": 1 } }');
+  const result = mergeSettings(SCHEMA, getDefaultSettings(SCHEMA), changes);
+  assert.deepStrictEqual(Object.keys(result.errors).sort(), ['__proto__', 'constructor', 'toString']);
+  assert.ok(Object.values(result.errors).every(error => error === 'is not a known setting'));
+
+  const protoOnly = mergeSettings(SCHEMA, getDefaultSettings(SCHEMA), JSON.parse('{ "__proto__": "12" }'));
+  assert.deepStrictEqual(Object.keys(protoOnly.errors), ['__proto__']);
+});
+
+test('loadSettings skips unknown and invalid saved settings', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'settings-store-test-'));
+  try {
+    const file = path.join(dir, 'settings.json');
+    fs.writeFileSync(file, '{ "settings": { "constructor": "12", "__proto__": 1, "refreshIntervalMinutes": 2, "timeFormat": "12" } }');
+    assert.deepStrictEqual(loadSettings(file, SCHEMA), { refreshIntervalMinutes: 60, timeFormat: '12' });
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,49 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { getSunTimes, isDaylightAt } = require('../lib/sun');
+
+// Within this of the NOAA Solar Calculator's times, which are given to the minute
+const TOLERANCE = 2 * 60 * 1000;
+
+function assertNear(actual, expected, label) {
+  const difference = Math.abs(actual.getTime() - Date.parse(expected));
+  assert.ok(difference <= TOLERANCE, `${label}: ${actual.toISOString()}, NOAA ${expected}`);
+}
+
+// NOAA Solar Calculator sunrise and sunset, in local time with the UTC offset of the day
+const NOAA_TIMES = [
+  { place: 'Los Angeles', day: '2026-06-21', latitude: 34.05, longitude: -118.24, sunrise: '2026-06-21T05:42-07:00', sunset: '2026-06-21T20:08-07:00' },
+  { place: 'Los Angeles', day: '2026-12-21', latitude: 34.05, longitude: -118.24, sunrise: '2026-12-21T06:55-08:00', sunset: '2026-12-21T16:47-08:00' },
+  { place: 'Greenwich', day: '2026-06-21', latitude: 51.4769, longitude: 0, sunrise: '2026-06-21T04:43+01:00', sunset: '2026-06-21T21:21+01:00' },
+  { place: 'Sydney', day: '2026-06-21', latitude: -33.87, longitude: 151.21, sunrise: '2026-06-21T07:00+10:00', sunset: '2026-06-21T16:54+10:00' }
+];
+
+for (const { place, day, latitude, longitude, sunrise, sunset } of NOAA_TIMES) {
+  test(`getSunTimes matches NOAA for ${place} on ${day}`, () => {
+    const times = getSunTimes(day, latitude, longitude);
+    assert.strictEqual(times.polar, null);
+    assertNear(times.sunrise, sunrise, 'sunrise');
+    assertNear(times.sunset, sunset, 'sunset');
+  });
+}
+
+test('getSunTimes reports polar night and midnight sun north of the Arctic Circle', () => {
+  // Tromsø: the sun stays down from late November to mid January and up from late May to late July
+  assert.deepStrictEqual(getSunTimes('2026-12-21', 69.65, 18.96), { sunrise: null, sunset: null, polar: 'night' });
+  assert.deepStrictEqual(getSunTimes('2026-06-21', 69.65, 18.96), { sunrise: null, sunset: null, polar: 'day' });
+  // In the south the seasons are the other way round
+  assert.strictEqual(getSunTimes('2026-06-21', -77.85, 166.67).polar, 'night');
+  assert.strictEqual(getSunTimes('2026-12-21', -77.85, 166.67).polar, 'day');
+});
+
+test('isDaylightAt follows sunrise, sunset and the polar day and night', () => {
+  const { sunrise, sunset } = getSunTimes('2026-06-21', 34.05, -118.24);
+  assert.strictEqual(isDaylightAt(new Date(sunrise.getTime() - 5 * 60 * 1000), 34.05, -118.24), false);
+  assert.strictEqual(isDaylightAt(new Date(sunrise.getTime() + 5 * 60 * 1000), 34.05, -118.24), true);
+  assert.strictEqual(isDaylightAt(new Date(sunset.getTime() - 5 * 60 * 1000), 34.05, -118.24), true);
+  assert.strictEqual(isDaylightAt(new Date(sunset.getTime() + 5 * 60 * 1000), 34.05, -118.24), false);
+
+  // Local midnight in June and noon in December at Tromsø (UTC+2 and UTC+1)
+  assert.strictEqual(isDaylightAt(new Date('2026-06-21T22:00:00Z'), 69.65, 18.96), true);
+  assert.strictEqual(isDaylightAt(new Date('2026-12-21T11:00:00Z'), 69.65, 18.96), false);
+});
@@ -0,0 +1,134 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const sharp = require('sharp');
+const { renderForecastSvg, renderForecastPng } = require('../lib/svg-renderer');
+
+// Eight hours from 14:00 in Los Angeles, 60°F rising by a degree an hour
+const FORECAST = Array.from({ length: 8 }, (_, i) => ({
+  datetime: new Date(Date.parse('2026-01-14T22:00:00Z') + i * 60 * 60 * 1000).toISOString(),
+  temperature: 60 + i,
+  temperatureUnit: 'F',
+  realFeel: 58 + i,
+  precipitation: i * 10,
+  precipitationAmount: i * 0.2,
+  precipitationUnit: 'mm',
+  icon: null,
+  iconPhrase: 'Partly cloudy',
+  isDaylight: i < 3,
+  windSpeed: 12,
+  windDirection: 'WSW',
+  windGust: 25,
+  windSpeedUnit: 'km/h',
+  humidity: 64,
+  dewPoint: 48,
+  uvIndex: 2,
+  cloudCover: 40,
+  visibility: 16.1,
+  visibilityUnit: 'km'
+}));
+
+const DATA = {
+  location: 'Culver City & Palms <CA>',
+  timezone: 'America/Los_Angeles',
+  forecast: FORECAST,
+  sun: [],
+  daily: [],
+  current: null,
+  alerts: []
+};
+
+const OPTIONS = { width: 800, height: 480, unit: 'F', timeFormat: '24' };
+
+test('the SVG page has the panel size, the title, the escaped location and the hours', () => {
+  const svg = renderForecastSvg(DATA, OPTIONS);
+  assert.match(svg, /^<svg xmlns="http:\/\/www\.w3\.org\/2000\/svg" width="800" height="480" viewBox="0 0 800 480"/);
+  assert.ok(svg.endsWith('</svg>'));
+  assert.ok(svg.includes('>HOURLY WEATHER FORECAST</text>'));
+  assert.ok(svg.includes('>Culver City &amp; Palms &lt;CA&gt;</text>'));
+  assert.ok(!svg.includes('<CA>'));
+  assert.ok(svg.includes('>14:00</text>') && svg.includes('>21:00</text>'));
+  assert.ok(svg.includes('>67°F</text>'));
+});
+
+test('units, time format and display mode change the SVG page', () => {
+  const celsius = renderForecastSvg(DATA, { ...OPTIONS, unit: 'C', timeFormat: '12' });
+  // 60°F
+  assert.ok(celsius.includes('>16°C</text>'));
+  assert.ok(celsius.includes('>2:00 PM</text>'));
+
+  const color = renderForecastSvg(DATA, { ...OPTIONS, mode: 'color' });
+  assert.ok(color.includes('>Hourly Weather Forecast</text>'));
+  assert.notStrictEqual(color, renderForecastSvg(DATA, OPTIONS));
+});
+
+test('active alerts replace the title and the "Now" block shows the current conditions', () => {
+  const svg = renderForecastSvg({
+    ...DATA,
+    alerts: [{ title: 'Wind Advisory', severity: 'minor', effectiveAt: null, expiresAt: '2026-01-15T02:00:00.000Z', source: 'NWS' }],
+    current: {
+      observedAt: '2026-01-14T22:37:00.000Z',
+      temperature: 71,
+      temperatureUnit: 'F',
+      realFeel: 70,
+      phrase: 'Sunny & mild',
+      windSpeed: 11,
+      windDirection: 'SSW',
+      windGust: 19,
+      windSpeedUnit: 'km/h',
+      humidity: 48
+    }
+  }, OPTIONS);
+  assert.ok(!svg.includes('HOURLY WEATHER FORECAST'));
+  assert.match(svg, /Wind Advisory/i);
+  assert.ok(svg.includes('>71°F</text>'));
+  assert.ok(svg.includes('Sunny &amp; mild'));
+});
+
+test('the PNG is rasterized at the requested size', async () => {
+  const png = await renderForecastPng(DATA, { ...OPTIONS, width: 400, height: 300 });
+  const metadata = await sharp(png).metadata();
+  assert.strictEqual(metadata.format, 'png');
+  assert.strictEqual(metadata.width, 400);
+  assert.strictEqual(metadata.height, 300);
+});
+
+// Hour labels (time of day) on the page
+const hourLabels = svg => svg.match(/>\d\d:00<\/text>/g) || [];
+
+test('only the grid layout draws the chart above its cards', () => {
+  const grid = renderForecastSvg(DATA, { ...OPTIONS, layout: 'grid' });
+  assert.ok(grid.includes('<polyline'));
+  // Once on the chart's axis, once on the cards
+  assert.strictEqual(hourLabels(grid).length, 16);
+
+  for (const layout of ['list', 'hero', 'table']) {
+    assert.ok(!renderForecastSvg(DATA, { ...OPTIONS, layout }).includes('<polyline'), layout);
+  }
+  // Unknown layouts fall back to the grid
+  assert.strictEqual(renderForecastSvg(DATA, { ...OPTIONS, layout: 'mosaic' }), grid);
+});
+
+test('the list and table layouts show every hour, with the amount only on wide pages', () => {
+  const list = renderForecastSvg(DATA, { ...OPTIONS, layout: 'list' });
+  assert.strictEqual(hourLabels(list).length, 8);
+  assert.ok(list.includes('>Amount</text>'));
+  assert.ok(!renderForecastSvg(DATA, { ...OPTIONS, layout: 'list', width: 600 }).includes('>Amount</text>'));
+
+  const table = renderForecastSvg(DATA, { ...OPTIONS, layout: 'table' });
+  assert.strictEqual(hourLabels(table).length, 8);
+  for (const header of ['TIME', 'CONDITIONS', 'TEMP', 'PRECIP.', 'AMOUNT']) {
+    assert.ok(table.includes(`>${header}</text>`), header);
+  }
+  assert.ok(table.includes('>1.4 mm</text>'));
+  const narrow = renderForecastSvg(DATA, { ...OPTIONS, layout: 'table', width: 600 });
+  assert.ok(narrow.includes('>PRECIP.</text>'));
+  assert.ok(!narrow.includes('>AMOUNT</text>'));
+});
+
+test('the hero layout shows as many cards as fit in one row', () => {
+  // 760px of content: six 110px cards with 10px gaps
+  assert.deepStrictEqual(hourLabels(renderForecastSvg(DATA, { ...OPTIONS, layout: 'hero' })),
+    ['>14:00</text>', '>15:00</text>', '>16:00</text>', '>17:00</text>', '>18:00</text>', '>19:00</text>']);
+  assert.strictEqual(hourLabels(renderForecastSvg(DATA, { ...OPTIONS, layout: 'hero', width: 600 })).length, 4);
+  assert.strictEqual(hourLabels(renderForecastSvg(DATA, { ...OPTIONS, layout: 'hero', width: 100 })).length, 1);
+});
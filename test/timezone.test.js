@@ -0,0 +1,27 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { zonedTimeToUtc } = require('../lib/timezone');
+
+test('zonedTimeToUtc converts ordinary wall times', () => {
+  assert.strictEqual(zonedTimeToUtc('2026-01-14', 15, 0, 'America/Los_Angeles').toISOString(), '2026-01-14T23:00:00.000Z');
+  assert.strictEqual(zonedTimeToUtc('2026-07-14', 15, 0, 'Europe/London').toISOString(), '2026-07-14T14:00:00.000Z');
+});
+
+test('zonedTimeToUtc moves a time skipped by spring-forward past the jump west of UTC', () => {
+  // 02:30 doesn't exist on 2026-03-08 in Los Angeles; it becomes 03:30 PDT
+  assert.strictEqual(zonedTimeToUtc('2026-03-08', 2, 30, 'America/Los_Angeles').toISOString(), '2026-03-08T10:30:00.000Z');
+});
+
+test('zonedTimeToUtc moves a time skipped by spring-forward past the jump east of UTC', () => {
+  // 01:30 doesn't exist on 2026-03-29 in London; it becomes 02:30 BST
+  assert.strictEqual(zonedTimeToUtc('2026-03-29', 1, 30, 'Europe/London').toISOString(), '2026-03-29T01:30:00.000Z');
+  // 02:30 doesn't exist on 2026-03-29 in Berlin; it becomes 03:30 CEST
+  assert.strictEqual(zonedTimeToUtc('2026-03-29', 2, 30, 'Europe/Berlin').toISOString(), '2026-03-29T01:30:00.000Z');
+});
+
+test('zonedTimeToUtc resolves a time repeated by fall-back to its first occurrence', () => {
+  // 01:30 happens twice on 2026-11-01 in Los Angeles; the first is PDT
+  assert.strictEqual(zonedTimeToUtc('2026-11-01', 1, 30, 'America/Los_Angeles').toISOString(), '2026-11-01T08:30:00.000Z');
+  // 01:30 happens twice on 2026-10-25 in London; the first is BST
+  assert.strictEqual(zonedTimeToUtc('2026-10-25', 1, 30, 'Europe/London').toISOString(), '2026-10-25T00:30:00.000Z');
+});